@@ -0,0 +1,158 @@
+/**
+ * Local fake Africa's Talking SMS API for development and tests
+ * Accepts sends like the real API and posts delivery reports back to the app.
+ *
+ * Run: node scripts/fakeATServer.js
+ * Then start the app with AT_API_BASE_URL=http://localhost:4010
+ * Tests can start one with createFakeATServer (see reminder.controller.test.js).
+ *
+ * Environment:
+ *   FAKE_AT_PORT            - Port to listen on (default 4010)
+ *   FAKE_AT_CALLBACK_URL    - Delivery report URL
+ *                             (default http://localhost:5757/api/reminders/callbacks/at-delivery)
+ *   AT_CALLBACK_SECRET      - Sent as ?token=... on delivery reports, like the app's AT callback URL
+ *   FAKE_AT_DELIVERY_STATUS - Delivery report status to send (default Success)
+ *   FAKE_AT_FAILURE_REASON  - failureReason for failed reports (default DeliveryFailure)
+ *   FAKE_AT_DELAY_MS        - Delay before the delivery report (default 2000)
+ *
+ * Numbers ending in 0000 are rejected at send time (InvalidPhoneNumber),
+ * numbers ending in 9999 get a Failed delivery report.
+ */
+require('dotenv').config();
+const http = require('http');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Create a fake AT server (not yet listening)
+ * @param {Object} options
+ * @param {string} options.callbackUrl - Delivery report URL
+ * @param {string} options.callbackSecret - Sent as ?token=... on delivery reports (optional)
+ * @param {string} options.deliveryStatus - Delivery report status to send (default Success)
+ * @param {string} options.failureReason - failureReason for failed reports (default DeliveryFailure)
+ * @param {number} options.delayMs - Delay before the delivery report (default 2000)
+ * @param {boolean} options.quiet - Don't log to the console
+ * @returns {Object} - http.Server, with the messages sent so far on `messages` and,
+ *   by message ID on `deliveryReports`, a promise of the app's response status
+ */
+const createFakeATServer = ({
+  callbackUrl,
+  callbackSecret = null,
+  deliveryStatus = 'Success',
+  failureReason = 'DeliveryFailure',
+  delayMs = 2000,
+  quiet = false,
+}) => {
+  const log = quiet ? () => {} : console.log;
+
+  // Messages sent so far, exposed on GET /messages for assertions
+  const messages = [];
+  const deliveryReports = new Map();
+
+  /**
+   * Post a delivery report to the app, the way AT does (form encoded)
+   * @returns {Promise<number|null>} - Response status from the app, null if it couldn't be reached
+   */
+  const sendDeliveryReport = async (messageId, phoneNumber, status) => {
+    const report = new URLSearchParams({
+      id: messageId,
+      status,
+      phoneNumber,
+      networkCode: '64110',
+      retryCount: '0',
+    });
+    if (status !== 'Success') {
+      report.append('failureReason', failureReason);
+    }
+
+    try {
+      const response = await axios.post(callbackUrl, report.toString(), {
+        params: callbackSecret ? { token: callbackSecret } : undefined,
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        validateStatus: () => true,
+      });
+      log(`Delivery report ${status} sent for ${messageId} (${response.status})`);
+      return response.status;
+    } catch (error) {
+      log(`Delivery report for ${messageId} failed: ${error.message}`);
+      return null;
+    }
+  };
+
+  /**
+   * Handle POST /version1/messaging
+   */
+  const handleSend = (body, res) => {
+    const params = new URLSearchParams(body);
+    const numbers = (params.get('to') || '').split(',').filter(Boolean);
+
+    const recipients = numbers.map(number => {
+      if (number.endsWith('0000')) {
+        return { statusCode: 403, number, status: 'InvalidPhoneNumber', cost: '0', messageId: 'None' };
+      }
+
+      const messageId = `ATXid_${crypto.randomBytes(16).toString('hex')}`;
+      messages.push({ messageId, number, message: params.get('message'), from: params.get('from') });
+
+      const status = number.endsWith('9999') ? 'Failed' : deliveryStatus;
+      deliveryReports.set(messageId, new Promise(resolve => {
+        setTimeout(() => resolve(sendDeliveryReport(messageId, number, status)), delayMs);
+      }));
+
+      return { statusCode: 101, number, status: 'Success', cost: 'UGX 50.0000', messageId };
+    });
+
+    log(`Accepted ${recipients.length} message(s) for ${numbers.join(', ')}`);
+
+    res.writeHead(201, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({
+      SMSMessageData: {
+        Message: `Sent to ${recipients.filter(r => r.statusCode === 101).length}/${recipients.length}`,
+        Recipients: recipients,
+      },
+    }));
+  };
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'POST' && req.url === '/version1/messaging') {
+        return handleSend(body, res);
+      }
+
+      if (req.method === 'GET' && req.url === '/messages') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ messages }));
+      }
+
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'Not found' }));
+    });
+  });
+
+  server.messages = messages;
+  server.deliveryReports = deliveryReports;
+  return server;
+};
+
+if (require.main === module) {
+  const port = Number(process.env.FAKE_AT_PORT) || 4010;
+  const callbackUrl = process.env.FAKE_AT_CALLBACK_URL
+    || `http://localhost:${process.env.PORT || 5757}/api/reminders/callbacks/at-delivery`;
+
+  const server = createFakeATServer({
+    callbackUrl,
+    callbackSecret: process.env.AT_CALLBACK_SECRET || null,
+    deliveryStatus: process.env.FAKE_AT_DELIVERY_STATUS || 'Success',
+    failureReason: process.env.FAKE_AT_FAILURE_REASON || 'DeliveryFailure',
+    delayMs: Number(process.env.FAKE_AT_DELAY_MS) || 2000,
+  });
+
+  server.listen(port, () => {
+    console.log(`Fake Africa's Talking API listening on http://localhost:${port}`);
+    console.log(`Delivery reports go to ${callbackUrl}`);
+  });
+}
+
+module.exports = { createFakeATServer };
\ No newline at end of file
@@ -0,0 +1,53 @@
+/**
+ * Reminder Template Language Migration Script
+ * Marks templates saved before languages were added as the default language and
+ * drops the old one-template-per-type index, so a landlord can add templates in other languages
+ *
+ * Usage: node scripts/migrateTemplateLanguages.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const ReminderTemplate = require('../src/models/remindertemplate.model');
+const { DEFAULT_LANGUAGE } = require('../src/locales');
+const logger = require('../src/utils/logger');
+
+const LEGACY_INDEX = 'userId_1_propertyId_1_type_1';
+
+const migrateTemplateLanguages = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB');
+
+    const result = await ReminderTemplate.updateMany(
+      { language: { $exists: false } },
+      { $set: { language: DEFAULT_LANGUAGE } }
+    );
+
+    const indexes = await ReminderTemplate.collection.indexes();
+    const hasLegacyIndex = indexes.some(index => index.name === LEGACY_INDEX);
+    if (hasLegacyIndex) {
+      await ReminderTemplate.collection.dropIndex(LEGACY_INDEX);
+    }
+
+    // Build the index with language
+    await ReminderTemplate.syncIndexes();
+
+    console.log('\n📝 Template Language Migration:');
+    console.log('─'.repeat(80));
+    console.log(`Templates set to ${DEFAULT_LANGUAGE}: ${result.modifiedCount}`);
+    console.log(`Old index dropped:    ${hasLegacyIndex ? 'yes' : 'no (not found)'}`);
+    console.log('');
+
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Failed to migrate template languages:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateTemplateLanguages();
\ No newline at end of file
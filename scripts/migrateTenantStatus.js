@@ -0,0 +1,66 @@
+/**
+ * Rent Ledger Migration Script
+ * Moves the legacy Tenant.status paid/unpaid flag into the current month's RentPeriod
+ *
+ * Usage: node scripts/migrateTenantStatus.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const RentPeriod = require('../src/models/rentperiod.model');
+const { setPeriodStatus } = require('../src/services/rentPeriod.service');
+const { getCurrentMonth } = require('../src/utils/formatters');
+const logger = require('../src/utils/logger');
+
+const migrateTenantStatus = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB');
+
+    const month = getCurrentMonth();
+
+    // Read raw documents - status is no longer part of the Tenant schema
+    const tenants = await mongoose.connection.collection('tenants')
+      .find({ deletedAt: null })
+      .project({ userId: 1, propertyId: 1, rentAmount: 1, status: 1 })
+      .toArray();
+
+    let created = 0;
+    let markedPaid = 0;
+
+    for (const tenant of tenants) {
+      const period = await RentPeriod.findOrCreateForTenant(tenant, month);
+      created++;
+
+      // Records a payment for the balance, so the payment history matches
+      if (tenant.status === 'paid' && period.status !== 'paid') {
+        await setPeriodStatus(tenant, 'paid', month);
+        markedPaid++;
+      }
+    }
+
+    // Drop the legacy field so it can't be mistaken for live data
+    await mongoose.connection.collection('tenants').updateMany(
+      { status: { $exists: true } },
+      { $unset: { status: '' } }
+    );
+
+    console.log('\n📋 Rent Ledger Migration:');
+    console.log('─'.repeat(80));
+    console.log(`Month:            ${month}`);
+    console.log(`Tenants migrated: ${created}`);
+    console.log(`Marked as paid:   ${markedPaid}`);
+    console.log('');
+
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Failed to migrate tenant status:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateTenantStatus();
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Unit Migration Script
+ * Creates a Unit for every active tenant's unitNumber and assigns the tenant to it
+ *
+ * Usage: node scripts/migrateUnits.js
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Tenant = require('../src/models/tenant.model');
+const Unit = require('../src/models/unit.model');
+const { findOrCreateUnit } = require('../src/services/unit.service');
+const logger = require('../src/utils/logger');
+
+const migrateUnits = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    logger.info('Connected to MongoDB');
+
+    const tenants = await Tenant.find({ deletedAt: null, unitId: null });
+
+    let assigned = 0;
+    let conflicts = 0;
+
+    for (const tenant of tenants) {
+      const unit = await findOrCreateUnit(tenant.userId, tenant.propertyId, tenant.unitNumber, {
+        defaultRent: tenant.rentAmount,
+      });
+
+      // Two tenants sharing a unit number - leave the second one for a manual fix
+      const claimed = await Unit.updateOne(
+        { _id: unit._id, status: { $ne: 'occupied' } },
+        { status: 'occupied' }
+      );
+      if (claimed.modifiedCount === 0) {
+        logger.warn(`Unit ${unit.number} in property ${tenant.propertyId} is already taken; tenant ${tenant._id} not assigned`);
+        conflicts++;
+        continue;
+      }
+
+      tenant.unitId = unit._id;
+      await tenant.save();
+      assigned++;
+    }
+
+    console.log('\n🏠 Unit Migration:');
+    console.log('─'.repeat(80));
+    console.log(`Tenants assigned:  ${assigned}`);
+    console.log(`Unit conflicts:    ${conflicts}`);
+    console.log('');
+
+    await mongoose.connection.close();
+    logger.info('Database connection closed');
+
+    process.exit(0);
+  } catch (error) {
+    logger.error('Failed to migrate units:', error);
+    process.exit(1);
+  }
+};
+
+// Run the script
+migrateUnits();
\ No newline at end of file
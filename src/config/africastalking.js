@@ -1,4 +1,5 @@
 const AfricasTalking = require('africastalking');
+const axios = require('axios');
 const logger = require('../utils/logger');
 
 // Initialize Africa's Talking
@@ -24,8 +25,35 @@ const initializeAfricasTalking = () => {
   }
 };
 
+// SMS client that talks to AT_API_BASE_URL instead of the real API
+// (e.g. the local fake server in scripts/fakeATServer.js)
+const createCustomSmsService = (baseUrl) => ({
+  send: async ({ to, message, from }) => {
+    const params = new URLSearchParams({
+      username: process.env.AT_USERNAME,
+      to: to.join(','),
+      message,
+    });
+    if (from) params.append('from', from);
+
+    const response = await axios.post(`${baseUrl}/version1/messaging`, params.toString(), {
+      headers: {
+        apiKey: process.env.AT_API_KEY,
+        Accept: 'application/json',
+        'Content-Type': 'application/x-www-form-urlencoded',
+      },
+    });
+
+    return response.data;
+  },
+});
+
 // Get SMS service
 const getSmsService = () => {
+  if (process.env.AT_API_BASE_URL) {
+    return createCustomSmsService(process.env.AT_API_BASE_URL.replace(/\/$/, ''));
+  }
+
   if (!africasTalkingClient) {
     africasTalkingClient = initializeAfricasTalking();
   }
@@ -49,6 +77,15 @@ const validateATConfig = () => {
     throw new Error('Missing Africa\'s Talking configuration');
   }
 
+  // Delivery reports are posted to a public URL - without the secret anyone can fake them
+  if (!process.env.AT_CALLBACK_SECRET) {
+    if (process.env.NODE_ENV === 'production') {
+      logger.error('AT_CALLBACK_SECRET is not defined in environment variables');
+      throw new Error('Missing Africa\'s Talking configuration');
+    }
+    logger.warn('⚠️ AT_CALLBACK_SECRET is not set - SMS delivery reports are accepted without a token');
+  }
+
   logger.info('Africa\'s Talking configuration validated');
 };
 
@@ -1,6 +1,9 @@
 const mongoose = require('mongoose');
 const logger = require('../utils/logger');
 
+// Queries inside connection.transaction() use its session without passing it around
+mongoose.set('transactionAsyncLocalStorage', true);
+
 const connectDB = async () => {
   try {
     const conn = await mongoose.connect(process.env.MONGODB_URI, {
@@ -0,0 +1,110 @@
+const express = require('express');
+const axios = require('axios');
+const request = require('supertest');
+const ReminderLog = require('../../models/reminderlog.model');
+const reminderRoutes = require('../../routes/reminder.routes');
+const { createFakeATServer } = require('../../../scripts/fakeATServer');
+
+const CALLBACK_SECRET = 'test-callback-secret';
+
+const listen = (server) => new Promise(resolve => {
+  server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+});
+
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+describe('AT delivery report callback', () => {
+  let app;
+  let appServer;
+  let callbackUrl;
+  let applyDeliveryReport;
+
+  beforeAll(async () => {
+    process.env.AT_CALLBACK_SECRET = CALLBACK_SECRET;
+
+    app = express();
+    app.use(express.urlencoded({ extended: true }));
+    app.use('/api/reminders', reminderRoutes);
+
+    appServer = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => appServer.once('listening', resolve));
+    callbackUrl = `http://127.0.0.1:${appServer.address().port}/api/reminders/callbacks/at-delivery`;
+  });
+
+  afterAll(async () => {
+    await close(appServer);
+    delete process.env.AT_CALLBACK_SECRET;
+  });
+
+  beforeEach(() => {
+    applyDeliveryReport = jest.spyOn(ReminderLog, 'applyDeliveryReport')
+      .mockImplementation(async (messageId, status) => ({ messageId, status }));
+  });
+
+  afterEach(() => {
+    applyDeliveryReport.mockRestore();
+  });
+
+  // Send SMS through a fake AT server and wait for its delivery reports
+  const sendThroughFakeAT = async (numbers, callbackSecret) => {
+    const fakeAT = createFakeATServer({ callbackUrl, callbackSecret, delayMs: 0, quiet: true });
+    const baseUrl = await listen(fakeAT);
+
+    try {
+      const { data } = await axios.post(
+        `${baseUrl}/version1/messaging`,
+        new URLSearchParams({ to: numbers.join(','), message: 'Rent reminder' }).toString()
+      );
+      const recipients = data.SMSMessageData.Recipients;
+      const statuses = await Promise.all(recipients.map(r => fakeAT.deliveryReports.get(r.messageId)));
+      return { recipients, statuses };
+    } finally {
+      await close(fakeAT);
+    }
+  };
+
+  it('applies delivered and failed reports posted by AT', async () => {
+    const { recipients, statuses } = await sendThroughFakeAT(
+      ['+256772123456', '+256772129999'],
+      CALLBACK_SECRET
+    );
+
+    expect(statuses).toEqual([200, 200]);
+    expect(applyDeliveryReport).toHaveBeenCalledWith(recipients[0].messageId, 'delivered', undefined);
+    expect(applyDeliveryReport).toHaveBeenCalledWith(recipients[1].messageId, 'failed', 'DeliveryFailure');
+  });
+
+  it('rejects reports with a missing or wrong token', async () => {
+    const { statuses } = await sendThroughFakeAT(['+256772123456'], null);
+    expect(statuses).toEqual([401]);
+
+    const wrongToken = await request(app)
+      .post('/api/reminders/callbacks/at-delivery')
+      .query({ token: 'wrong-secret' })
+      .type('form')
+      .send({ id: 'ATXid_1', status: 'Success' });
+    expect(wrongToken.status).toBe(401);
+
+    const sameLength = await request(app)
+      .post('/api/reminders/callbacks/at-delivery')
+      .query({ token: CALLBACK_SECRET.replace(/.$/, 'x') })
+      .type('form')
+      .send({ id: 'ATXid_1', status: 'Success' });
+    expect(sameLength.status).toBe(401);
+
+    expect(applyDeliveryReport).not.toHaveBeenCalled();
+  });
+
+  it('acknowledges reports that match no pending reminder', async () => {
+    applyDeliveryReport.mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/reminders/callbacks/at-delivery')
+      .query({ token: CALLBACK_SECRET })
+      .type('form')
+      .send({ id: 'ATXid_unknown', status: 'Success' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ received: true, updated: false });
+  });
+});
\ No newline at end of file
@@ -11,6 +11,7 @@ const {
   getCostAnalysis,
   getSystemHealthMetrics,
 } = require('../services/admin.service');
+const { getPeriodMap, periodStatusStages } = require('../services/rentPeriod.service');
 
 /**
  * Get comprehensive admin dashboard overview
@@ -46,11 +47,11 @@ const getDashboard = async (req, res) => {
       }),
       ReminderLog.countDocuments({
         timestamp: { $gte: startOfMonth },
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
       }),
       ReminderLog.countDocuments({
         timestamp: { $gte: startOfLastMonth, $lte: endOfLastMonth },
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
       }),
       EventLog.distinct('userId', {
         createdAt: { $gte: startOfMonth },
@@ -96,7 +97,7 @@ const getDashboard = async (req, res) => {
       {
         $match: {
           timestamp: { $gte: startOfMonth },
-          status: 'sent',
+          status: { $in: ReminderLog.SENT_STATUSES },
         },
       },
       {
@@ -117,8 +118,10 @@ const getDashboard = async (req, res) => {
     };
 
     // ===== TENANT STATUS DISTRIBUTION =====
+    // Status comes from each tenant's rent period for the current month
     const tenantStatusStats = await Tenant.aggregate([
       { $match: { deletedAt: null } },
+      ...periodStatusStages(),
       {
         $group: {
           _id: '$status',
@@ -129,6 +132,7 @@ const getDashboard = async (req, res) => {
 
     const tenantStatus = {
       paid: tenantStatusStats.find(s => s._id === 'paid')?.count || 0,
+      partial: tenantStatusStats.find(s => s._id === 'partial')?.count || 0,
       unpaid: tenantStatusStats.find(s => s._id === 'unpaid')?.count || 0,
       paymentRate: totalTenants > 0 
         ? ((tenantStatusStats.find(s => s._id === 'paid')?.count || 0) / totalTenants * 100).toFixed(1)
@@ -164,7 +168,7 @@ const getDashboard = async (req, res) => {
           Tenant.countDocuments({ userId: item._id, deletedAt: null }),
           ReminderLog.countDocuments({ 
             userId: item._id, 
-            status: 'sent',
+            status: { $in: ReminderLog.SENT_STATUSES },
             timestamp: { $gte: startOfMonth } 
           }),
         ]);
@@ -192,7 +196,7 @@ const getDashboard = async (req, res) => {
       ]).then(result => result[0]?.total || 0),
       ReminderLog.distinct('userId', { 
         type: 'email', 
-        status: 'sent' 
+        status: { $in: ReminderLog.SENT_STATUSES } 
       }).then(u => u.length),
     ]);
 
@@ -335,12 +339,12 @@ const getLandlords = async (req, res) => {
           Tenant.countDocuments({ userId: landlordId, deletedAt: null }),
           ReminderLog.countDocuments({
             userId: landlordId,
-            status: 'sent',
+            status: { $in: ReminderLog.SENT_STATUSES },
             timestamp: { $gte: thirtyDaysAgo },
           }),
           ReminderLog.countDocuments({
             userId: landlordId,
-            status: 'sent',
+            status: { $in: ReminderLog.SENT_STATUSES },
           }),
           EventLog.findOne({ userId: landlordId })
             .sort({ createdAt: -1 })
@@ -349,7 +353,7 @@ const getLandlords = async (req, res) => {
             {
               $match: {
                 userId: landlordId,
-                status: 'sent',
+                status: { $in: ReminderLog.SENT_STATUSES },
                 timestamp: { $gte: thirtyDaysAgo },
               },
             },
@@ -459,10 +463,15 @@ const getLandlordDetails = async (req, res) => {
       getCostAnalysis(landlordId),
     ]);
 
+    // Current month status for each tenant
+    const periods = await getPeriodMap(tenants);
+    const statusOf = t => periods.get(t._id.toString())?.status || 'unpaid';
+
     // Tenant status breakdown
     const tenantStatusBreakdown = {
-      paid: tenants.filter(t => t.status === 'paid').length,
-      unpaid: tenants.filter(t => t.status === 'unpaid').length,
+      paid: tenants.filter(t => statusOf(t) === 'paid').length,
+      partial: tenants.filter(t => statusOf(t) === 'partial').length,
+      unpaid: tenants.filter(t => statusOf(t) === 'unpaid').length,
     };
 
     // Property with tenant counts
@@ -475,8 +484,8 @@ const getLandlordDetails = async (req, res) => {
         name: p.name,
         address: p.address,
         tenantCount: propertyTenants.length,
-        paidTenants: propertyTenants.filter(t => t.status === 'paid').length,
-        unpaidTenants: propertyTenants.filter(t => t.status === 'unpaid').length,
+        paidTenants: propertyTenants.filter(t => statusOf(t) === 'paid').length,
+        unpaidTenants: propertyTenants.filter(t => statusOf(t) === 'unpaid').length,
         createdAt: p.createdAt,
       };
     });
@@ -503,7 +512,7 @@ const getLandlordDetails = async (req, res) => {
         unitNumber: t.unitNumber,
         rentAmount: t.rentAmount,
         dueDate: t.dueDate,
-        status: t.status,
+        status: statusOf(t),
         propertyName: t.propertyId.name,
         lastReminderSentAt: t.lastReminderSentAt,
         createdAt: t.createdAt,
@@ -553,7 +562,7 @@ const getUsagePatterns = async (req, res) => {
     const reminderFrequency = await ReminderLog.aggregate([
       {
         $match: {
-          status: 'sent',
+          status: { $in: ReminderLog.SENT_STATUSES },
           ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
         },
       },
@@ -602,13 +611,13 @@ const getUsagePatterns = async (req, res) => {
       ]).then(result => result[0]?.total || 0),
       ReminderLog.distinct('userId', {
         type: 'email',
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
         ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
       }).then(users => users.length),
       ReminderLog.aggregate([
         {
           $match: {
-            status: 'sent',
+            status: { $in: ReminderLog.SENT_STATUSES },
             ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
           },
         },
@@ -630,9 +639,10 @@ const getUsagePatterns = async (req, res) => {
       User.countDocuments({ role: 'landlord' }),
     ]);
 
-    // Tenant status patterns
+    // Tenant status patterns (current month's rent periods)
     const tenantPatterns = await Tenant.aggregate([
       { $match: { deletedAt: null } },
+      ...periodStatusStages(),
       {
         $group: {
           _id: '$userId',
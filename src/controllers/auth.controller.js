@@ -4,6 +4,15 @@ const User = require('../models/user.model');
 const Property = require('../models/property.model');
 const EventLog = require('../models/eventlog.model');
 const logger = require('../utils/logger');
+const { validateCountry } = require('../utils/validators');
+const {
+  SUPPORTED_COUNTRIES,
+  DEFAULT_COUNTRY,
+  normalizePhone,
+  getInvalidPhoneMessage,
+} = require('../utils/phoneUtils');
+
+const INVALID_COUNTRY_ERROR = `Country must be one of: ${SUPPORTED_COUNTRIES.join(', ')}`;
 
 // Generate JWT token
 const generateToken = (userId) => {
@@ -17,7 +26,7 @@ const generateToken = (userId) => {
 // Register new user
 const register = async (req, res) => {
   try {
-    const { name, email, password, phone } = req.body;
+    const { name, email, password, phone, defaultCountry } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -39,11 +48,16 @@ const register = async (req, res) => {
       });
     }
 
-    // Validate phone format if provided
-    if (phone && !phone.match(/^\+256\d{9}$/)) {
-      return res.status(400).json({ 
-        error: 'Invalid Uganda phone format. Must be +256XXXXXXXXX' 
-      });
+    // Validate country if provided
+    if (defaultCountry !== undefined && !validateCountry(defaultCountry)) {
+      return res.status(400).json({ error: INVALID_COUNTRY_ERROR });
+    }
+    const country = defaultCountry || DEFAULT_COUNTRY;
+
+    // Validate and normalize phone if provided
+    const normalizedPhone = phone ? normalizePhone(phone, country) : null;
+    if (phone && !normalizedPhone) {
+      return res.status(400).json({ error: getInvalidPhoneMessage(country) });
     }
 
     // Check if user already exists
@@ -53,8 +67,8 @@ const register = async (req, res) => {
     }
 
     // Check if phone already exists (if provided)
-    if (phone) {
-      const existingPhone = await User.findOne({ phone });
+    if (normalizedPhone) {
+      const existingPhone = await User.findOne({ phone: normalizedPhone });
       if (existingPhone) {
         return res.status(409).json({ error: 'Phone number already registered' });
       }
@@ -69,7 +83,8 @@ const register = async (req, res) => {
       name: name.trim(),
       email: email.toLowerCase().trim(),
       password: hashedPassword,
-      phone: phone || null,
+      phone: normalizedPhone,
+      defaultCountry: country,
       role: 'landlord',
     });
 
@@ -101,6 +116,7 @@ const register = async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        defaultCountry: user.defaultCountry,
         role: user.role,
         hasPhone: !!user.phone,
       },
@@ -165,6 +181,7 @@ const login = async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        defaultCountry: user.defaultCountry,
         role: user.role,
         hasPhone: !!user.phone,
       },
@@ -193,6 +210,7 @@ const getProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        defaultCountry: user.defaultCountry,
         role: user.role,
         hasPhone: !!user.phone,
         createdAt: user.createdAt,
@@ -207,7 +225,7 @@ const getProfile = async (req, res) => {
 // Update user profile
 const updateProfile = async (req, res) => {
   try {
-    const { name, phone, currentPassword, newPassword } = req.body;
+    const { name, phone, defaultCountry, currentPassword, newPassword } = req.body;
     
     const user = await User.findById(req.user.userId).select('+password');
     
@@ -220,18 +238,26 @@ const updateProfile = async (req, res) => {
       user.name = name.trim();
     }
 
+    // Update default country (local phone numbers are read in it)
+    if (defaultCountry !== undefined) {
+      if (!validateCountry(defaultCountry)) {
+        return res.status(400).json({ error: INVALID_COUNTRY_ERROR });
+      }
+      user.defaultCountry = defaultCountry;
+    }
+
     // Update phone
     if (phone !== undefined) {
-      if (phone && !phone.match(/^\+256\d{9}$/)) {
-        return res.status(400).json({ 
-          error: 'Invalid Uganda phone format. Must be +256XXXXXXXXX' 
-        });
+      const country = user.defaultCountry || DEFAULT_COUNTRY;
+      const normalizedPhone = phone ? normalizePhone(phone, country) : null;
+      if (phone && !normalizedPhone) {
+        return res.status(400).json({ error: getInvalidPhoneMessage(country) });
       }
       
       // Check if phone is already taken by another user
-      if (phone) {
+      if (normalizedPhone) {
         const existingPhone = await User.findOne({ 
-          phone, 
+          phone: normalizedPhone, 
           _id: { $ne: user._id } 
         });
         
@@ -242,7 +268,7 @@ const updateProfile = async (req, res) => {
         }
       }
       
-      user.phone = phone || null;
+      user.phone = normalizedPhone;
     }
 
     // Update password
@@ -283,6 +309,7 @@ const updateProfile = async (req, res) => {
         name: user.name,
         email: user.email,
         phone: user.phone,
+        defaultCountry: user.defaultCountry,
         role: user.role,
         hasPhone: !!user.phone,
       },
@@ -0,0 +1,93 @@
+const Charge = require('../models/charge.model');
+const EventLog = require('../models/eventlog.model');
+const logger = require('../utils/logger');
+const { getBalanceMap } = require('../services/rentPeriod.service');
+const { waiveCharge: waiveTenantCharge, formatCharge } = require('../services/lateFee.service');
+const { validateObjectId, sanitizeString } = require('../utils/validators');
+
+// Get a tenant's charges (late fees), newest first
+const getCharges = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const { status } = req.query;
+
+    const query = { tenantId: tenant._id };
+    if (status) {
+      if (!['applied', 'waived'].includes(status)) {
+        return res.status(400).json({ error: 'Status must be either "applied" or "waived"' });
+      }
+      query.status = status;
+    }
+
+    const [charges, balances] = await Promise.all([
+      Charge.find(query).sort({ createdAt: -1 }),
+      getBalanceMap([tenant]),
+    ]);
+
+    return res.status(200).json({
+      charges: charges.map(formatCharge),
+      total: charges.length,
+      balance: balances.get(tenant._id.toString()),
+    });
+  } catch (error) {
+    logger.error('Get charges error:', error);
+    return res.status(500).json({ error: 'Failed to fetch charges' });
+  }
+};
+
+// Waive a charge (audited)
+const waiveCharge = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const userId = req.user.userId;
+    const { chargeId } = req.params;
+    const { reason } = req.body;
+
+    if (!validateObjectId(chargeId)) {
+      return res.status(400).json({ error: 'Invalid charge ID format' });
+    }
+
+    if (typeof reason !== 'string' || reason.trim().length < 3 || reason.trim().length > 200) {
+      return res.status(400).json({
+        error: 'A reason between 3 and 200 characters is required to waive a charge',
+      });
+    }
+
+    const charge = await Charge.findOne({ _id: chargeId, tenantId: tenant._id, userId });
+    if (!charge) {
+      return res.status(404).json({ error: 'Charge not found' });
+    }
+
+    const waived = await waiveTenantCharge(charge, userId, sanitizeString(reason));
+    if (!waived) {
+      return res.status(409).json({ error: 'Charge has already been waived' });
+    }
+
+    // Audit trail
+    await EventLog.logEvent(userId, 'LATE_FEE_WAIVED', {
+      chargeId: waived._id,
+      tenantId: tenant._id,
+      month: waived.month,
+      amount: waived.amount,
+      reason: waived.waiveReason,
+    });
+
+    logger.info(`Charge waived: ${waived._id} (${waived.amount}) for tenant ${tenant._id} by user: ${userId}`);
+
+    const balances = await getBalanceMap([tenant]);
+
+    return res.status(200).json({
+      message: 'Charge waived successfully',
+      charge: formatCharge(waived),
+      balance: balances.get(tenant._id.toString()),
+    });
+  } catch (error) {
+    logger.error('Waive charge error:', error);
+    return res.status(500).json({ error: 'Failed to waive charge' });
+  }
+};
+
+module.exports = {
+  getCharges,
+  waiveCharge,
+};
\ No newline at end of file
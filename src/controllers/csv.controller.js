@@ -1,21 +1,59 @@
-const Tenant = require('../models/tenant.model');
-const EventLog = require('../models/eventlog.model');
 const logger = require('../utils/logger');
 const {
-  validateTenantName,
-  validateUgandaPhone,
-  validateEmail,
-  validateUnitNumber,
-  validateRentAmount,
-  validateDueDate,
-  sanitizeString,
-} = require('../utils/validators');
-const { normalizeUgandaPhone } = require('../utils/phoneUtils');
+  IMPORT_MODES,
+  DEFAULT_IMPORT_MODE,
+  IMPORT_FIELDS,
+  getMaxImportRows,
+  getRowLanguage,
+  validateTenantRows,
+  detectColumnMapping,
+  findSavedMapping,
+  saveMapping,
+  checkMapping,
+  applyColumnMapping,
+} = require('../services/tenantImport.service');
+const {
+  createImportBatch,
+  getImportBatch,
+  getFailedItems,
+  rollbackImportBatch,
+  getPropertyImports,
+  processImportInBackground,
+  processImportAtomically,
+} = require('../services/importBatch.service');
+const { EXPORT_FORMATS, createRowWriter } = require('../services/export.service');
+const { parseSpreadsheet } = require('../utils/spreadsheet');
+
+const INVALID_MODE_ERROR = `mode must be one of: ${IMPORT_MODES.join(', ')}`;
+
+/**
+ * Summarize validated rows for the import preview
+ * Updates carry their field-level diff so they can be reviewed before confirming
+ */
+const formatImportPreview = (mode, validTenants, missingTenants) => ({
+  mode,
+  summary: {
+    create: validTenants.filter(t => t.action === 'create').length,
+    update: validTenants.filter(t => t.action === 'update').length,
+    unchanged: validTenants.filter(t => t.action === 'unchanged').length,
+    missing: missingTenants.length,
+  },
+  updates: validTenants
+    .filter(t => t.action === 'update')
+    .map(t => ({
+      row: t.row,
+      tenantId: t.tenantId,
+      name: t.name,
+      unitNumber: t.unitNumber,
+      changes: t.changes,
+    })),
+  missingTenants,
+});
 
 // Validate CSV data
 const validateCSV = async (req, res) => {
   try {
-    const { propertyId, tenants } = req.body;
+    const { propertyId, tenants, mode = DEFAULT_IMPORT_MODE } = req.body;
     const userId = req.user.userId;
 
     if (!Array.isArray(tenants) || tenants.length === 0) {
@@ -24,129 +62,169 @@ const validateCSV = async (req, res) => {
       });
     }
 
-    if (tenants.length > 500) {
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: INVALID_MODE_ERROR });
+    }
+
+    const maxRows = await getMaxImportRows();
+    if (tenants.length > maxRows) {
       return res.status(400).json({
-        error: 'Maximum 500 tenants allowed per import',
+        error: `Maximum ${maxRows} tenants allowed per import`,
       });
     }
 
     // Property ownership verified by middleware
     const property = req.property;
 
-    // Get existing unit numbers to check for duplicates
-    const existingUnits = await Tenant.find({
-      propertyId: property._id,
-      deletedAt: null,
-    }).select('unitNumber');
+    const { validTenants, errors, missingTenants } = await validateTenantRows(property, tenants, mode);
 
-    const existingUnitSet = new Set(
-      existingUnits.map(t => t.unitNumber.toLowerCase())
-    );
+    logger.info(`CSV validation (${mode}): ${validTenants.length} valid, ${errors.length} invalid`);
 
-    const validTenants = [];
-    const errors = [];
-    const unitNumbersInImport = new Set();
+    // Return validation results
+    return res.status(200).json({
+      valid: validTenants.length,
+      invalid: errors.length,
+      preview: validTenants.slice(0, 10), // First 10 valid tenants
+      errors: errors.slice(0, 50), // First 50 errors
+      totalErrors: errors.length,
+      ...formatImportPreview(mode, validTenants, missingTenants),
+    });
+  } catch (error) {
+    logger.error('CSV validation error:', error);
+    return res.status(500).json({ error: 'Failed to validate CSV' });
+  }
+};
 
-    // Validate each tenant
-    tenants.forEach((tenant, index) => {
-      const rowErrors = [];
-      const rowNumber = index + 2; // +2 because index starts at 0 and header is row 1
+// Upload a CSV/XLSX file, map its columns and validate it
+// The returned tenants can be sent to /import/confirm as they are
+const uploadCSV = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const mode = req.body.mode || DEFAULT_IMPORT_MODE;
 
-      // Required fields
-      if (!tenant.name) {
-        rowErrors.push('Name is required');
-      } else if (!validateTenantName(tenant.name)) {
-        rowErrors.push('Name must be 2-50 characters');
-      }
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: INVALID_MODE_ERROR });
+    }
 
-      // Phone validation and normalization
-      let normalizedPhone = null;
-      if (!tenant.phone) {
-        rowErrors.push('Phone is required');
-      } else {
-        normalizedPhone = normalizeUgandaPhone(tenant.phone);
-        if (!normalizedPhone) {
-          rowErrors.push(`Invalid phone format. Original: "${tenant.phone}". Expected: +256XXXXXXXXX or 0XXXXXXXXX`);
-        }
+    // Optional explicit mapping: { "<column>": "<field>" }, sent as a JSON form field
+    let requestedMapping = null;
+    if (req.body.mapping) {
+      try {
+        requestedMapping = JSON.parse(req.body.mapping);
+      } catch (error) {
+        requestedMapping = null;
       }
-
-      if (!tenant.unitNumber) {
-        rowErrors.push('Unit number is required');
-      } else if (!validateUnitNumber(tenant.unitNumber)) {
-        rowErrors.push('Unit number must be 1-20 characters');
-      } else {
-        // Check for duplicate within import
-        const unitLower = String(tenant.unitNumber).toLowerCase();
-        if (unitNumbersInImport.has(unitLower)) {
-          rowErrors.push(`Duplicate unit ${tenant.unitNumber} in import`);
-        } else if (existingUnitSet.has(unitLower)) {
-          rowErrors.push(`Unit ${tenant.unitNumber} already exists in property`);
-        } else {
-          unitNumbersInImport.add(unitLower);
-        }
+      if (!requestedMapping || typeof requestedMapping !== 'object' || Array.isArray(requestedMapping)) {
+        return res.status(400).json({
+          error: 'mapping must be a JSON object of column to field',
+        });
       }
+    }
 
-      if (!tenant.rentAmount) {
-        rowErrors.push('Rent amount is required');
-      } else if (!validateRentAmount(tenant.rentAmount)) {
-        rowErrors.push('Rent must be 10,000 - 50,000,000 UGX');
-      }
+    let sheet;
+    try {
+      sheet = await parseSpreadsheet(req.file);
+    } catch (error) {
+      logger.warn(`Unreadable import file from user ${userId}: ${error.message}`);
+      return res.status(400).json({ error: 'Could not read the file. Upload a CSV or XLSX spreadsheet' });
+    }
 
-      if (!tenant.dueDate) {
-        rowErrors.push('Due date is required');
-      } else if (!validateDueDate(tenant.dueDate)) {
-        rowErrors.push('Due date must be 1-31');
-      }
+    const { headers, rows, format } = sheet;
 
-      // Optional email validation
-      if (tenant.email && !validateEmail(tenant.email)) {
-        rowErrors.push('Invalid email format');
-      }
+    if (rows.length === 0) {
+      return res.status(400).json({
+        error: 'No tenant data provided',
+      });
+    }
 
-      // If errors, add to errors array
-      if (rowErrors.length > 0) {
-        errors.push({
-          row: rowNumber,
-          data: {
-            ...tenant,
-            phone: normalizedPhone || tenant.phone, // Show normalized if available
-          },
-          errors: rowErrors,
-        });
-      } else {
-        // Valid tenant - use normalized phone
-        validTenants.push({
-          ...tenant,
-          name: sanitizeString(tenant.name),
-          phone: normalizedPhone, // Use normalized phone
-          email: tenant.email ? sanitizeString(tenant.email) : null,
-          unitNumber: sanitizeString(String(tenant.unitNumber)),
-          rentAmount: Number(tenant.rentAmount),
-          dueDate: Number(tenant.dueDate),
-        });
-      }
-    });
+    const maxRows = await getMaxImportRows();
+    if (rows.length > maxRows) {
+      return res.status(400).json({
+        error: `Maximum ${maxRows} tenants allowed per import`,
+      });
+    }
 
-    logger.info(`CSV validation: ${validTenants.length} valid, ${errors.length} invalid`);
+    // Explicit mapping first, then the one saved for this layout, then header aliases
+    const savedMapping = requestedMapping ? null : await findSavedMapping(userId, headers);
+    const mapping = requestedMapping || savedMapping || detectColumnMapping(headers);
+    const mappingSource = requestedMapping ? 'request' : savedMapping ? 'saved' : 'detected';
+
+    const { error: mappingError, missingFields } = checkMapping(headers, mapping);
+    if (mappingError) {
+      return res.status(400).json({
+        error: mappingError,
+        missingFields,
+        headers,
+        mapping,
+      });
+    }
+
+    await saveMapping(userId, headers, mapping);
+
+    // Property ownership verified by middleware
+    const property = req.property;
+
+    const tenants = applyColumnMapping(headers, rows, mapping);
+    const { validTenants, errors, missingTenants } = await validateTenantRows(property, tenants, mode);
+
+    logger.info(
+      `CSV upload (${format}, ${mappingSource} mapping, ${mode}): ${validTenants.length} valid, ${errors.length} invalid`
+    );
 
-    // Return validation results
     return res.status(200).json({
+      format,
+      mapping,
+      mappingSource,
+      unmappedColumns: headers.filter(header => !mapping[header]),
       valid: validTenants.length,
       invalid: errors.length,
-      preview: validTenants.slice(0, 10), // First 10 valid tenants
+      tenants: validTenants,
       errors: errors.slice(0, 50), // First 50 errors
       totalErrors: errors.length,
+      ...formatImportPreview(mode, validTenants, missingTenants),
     });
   } catch (error) {
-    logger.error('CSV validation error:', error);
-    return res.status(500).json({ error: 'Failed to validate CSV' });
+    logger.error('CSV upload error:', error);
+    return res.status(500).json({ error: 'Failed to process upload' });
   }
 };
 
-// Import CSV (confirmed after validation)
+// Columns of the failed rows report: the import fields, so the fixed file
+// can be uploaded again as it is, then the row number and what was wrong
+const IMPORT_ERROR_COLUMNS = [
+  ...IMPORT_FIELDS.map(key => ({ key, width: 16 })),
+  { key: 'row', width: 8 },
+  { key: 'errors', width: 60 },
+];
+
+/**
+ * Format an import batch for API responses
+ */
+const formatImportBatch = (batch) => ({
+  id: batch.batchId,
+  status: batch.status,
+  propertyId: batch.propertyId,
+  mode: batch.mode,
+  atomic: batch.atomic,
+  total: batch.total,
+  imported: batch.imported,
+  updated: batch.updated,
+  unchanged: batch.unchanged,
+  failed: batch.failed,
+  cancelled: batch.cancelled,
+  missingTenants: batch.missingTenants,
+  error: batch.error,
+  startedAt: batch.startedAt,
+  completedAt: batch.completedAt,
+  rolledBackAt: batch.rolledBackAt,
+  progress: batch.progress,
+});
+
+// Import CSV (confirmed after validation) - runs as a background batch,
+// or with atomic: true inside the request, importing every row or none
 const importCSV = async (req, res) => {
   try {
-    const { propertyId, tenants } = req.body;
+    const { propertyId, tenants, mode = DEFAULT_IMPORT_MODE, atomic = false } = req.body;
     const userId = req.user.userId;
 
     if (!Array.isArray(tenants) || tenants.length === 0) {
@@ -155,78 +233,76 @@ const importCSV = async (req, res) => {
       });
     }
 
+    if (!IMPORT_MODES.includes(mode)) {
+      return res.status(400).json({ error: INVALID_MODE_ERROR });
+    }
+
+    if (typeof atomic !== 'boolean') {
+      return res.status(400).json({ error: 'Atomic must be a boolean value' });
+    }
+
+    const maxRows = await getMaxImportRows();
+    if (tenants.length > maxRows) {
+      return res.status(400).json({
+        error: `Maximum ${maxRows} tenants allowed per import`,
+      });
+    }
+
     // Property ownership verified by middleware
     const property = req.property;
 
-    const imported = [];
-    const failed = [];
+    // Create the batch (persisted, so it survives restarts)
+    const batch = await createImportBatch({ userId, property, tenants, mode, atomic });
+    const { batchId } = batch;
 
-    // Import each tenant
-    for (let i = 0; i < tenants.length; i++) {
-      const tenant = tenants[i];
-      
-      try {
-        // Normalize phone again just to be safe
-        const normalizedPhone = normalizeUgandaPhone(tenant.phone);
-        
-        if (!normalizedPhone) {
-          failed.push({
-            row: i + 1,
-            data: tenant,
-            error: 'Invalid phone number format',
-          });
-          continue;
-        }
-
-        // Create tenant
-        const newTenant = await Tenant.create({
-          userId,
-          propertyId: property._id,
-          name: sanitizeString(tenant.name),
-          phone: normalizedPhone, // Use normalized phone
-          email: tenant.email ? sanitizeString(tenant.email) : null,
-          unitNumber: sanitizeString(String(tenant.unitNumber)),
-          rentAmount: Number(tenant.rentAmount),
-          dueDate: Number(tenant.dueDate),
-          status: 'unpaid',
+    if (atomic) {
+      const result = await processImportAtomically(batchId);
+
+      // Batch no longer queued - something else picked it up
+      if (!result) {
+        return res.status(409).json({
+          error: `Import ${batchId} is already being processed`,
+          batchId,
         });
+      }
 
-        imported.push({
-          row: i + 1,
-          tenantId: newTenant._id,
-          name: newTenant.name,
-          unitNumber: newTenant.unitNumber,
-          phone: newTenant.phone,
+      if (result.blockingRows.length > 0) {
+        return res.status(409).json({
+          error: `Nothing imported: ${result.blockingRows.length} rows could not be imported`,
+          batchId,
+          blockingRows: result.blockingRows,
         });
-      } catch (error) {
-        failed.push({
-          row: i + 1,
-          data: tenant,
-          error: error.message,
+      }
+
+      if (result.batch.status !== 'completed') {
+        return res.status(500).json({
+          error: 'Failed to import CSV',
+          details: result.batch.error,
+          batchId,
         });
       }
+
+      return res.status(201).json({
+        message: `Import completed: ${result.batch.imported} tenants added, ${result.batch.updated} updated`,
+        batchId,
+        import: formatImportBatch(result.batch),
+      });
     }
 
-    // Log event
-    await EventLog.logEvent(userId, 'TENANT_IMPORTED', {
-      propertyId: property._id,
-      propertyName: property.name,
-      count: imported.length,
-      failed: failed.length,
-    });
+    // Start importing in background (don't await)
+    processImportInBackground(batchId)
+      .catch(error => {
+        logger.error('Background import error:', error);
+      });
 
-    logger.info(
-      `CSV import completed: ${imported.length} imported, ${failed.length} failed by user: ${userId}`
-    );
+    logger.info(`Import ${batchId} created for ${batch.total} rows (${mode}) by user: ${userId}`);
 
-    return res.status(201).json({
-      message: `Import completed: ${imported.length} tenants added`,
-      imported: imported.length,
-      failed: failed.length,
-      details: {
-        imported: imported.slice(0, 10), // First 10
-        failed: failed.slice(0, 10), // First 10 failures
-      },
+    // Return immediately with batch ID
+    return res.status(202).json({
+      message: 'Tenants are being imported in the background',
+      batchId,
+      total: batch.total,
+      mode,
     });
   } catch (error) {
     logger.error('CSV import error:', error);
@@ -234,7 +310,140 @@ const importCSV = async (req, res) => {
   }
 };
 
+// Get import progress
+const getImportStatus = async (req, res) => {
+  try {
+    const batch = await getImportBatch(req.params.batchId, req.user.userId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    return res.status(200).json({
+      import: formatImportBatch(batch),
+    });
+  } catch (error) {
+    logger.error('Get import status error:', error);
+    return res.status(500).json({ error: 'Failed to get import status' });
+  }
+};
+
+// Download every failed row of an import with its errors (?format=csv|xlsx)
+const downloadImportErrors = async (req, res) => {
+  try {
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `Format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      });
+    }
+
+    const batch = await getImportBatch(req.params.batchId, req.user.userId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    const items = await getFailedItems(batch.batchId);
+    const writer = createRowWriter(res, format, `import-errors-${batch.batchId}`, IMPORT_ERROR_COLUMNS);
+
+    for (const item of items) {
+      const written = await writer.addRow({
+        ...item.data,
+        language: getRowLanguage(item.data),
+        row: item.row,
+        errors: item.error,
+      });
+      // Client closed the download
+      if (!written) return;
+    }
+    await writer.end();
+  } catch (error) {
+    logger.error('Download import errors error:', error);
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ error: 'Failed to download import errors' });
+  }
+};
+
+// Undo an import: permanently remove the tenants it created
+const rollbackImport = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const batch = await getImportBatch(req.params.batchId, userId);
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Import not found' });
+    }
+
+    if (batch.status === 'rolled_back') {
+      return res.status(409).json({ error: 'Import has already been rolled back' });
+    }
+
+    if (['queued', 'processing'].includes(batch.status)) {
+      return res.status(409).json({ error: 'Import is still running' });
+    }
+
+    const result = await rollbackImportBatch(batch, userId);
+
+    if (!result) {
+      return res.status(409).json({ error: 'Import has already been rolled back' });
+    }
+
+    // Tenants with payments, reminders or a deposit are real tenants now
+    if (result.blockers.length > 0) {
+      return res.status(409).json({
+        error: `${result.blockers.length} imported tenants have payments, reminders or a deposit since the import`,
+        blockers: result.blockers,
+      });
+    }
+
+    return res.status(200).json({
+      message: `Import rolled back: ${result.removed} tenants removed`,
+      removed: result.removed,
+      import: formatImportBatch(result.batch),
+    });
+  } catch (error) {
+    logger.error('Rollback import error:', error);
+    return res.status(500).json({ error: 'Failed to roll back import' });
+  }
+};
+
+// Get a property's import history
+const getImportHistory = async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+
+    // Property ownership verified by middleware
+    const { batches, total } = await getPropertyImports(req.property._id, {
+      page: Number(page),
+      limit: Number(limit),
+    });
+
+    return res.status(200).json({
+      imports: batches.map(formatImportBatch),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error('Get import history error:', error);
+    return res.status(500).json({ error: 'Failed to fetch import history' });
+  }
+};
+
 module.exports = {
   validateCSV,
+  uploadCSV,
   importCSV,
+  getImportStatus,
+  downloadImportErrors,
+  rollbackImport,
+  getImportHistory,
 };
\ No newline at end of file
@@ -0,0 +1,199 @@
+const Tenant = require('../models/tenant.model');
+const Lease = require('../models/lease.model');
+const EventLog = require('../models/eventlog.model');
+const logger = require('../utils/logger');
+const { getBalanceMap } = require('../services/rentPeriod.service');
+const {
+  parseDeposit,
+  calculateSettlement,
+  settleDeposit: settleTenantDeposit,
+  formatDeposit,
+} = require('../services/deposit.service');
+const { validateDepositAmount, sanitizeString } = require('../utils/validators');
+
+const MAX_DEDUCTIONS = 50;
+
+/**
+ * Parse and validate settlement deductions from the request body
+ * @param {Array} deductions - { type, description, amount }
+ * @returns {Object} - { error } or { deductions }
+ */
+const parseDeductions = (deductions = []) => {
+  if (!Array.isArray(deductions)) {
+    return { error: 'Deductions must be an array' };
+  }
+
+  if (deductions.length > MAX_DEDUCTIONS) {
+    return { error: `At most ${MAX_DEDUCTIONS} deductions are allowed` };
+  }
+
+  const parsed = [];
+
+  for (const [index, deduction] of deductions.entries()) {
+    const { type, description, amount } = deduction || {};
+
+    if (!Tenant.DEPOSIT_DEDUCTION_TYPES.includes(type)) {
+      return {
+        error: `Deduction ${index + 1}: type must be one of: ${Tenant.DEPOSIT_DEDUCTION_TYPES.join(', ')}`,
+      };
+    }
+
+    if (typeof description !== 'string' || description.trim().length < 3 || description.trim().length > 200) {
+      return { error: `Deduction ${index + 1}: description must be between 3 and 200 characters` };
+    }
+
+    const numAmount = Number(amount);
+    if (!validateDepositAmount(amount) || numAmount <= 0) {
+      return { error: `Deduction ${index + 1}: amount must be a positive number (UGX)` };
+    }
+
+    parsed.push({ type, description: sanitizeString(description), amount: numAmount });
+  }
+
+  return { deductions: parsed };
+};
+
+// Get a tenant's deposit, with the rent still owed for settlement
+const getDeposit = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+
+    const [balances, lease] = await Promise.all([
+      getBalanceMap([tenant]),
+      Lease.findCurrentForTenant(tenant._id),
+    ]);
+
+    return res.status(200).json({
+      deposit: formatDeposit(tenant.deposit),
+      // Deposit agreed on the current lease, if any
+      agreedAmount: lease ? lease.deposit : null,
+      balance: balances.get(tenant._id.toString()),
+    });
+  } catch (error) {
+    logger.error('Get deposit error:', error);
+    return res.status(500).json({ error: 'Failed to fetch deposit' });
+  }
+};
+
+// Record (or correct) the deposit taken at move-in
+const updateDeposit = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const userId = req.user.userId;
+
+    if (tenant.deposit && tenant.deposit.status === 'settled') {
+      return res.status(409).json({
+        error: 'Deposit has already been settled and can no longer be changed',
+      });
+    }
+
+    const { error, deposit } = parseDeposit(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    tenant.deposit = deposit;
+    await tenant.save();
+
+    await EventLog.logEvent(userId, 'DEPOSIT_RECORDED', {
+      tenantId: tenant._id,
+      amount: deposit.amount,
+      holdingMethod: deposit.holdingMethod,
+    });
+
+    logger.info(`Deposit recorded for tenant ${tenant._id}: ${deposit.amount} by user: ${userId}`);
+
+    return res.status(200).json({
+      message: 'Deposit saved successfully',
+      deposit: formatDeposit(tenant.deposit),
+    });
+  } catch (error) {
+    logger.error('Update deposit error:', error);
+    return res.status(500).json({ error: 'Failed to save deposit' });
+  }
+};
+
+// Settle the deposit at move-out (preview: true returns the figures without saving)
+const settleDeposit = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const userId = req.user.userId;
+    const { deductions: rawDeductions, notes, preview } = req.body;
+
+    if (!tenant.hasUnsettledDeposit()) {
+      return res.status(409).json({
+        error: tenant.deposit && tenant.deposit.status === 'settled'
+          ? 'Deposit has already been settled'
+          : 'Tenant has no deposit to settle',
+      });
+    }
+
+    const { error, deductions } = parseDeductions(rawDeductions);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (notes && String(notes).length > 500) {
+      return res.status(400).json({ error: 'Notes must be at most 500 characters' });
+    }
+
+    // Unpaid rent can't be deducted beyond what the ledger says is owed
+    const balances = await getBalanceMap([tenant]);
+    const balance = balances.get(tenant._id.toString());
+    const unpaidRent = deductions
+      .filter(d => d.type === 'unpaid_rent')
+      .reduce((sum, d) => sum + d.amount, 0);
+
+    if (unpaidRent > balance.outstanding) {
+      return res.status(400).json({
+        error: `Unpaid rent deductions (${unpaidRent}) exceed the outstanding balance (${balance.outstanding})`,
+      });
+    }
+
+    if (preview) {
+      return res.status(200).json({
+        preview: true,
+        deposit: formatDeposit(tenant.deposit),
+        deductions,
+        ...calculateSettlement(tenant.deposit.amount, deductions),
+        balance,
+      });
+    }
+
+    const settled = await settleTenantDeposit(tenant, {
+      deductions,
+      notes: notes ? sanitizeString(String(notes)) : null,
+    }, userId);
+
+    if (!settled) {
+      return res.status(409).json({ error: 'Deposit has already been settled' });
+    }
+
+    const { settlement } = settled.deposit;
+
+    await EventLog.logEvent(userId, 'DEPOSIT_SETTLED', {
+      tenantId: tenant._id,
+      amount: settled.deposit.amount,
+      totalDeductions: settlement.totalDeductions,
+      refundAmount: settlement.refundAmount,
+      balanceOwed: settlement.balanceOwed,
+    });
+
+    const updatedBalances = await getBalanceMap([settled]);
+
+    return res.status(200).json({
+      message: 'Deposit settled successfully',
+      deposit: formatDeposit(settled.deposit),
+      balance: updatedBalances.get(tenant._id.toString()),
+    });
+  } catch (error) {
+    logger.error('Settle deposit error:', error);
+    return res.status(500).json({ error: 'Failed to settle deposit' });
+  }
+};
+
+module.exports = {
+  getDeposit,
+  updateDeposit,
+  settleDeposit,
+};
\ No newline at end of file
@@ -199,7 +199,7 @@ const getFeatureStats = async (req, res) => {
       const [totalSent, totalFailed, totalCost, usageByDay] = await Promise.all([
         ReminderLog.countDocuments({
           type: 'sms',
-          status: 'sent',
+          status: { $in: ReminderLog.SENT_STATUSES },
           ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
         }),
         ReminderLog.countDocuments({
@@ -211,7 +211,7 @@ const getFeatureStats = async (req, res) => {
           {
             $match: {
               type: 'sms',
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
               ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
             },
           },
@@ -226,7 +226,7 @@ const getFeatureStats = async (req, res) => {
           {
             $match: {
               type: 'sms',
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
               ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
             },
           },
@@ -0,0 +1,433 @@
+const Lease = require('../models/lease.model');
+const Tenant = require('../models/tenant.model');
+const EventLog = require('../models/eventlog.model');
+const logger = require('../utils/logger');
+const {
+  computeLeaseStatus,
+  applyLeaseTerms,
+  createLease: createTenantLease,
+  renewLease: renewTenantLease,
+  endLease: endTenantLease,
+  formatLease,
+} = require('../services/lease.service');
+const {
+  validateRentAmount,
+  validateDepositAmount,
+  validateBillingFrequency,
+  validateObjectId,
+  sanitizeString,
+} = require('../utils/validators');
+
+// Longest lease term accepted (10 years)
+const MAX_LEASE_MONTHS = 120;
+
+/**
+ * Parse a date from the request body
+ * @returns {Date|null} - Date, or null if missing or invalid
+ */
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Last day of a term of whole months starting on startDate
+ */
+const addLeaseMonths = (startDate, months) => {
+  const endDate = new Date(startDate);
+  endDate.setMonth(endDate.getMonth() + Number(months));
+  endDate.setDate(endDate.getDate() - 1);
+  return endDate;
+};
+
+/**
+ * Validate lease terms from the request body
+ * Missing fields fall back to the defaults given
+ * @returns {Object} - { error } or { terms }
+ */
+const parseLeaseTerms = (body, defaults = {}) => {
+  const { startDate, endDate, durationMonths, rentAmount, deposit, billingFrequency, notes } = body;
+
+  const start = startDate !== undefined ? parseDate(startDate) : defaults.startDate;
+  if (!start) {
+    return { error: 'Start date must be a valid date' };
+  }
+
+  let end;
+  if (endDate !== undefined) {
+    end = parseDate(endDate);
+    if (!end) {
+      return { error: 'End date must be a valid date' };
+    }
+  } else if (durationMonths !== undefined) {
+    const months = Number(durationMonths);
+    if (!Number.isInteger(months) || months < 1 || months > MAX_LEASE_MONTHS) {
+      return { error: `Duration must be a whole number of months between 1 and ${MAX_LEASE_MONTHS}` };
+    }
+    end = addLeaseMonths(start, months);
+  } else {
+    return { error: 'End date or durationMonths is required' };
+  }
+
+  if (end <= start) {
+    return { error: 'End date must be after the start date' };
+  }
+
+  if (addLeaseMonths(start, MAX_LEASE_MONTHS) < end) {
+    return { error: `Lease term must be at most ${MAX_LEASE_MONTHS} months` };
+  }
+
+  const rent = rentAmount !== undefined ? rentAmount : defaults.rentAmount;
+  if (!validateRentAmount(rent)) {
+    return { error: 'Rent amount must be between 10,000 and 50,000,000 UGX' };
+  }
+
+  const depositAmount = deposit !== undefined ? deposit : (defaults.deposit || 0);
+  if (!validateDepositAmount(depositAmount)) {
+    return { error: 'Deposit must be a non-negative amount (UGX)' };
+  }
+
+  const frequency = billingFrequency || defaults.billingFrequency || 'monthly';
+  if (!validateBillingFrequency(frequency)) {
+    return { error: 'Billing frequency must be one of: monthly, quarterly, semiannual, annual' };
+  }
+
+  if (notes && String(notes).length > 500) {
+    return { error: 'Notes must be at most 500 characters' };
+  }
+
+  return {
+    terms: {
+      startDate: start,
+      endDate: end,
+      rentAmount: Number(rent),
+      deposit: Number(depositAmount),
+      billingFrequency: frequency,
+      notes: notes ? sanitizeString(String(notes)) : (defaults.notes || null),
+    },
+  };
+};
+
+/**
+ * Format a lease with its tenant and property names (when populated)
+ */
+const formatLeaseWithNames = (lease) => ({
+  ...formatLease(lease),
+  tenantName: lease.tenantId?.name,
+  unitNumber: lease.tenantId?.unitNumber,
+  propertyName: lease.propertyId?.name,
+});
+
+// Get leases for user
+const getLeases = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { status, tenantId, propertyId, expiringWithinDays, page = 1, limit = 50 } = req.query;
+
+    const query = { userId };
+
+    if (status) {
+      if (!['active', 'expiring', 'ended', 'renewed'].includes(status)) {
+        return res.status(400).json({
+          error: 'Status must be one of: active, expiring, ended, renewed',
+        });
+      }
+      query.status = status;
+    }
+
+    if (tenantId) {
+      if (!validateObjectId(tenantId)) {
+        return res.status(400).json({ error: 'Invalid tenant ID format' });
+      }
+      query.tenantId = tenantId;
+    }
+
+    if (propertyId) {
+      if (!validateObjectId(propertyId)) {
+        return res.status(400).json({ error: 'Invalid property ID format' });
+      }
+      query.propertyId = propertyId;
+    }
+
+    if (expiringWithinDays !== undefined) {
+      const days = Number(expiringWithinDays);
+      if (!Number.isInteger(days) || days < 1 || days > 365) {
+        return res.status(400).json({
+          error: 'expiringWithinDays must be a whole number between 1 and 365',
+        });
+      }
+      if (!status) {
+        query.status = { $in: ['active', 'expiring'] };
+      }
+      query.endDate = {
+        $gte: new Date(),
+        $lte: new Date(Date.now() + days * 24 * 60 * 60 * 1000),
+      };
+    }
+
+    // Pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [leases, total] = await Promise.all([
+      Lease.find(query)
+        .sort({ endDate: 1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('tenantId', 'name unitNumber')
+        .populate('propertyId', 'name'),
+      Lease.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      leases: leases.map(formatLeaseWithNames),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error('Get leases error:', error);
+    return res.status(500).json({ error: 'Failed to fetch leases' });
+  }
+};
+
+// Get single lease
+const getLease = async (req, res) => {
+  try {
+    const lease = req.lease; // Attached by ownership middleware
+
+    await lease.populate([
+      { path: 'tenantId', select: 'name unitNumber' },
+      { path: 'propertyId', select: 'name' },
+    ]);
+
+    return res.status(200).json({
+      lease: formatLeaseWithNames(lease),
+    });
+  } catch (error) {
+    logger.error('Get lease error:', error);
+    return res.status(500).json({ error: 'Failed to fetch lease' });
+  }
+};
+
+// Create a lease for a tenant
+const createLease = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { tenantId } = req.body;
+
+    if (!validateObjectId(tenantId)) {
+      return res.status(400).json({ error: 'A valid tenant ID is required' });
+    }
+
+    const tenant = await Tenant.findOne({ _id: tenantId, userId, deletedAt: null });
+    if (!tenant) {
+      return res.status(404).json({
+        error: 'Tenant not found or you do not have permission to access it',
+      });
+    }
+
+    const { error, terms } = parseLeaseTerms(req.body, { rentAmount: tenant.rentAmount });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const currentLease = await Lease.findCurrentForTenant(tenant._id);
+    if (currentLease) {
+      return res.status(409).json({
+        error: 'Tenant already has a current lease. Renew or end it instead.',
+        leaseId: currentLease._id,
+      });
+    }
+
+    const lease = await createTenantLease(tenant, terms);
+
+    // Log event
+    await EventLog.logEvent(userId, 'LEASE_CREATED', {
+      billingFrequency: lease.billingFrequency,
+    });
+
+    logger.info(`Lease created: ${lease._id} for tenant ${tenant._id} by user: ${userId}`);
+
+    return res.status(201).json({
+      message: 'Lease created successfully',
+      lease: formatLease(lease),
+    });
+  } catch (error) {
+    logger.error('Create lease error:', error);
+    return res.status(500).json({ error: 'Failed to create lease' });
+  }
+};
+
+// Update a current lease's terms
+const updateLease = async (req, res) => {
+  try {
+    const lease = req.lease; // Attached by ownership middleware
+
+    if (!['active', 'expiring'].includes(lease.status)) {
+      return res.status(409).json({
+        error: `Only current leases can be updated (this lease is ${lease.status})`,
+      });
+    }
+
+    const { error, terms } = parseLeaseTerms(
+      { endDate: lease.endDate, ...req.body },
+      {
+        startDate: lease.startDate,
+        rentAmount: lease.rentAmount,
+        deposit: lease.deposit,
+        billingFrequency: lease.billingFrequency,
+        notes: lease.notes,
+      }
+    );
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const endDateChanged = terms.endDate.getTime() !== lease.endDate.getTime();
+    const termsChanged = terms.rentAmount !== lease.rentAmount
+      || terms.billingFrequency !== lease.billingFrequency;
+
+    Object.assign(lease, terms);
+
+    if (endDateChanged) {
+      // A new end date gets fresh expiry alerts
+      lease.expiryAlertsSent = [];
+      lease.status = computeLeaseStatus(lease);
+      if (lease.status === 'ended') {
+        lease.endedAt = lease.endDate;
+      }
+    }
+
+    if (termsChanged) {
+      lease.termsAppliedAt = null;
+    }
+
+    await lease.save();
+    await applyLeaseTerms(lease);
+
+    logger.info(`Lease updated: ${lease._id}`);
+
+    return res.status(200).json({
+      message: 'Lease updated successfully',
+      lease: formatLease(lease),
+    });
+  } catch (error) {
+    logger.error('Update lease error:', error);
+    return res.status(500).json({ error: 'Failed to update lease' });
+  }
+};
+
+// Renew a lease with new terms (defaults carry over from the current lease)
+const renewLease = async (req, res) => {
+  try {
+    const lease = req.lease; // Attached by ownership middleware
+
+    if (lease.status === 'renewed') {
+      return res.status(409).json({
+        error: 'Lease has already been renewed',
+        renewedToId: lease.renewedToId,
+      });
+    }
+
+    if (!['active', 'expiring'].includes(lease.status)) {
+      return res.status(409).json({
+        error: `Only current leases can be renewed (this lease is ${lease.status})`,
+      });
+    }
+
+    const tenant = await Tenant.findOne({ _id: lease.tenantId, deletedAt: null });
+    if (!tenant) {
+      return res.status(409).json({ error: 'Cannot renew a lease for a deleted tenant' });
+    }
+
+    // The renewal starts the day after the current lease ends
+    const nextStart = new Date(lease.endDate);
+    nextStart.setDate(nextStart.getDate() + 1);
+
+    const { error, terms } = parseLeaseTerms(req.body, {
+      startDate: nextStart,
+      rentAmount: lease.rentAmount,
+      deposit: lease.deposit,
+      billingFrequency: lease.billingFrequency,
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (terms.startDate <= lease.startDate) {
+      return res.status(400).json({
+        error: 'Renewal must start after the current lease started',
+      });
+    }
+
+    const renewal = await renewTenantLease(lease, terms);
+    if (!renewal) {
+      return res.status(409).json({ error: 'Lease has already been renewed or has ended' });
+    }
+
+    // Log event
+    await EventLog.logEvent(req.user.userId, 'LEASE_RENEWED', {
+      rentChange: renewal.rentAmount - lease.rentAmount,
+      billingFrequency: renewal.billingFrequency,
+    });
+
+    logger.info(`Lease renewed: ${lease._id} -> ${renewal._id}`);
+
+    return res.status(201).json({
+      message: 'Lease renewed successfully',
+      lease: formatLease(renewal),
+      previousLeaseId: lease._id,
+    });
+  } catch (error) {
+    logger.error('Renew lease error:', error);
+    return res.status(500).json({ error: 'Failed to renew lease' });
+  }
+};
+
+// End a current lease (early termination or move-out)
+const endLease = async (req, res) => {
+  try {
+    const lease = req.lease; // Attached by ownership middleware
+
+    if (!['active', 'expiring'].includes(lease.status)) {
+      return res.status(409).json({
+        error: `Only current leases can be ended (this lease is ${lease.status})`,
+      });
+    }
+
+    const endedAt = req.body.endDate !== undefined ? parseDate(req.body.endDate) : new Date();
+    if (!endedAt || endedAt < lease.startDate) {
+      return res.status(400).json({
+        error: 'End date must be a valid date on or after the lease start date',
+      });
+    }
+
+    await endTenantLease(lease, endedAt);
+
+    // Log event
+    await EventLog.logEvent(req.user.userId, 'LEASE_ENDED');
+
+    logger.info(`Lease ended: ${lease._id}`);
+
+    return res.status(200).json({
+      message: 'Lease ended successfully',
+      lease: formatLease(lease),
+    });
+  } catch (error) {
+    logger.error('End lease error:', error);
+    return res.status(500).json({ error: 'Failed to end lease' });
+  }
+};
+
+module.exports = {
+  getLeases,
+  getLease,
+  createLease,
+  updateLease,
+  renewLease,
+  endLease,
+};
\ No newline at end of file
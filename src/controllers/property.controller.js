@@ -1,13 +1,19 @@
 const Property = require('../models/property.model');
 const Tenant = require('../models/tenant.model');
+const Unit = require('../models/unit.model');
 const EventLog = require('../models/eventlog.model');
 const logger = require('../utils/logger');
-const { validatePropertyName, sanitizeString } = require('../utils/validators');
+const { getPeriodMap, formatPeriod } = require('../services/rentPeriod.service');
+const { getOccupancyMap } = require('../services/unit.service');
+const { validatePropertyName, validateCountry, sanitizeString } = require('../utils/validators');
+const { SUPPORTED_COUNTRIES } = require('../utils/phoneUtils');
+
+const INVALID_COUNTRY_ERROR = `Country must be one of: ${SUPPORTED_COUNTRIES.join(', ')}, or null for the landlord's default`;
 
 // Create property
 const createProperty = async (req, res) => {
   try {
-    const { name, address } = req.body;
+    const { name, address, country } = req.body;
     const userId = req.user.userId;
 
     // Validate name
@@ -17,6 +23,11 @@ const createProperty = async (req, res) => {
       });
     }
 
+    // Validate country if provided (tenants' local phone numbers are read in it)
+    if (country !== undefined && country !== null && !validateCountry(country)) {
+      return res.status(400).json({ error: INVALID_COUNTRY_ERROR });
+    }
+
     // Sanitize inputs
     const sanitizedName = sanitizeString(name);
     const sanitizedAddress = address ? sanitizeString(address) : '';
@@ -26,6 +37,7 @@ const createProperty = async (req, res) => {
       userId,
       name: sanitizedName,
       address: sanitizedAddress,
+      country: country || null,
     });
 
     // Log event
@@ -40,6 +52,7 @@ const createProperty = async (req, res) => {
         userId: property.userId,
         name: property.name,
         address: property.address,
+        country: property.country,
         createdAt: property.createdAt,
       },
     });
@@ -60,6 +73,8 @@ const getProperties = async (req, res) => {
       deletedAt: null,
     }).sort({ createdAt: -1 });
 
+    const occupancy = await getOccupancyMap(properties.map(p => p._id));
+
     // Get tenant count for each property
     const propertiesWithCount = await Promise.all(
       properties.map(async (property) => {
@@ -72,7 +87,9 @@ const getProperties = async (req, res) => {
           id: property._id,
           name: property.name,
           address: property.address,
+          country: property.country,
           tenantCount,
+          occupancy: occupancy.get(property._id.toString()),
           createdAt: property.createdAt,
         };
       })
@@ -88,6 +105,20 @@ const getProperties = async (req, res) => {
   }
 };
 
+/**
+ * Format a property's late fee rule for API responses
+ */
+const formatLateFeeRule = (rule) => ({
+  enabled: rule?.enabled || false,
+  graceDays: rule?.graceDays ?? 5,
+  type: rule?.type || 'flat',
+  amount: rule?.amount || 0,
+  recurring: rule?.recurring || false,
+  intervalDays: rule?.intervalDays ?? 30,
+  maxAmount: rule?.maxAmount ?? null,
+  enabledAt: rule?.enabledAt || null,
+});
+
 // Get single property with tenants
 const getProperty = async (req, res) => {
   try {
@@ -99,11 +130,19 @@ const getProperty = async (req, res) => {
       deletedAt: null,
     }).sort({ createdAt: -1 });
 
+    const [periods, occupancy] = await Promise.all([
+      getPeriodMap(tenants),
+      getOccupancyMap([property._id]),
+    ]);
+
     return res.status(200).json({
       property: {
         id: property._id,
         name: property.name,
         address: property.address,
+        country: property.country,
+        lateFeeRule: formatLateFeeRule(property.lateFeeRule),
+        occupancy: occupancy.get(property._id.toString()),
         createdAt: property.createdAt,
       },
       tenants: tenants.map(tenant => ({
@@ -111,10 +150,14 @@ const getProperty = async (req, res) => {
         name: tenant.name,
         phone: tenant.phone,
         email: tenant.email,
+        unitId: tenant.unitId,
         unitNumber: tenant.unitNumber,
         rentAmount: tenant.rentAmount,
         dueDate: tenant.dueDate,
-        status: tenant.status,
+        preferredLanguage: tenant.preferredLanguage,
+        billingFrequency: tenant.billingFrequency,
+        status: periods.get(tenant._id.toString())?.status || 'unpaid',
+        currentPeriod: formatPeriod(periods.get(tenant._id.toString())),
         lastReminderSentAt: tenant.lastReminderSentAt,
         createdAt: tenant.createdAt,
       })),
@@ -129,7 +172,7 @@ const getProperty = async (req, res) => {
 const updateProperty = async (req, res) => {
   try {
     const property = req.property; // Attached by ownership middleware
-    const { name, address } = req.body;
+    const { name, address, country } = req.body;
 
     // Validate name if provided
     if (name && !validatePropertyName(name)) {
@@ -138,9 +181,15 @@ const updateProperty = async (req, res) => {
       });
     }
 
+    // Validate country if provided
+    if (country !== undefined && country !== null && !validateCountry(country)) {
+      return res.status(400).json({ error: INVALID_COUNTRY_ERROR });
+    }
+
     // Update fields
     if (name) property.name = sanitizeString(name);
     if (address !== undefined) property.address = sanitizeString(address);
+    if (country !== undefined) property.country = country;
 
     await property.save();
 
@@ -152,6 +201,7 @@ const updateProperty = async (req, res) => {
         id: property._id,
         name: property.name,
         address: property.address,
+        country: property.country,
         createdAt: property.createdAt,
       },
     });
@@ -161,6 +211,80 @@ const updateProperty = async (req, res) => {
   }
 };
 
+// Set the property's late fee rule
+const updateLateFeeRule = async (req, res) => {
+  try {
+    const property = req.property; // Attached by ownership middleware
+    const rule = { ...formatLateFeeRule(property.lateFeeRule), ...req.body };
+    const { enabled, graceDays, type, amount, recurring, intervalDays, maxAmount } = rule;
+
+    if (typeof enabled !== 'boolean' || typeof recurring !== 'boolean') {
+      return res.status(400).json({ error: 'enabled and recurring must be true or false' });
+    }
+
+    if (!Number.isInteger(Number(graceDays)) || graceDays < 0 || graceDays > 60) {
+      return res.status(400).json({ error: 'Grace period must be between 0 and 60 days' });
+    }
+
+    if (!['flat', 'percentage'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be either "flat" or "percentage"' });
+    }
+
+    const numAmount = Number(amount);
+    if (isNaN(numAmount) || numAmount < 0 || (type === 'percentage' ? numAmount > 100 : numAmount > 50000000)) {
+      return res.status(400).json({
+        error: type === 'percentage'
+          ? 'Percentage must be between 0 and 100'
+          : 'Amount must be between 0 and 50,000,000 UGX',
+      });
+    }
+
+    if (enabled && numAmount === 0) {
+      return res.status(400).json({ error: 'An enabled late fee needs an amount above 0' });
+    }
+
+    if (!Number.isInteger(Number(intervalDays)) || intervalDays < 1 || intervalDays > 90) {
+      return res.status(400).json({ error: 'Interval must be between 1 and 90 days' });
+    }
+
+    if (maxAmount !== null && (isNaN(Number(maxAmount)) || Number(maxAmount) <= 0)) {
+      return res.status(400).json({ error: 'Cap must be a positive amount, or null for no cap' });
+    }
+
+    // Keep the original date while the rule stays on
+    const wasEnabled = property.lateFeeRule?.enabled && property.lateFeeRule.enabledAt;
+
+    property.lateFeeRule = {
+      enabled,
+      graceDays: Number(graceDays),
+      type,
+      amount: numAmount,
+      recurring,
+      intervalDays: Number(intervalDays),
+      maxAmount: maxAmount === null ? null : Number(maxAmount),
+      enabledAt: enabled ? (wasEnabled ? property.lateFeeRule.enabledAt : new Date()) : null,
+    };
+
+    await property.save();
+
+    // Log event
+    await EventLog.logEvent(req.user.userId, 'LATE_FEE_RULE_UPDATED', {
+      propertyId: property._id,
+      lateFeeRule: formatLateFeeRule(property.lateFeeRule),
+    });
+
+    logger.info(`Late fee rule updated for property: ${property._id}`);
+
+    return res.status(200).json({
+      message: 'Late fee rule updated successfully',
+      lateFeeRule: formatLateFeeRule(property.lateFeeRule),
+    });
+  } catch (error) {
+    logger.error('Update late fee rule error:', error);
+    return res.status(500).json({ error: 'Failed to update late fee rule' });
+  }
+};
+
 // Delete property (soft delete)
 const deleteProperty = async (req, res) => {
   try {
@@ -179,8 +303,12 @@ const deleteProperty = async (req, res) => {
       });
     }
 
-    // Soft delete
+    // Soft delete, along with the property's units
     await property.softDelete();
+    await Unit.updateMany(
+      { propertyId: property._id, deletedAt: null },
+      { deletedAt: property.deletedAt }
+    );
 
     logger.info(`Property deleted: ${property._id}`);
 
@@ -198,5 +326,6 @@ module.exports = {
   getProperties,
   getProperty,
   updateProperty,
+  updateLateFeeRule,
   deleteProperty,
 };
\ No newline at end of file
@@ -1,23 +1,111 @@
-const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const Tenant = require('../models/tenant.model');
 const ReminderLog = require('../models/reminderlog.model');
 const EventLog = require('../models/eventlog.model');
 const User = require('../models/user.model');
 const FeatureFlag = require('../models/featureflag.model');
+const ReminderSchedule = require('../models/reminderschedule.model');
 const { getCurrentMonth } = require('../utils/formatters');
+const { mapDeliveryStatus } = require('../services/sms.service');
+const { validateLanguage, validateObjectId } = require('../utils/validators');
 const logger = require('../utils/logger');
 const {
   createReminderJob,
+  createRetryJobs,
   getJobStatus: getJobStatusFromService,
+  getJobItems,
   processRemindersInBackground,
 } = require('../services/reminderJob.service');
 
+// Maximum number of failed reminders a single bulk retry may resend
+const MAX_RETRY_LOGS = 500;
+
+/**
+ * Check whether a reminder method is enabled
+ * @returns {Promise<Object|null>} - 403 response body if the method is disabled, null otherwise
+ */
+const getUnavailableMethodResponse = async (method, userId) => {
+  const featureKey = method === 'sms' ? 'sms_reminders' : 'email_reminders';
+  const isEnabled = await FeatureFlag.isEnabled(featureKey);
+
+  if (isEnabled) return null;
+
+  const feature = await FeatureFlag.findOne({ key: featureKey });
+  const message = feature?.disabledMessage || `${method.toUpperCase()} reminders are temporarily unavailable.`;
+
+  logger.warn(`${method.toUpperCase()} reminders blocked - feature disabled for user: ${userId}`);
+
+  return {
+    error: 'Feature unavailable',
+    message,
+    method,
+    enabled: false,
+    suggestion: method === 'sms' ? 'Try using email reminders instead' : null,
+  };
+};
+
+/**
+ * Validate the log filters buildLogQuery can't cast
+ * @returns {string|null} - Error message, or null if the filters are valid
+ */
+const validateLogFilters = ({ tenantId, startDate, endDate }) => {
+  if (tenantId && !validateObjectId(tenantId)) {
+    return 'Invalid tenant ID format';
+  }
+
+  for (const [name, value] of [['Start date', startDate], ['End date', endDate]]) {
+    if (value && isNaN(new Date(value).getTime())) {
+      return `${name} must be a valid date`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build a ReminderLog query from request filters
+ * Callers run validateLogFilters first (malformed values would fail as a CastError)
+ */
+const buildLogQuery = (userId, { tenantId, jobId, type, status, startDate, endDate }) => {
+  const query = { userId };
+
+  if (tenantId) {
+    query.tenantId = tenantId;
+  }
+
+  if (jobId) {
+    query.jobId = jobId;
+  }
+
+  if (type) {
+    query.type = type;
+  }
+
+  if (status) {
+    query.status = status;
+  }
+
+  if (startDate || endDate) {
+    query.timestamp = {};
+    if (startDate) {
+      query.timestamp.$gte = new Date(startDate);
+    }
+    if (endDate) {
+      query.timestamp.$lte = new Date(endDate);
+    }
+  }
+
+  return query;
+};
+
 /**
  * Send reminders to tenants (background job)
  */
 const sendReminders = async (req, res) => {
   try {
-    const { tenantIds, method, month } = req.body;
+    // language: optional override of each tenant's preferred language
+    // force: also remind tenants already reminded on this channel recently or for this month
+    const { tenantIds, method, month, language, force = false } = req.body;
     const userId = req.user.userId;
 
     logger.info(`Send reminders request from userId: ${userId}`);
@@ -35,25 +123,22 @@ const sendReminders = async (req, res) => {
       });
     }
 
-    // ✅ CHECK FEATURE FLAGS
-    const featureKey = method === 'sms' ? 'sms_reminders' : 'email_reminders';
-    const isEnabled = await FeatureFlag.isEnabled(featureKey);
-    
-    if (!isEnabled) {
-      const feature = await FeatureFlag.findOne({ key: featureKey });
-      const message = feature?.disabledMessage || `${method.toUpperCase()} reminders are temporarily unavailable.`;
-      
-      logger.warn(`${method.toUpperCase()} reminders blocked - feature disabled for user: ${userId}`);
-      
-      return res.status(403).json({
-        error: 'Feature unavailable',
-        message,
-        method,
-        enabled: false,
-        suggestion: method === 'sms' ? 'Try using email reminders instead' : null,
+    if (language && !validateLanguage(language)) {
+      return res.status(400).json({
+        error: 'Language must be one of: en, lg, sw, nyn',
       });
     }
 
+    if (typeof force !== 'boolean') {
+      return res.status(400).json({ error: 'Force must be a boolean value' });
+    }
+
+    // ✅ CHECK FEATURE FLAGS
+    const unavailable = await getUnavailableMethodResponse(method, userId);
+    if (unavailable) {
+      return res.status(403).json(unavailable);
+    }
+
     const targetMonth = month || getCurrentMonth();
 
     // Verify user exists
@@ -86,12 +171,19 @@ const sendReminders = async (req, res) => {
       }
     }
 
-    // Create background job
-    const jobId = uuidv4();
-    createReminderJob(jobId, eligibleCount);
+    // Create background job (persisted, so it survives restarts)
+    const job = await createReminderJob({
+      userId,
+      tenantIds,
+      method,
+      month: targetMonth,
+      language: language || null,
+      force,
+    });
+    const { jobId } = job;
 
     // Start processing in background (don't await)
-    processRemindersInBackground(jobId, userId, tenantIds, method, targetMonth)
+    processRemindersInBackground(jobId)
       .catch(error => {
         logger.error('Background job error:', error);
       });
@@ -118,7 +210,7 @@ const getJobStatus = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const job = getJobStatusFromService(jobId);
+    const job = await getJobStatusFromService(jobId, req.user.userId);
 
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
@@ -126,15 +218,22 @@ const getJobStatus = async (req, res) => {
 
     return res.status(200).json({
       job: {
-        id: job.id,
+        id: job.jobId,
         status: job.status,
+        method: job.method,
+        month: job.month,
+        source: job.source,
+        language: job.language,
+        retryOfJobId: job.retryOfJobId,
+        force: job.force,
         total: job.total,
         sent: job.sent,
         failed: job.failed,
+        skipped: job.skipped,
         totalCost: job.totalCost || 0,
         startedAt: job.startedAt,
         completedAt: job.completedAt,
-        progress: job.total > 0 ? Math.round(((job.sent + job.failed) / job.total) * 100) : 0,
+        progress: job.progress,
       },
     });
   } catch (error) {
@@ -150,7 +249,7 @@ const getJobDetails = async (req, res) => {
   try {
     const { jobId } = req.params;
 
-    const job = getJobStatusFromService(jobId);
+    const job = await getJobStatusFromService(jobId, req.user.userId);
 
     if (!job) {
       return res.status(404).json({ error: 'Job not found' });
@@ -158,16 +257,23 @@ const getJobDetails = async (req, res) => {
 
     return res.status(200).json({
       job: {
-        id: job.id,
+        id: job.jobId,
         status: job.status,
+        method: job.method,
+        month: job.month,
+        source: job.source,
+        language: job.language,
+        retryOfJobId: job.retryOfJobId,
+        force: job.force,
         total: job.total,
         sent: job.sent,
         failed: job.failed,
+        skipped: job.skipped,
         totalCost: job.totalCost || 0,
-        details: job.details,
+        details: await getJobItems(job.jobId),
         startedAt: job.startedAt,
         completedAt: job.completedAt,
-        progress: job.total > 0 ? Math.round(((job.sent + job.failed) / job.total) * 100) : 0,
+        progress: job.progress,
       },
     });
   } catch (error) {
@@ -177,29 +283,167 @@ const getJobDetails = async (req, res) => {
 };
 
 /**
- * Get reminder logs for user
+ * Queue retry jobs for failed logs and start them in the background
  */
-const getReminderLogs = async (req, res) => {
+const startRetryJobs = async (res, { userId, logs, method, month, retryOfJobId, force = false }) => {
+  if (typeof force !== 'boolean') {
+    return res.status(400).json({ error: 'Force must be a boolean value' });
+  }
+
+  // Every channel the retry will use must be enabled
+  const methods = method ? [method] : [...new Set(logs.map(log => log.type))];
+  for (const m of methods) {
+    const unavailable = await getUnavailableMethodResponse(m, userId);
+    if (unavailable) {
+      return res.status(403).json(unavailable);
+    }
+  }
+
+  const { jobs, skipped } = await createRetryJobs({ userId, logs, method, month, retryOfJobId, force });
+
+  for (const job of jobs) {
+    processRemindersInBackground(job.jobId)
+      .catch(error => {
+        logger.error('Background retry job error:', error);
+      });
+  }
+
+  const total = jobs.reduce((sum, job) => sum + job.total, 0);
+
+  logger.info(`Retry of ${logs.length} failed reminders queued as ${jobs.length} job(s) for user: ${userId}`);
+
+  return res.status(202).json({
+    message: total > 0
+      ? 'Failed reminders are being retried in the background'
+      : 'No failed reminders could be retried',
+    jobs: jobs.map(job => ({
+      jobId: job.jobId,
+      method: job.method,
+      month: job.month,
+      total: job.total,
+    })),
+    total,
+    skipped,
+  });
+};
+
+/**
+ * Retry the failed reminders of a job, optionally on another channel
+ */
+const retryJob = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { tenantId, startDate, endDate, page = 1, limit = 50 } = req.query;
+    const { jobId } = req.params;
+    const { method, force } = req.body;
 
-    const query = { userId };
+    if (method && !['sms', 'email'].includes(method)) {
+      return res.status(400).json({
+        error: 'Method must be either "sms" or "email"',
+      });
+    }
 
-    if (tenantId) {
-      query.tenantId = tenantId;
+    const job = await getJobStatusFromService(jobId, userId);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
     }
 
-    if (startDate || endDate) {
-      query.timestamp = {};
-      if (startDate) {
-        query.timestamp.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        query.timestamp.$lte = new Date(endDate);
+    if (['queued', 'processing'].includes(job.status)) {
+      return res.status(409).json({ error: 'Job is still running. Retry once it has finished.' });
+    }
+
+    const logs = await ReminderLog.find({ userId, jobId, status: 'failed' });
+    if (logs.length === 0) {
+      return res.status(400).json({ error: 'This job has no failed reminders to retry' });
+    }
+
+    return await startRetryJobs(res, {
+      userId,
+      logs,
+      method,
+      month: job.month,
+      retryOfJobId: jobId,
+      force,
+    });
+  } catch (error) {
+    logger.error('Retry job error:', error);
+    return res.status(500).json({ error: 'Failed to retry reminders' });
+  }
+};
+
+/**
+ * Retry failed reminders selected by log IDs or log filters
+ * (tenantId, jobId, type, startDate, endDate), optionally on another channel
+ */
+const retryReminderLogs = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { logIds, method, month, force } = req.body;
+
+    if (method && !['sms', 'email'].includes(method)) {
+      return res.status(400).json({
+        error: 'Method must be either "sms" or "email"',
+      });
+    }
+
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    const filterError = validateLogFilters(req.body);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
+    }
+
+    const query = { ...buildLogQuery(userId, req.body), status: 'failed' };
+
+    if (logIds !== undefined) {
+      if (!Array.isArray(logIds) || logIds.length === 0 || !logIds.every(validateObjectId)) {
+        return res.status(400).json({ error: 'Log IDs must be a non-empty array of valid IDs' });
       }
+      query._id = { $in: logIds };
+    }
+
+    const count = await ReminderLog.countDocuments(query);
+    if (count === 0) {
+      return res.status(400).json({ error: 'No failed reminders match the selection' });
+    }
+
+    if (count > MAX_RETRY_LOGS) {
+      return res.status(400).json({
+        error: `${count} failed reminders match the selection. Narrow the filters to at most ${MAX_RETRY_LOGS}.`,
+      });
+    }
+
+    const logs = await ReminderLog.find(query);
+
+    return await startRetryJobs(res, {
+      userId,
+      logs,
+      method,
+      month: month || getCurrentMonth(),
+      force,
+    });
+  } catch (error) {
+    logger.error('Retry reminder logs error:', error);
+    return res.status(500).json({ error: 'Failed to retry reminders' });
+  }
+};
+
+/**
+ * Get reminder logs for user
+ */
+const getReminderLogs = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { page = 1, limit = 50 } = req.query;
+
+    const filterError = validateLogFilters(req.query);
+    if (filterError) {
+      return res.status(400).json({ error: filterError });
     }
 
+    const query = buildLogQuery(userId, req.query);
+
     const skip = (Number(page) - 1) * Number(limit);
 
     const [logs, total] = await Promise.all([
@@ -221,6 +465,13 @@ const getReminderLogs = async (req, res) => {
         status: log.status,
         cost: log.cost,
         errorMessage: log.errorMessage,
+        failureReason: log.failureReason,
+        deliveredAt: log.deliveredAt,
+        source: log.source,
+        jobId: log.jobId,
+        month: log.month,
+        retryOf: log.retryOf,
+        attempt: log.attempt,
         timestamp: log.timestamp,
       })),
       pagination: {
@@ -252,10 +503,10 @@ const getReminderStats = async (req, res) => {
     }
 
     const [totalSent, totalFailed, totalCost, byType] = await Promise.all([
-      ReminderLog.countDocuments({ userId, status: 'sent', ...dateQuery }),
+      ReminderLog.countDocuments({ userId, status: { $in: ReminderLog.SENT_STATUSES }, ...dateQuery }),
       ReminderLog.countDocuments({ userId, status: 'failed', ...dateQuery }),
       ReminderLog.aggregate([
-        { $match: { userId, status: 'sent', ...dateQuery } },
+        { $match: { userId, status: { $in: ReminderLog.SENT_STATUSES }, ...dateQuery } },
         { $group: { _id: null, total: { $sum: '$cost' } } },
       ]),
       ReminderLog.aggregate([
@@ -281,6 +532,106 @@ const getReminderStats = async (req, res) => {
   }
 };
 
+/**
+ * Format a reminder schedule for API responses
+ */
+const formatSchedule = (schedule) => ({
+  enabled: schedule.enabled,
+  rules: schedule.rules.map(rule => ({
+    id: rule._id,
+    timing: rule.timing,
+    days: rule.timing === 'on' ? 0 : rule.days,
+    method: rule.method,
+    enabled: rule.enabled,
+  })),
+  lastRunAt: schedule.lastRunAt,
+});
+
+/**
+ * Get the landlord's automatic tenant reminder schedule
+ */
+const getReminderSchedule = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const schedule = await ReminderSchedule.findOne({ userId });
+
+    return res.status(200).json({
+      schedule: schedule
+        ? formatSchedule(schedule)
+        : { enabled: false, rules: [], lastRunAt: null },
+    });
+  } catch (error) {
+    logger.error('Get reminder schedule error:', error);
+    return res.status(500).json({ error: 'Failed to fetch reminder schedule' });
+  }
+};
+
+/**
+ * Create or replace the landlord's automatic tenant reminder schedule
+ */
+const updateReminderSchedule = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { enabled = true, rules } = req.body;
+
+    if (typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: 'Enabled must be a boolean value' });
+    }
+
+    if (!Array.isArray(rules) || rules.length > 10) {
+      return res.status(400).json({ error: 'Rules must be an array of at most 10 rules' });
+    }
+
+    for (const [index, rule] of rules.entries()) {
+      if (!['before', 'on', 'after'].includes(rule.timing)) {
+        return res.status(400).json({
+          error: `Rule ${index + 1}: timing must be "before", "on" or "after"`,
+        });
+      }
+
+      if (rule.timing !== 'on') {
+        const days = Number(rule.days);
+        if (!Number.isInteger(days) || days < 1 || days > 28) {
+          return res.status(400).json({
+            error: `Rule ${index + 1}: days must be a whole number between 1 and 28`,
+          });
+        }
+      }
+
+      if (!['sms', 'email'].includes(rule.method)) {
+        return res.status(400).json({
+          error: `Rule ${index + 1}: method must be either "sms" or "email"`,
+        });
+      }
+    }
+
+    const schedule = await ReminderSchedule.findOneAndUpdate(
+      { userId },
+      {
+        enabled,
+        rules: rules.map(rule => ({
+          timing: rule.timing,
+          days: rule.timing === 'on' ? 0 : Number(rule.days),
+          method: rule.method,
+          enabled: rule.enabled !== false,
+        })),
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+
+    logger.info(`Reminder schedule updated for user: ${userId} (${rules.length} rules)`);
+
+    return res.status(200).json({
+      message: 'Reminder schedule saved successfully',
+      schedule: formatSchedule(schedule),
+    });
+  } catch (error) {
+    logger.error('Update reminder schedule error:', error);
+    return res.status(500).json({ error: 'Failed to save reminder schedule' });
+  }
+};
+
 /**
  * ✅ NEW: Check available reminder methods
  */
@@ -318,11 +669,67 @@ const getAvailableMethods = async (req, res) => {
   }
 };
 
+/**
+ * Check the delivery report token against the callback secret
+ * Compared in constant time so the secret can't be guessed from response times
+ */
+const isValidCallbackToken = (token, secret) => {
+  const given = Buffer.from(typeof token === 'string' ? token : '');
+  const expected = Buffer.from(secret);
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Africa's Talking SMS delivery report callback (public, no auth)
+ * AT posts form data: id, status, phoneNumber, networkCode, failureReason, retryCount
+ */
+const handleDeliveryReport = async (req, res) => {
+  try {
+    // Shared secret, configured as ?token=... on the callback URL in AT
+    // (required in production, see validateATConfig)
+    const secret = process.env.AT_CALLBACK_SECRET;
+    if (secret && !isValidCallbackToken(req.query.token, secret)) {
+      return res.status(401).json({ error: 'Invalid callback token' });
+    }
+
+    const { id: messageId, status: atStatus, failureReason } = req.body;
+
+    if (!messageId || !atStatus) {
+      return res.status(400).json({ error: 'Message ID and status are required' });
+    }
+
+    const status = mapDeliveryStatus(atStatus);
+    if (!status) {
+      logger.warn(`Unknown delivery report status "${atStatus}" for message ${messageId}`);
+      return res.status(200).json({ received: true, updated: false });
+    }
+
+    const log = await ReminderLog.applyDeliveryReport(messageId, status, failureReason);
+
+    if (log) {
+      logger.info(`Delivery report for message ${messageId}: ${atStatus} -> ${status}`);
+    } else {
+      logger.warn(`Delivery report for message ${messageId} (${atStatus}) matched no pending reminder`);
+    }
+
+    // Always acknowledge so AT does not keep retrying
+    return res.status(200).json({ received: true, updated: Boolean(log) });
+  } catch (error) {
+    logger.error('Delivery report error:', error);
+    return res.status(500).json({ error: 'Failed to process delivery report' });
+  }
+};
+
 module.exports = {
   sendReminders,
   getJobStatus,
   getJobDetails,
+  retryJob,
+  retryReminderLogs,
   getReminderLogs,
   getReminderStats,
+  getReminderSchedule,
+  updateReminderSchedule,
   getAvailableMethods, // ✅ NEW
+  handleDeliveryReport,
 };
\ No newline at end of file
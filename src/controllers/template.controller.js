@@ -0,0 +1,331 @@
+const ReminderTemplate = require('../models/remindertemplate.model');
+const Property = require('../models/property.model');
+const Tenant = require('../models/tenant.model');
+const User = require('../models/user.model');
+const logger = require('../utils/logger');
+const { TEMPLATE_PLACEHOLDERS, validateTemplatePlaceholders } = require('../services/template.service');
+const { renderReminder } = require('../services/reminderTemplate.service');
+const { getCurrentMonth } = require('../utils/formatters');
+const { validateObjectId, validateLanguage } = require('../utils/validators');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../locales');
+
+const INVALID_LANGUAGE_ERROR = `Language must be one of: ${SUPPORTED_LANGUAGES.join(', ')}`;
+
+// Maximum template lengths (an SMS body of 480 characters is about 3 SMS)
+const MAX_SMS_LENGTH = 480;
+const MAX_EMAIL_LENGTH = 5000;
+const MAX_SUBJECT_LENGTH = 150;
+
+/**
+ * Validate template fields
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateTemplateFields = ({ type, body, subject }) => {
+  if (typeof body !== 'string' || body.trim().length === 0) {
+    return 'Template body is required';
+  }
+
+  const maxLength = type === 'sms' ? MAX_SMS_LENGTH : MAX_EMAIL_LENGTH;
+  if (body.trim().length > maxLength) {
+    return `${type === 'sms' ? 'SMS' : 'Email'} template body must be at most ${maxLength} characters`;
+  }
+
+  const bodyErrors = validateTemplatePlaceholders(body);
+  if (bodyErrors.length > 0) {
+    return `Template body: ${bodyErrors.join('; ')}`;
+  }
+
+  if (subject !== undefined && subject !== null && subject !== '') {
+    if (type !== 'email') {
+      return 'Only email templates can have a subject';
+    }
+
+    if (typeof subject !== 'string' || subject.trim().length > MAX_SUBJECT_LENGTH) {
+      return `Subject must be at most ${MAX_SUBJECT_LENGTH} characters`;
+    }
+
+    const subjectErrors = validateTemplatePlaceholders(subject);
+    if (subjectErrors.length > 0) {
+      return `Subject: ${subjectErrors.join('; ')}`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Format a template for API responses
+ */
+const formatTemplate = (template) => ({
+  id: template._id,
+  type: template.type,
+  propertyId: template.propertyId,
+  language: template.language || DEFAULT_LANGUAGE,
+  subject: template.subject,
+  body: template.body,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt,
+});
+
+/**
+ * Get the landlord's custom templates
+ */
+const getTemplates = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { type, propertyId, language } = req.query;
+
+    const query = { userId };
+    if (type) query.type = type;
+    if (language) {
+      if (!validateLanguage(language)) {
+        return res.status(400).json({ error: INVALID_LANGUAGE_ERROR });
+      }
+      query.language = language;
+    }
+    if (propertyId) {
+      if (!validateObjectId(propertyId)) {
+        return res.status(400).json({ error: 'Invalid property ID format' });
+      }
+      query.propertyId = propertyId;
+    }
+
+    const templates = await ReminderTemplate.find(query).sort({ type: 1, propertyId: 1, language: 1 });
+
+    return res.status(200).json({
+      templates: templates.map(formatTemplate),
+      total: templates.length,
+      placeholders: TEMPLATE_PLACEHOLDERS,
+    });
+  } catch (error) {
+    logger.error('Get templates error:', error);
+    return res.status(500).json({ error: 'Failed to fetch templates' });
+  }
+};
+
+/**
+ * Get a single template
+ */
+const getTemplate = async (req, res) => {
+  return res.status(200).json({
+    template: formatTemplate(req.template), // Attached by ownership middleware
+  });
+};
+
+/**
+ * Create a template for all properties or a single property, in one language
+ * (tenants who prefer another language get that language's template or the default)
+ */
+const createTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { type, propertyId, subject, body, language = DEFAULT_LANGUAGE } = req.body;
+
+    if (!['sms', 'email'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be either "sms" or "email"' });
+    }
+
+    if (!validateLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE_ERROR });
+    }
+
+    const validationError = validateTemplateFields({ type, body, subject });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (propertyId) {
+      if (!validateObjectId(propertyId)) {
+        return res.status(400).json({ error: 'Invalid property ID format' });
+      }
+
+      const property = await Property.findOne({ _id: propertyId, userId, deletedAt: null });
+      if (!property) {
+        return res.status(404).json({
+          error: 'Property not found or you do not have permission to access it',
+        });
+      }
+    }
+
+    const template = await ReminderTemplate.create({
+      userId,
+      propertyId: propertyId || null,
+      type,
+      subject: type === 'email' && subject ? subject.trim() : null,
+      body: body.trim(),
+      language,
+    });
+
+    logger.info(`Reminder template created: ${template._id} (${type}) by user: ${userId}`);
+
+    return res.status(201).json({
+      message: 'Template created successfully',
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    logger.error('Create template error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({
+        error: 'A template of this type and language already exists for this property. Update it instead.',
+      });
+    }
+
+    return res.status(500).json({ error: 'Failed to create template' });
+  }
+};
+
+/**
+ * Update a template's subject and body
+ */
+const updateTemplate = async (req, res) => {
+  try {
+    const template = req.template; // Attached by ownership middleware
+    const { subject, body } = req.body;
+
+    const validationError = validateTemplateFields({
+      type: template.type,
+      body: body !== undefined ? body : template.body,
+      subject,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    if (body !== undefined) template.body = body.trim();
+    if (subject !== undefined) template.subject = subject ? subject.trim() : null;
+
+    await template.save();
+
+    logger.info(`Reminder template updated: ${template._id}`);
+
+    return res.status(200).json({
+      message: 'Template updated successfully',
+      template: formatTemplate(template),
+    });
+  } catch (error) {
+    logger.error('Update template error:', error);
+    return res.status(500).json({ error: 'Failed to update template' });
+  }
+};
+
+/**
+ * Delete a template (reminders fall back to the landlord-wide or default template)
+ */
+const deleteTemplate = async (req, res) => {
+  try {
+    const template = req.template; // Attached by ownership middleware
+
+    await template.deleteOne();
+
+    logger.info(`Reminder template deleted: ${template._id}`);
+
+    return res.status(200).json({
+      message: 'Template deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete template error:', error);
+    return res.status(500).json({ error: 'Failed to delete template' });
+  }
+};
+
+/**
+ * Preview a reminder for a real tenant
+ * Renders the draft in the request body, a saved template (templateId),
+ * or whatever template the tenant would get today if neither is given
+ */
+const previewTemplate = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { tenantId, templateId, type, subject, body, month } = req.body;
+    let { language } = req.body;
+
+    if (!validateObjectId(tenantId)) {
+      return res.status(400).json({ error: 'A valid tenant ID is required' });
+    }
+
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({ error: 'Month must be in YYYY-MM format' });
+    }
+
+    if (language && !validateLanguage(language)) {
+      return res.status(400).json({ error: INVALID_LANGUAGE_ERROR });
+    }
+
+    let template;
+    let method = type;
+
+    if (body !== undefined) {
+      if (!['sms', 'email'].includes(type)) {
+        return res.status(400).json({ error: 'Type must be either "sms" or "email"' });
+      }
+
+      const validationError = validateTemplateFields({ type, body, subject });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      template = { body, subject: subject || null };
+    } else if (templateId) {
+      if (!validateObjectId(templateId)) {
+        return res.status(400).json({ error: 'Invalid template ID format' });
+      }
+
+      template = await ReminderTemplate.findOne({ _id: templateId, userId });
+      if (!template) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      method = template.type;
+      // Render a saved template in the language it is written in
+      language = language || template.language;
+    } else if (!['sms', 'email'].includes(type)) {
+      return res.status(400).json({ error: 'Type must be either "sms" or "email"' });
+    }
+
+    const tenant = await Tenant.findOne({
+      _id: tenantId,
+      userId,
+      deletedAt: null,
+    }).populate('propertyId', 'name');
+
+    if (!tenant) {
+      return res.status(404).json({
+        error: 'Tenant not found or you do not have permission to access it',
+      });
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const rendered = await renderReminder({
+      tenant,
+      user,
+      method,
+      month: month || getCurrentMonth(),
+      template,
+      language,
+    });
+
+    const preview = { type: method, ...rendered };
+    if (method === 'sms') {
+      preview.length = rendered.message.length;
+      preview.smsCount = rendered.message.length <= 160 ? 1 : Math.ceil(rendered.message.length / 153);
+    }
+
+    return res.status(200).json({ preview });
+  } catch (error) {
+    logger.error('Preview template error:', error);
+    return res.status(500).json({ error: 'Failed to preview template' });
+  }
+};
+
+module.exports = {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+};
\ No newline at end of file
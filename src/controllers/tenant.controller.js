@@ -1,33 +1,142 @@
 const Tenant = require('../models/tenant.model');
 const Property = require('../models/property.model');
 const EventLog = require('../models/eventlog.model');
+const RentPeriod = require('../models/rentperiod.model');
+const Payment = require('../models/payment.model');
+const Lease = require('../models/lease.model');
+const Unit = require('../models/unit.model');
 const logger = require('../utils/logger');
+const { getCurrentMonth, formatCurrency } = require('../utils/formatters');
+const {
+  getPeriodMap,
+  syncCurrentPeriod,
+  setPeriodStatus,
+  recordPayment,
+  getBalanceMap,
+  buildStatusCondition,
+  formatPeriod,
+  formatPayment,
+} = require('../services/rentPeriod.service');
+const { formatLease } = require('../services/lease.service');
+const { parseDeposit, formatDeposit } = require('../services/deposit.service');
+const { formatMove } = require('../services/transfer.service');
+const {
+  EXPORT_FORMATS,
+  TENANT_EXPORT_COLUMNS,
+  createRowWriter,
+} = require('../services/export.service');
+const {
+  findOrCreateUnit,
+  occupyUnit,
+  vacateUnit,
+  assignTenantToUnit,
+  saveMovedTenant,
+  getUnavailableReason,
+} = require('../services/unit.service');
 const {
   validateTenantName,
-  validateUgandaPhone,
   validateEmail,
   validateUnitNumber,
   validateRentAmount,
+  validatePaymentAmount,
+  validatePaymentMethod,
+  validateLanguage,
   validateDueDate,
+  validateBillingFrequency,
+  validateObjectId,
   sanitizeString,
 } = require('../utils/validators');
+const { normalizePhone, getInvalidPhoneMessage } = require('../utils/phoneUtils');
+const { getPropertyCountry } = require('../services/country.service');
+
+/**
+ * Find a unit in a property by id
+ * @returns {Promise<Object|null>} - Unit, or null if it isn't in the property
+ */
+const findPropertyUnit = (propertyId, unitId) => {
+  if (!validateObjectId(unitId)) return null;
+  return Unit.findOne({ _id: unitId, propertyId, deletedAt: null });
+};
+
+/**
+ * Parse a billing anchor date from the request body
+ * @returns {Date|null} - Date, or null if invalid
+ */
+const parseAnchorDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Build the tenant query for list filters (propertyId, status)
+ * Status lives on the current month's rent period, not the tenant
+ * @param {string} userId - Landlord
+ * @param {Object} filters - Request query
+ * @returns {Promise<Object>} - Tenant query
+ */
+const buildTenantQuery = async (userId, { propertyId, status }) => {
+  const query = {
+    userId,
+    deletedAt: null,
+  };
+
+  if (propertyId) {
+    query.propertyId = propertyId;
+  }
+
+  if (status && ['paid', 'partial', 'unpaid'].includes(status)) {
+    query._id = await buildStatusCondition({ userId }, status);
+  }
+
+  return query;
+};
 
 // Create tenant
 const createTenant = async (req, res) => {
   try {
-    const { propertyId, name, phone, email, unitNumber, rentAmount, dueDate } = req.body;
+    const {
+      propertyId,
+      name,
+      phone,
+      email,
+      unitId,
+      dueDate,
+      preferredLanguage,
+      billingFrequency,
+      billingAnchorDate,
+      deposit,
+    } = req.body;
+    let { unitNumber, rentAmount } = req.body;
     const userId = req.user.userId;
 
-    // Validate required fields
-    if (!propertyId || !name || !phone || !unitNumber || !rentAmount || !dueDate) {
+    // Validate required fields (a unitId stands in for unitNumber, and its default rent for rentAmount)
+    if (!propertyId || !name || !phone || !(unitNumber || unitId) || !(rentAmount || unitId) || !dueDate) {
       return res.status(400).json({
-        error: 'Missing required fields: propertyId, name, phone, unitNumber, rentAmount, dueDate',
+        error: 'Missing required fields: propertyId, name, phone, unitNumber (or unitId), rentAmount, dueDate',
       });
     }
 
     // Validate property ownership (done by middleware, property attached to req)
     const property = req.property;
 
+    let unit = null;
+    if (unitId) {
+      unit = await findPropertyUnit(property._id, unitId);
+      if (!unit) {
+        return res.status(404).json({
+          error: 'Unit not found in this property',
+        });
+      }
+      unitNumber = unit.number;
+      rentAmount = rentAmount || unit.defaultRent;
+
+      if (!rentAmount) {
+        return res.status(400).json({
+          error: `Unit ${unit.number} has no default rent; rentAmount is required`,
+        });
+      }
+    }
+
     // Validate inputs
     if (!validateTenantName(name)) {
       return res.status(400).json({
@@ -35,9 +144,12 @@ const createTenant = async (req, res) => {
       });
     }
 
-    if (!validateUgandaPhone(phone)) {
+    // Local numbers are read in the property's country
+    const country = await getPropertyCountry(property);
+    const normalizedPhone = normalizePhone(phone, country);
+    if (!normalizedPhone) {
       return res.status(400).json({
-        error: 'Phone number must be in Uganda format: +256XXXXXXXXX',
+        error: getInvalidPhoneMessage(country),
       });
     }
 
@@ -65,6 +177,35 @@ const createTenant = async (req, res) => {
       });
     }
 
+    if (preferredLanguage && !validateLanguage(preferredLanguage)) {
+      return res.status(400).json({
+        error: 'Preferred language must be one of: en, lg, sw, nyn',
+      });
+    }
+
+    if (billingFrequency && !validateBillingFrequency(billingFrequency)) {
+      return res.status(400).json({
+        error: 'Billing frequency must be one of: monthly, quarterly, semiannual, annual',
+      });
+    }
+
+    const anchorDate = billingAnchorDate ? parseAnchorDate(billingAnchorDate) : new Date();
+    if (!anchorDate) {
+      return res.status(400).json({
+        error: 'Billing anchor date must be a valid date',
+      });
+    }
+
+    // Deposit taken at move-in (optional)
+    let parsedDeposit;
+    if (deposit) {
+      const result = parseDeposit(deposit);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      parsedDeposit = result.deposit;
+    }
+
     // Check for duplicate unit number in same property
     const existingTenant = await Tenant.findOne({
       propertyId: property._id,
@@ -78,18 +219,44 @@ const createTenant = async (req, res) => {
       });
     }
 
-    // Create tenant
-    const tenant = await Tenant.create({
-      userId,
-      propertyId: property._id,
-      name: sanitizeString(name),
-      phone,
-      email: email ? sanitizeString(email) : null,
-      unitNumber: sanitizeString(unitNumber),
-      rentAmount: Number(rentAmount),
-      dueDate: Number(dueDate),
-      status: 'unpaid',
-    });
+    // Units picked by number are added to the property if it doesn't have them yet
+    if (!unit) {
+      unit = await findOrCreateUnit(userId, property._id, sanitizeString(unitNumber), {
+        defaultRent: Number(rentAmount),
+      });
+    }
+
+    if (!(await occupyUnit(unit))) {
+      return res.status(409).json({
+        error: getUnavailableReason(unit),
+      });
+    }
+
+    // Create tenant (the unit is freed again if this fails)
+    let tenant;
+    try {
+      tenant = await Tenant.create({
+        userId,
+        propertyId: property._id,
+        name: sanitizeString(name),
+        phone: normalizedPhone,
+        email: email ? sanitizeString(email) : null,
+        unitId: unit._id,
+        unitNumber: unit.number,
+        rentAmount: Number(rentAmount),
+        dueDate: Number(dueDate),
+        ...(preferredLanguage && { preferredLanguage }),
+        ...(billingFrequency && { billingFrequency }),
+        billingAnchorDate: anchorDate,
+        ...(parsedDeposit && { deposit: parsedDeposit }),
+      });
+    } catch (error) {
+      await vacateUnit(unit._id);
+      throw error;
+    }
+
+    // Open the tenant's ledger for the current billing cycle
+    const period = await RentPeriod.findOrCreateForTenant(tenant, getCurrentMonth());
 
     // Log event
     await EventLog.logEvent(userId, 'TENANT_ADDED');
@@ -104,10 +271,16 @@ const createTenant = async (req, res) => {
         name: tenant.name,
         phone: tenant.phone,
         email: tenant.email,
+        unitId: tenant.unitId,
         unitNumber: tenant.unitNumber,
         rentAmount: tenant.rentAmount,
         dueDate: tenant.dueDate,
-        status: tenant.status,
+        preferredLanguage: tenant.preferredLanguage,
+        billingFrequency: tenant.billingFrequency,
+        billingAnchorDate: tenant.billingAnchorDate,
+        status: period.status,
+        currentPeriod: formatPeriod(period),
+        deposit: formatDeposit(tenant.deposit),
         createdAt: tenant.createdAt,
       },
     });
@@ -121,21 +294,9 @@ const createTenant = async (req, res) => {
 const getTenants = async (req, res) => {
   try {
     const userId = req.user.userId;
-    const { propertyId, status, page = 1, limit = 50 } = req.query;
-
-    // Build query
-    const query = {
-      userId,
-      deletedAt: null,
-    };
-
-    if (propertyId) {
-      query.propertyId = propertyId;
-    }
+    const { page = 1, limit = 50 } = req.query;
 
-    if (status && ['paid', 'unpaid'].includes(status)) {
-      query.status = status;
-    }
+    const query = await buildTenantQuery(userId, req.query);
 
     // Pagination
     const skip = (Number(page) - 1) * Number(limit);
@@ -150,6 +311,11 @@ const getTenants = async (req, res) => {
       Tenant.countDocuments(query),
     ]);
 
+    const [periods, balances] = await Promise.all([
+      getPeriodMap(tenants),
+      getBalanceMap(tenants),
+    ]);
+
     return res.status(200).json({
       tenants: tenants.map(tenant => ({
         id: tenant._id,
@@ -158,10 +324,16 @@ const getTenants = async (req, res) => {
         name: tenant.name,
         phone: tenant.phone,
         email: tenant.email,
+        unitId: tenant.unitId,
         unitNumber: tenant.unitNumber,
         rentAmount: tenant.rentAmount,
         dueDate: tenant.dueDate,
-        status: tenant.status,
+        preferredLanguage: tenant.preferredLanguage,
+        billingFrequency: tenant.billingFrequency,
+        billingAnchorDate: tenant.billingAnchorDate,
+        status: periods.get(tenant._id.toString())?.status || 'unpaid',
+        currentPeriod: formatPeriod(periods.get(tenant._id.toString())),
+        balance: balances.get(tenant._id.toString()),
         lastReminderSentAt: tenant.lastReminderSentAt,
         createdAt: tenant.createdAt,
       })),
@@ -178,6 +350,91 @@ const getTenants = async (req, res) => {
   }
 };
 
+// Export tenants as CSV or XLSX (same filters as getTenants), streamed in batches
+const exportTenants = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const format = req.query.format || 'csv';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: 'Format must be either "csv" or "xlsx"',
+      });
+    }
+
+    const query = await buildTenantQuery(userId, req.query);
+    const cursor = Tenant.find(query)
+      .sort({ createdAt: -1 })
+      .populate('propertyId', 'name')
+      .cursor();
+
+    const writer = createRowWriter(res, format, `tenants-${new Date().toISOString().slice(0, 10)}`, TENANT_EXPORT_COLUMNS);
+
+    let exported = 0;
+    // Resolves to false once the client has closed the download
+    const writeBatch = async (tenants) => {
+      const [periods, balances] = await Promise.all([
+        getPeriodMap(tenants),
+        getBalanceMap(tenants),
+      ]);
+
+      for (const tenant of tenants) {
+        const id = tenant._id.toString();
+        const written = await writer.addRow({
+          name: tenant.name,
+          phone: tenant.phone,
+          email: tenant.email,
+          unitNumber: tenant.unitNumber,
+          rentAmount: tenant.rentAmount,
+          dueDate: tenant.dueDate,
+          language: tenant.preferredLanguage,
+          propertyName: tenant.propertyId?.name,
+          status: periods.get(id)?.status || 'unpaid',
+          lastReminderSentAt: tenant.lastReminderSentAt,
+          balance: balances.get(id).outstanding,
+        });
+        if (!written) return false;
+        exported++;
+      }
+      return true;
+    };
+
+    let aborted = false;
+    try {
+      let batch = [];
+      for await (const tenant of cursor) {
+        batch.push(tenant);
+        if (batch.length >= 200) {
+          aborted = !(await writeBatch(batch));
+          if (aborted) break;
+          batch = [];
+        }
+      }
+      if (!aborted && batch.length > 0) {
+        aborted = !(await writeBatch(batch));
+      }
+    } finally {
+      await cursor.close();
+    }
+
+    if (aborted) {
+      logger.info(`Tenant export cancelled by client after ${exported} rows (user: ${userId})`);
+      return;
+    }
+
+    await writer.end();
+
+    logger.info(`Tenants exported: ${exported} as ${format} by user: ${userId}`);
+  } catch (error) {
+    logger.error('Export tenants error:', error);
+    // Headers are gone once rows have been streamed - all we can do is cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    return res.status(500).json({ error: 'Failed to export tenants' });
+  }
+};
+
 // Get single tenant
 const getTenant = async (req, res) => {
   try {
@@ -186,6 +443,16 @@ const getTenant = async (req, res) => {
     // Populate property
     await tenant.populate('propertyId', 'name address');
 
+    // Current period (null until rollover opens it) plus recent history from the ledger
+    const [periods, history, balances, lease] = await Promise.all([
+      getPeriodMap([tenant]),
+      RentPeriod.find({ tenantId: tenant._id })
+        .sort({ month: -1 })
+        .limit(12),
+      getBalanceMap([tenant]),
+      Lease.findCurrentForTenant(tenant._id),
+    ]);
+
     return res.status(200).json({
       tenant: {
         id: tenant._id,
@@ -194,10 +461,20 @@ const getTenant = async (req, res) => {
         name: tenant.name,
         phone: tenant.phone,
         email: tenant.email,
+        unitId: tenant.unitId,
         unitNumber: tenant.unitNumber,
         rentAmount: tenant.rentAmount,
         dueDate: tenant.dueDate,
-        status: tenant.status,
+        preferredLanguage: tenant.preferredLanguage,
+        billingFrequency: tenant.billingFrequency,
+        billingAnchorDate: tenant.billingAnchorDate,
+        status: periods.get(tenant._id.toString())?.status || 'unpaid',
+        currentPeriod: formatPeriod(periods.get(tenant._id.toString())),
+        periods: history.map(formatPeriod),
+        balance: balances.get(tenant._id.toString()),
+        lease: formatLease(lease),
+        deposit: formatDeposit(tenant.deposit),
+        moveHistory: tenant.moveHistory.map(formatMove),
         lastReminderSentAt: tenant.lastReminderSentAt,
         createdAt: tenant.createdAt,
       },
@@ -212,7 +489,18 @@ const getTenant = async (req, res) => {
 const updateTenant = async (req, res) => {
   try {
     const tenant = req.tenant; // Attached by ownership middleware
-    const { name, phone, email, unitNumber, rentAmount, dueDate } = req.body;
+    const {
+      name,
+      phone,
+      email,
+      unitId,
+      unitNumber,
+      rentAmount,
+      dueDate,
+      preferredLanguage,
+      billingFrequency,
+      billingAnchorDate,
+    } = req.body;
 
     // Validate and update fields
     if (name) {
@@ -225,12 +513,15 @@ const updateTenant = async (req, res) => {
     }
 
     if (phone) {
-      if (!validateUgandaPhone(phone)) {
+      const property = await Property.findById(tenant.propertyId);
+      const country = await getPropertyCountry(property);
+      const normalizedPhone = normalizePhone(phone, country);
+      if (!normalizedPhone) {
         return res.status(400).json({
-          error: 'Phone number must be in Uganda format: +256XXXXXXXXX',
+          error: getInvalidPhoneMessage(country),
         });
       }
-      tenant.phone = phone;
+      tenant.phone = normalizedPhone;
     }
 
     if (email !== undefined) {
@@ -242,7 +533,16 @@ const updateTenant = async (req, res) => {
       tenant.email = email ? sanitizeString(email) : null;
     }
 
-    if (unitNumber) {
+    // Unit to move the tenant into (assigned once everything else is valid)
+    let newUnit = null;
+    if (unitId) {
+      newUnit = await findPropertyUnit(tenant.propertyId, unitId);
+      if (!newUnit) {
+        return res.status(404).json({
+          error: 'Unit not found in this property',
+        });
+      }
+    } else if (unitNumber) {
       if (!validateUnitNumber(unitNumber)) {
         return res.status(400).json({
           error: 'Unit number must be between 1 and 20 characters',
@@ -263,7 +563,11 @@ const updateTenant = async (req, res) => {
         });
       }
 
-      tenant.unitNumber = sanitizeString(unitNumber);
+      if (sanitizeString(unitNumber) !== tenant.unitNumber || !tenant.unitId) {
+        newUnit = await findOrCreateUnit(tenant.userId, tenant.propertyId, sanitizeString(unitNumber), {
+          defaultRent: tenant.rentAmount,
+        });
+      }
     }
 
     if (rentAmount) {
@@ -284,7 +588,50 @@ const updateTenant = async (req, res) => {
       tenant.dueDate = Number(dueDate);
     }
 
-    await tenant.save();
+    if (preferredLanguage) {
+      if (!validateLanguage(preferredLanguage)) {
+        return res.status(400).json({
+          error: 'Preferred language must be one of: en, lg, sw, nyn',
+        });
+      }
+      tenant.preferredLanguage = preferredLanguage;
+    }
+
+    if (billingFrequency) {
+      if (!validateBillingFrequency(billingFrequency)) {
+        return res.status(400).json({
+          error: 'Billing frequency must be one of: monthly, quarterly, semiannual, annual',
+        });
+      }
+      tenant.billingFrequency = billingFrequency;
+    }
+
+    if (billingAnchorDate) {
+      const anchorDate = parseAnchorDate(billingAnchorDate);
+      if (!anchorDate) {
+        return res.status(400).json({
+          error: 'Billing anchor date must be a valid date',
+        });
+      }
+      tenant.billingAnchorDate = anchorDate;
+    }
+
+    const previousUnitId = tenant.unitId;
+    if (newUnit && !(await assignTenantToUnit(tenant, newUnit))) {
+      return res.status(409).json({
+        error: getUnavailableReason(newUnit),
+      });
+    }
+
+    const billingChanged = ['rentAmount', 'dueDate', 'billingFrequency', 'billingAnchorDate']
+      .some(field => tenant.isModified(field));
+
+    await saveMovedTenant(tenant, previousUnitId);
+
+    // Carry the new terms into the current period if it hasn't been paid yet
+    if (billingChanged) {
+      await syncCurrentPeriod(tenant);
+    }
 
     logger.info(`Tenant updated: ${tenant._id}`);
 
@@ -295,10 +642,13 @@ const updateTenant = async (req, res) => {
         name: tenant.name,
         phone: tenant.phone,
         email: tenant.email,
+        unitId: tenant.unitId,
         unitNumber: tenant.unitNumber,
         rentAmount: tenant.rentAmount,
         dueDate: tenant.dueDate,
-        status: tenant.status,
+        preferredLanguage: tenant.preferredLanguage,
+        billingFrequency: tenant.billingFrequency,
+        billingAnchorDate: tenant.billingAnchorDate,
       },
     });
   } catch (error) {
@@ -307,11 +657,11 @@ const updateTenant = async (req, res) => {
   }
 };
 
-// Update tenant status (Paid/Unpaid toggle)
+// Update tenant status (Paid/Unpaid toggle) for a rent period
 const updateTenantStatus = async (req, res) => {
   try {
     const tenant = req.tenant; // Attached by ownership middleware
-    const { status } = req.body;
+    const { status, month, method = 'cash' } = req.body;
 
     // Validate status
     if (!status || !['paid', 'unpaid'].includes(status)) {
@@ -320,20 +670,41 @@ const updateTenantStatus = async (req, res) => {
       });
     }
 
-    const oldStatus = tenant.status;
-    tenant.status = status;
-    await tenant.save();
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        error: 'Month must be in YYYY-MM format',
+      });
+    }
+
+    // Marking paid records a payment for the balance
+    if (status === 'paid' && !validatePaymentMethod(method)) {
+      return res.status(400).json({
+        error: 'Method must be one of: cash, mobile_money, bank',
+      });
+    }
+
+    const targetMonth = month || getCurrentMonth();
+    const period = await setPeriodStatus(tenant, status, targetMonth, method);
+    if (!period) {
+      return res.status(409).json({
+        error: 'Payments have been recorded for this period, so it cannot be marked unpaid',
+      });
+    }
 
     // Log event
-    await EventLog.logEvent(req.user.userId, 'RENT_STATUS_UPDATED');
+    await EventLog.logEvent(req.user.userId, 'RENT_STATUS_UPDATED', {
+      month: targetMonth,
+      status,
+    });
 
-    logger.info(`Tenant status updated: ${tenant._id} from ${oldStatus} to ${status}`);
+    logger.info(`Tenant status updated: ${tenant._id} set to ${status} for ${targetMonth}`);
 
     return res.status(200).json({
       message: 'Status updated successfully',
       tenant: {
         id: tenant._id,
-        status: tenant.status,
+        status: period.status,
+        period: formatPeriod(period),
         updatedAt: new Date(),
       },
     });
@@ -343,18 +714,124 @@ const updateTenantStatus = async (req, res) => {
   }
 };
 
+// Record a rent payment (full or partial)
+const createPayment = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const { amount, paidAt, method, reference } = req.body;
+
+    if (!validatePaymentAmount(amount)) {
+      return res.status(400).json({
+        error: 'Amount must be a whole number of at least 1 (UGX)',
+      });
+    }
+
+    if (!validatePaymentMethod(method)) {
+      return res.status(400).json({
+        error: 'Method must be one of: cash, mobile_money, bank',
+      });
+    }
+
+    const paymentDate = paidAt ? new Date(paidAt) : new Date();
+    if (isNaN(paymentDate.getTime()) || paymentDate > new Date()) {
+      return res.status(400).json({
+        error: 'Payment date must be a valid date that is not in the future',
+      });
+    }
+
+    if (reference && String(reference).length > 100) {
+      return res.status(400).json({
+        error: 'Reference must be at most 100 characters',
+      });
+    }
+
+    const payment = await recordPayment(tenant, {
+      amount: Number(amount),
+      paidAt: paymentDate,
+      method,
+      reference: reference ? sanitizeString(String(reference)) : null,
+    });
+
+    const balances = await getBalanceMap([tenant]);
+
+    // Log event
+    await EventLog.logEvent(req.user.userId, 'PAYMENT_RECORDED', {
+      amount: payment.amount,
+      method: payment.method,
+    });
+
+    logger.info(`Payment recorded: ${payment._id} of ${payment.amount} for tenant ${tenant._id}`);
+
+    return res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: formatPayment(payment),
+      balance: balances.get(tenant._id.toString()),
+    });
+  } catch (error) {
+    logger.error('Create payment error:', error);
+    return res.status(500).json({ error: 'Failed to record payment' });
+  }
+};
+
+// Get payment history for a tenant
+const getPayments = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const { page = 1, limit = 50 } = req.query;
+
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [payments, total, totalPaid, balances] = await Promise.all([
+      Payment.find({ tenantId: tenant._id })
+        .sort({ paidAt: -1 })
+        .skip(skip)
+        .limit(Number(limit)),
+      Payment.countDocuments({ tenantId: tenant._id }),
+      Payment.getTotalForTenant(tenant._id),
+      getBalanceMap([tenant]),
+    ]);
+
+    return res.status(200).json({
+      payments: payments.map(formatPayment),
+      totalPaid,
+      balance: balances.get(tenant._id.toString()),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error('Get payments error:', error);
+    return res.status(500).json({ error: 'Failed to fetch payments' });
+  }
+};
+
 // Delete tenant (soft delete)
 const deleteTenant = async (req, res) => {
   try {
     const tenant = req.tenant; // Attached by ownership middleware
 
-    // Soft delete
+    // Deposits should be settled at move-out - warn, but delete anyway
+    const unsettledDeposit = tenant.hasUnsettledDeposit();
+
+    // Soft delete and free the unit
     await tenant.softDelete();
+    await vacateUnit(tenant.unitId);
 
-    logger.info(`Tenant deleted: ${tenant._id}`);
+    if (unsettledDeposit) {
+      logger.warn(`Tenant deleted with unsettled deposit: ${tenant._id} (${tenant.deposit.amount})`);
+    } else {
+      logger.info(`Tenant deleted: ${tenant._id}`);
+    }
 
     return res.status(200).json({
       message: 'Tenant deleted successfully',
+      ...(unsettledDeposit && {
+        warning: `Deposit of ${formatCurrency(tenant.deposit.amount)} was not settled`,
+        deposit: formatDeposit(tenant.deposit),
+      }),
     });
   } catch (error) {
     logger.error('Delete tenant error:', error);
@@ -365,8 +842,11 @@ const deleteTenant = async (req, res) => {
 module.exports = {
   createTenant,
   getTenants,
+  exportTenants,
   getTenant,
   updateTenant,
   updateTenantStatus,
+  createPayment,
+  getPayments,
   deleteTenant,
 };
\ No newline at end of file
@@ -0,0 +1,246 @@
+const Tenant = require('../models/tenant.model');
+const Property = require('../models/property.model');
+const Unit = require('../models/unit.model');
+const EventLog = require('../models/eventlog.model');
+const logger = require('../utils/logger');
+const { findOrCreateUnit, getUnavailableReason } = require('../services/unit.service');
+const { transferTenant: moveTenant, formatMove } = require('../services/transfer.service');
+const {
+  validateObjectId,
+  validateUnitNumber,
+  sanitizeString,
+} = require('../utils/validators');
+
+const MAX_BULK_TRANSFERS = 100;
+
+/**
+ * Work out where a tenant is moving to
+ * Defaults to the tenant's own property and, across properties, the same unit number
+ * @param {Object} tenant - Tenant document
+ * @param {Object} target - { propertyId, unitId, unitNumber }
+ * @param {string} userId - Landlord making the move
+ * @returns {Promise<Object>} - { status, error } or { property, unit }
+ */
+const resolveTransferTarget = async (tenant, { propertyId, unitId, unitNumber }, userId) => {
+  if (propertyId && !validateObjectId(propertyId)) {
+    return { status: 400, error: 'Invalid property ID format' };
+  }
+
+  const property = await Property.findOne({
+    _id: propertyId || tenant.propertyId,
+    userId,
+    deletedAt: null,
+  });
+  if (!property) {
+    return { status: 404, error: 'Property not found or you do not have permission to access it' };
+  }
+
+  let unit;
+  if (unitId) {
+    if (!validateObjectId(unitId)) {
+      return { status: 400, error: 'Invalid unit ID format' };
+    }
+    unit = await Unit.findOne({ _id: unitId, propertyId: property._id, deletedAt: null });
+    if (!unit) {
+      return { status: 404, error: 'Unit not found in this property' };
+    }
+  } else {
+    const number = unitNumber ? sanitizeString(String(unitNumber)) : tenant.unitNumber;
+    if (!validateUnitNumber(number)) {
+      return { status: 400, error: 'Unit number must be between 1 and 20 characters' };
+    }
+    unit = await Unit.findByNumber(property._id, number);
+    if (!unit) {
+      unit = { number };
+    }
+  }
+
+  const samePlace = property._id.equals(tenant.propertyId) && unit.number === tenant.unitNumber;
+  if (samePlace) {
+    return { status: 400, error: `Tenant is already in unit ${unit.number} of this property` };
+  }
+
+  // Same duplicate check as createTenant
+  const existingTenant = await Tenant.findOne({
+    propertyId: property._id,
+    unitNumber: unit.number,
+    deletedAt: null,
+    _id: { $ne: tenant._id },
+  });
+  if (existingTenant) {
+    return { status: 409, error: `Unit ${unit.number} is already occupied in this property` };
+  }
+
+  if (!unit._id) {
+    unit = await findOrCreateUnit(userId, property._id, unit.number, {
+      defaultRent: tenant.rentAmount,
+    });
+  }
+
+  return { property, unit };
+};
+
+/**
+ * Validate a transfer reason
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateReason = (reason) => {
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 200)) {
+    return 'Reason must be text of at most 200 characters';
+  }
+  return null;
+};
+
+/**
+ * Move one tenant and log the event
+ * @returns {Promise<Object>} - { status, error } or { tenant, property }
+ */
+const runTransfer = async (tenant, target, { userId, reason }) => {
+  const { status, error, property, unit } = await resolveTransferTarget(tenant, target, userId);
+  if (error) {
+    return { status, error };
+  }
+
+  const fromPropertyId = tenant.propertyId;
+  const moved = await moveTenant(tenant, property, unit, {
+    userId,
+    reason: reason ? sanitizeString(reason) : null,
+  });
+  if (!moved) {
+    return { status: 409, error: getUnavailableReason(unit) };
+  }
+
+  await EventLog.logEvent(userId, 'TENANT_TRANSFERRED', {
+    tenantId: tenant._id,
+    fromPropertyId,
+    toPropertyId: property._id,
+    toUnitNumber: unit.number,
+  });
+
+  return { tenant: moved, property };
+};
+
+/**
+ * Format a transferred tenant for API responses
+ */
+const formatTransferredTenant = (tenant, property) => ({
+  id: tenant._id,
+  name: tenant.name,
+  propertyId: property._id,
+  propertyName: property.name,
+  unitId: tenant.unitId,
+  unitNumber: tenant.unitNumber,
+  move: formatMove(tenant.moveHistory[tenant.moveHistory.length - 1]),
+});
+
+// Move a tenant to another unit or property
+const transferTenant = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const userId = req.user.userId;
+    const { propertyId, unitId, unitNumber, reason } = req.body;
+
+    if (!propertyId && !unitId && !unitNumber) {
+      return res.status(400).json({
+        error: 'Provide a propertyId, unitId or unitNumber to move the tenant to',
+      });
+    }
+
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const result = await runTransfer(tenant, { propertyId, unitId, unitNumber }, { userId, reason });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    return res.status(200).json({
+      message: 'Tenant moved successfully',
+      tenant: formatTransferredTenant(result.tenant, result.property),
+    });
+  } catch (error) {
+    logger.error('Transfer tenant error:', error);
+    return res.status(500).json({ error: 'Failed to move tenant' });
+  }
+};
+
+// Move several tenants; each entry succeeds or fails on its own
+const bulkTransferTenants = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { propertyId, transfers, reason } = req.body;
+
+    if (!Array.isArray(transfers) || transfers.length === 0) {
+      return res.status(400).json({
+        error: 'transfers must be a non-empty array of { tenantId, propertyId?, unitId?, unitNumber? }',
+      });
+    }
+
+    if (transfers.length > MAX_BULK_TRANSFERS) {
+      return res.status(400).json({
+        error: `Maximum ${MAX_BULK_TRANSFERS} tenants can be moved at once`,
+      });
+    }
+
+    const reasonError = validateReason(reason);
+    if (reasonError) {
+      return res.status(400).json({ error: reasonError });
+    }
+
+    const transferred = [];
+    const failed = [];
+
+    // Sequential, so tenants moving into the same property see each other's units
+    for (const [index, transfer] of transfers.entries()) {
+      const { tenantId, unitId, unitNumber } = transfer || {};
+      const fail = (error) => failed.push({ index, tenantId, error });
+
+      if (!validateObjectId(tenantId)) {
+        fail('Invalid tenant ID format');
+        continue;
+      }
+
+      try {
+        const tenant = await Tenant.findOne({ _id: tenantId, userId, deletedAt: null });
+        if (!tenant) {
+          fail('Tenant not found or you do not have permission to access it');
+          continue;
+        }
+
+        const result = await runTransfer(tenant, {
+          propertyId: transfer.propertyId || propertyId,
+          unitId,
+          unitNumber,
+        }, { userId, reason });
+
+        if (result.error) {
+          fail(result.error);
+          continue;
+        }
+
+        transferred.push(formatTransferredTenant(result.tenant, result.property));
+      } catch (error) {
+        logger.error(`Bulk transfer error for tenant ${tenantId}:`, error);
+        fail('Failed to move tenant');
+      }
+    }
+
+    logger.info(`Bulk transfer: ${transferred.length} moved, ${failed.length} failed by user: ${userId}`);
+
+    return res.status(200).json({
+      message: `Moved ${transferred.length} of ${transfers.length} tenants`,
+      transferred,
+      failed,
+    });
+  } catch (error) {
+    logger.error('Bulk transfer error:', error);
+    return res.status(500).json({ error: 'Failed to move tenants' });
+  }
+};
+
+module.exports = {
+  transferTenant,
+  bulkTransferTenants,
+};
\ No newline at end of file
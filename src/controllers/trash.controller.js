@@ -0,0 +1,226 @@
+const Tenant = require('../models/tenant.model');
+const Property = require('../models/property.model');
+const Unit = require('../models/unit.model');
+const RentPeriod = require('../models/rentperiod.model');
+const EventLog = require('../models/eventlog.model');
+const logger = require('../utils/logger');
+const { getCurrentMonth } = require('../utils/formatters');
+const { getRetentionDays, getPurgeDate } = require('../services/trash.service');
+const {
+  findOrCreateUnit,
+  occupyUnit,
+  getUnavailableReason,
+} = require('../services/unit.service');
+
+// Get tenants in the trash
+const getTrashedTenants = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { propertyId, page = 1, limit = 50 } = req.query;
+
+    const query = {
+      userId,
+      deletedAt: { $ne: null },
+    };
+
+    if (propertyId) {
+      query.propertyId = propertyId;
+    }
+
+    // Pagination
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const [tenants, total] = await Promise.all([
+      Tenant.find(query)
+        .sort({ deletedAt: -1 })
+        .skip(skip)
+        .limit(Number(limit))
+        .populate('propertyId', 'name deletedAt'),
+      Tenant.countDocuments(query),
+    ]);
+
+    return res.status(200).json({
+      tenants: tenants.map(tenant => ({
+        id: tenant._id,
+        propertyId: tenant.propertyId?._id || null,
+        propertyName: tenant.propertyId?.name || null,
+        // The property has to be restored before the tenant can be
+        propertyDeleted: !tenant.propertyId || tenant.propertyId.deletedAt !== null,
+        name: tenant.name,
+        phone: tenant.phone,
+        unitNumber: tenant.unitNumber,
+        rentAmount: tenant.rentAmount,
+        deletedAt: tenant.deletedAt,
+        purgeAt: getPurgeDate(tenant.deletedAt),
+      })),
+      retentionDays: getRetentionDays(),
+      pagination: {
+        total,
+        page: Number(page),
+        limit: Number(limit),
+        pages: Math.ceil(total / Number(limit)),
+      },
+    });
+  } catch (error) {
+    logger.error('Get trashed tenants error:', error);
+    return res.status(500).json({ error: 'Failed to fetch deleted tenants' });
+  }
+};
+
+// Get properties in the trash
+const getTrashedProperties = async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const properties = await Property.find({
+      userId,
+      deletedAt: { $ne: null },
+    }).sort({ deletedAt: -1 });
+
+    return res.status(200).json({
+      properties: properties.map(property => ({
+        id: property._id,
+        name: property.name,
+        address: property.address,
+        deletedAt: property.deletedAt,
+        purgeAt: getPurgeDate(property.deletedAt),
+      })),
+      total: properties.length,
+      retentionDays: getRetentionDays(),
+    });
+  } catch (error) {
+    logger.error('Get trashed properties error:', error);
+    return res.status(500).json({ error: 'Failed to fetch deleted properties' });
+  }
+};
+
+// Restore a tenant from the trash
+const restoreTenant = async (req, res) => {
+  try {
+    const tenant = req.tenant; // Attached by ownership middleware
+    const userId = req.user.userId;
+
+    const property = await Property.findOne({
+      _id: tenant.propertyId,
+      userId,
+      deletedAt: null,
+    });
+
+    if (!property) {
+      return res.status(409).json({
+        error: 'The tenant\'s property is deleted. Restore the property first',
+      });
+    }
+
+    // The unit may have been let to someone else since the tenant was deleted
+    const existingTenant = await Tenant.findOne({
+      propertyId: property._id,
+      unitNumber: tenant.unitNumber,
+      deletedAt: null,
+      _id: { $ne: tenant._id },
+    });
+
+    if (existingTenant) {
+      return res.status(409).json({
+        error: `Unit ${tenant.unitNumber} is already occupied in this property. Free the unit before restoring this tenant`,
+      });
+    }
+
+    let unit = tenant.unitId
+      ? await Unit.findOne({ _id: tenant.unitId, propertyId: property._id, deletedAt: null })
+      : null;
+
+    if (!unit) {
+      unit = await findOrCreateUnit(userId, property._id, tenant.unitNumber, {
+        defaultRent: tenant.rentAmount,
+      });
+    }
+
+    if (!(await occupyUnit(unit))) {
+      return res.status(409).json({
+        error: getUnavailableReason(unit),
+      });
+    }
+
+    tenant.unitId = unit._id;
+    tenant.unitNumber = unit.number;
+    await tenant.restore();
+
+    // Reopen the tenant's ledger for the current billing cycle
+    const period = await RentPeriod.findOrCreateForTenant(tenant, getCurrentMonth());
+
+    await EventLog.logEvent(userId, 'TENANT_RESTORED', {
+      tenantId: tenant._id,
+      propertyId: property._id,
+    });
+
+    logger.info(`Tenant restored: ${tenant._id} by user: ${userId}`);
+
+    return res.status(200).json({
+      message: 'Tenant restored successfully',
+      tenant: {
+        id: tenant._id,
+        propertyId: property._id,
+        propertyName: property.name,
+        name: tenant.name,
+        unitId: tenant.unitId,
+        unitNumber: tenant.unitNumber,
+        rentAmount: tenant.rentAmount,
+        status: period.status,
+      },
+    });
+  } catch (error) {
+    logger.error('Restore tenant error:', error);
+    return res.status(500).json({ error: 'Failed to restore tenant' });
+  }
+};
+
+// Restore a property from the trash (its tenants are restored one by one)
+const restoreProperty = async (req, res) => {
+  try {
+    const property = req.property; // Attached by ownership middleware
+    const userId = req.user.userId;
+    const { deletedAt } = property;
+
+    await property.restore();
+
+    // Bring back the units deleted along with the property
+    const units = await Unit.updateMany(
+      { propertyId: property._id, deletedAt },
+      { deletedAt: null }
+    );
+
+    const trashedTenants = await Tenant.countDocuments({
+      propertyId: property._id,
+      deletedAt: { $ne: null },
+    });
+
+    await EventLog.logEvent(userId, 'PROPERTY_RESTORED', {
+      propertyId: property._id,
+    });
+
+    logger.info(`Property restored: ${property._id} by user: ${userId}`);
+
+    return res.status(200).json({
+      message: 'Property restored successfully',
+      property: {
+        id: property._id,
+        name: property.name,
+        address: property.address,
+        createdAt: property.createdAt,
+      },
+      unitsRestored: units.modifiedCount,
+      trashedTenants,
+    });
+  } catch (error) {
+    logger.error('Restore property error:', error);
+    return res.status(500).json({ error: 'Failed to restore property' });
+  }
+};
+
+module.exports = {
+  getTrashedTenants,
+  getTrashedProperties,
+  restoreTenant,
+  restoreProperty,
+};
\ No newline at end of file
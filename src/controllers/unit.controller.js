@@ -0,0 +1,291 @@
+const Unit = require('../models/unit.model');
+const Tenant = require('../models/tenant.model');
+const logger = require('../utils/logger');
+const { getOccupancyMap, formatUnit } = require('../services/unit.service');
+const {
+  validateUnitNumber,
+  validateRentAmount,
+  sanitizeString,
+} = require('../utils/validators');
+
+/**
+ * Validate unit fields shared by create and update
+ * @returns {string|null} - Error message, or null if valid
+ */
+const validateUnitFields = ({ type, defaultRent, notes }) => {
+  if (type !== undefined && !Unit.UNIT_TYPES.includes(type)) {
+    return `Unit type must be one of: ${Unit.UNIT_TYPES.join(', ')}`;
+  }
+
+  if (defaultRent !== undefined && defaultRent !== null && !validateRentAmount(defaultRent)) {
+    return 'Default rent must be between 10,000 and 50,000,000 UGX';
+  }
+
+  if (notes && String(notes).length > 200) {
+    return 'Notes must be at most 200 characters';
+  }
+
+  return null;
+};
+
+/**
+ * Respond with a property's units (optionally filtered by status) and its occupancy
+ */
+const sendUnits = async (res, property, status) => {
+  const query = { propertyId: property._id, deletedAt: null };
+  if (status) {
+    query.status = status;
+  }
+
+  const [units, occupancy] = await Promise.all([
+    Unit.find(query).sort({ number: 1 }),
+    getOccupancyMap([property._id]),
+  ]);
+
+  // Tenant living in each occupied unit
+  const tenants = await Tenant.find({
+    unitId: { $in: units.map(u => u._id) },
+    deletedAt: null,
+  }).select('name unitId');
+  const tenantByUnit = new Map(tenants.map(t => [t.unitId.toString(), t]));
+
+  return res.status(200).json({
+    units: units.map(unit => {
+      const tenant = tenantByUnit.get(unit._id.toString());
+      return {
+        ...formatUnit(unit),
+        tenant: tenant ? { id: tenant._id, name: tenant.name } : null,
+      };
+    }),
+    total: units.length,
+    occupancy: occupancy.get(property._id.toString()),
+  });
+};
+
+// Get a property's units with its occupancy
+const getUnits = async (req, res) => {
+  try {
+    const property = req.property; // Attached by ownership middleware
+    const { status } = req.query;
+
+    if (status && !['occupied', 'vacant', 'maintenance'].includes(status)) {
+      return res.status(400).json({
+        error: 'Status must be one of: occupied, vacant, maintenance',
+      });
+    }
+
+    return await sendUnits(res, property, status);
+  } catch (error) {
+    logger.error('Get units error:', error);
+    return res.status(500).json({ error: 'Failed to fetch units' });
+  }
+};
+
+// Get a property's vacant units
+const getVacantUnits = async (req, res) => {
+  try {
+    return await sendUnits(res, req.property, 'vacant');
+  } catch (error) {
+    logger.error('Get vacant units error:', error);
+    return res.status(500).json({ error: 'Failed to fetch vacant units' });
+  }
+};
+
+// Add a unit to a property
+const createUnit = async (req, res) => {
+  try {
+    const property = req.property; // Attached by ownership middleware
+    const userId = req.user.userId;
+    const { number, type, defaultRent, status, notes } = req.body;
+
+    if (!validateUnitNumber(number)) {
+      return res.status(400).json({
+        error: 'Unit number must be between 1 and 20 characters',
+      });
+    }
+
+    const fieldError = validateUnitFields({ type, defaultRent, notes });
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // New units are vacant until a tenant is assigned
+    if (status !== undefined && !['vacant', 'maintenance'].includes(status)) {
+      return res.status(400).json({
+        error: 'A new unit can only be "vacant" or "maintenance"',
+      });
+    }
+
+    const existing = await Unit.findByNumber(property._id, sanitizeString(number));
+    if (existing) {
+      return res.status(409).json({
+        error: `Unit ${number} already exists in this property`,
+      });
+    }
+
+    const unit = await Unit.create({
+      userId,
+      propertyId: property._id,
+      number: sanitizeString(number),
+      ...(type && { type }),
+      ...(defaultRent && { defaultRent: Number(defaultRent) }),
+      ...(status && { status }),
+      notes: notes ? sanitizeString(String(notes)) : null,
+    });
+
+    logger.info(`Unit created: ${unit._id} in property ${property._id} by user: ${userId}`);
+
+    return res.status(201).json({
+      message: 'Unit added successfully',
+      unit: formatUnit(unit),
+    });
+  } catch (error) {
+    logger.error('Create unit error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Unit number already exists in this property' });
+    }
+
+    return res.status(500).json({ error: 'Failed to create unit' });
+  }
+};
+
+// Get single unit
+const getUnit = async (req, res) => {
+  try {
+    const unit = req.unit; // Attached by ownership middleware
+
+    const tenant = await Tenant.findOne({ unitId: unit._id, deletedAt: null })
+      .select('name phone rentAmount');
+
+    return res.status(200).json({
+      unit: {
+        ...formatUnit(unit),
+        tenant: tenant ? {
+          id: tenant._id,
+          name: tenant.name,
+          phone: tenant.phone,
+          rentAmount: tenant.rentAmount,
+        } : null,
+      },
+    });
+  } catch (error) {
+    logger.error('Get unit error:', error);
+    return res.status(500).json({ error: 'Failed to fetch unit' });
+  }
+};
+
+// Update unit
+const updateUnit = async (req, res) => {
+  try {
+    const unit = req.unit; // Attached by ownership middleware
+    const { number, type, defaultRent, status, notes } = req.body;
+
+    const fieldError = validateUnitFields({ type, defaultRent, notes });
+    if (fieldError) {
+      return res.status(400).json({ error: fieldError });
+    }
+
+    // occupied/vacant follow tenant assignments; only maintenance is set by hand
+    if (status !== undefined && status !== unit.status) {
+      if (!['vacant', 'maintenance'].includes(status)) {
+        return res.status(400).json({
+          error: 'Status can only be set to "vacant" or "maintenance"; assign a tenant to occupy a unit',
+        });
+      }
+      if (unit.status === 'occupied') {
+        return res.status(409).json({
+          error: `Unit ${unit.number} is occupied. Move the tenant out first`,
+        });
+      }
+      unit.status = status;
+    }
+
+    if (number !== undefined) {
+      if (!validateUnitNumber(number)) {
+        return res.status(400).json({
+          error: 'Unit number must be between 1 and 20 characters',
+        });
+      }
+
+      const existing = await Unit.findOne({
+        propertyId: unit.propertyId,
+        number: sanitizeString(number),
+        deletedAt: null,
+        _id: { $ne: unit._id },
+      });
+      if (existing) {
+        return res.status(409).json({
+          error: `Unit ${number} already exists in this property`,
+        });
+      }
+
+      unit.number = sanitizeString(number);
+    }
+
+    const renamed = unit.isModified('number');
+
+    if (type !== undefined) unit.type = type;
+    if (defaultRent !== undefined) unit.defaultRent = defaultRent === null ? null : Number(defaultRent);
+    if (notes !== undefined) unit.notes = notes ? sanitizeString(String(notes)) : null;
+
+    await unit.save();
+
+    // Keep the tenant's unit number in step with a renamed unit
+    if (renamed) {
+      await Tenant.updateMany(
+        { unitId: unit._id, deletedAt: null },
+        { unitNumber: unit.number }
+      );
+    }
+
+    logger.info(`Unit updated: ${unit._id}`);
+
+    return res.status(200).json({
+      message: 'Unit updated successfully',
+      unit: formatUnit(unit),
+    });
+  } catch (error) {
+    logger.error('Update unit error:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Unit number already exists in this property' });
+    }
+
+    return res.status(500).json({ error: 'Failed to update unit' });
+  }
+};
+
+// Delete unit
+const deleteUnit = async (req, res) => {
+  try {
+    const unit = req.unit; // Attached by ownership middleware
+
+    if (unit.status === 'occupied') {
+      return res.status(409).json({
+        error: `Unit ${unit.number} is occupied. Move the tenant out first`,
+      });
+    }
+
+    // Soft delete
+    await unit.softDelete();
+
+    logger.info(`Unit deleted: ${unit._id}`);
+
+    return res.status(200).json({
+      message: 'Unit deleted successfully',
+    });
+  } catch (error) {
+    logger.error('Delete unit error:', error);
+    return res.status(500).json({ error: 'Failed to delete unit' });
+  }
+};
+
+module.exports = {
+  getUnits,
+  getVacantUnits,
+  createUnit,
+  getUnit,
+  updateUnit,
+  deleteUnit,
+};
\ No newline at end of file
@@ -0,0 +1,44 @@
+const cron = require('node-cron');
+const { applyLateFees } = require('../services/lateFee.service');
+const logger = require('../utils/logger');
+
+/**
+ * Charge late fees on overdue rent periods under each property's rule
+ * Runs daily at 00:30 (EAT), before the morning reminders so they include the fees
+ */
+const runLateFees = async () => {
+  try {
+    logger.info('Starting late fee job...');
+    await applyLateFees();
+  } catch (error) {
+    logger.error('Late fee job error:', error);
+  }
+};
+
+/**
+ * Initialize the late fee scheduler
+ * Also runs once on startup so a missed run is caught up (fees are never charged twice)
+ */
+const initializeLateFeeScheduler = () => {
+  const timezone = process.env.SCHEDULER_TIMEZONE || 'Africa/Kampala';
+
+  // Cron format: minute hour day month day-of-week
+  // 30 0 * * * = Every day at 00:30
+  const cronSchedule = '30 0 * * *';
+
+  const task = cron.schedule(cronSchedule, runLateFees, {
+    scheduled: true,
+    timezone,
+  });
+
+  runLateFees();
+
+  logger.info(`Late fee scheduler initialized (${cronSchedule} in ${timezone})`);
+
+  return task;
+};
+
+module.exports = {
+  initializeLateFeeScheduler,
+  runLateFees,
+};
\ No newline at end of file
@@ -0,0 +1,46 @@
+const cron = require('node-cron');
+const { refreshLeaseStatuses, sendLeaseExpiryAlerts } = require('../services/lease.service');
+const logger = require('../utils/logger');
+
+/**
+ * Mark expiring and ended leases, apply renewals that have started,
+ * then alert landlords about leases ending in the next 60 or 30 days
+ * Runs daily at 7am EAT
+ */
+const runLeaseExpiry = async () => {
+  try {
+    logger.info('Starting lease expiry job...');
+    await refreshLeaseStatuses();
+    await sendLeaseExpiryAlerts();
+  } catch (error) {
+    logger.error('Lease expiry job error:', error);
+  }
+};
+
+/**
+ * Initialize the lease expiry scheduler
+ * Also runs once on startup; alerts already sent for a threshold are not repeated
+ */
+const initializeLeaseExpiryScheduler = () => {
+  const timezone = process.env.SCHEDULER_TIMEZONE || 'Africa/Kampala';
+
+  // Cron format: minute hour day month day-of-week
+  // 0 7 * * * = Every day at 7am
+  const cronSchedule = '0 7 * * *';
+
+  const task = cron.schedule(cronSchedule, runLeaseExpiry, {
+    scheduled: true,
+    timezone,
+  });
+
+  runLeaseExpiry();
+
+  logger.info(`Lease expiry scheduler initialized (${cronSchedule} in ${timezone})`);
+
+  return task;
+};
+
+module.exports = {
+  initializeLeaseExpiryScheduler,
+  runLeaseExpiry,
+};
\ No newline at end of file
@@ -1,10 +1,14 @@
 const cron = require('node-cron');
 const User = require('../models/user.model');
 const Tenant = require('../models/tenant.model');
+const { getBalanceMap } = require('../services/rentPeriod.service');
 const EventLog = require('../models/eventlog.model');
 const { sendEmail } = require('../services/email.service');
 const { renderMonthlyReminderEmail } = require('../services/template.service');
-const { getCurrentMonth } = require('../utils/formatters');
+const { runScheduledReminders } = require('../services/reminderSchedule.service');
+const { getMonthString, getPeriodName } = require('../utils/formatters');
+const { getBillingCycle } = require('../utils/billingCycle');
+const { getDueDaysOn, getEffectiveDueDay } = require('../services/dueDate.service');
 const logger = require('../utils/logger');
 
 /**
@@ -21,9 +25,10 @@ const sendMonthlyReminders = async () => {
     threeDaysLater.setDate(today.getDate() + 3);
     
     const targetDay = threeDaysLater.getDate();
-    const currentMonth = getCurrentMonth();
+    // The due date may fall in next month (e.g. checking on the 30th for the 2nd)
+    const currentMonth = getMonthString(threeDaysLater);
 
-    logger.info(`Checking for tenants with due date: ${targetDay}`);
+    logger.info(`Checking for tenants with due date: ${getDueDaysOn(threeDaysLater).join(', ')}`);
 
     // Find all landlords
     const landlords = await User.find({ role: 'landlord' });
@@ -31,13 +36,11 @@ const sendMonthlyReminders = async () => {
     let emailsSent = 0;
 
     for (const landlord of landlords) {
-      // Find unpaid tenants with upcoming due date
-      const unpaidTenants = await Tenant.find({
-        userId: landlord.clerkId,
-        dueDate: targetDay,
-        status: 'unpaid',
-        deletedAt: null,
-      }).populate('propertyId', 'name');
+      const landlordId = landlord._id.toString();
+
+      // Unpaid tenants with upcoming due date, respecting each tenant's billing cycle
+      const unpaidTenants = await Tenant.findUnpaidDueSoon(landlordId, 3);
+      await Tenant.populate(unpaidTenants, { path: 'propertyId', select: 'name' });
 
       if (unpaidTenants.length === 0) {
         continue; // No unpaid tenants for this landlord
@@ -45,14 +48,23 @@ const sendMonthlyReminders = async () => {
 
       logger.info(`Landlord ${landlord.email} has ${unpaidTenants.length} unpaid tenants due on ${targetDay}`);
 
+      const balances = await getBalanceMap(unpaidTenants, currentMonth);
+
       // Prepare tenant data for email
-      const tenantData = unpaidTenants.map(tenant => ({
-        name: tenant.name,
-        unitNumber: tenant.unitNumber,
-        rentAmount: tenant.rentAmount,
-        dueDate: tenant.dueDate,
-        propertyName: tenant.propertyId.name,
-      }));
+      const tenantData = unpaidTenants.map(tenant => {
+        const cycle = getBillingCycle(tenant, currentMonth);
+
+        return {
+          name: tenant.name,
+          unitNumber: tenant.unitNumber,
+          rentAmount: tenant.rentAmount,
+          amountDue: balances.get(tenant._id.toString()).outstanding || cycle.amountDue,
+          dueDate: getEffectiveDueDay(tenant.dueDate, currentMonth),
+          propertyName: tenant.propertyId.name,
+          // Longer billing cycles show the months being billed
+          periodName: cycle.months > 1 ? getPeriodName(cycle.month, cycle.endMonth) : null,
+        };
+      });
 
       // Render email
       const html = renderMonthlyReminderEmail({
@@ -74,7 +86,7 @@ const sendMonthlyReminders = async () => {
         emailsSent++;
         
         // Log event
-        await EventLog.logEvent(landlord.clerkId, 'MONTHLY_REMINDER_SENT', {
+        await EventLog.logEvent(landlordId, 'MONTHLY_REMINDER_SENT', {
           unpaidCount: unpaidTenants.length,
           targetDay,
         });
@@ -94,6 +106,14 @@ const sendMonthlyReminders = async () => {
   }
 };
 
+/**
+ * Daily reminder run: landlord digest, then landlords' automatic tenant reminders
+ */
+const runDailyReminders = async () => {
+  await sendMonthlyReminders();
+  await runScheduledReminders();
+};
+
 /**
  * Initialize the monthly reminder scheduler
  * Runs daily at 6am EAT (3am UTC)
@@ -105,12 +125,20 @@ const initializeMonthlyScheduler = () => {
   // 0 3 * * * = Every day at 3am UTC (6am EAT)
   const cronSchedule = '0 3 * * *';
 
-  const task = cron.schedule(cronSchedule, sendMonthlyReminders, {
+  const task = cron.schedule(cronSchedule, runDailyReminders, {
+    scheduled: true,
+    timezone,
+  });
+
+  // Retry tenant reminder schedules that didn't complete, hourly for the rest of the day
+  // (schedules that already ran today are skipped)
+  const retrySchedule = '30 4-23 * * *';
+  cron.schedule(retrySchedule, () => runScheduledReminders(), {
     scheduled: true,
     timezone,
   });
 
-  logger.info(`Monthly reminder scheduler initialized (${cronSchedule} in ${timezone})`);
+  logger.info(`Monthly reminder scheduler initialized (${cronSchedule} in ${timezone}, retries ${retrySchedule})`);
   
   return task;
 };
@@ -121,7 +149,7 @@ const initializeMonthlyScheduler = () => {
  */
 const testMonthlyReminders = async () => {
   logger.info('Manual test of monthly reminders triggered');
-  await sendMonthlyReminders();
+  await runDailyReminders();
 };
 
 module.exports = {
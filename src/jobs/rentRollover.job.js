@@ -0,0 +1,47 @@
+const cron = require('node-cron');
+const { rollOverMonth } = require('../services/rentPeriod.service');
+const { getMonthInTimeZone } = require('../utils/formatters');
+const logger = require('../utils/logger');
+
+const timezone = process.env.SCHEDULER_TIMEZONE || 'Africa/Kampala';
+
+/**
+ * Open the new month's rent periods for every active tenant
+ * Runs at 00:05 on the 1st of every month (EAT)
+ * The month is taken in the scheduler's time zone - on a UTC host it is still
+ * the previous month at that time.
+ */
+const runRentRollover = async () => {
+  try {
+    logger.info('Starting rent rollover job...');
+    await rollOverMonth(getMonthInTimeZone(timezone));
+  } catch (error) {
+    logger.error('Rent rollover job error:', error);
+  }
+};
+
+/**
+ * Initialize the rent rollover scheduler
+ * Also runs once on startup so a missed run (e.g. server down on the 1st) is caught up
+ */
+const initializeRentRolloverScheduler = () => {
+  // Cron format: minute hour day month day-of-week
+  // 5 0 1 * * = 00:05 on the 1st of every month
+  const cronSchedule = '5 0 1 * *';
+
+  const task = cron.schedule(cronSchedule, runRentRollover, {
+    scheduled: true,
+    timezone,
+  });
+
+  runRentRollover();
+
+  logger.info(`Rent rollover scheduler initialized (${cronSchedule} in ${timezone})`);
+
+  return task;
+};
+
+module.exports = {
+  initializeRentRolloverScheduler,
+  runRentRollover,
+};
\ No newline at end of file
@@ -0,0 +1,45 @@
+const cron = require('node-cron');
+const { purgeExpiredTrash, getRetentionDays } = require('../services/trash.service');
+const logger = require('../utils/logger');
+
+/**
+ * Permanently delete tenants and properties that have been in the trash
+ * longer than TRASH_RETENTION_DAYS, with their dependent records
+ * Runs daily at 03:00 (EAT)
+ */
+const runTrashRetention = async () => {
+  try {
+    logger.info('Starting trash retention job...');
+    await purgeExpiredTrash();
+  } catch (error) {
+    logger.error('Trash retention job error:', error);
+  }
+};
+
+/**
+ * Initialize the trash retention scheduler
+ * Also runs once on startup so a missed run is caught up
+ */
+const initializeTrashRetentionScheduler = () => {
+  const timezone = process.env.SCHEDULER_TIMEZONE || 'Africa/Kampala';
+
+  // Cron format: minute hour day month day-of-week
+  // 0 3 * * * = Every day at 03:00
+  const cronSchedule = '0 3 * * *';
+
+  const task = cron.schedule(cronSchedule, runTrashRetention, {
+    scheduled: true,
+    timezone,
+  });
+
+  runTrashRetention();
+
+  logger.info(`Trash retention scheduler initialized (${cronSchedule} in ${timezone}, keeping ${getRetentionDays()} days)`);
+
+  return task;
+};
+
+module.exports = {
+  initializeTrashRetentionScheduler,
+  runTrashRetention,
+};
\ No newline at end of file
@@ -0,0 +1,33 @@
+// English
+module.exports = {
+  name: 'English',
+  months: [
+    'January', 'February', 'March', 'April', 'May', 'June',
+    'July', 'August', 'September', 'October', 'November', 'December',
+  ],
+  monthFormat: '{{month}} {{year}}',
+  // null = English ordinal suffixes (1st, 2nd, 3rd...)
+  dayFormat: null,
+  sms: {
+    reminder: 'Hello {{tenantName}}, your rent for {{month}} is due on the {{dueDate}}. Amount outstanding: {{amountDue}}{{arrearsNote}}. Kindly clear to avoid penalties. Thank you.',
+    arrearsNote: ' (incl. {{arrears}} arrears)',
+  },
+  email: {
+    subject: 'Rent Reminder - {{propertyName}}',
+    title: 'Rent Reminder',
+    greeting: 'Dear',
+    intro: 'This is a friendly reminder that your rent for {{month}} is due soon.',
+    monthlyRent: 'Monthly Rent',
+    arrears: 'Arrears',
+    lateFees: 'Late Fees',
+    unitNumber: 'Unit Number',
+    dueDate: 'Due Date',
+    month: 'Month',
+    noticeTitle: 'Important:',
+    notice: 'Kindly clear your rent by the due date to avoid late payment penalties.',
+    alreadyPaid: 'If you have already paid, please disregard this message.',
+    thankYou: 'Thank you,',
+    yourLandlord: 'Your Landlord',
+    footer: 'Sent via RentAlert - Rent Management Made Simple',
+  },
+};
\ No newline at end of file
@@ -0,0 +1,55 @@
+const en = require('./en');
+const lg = require('./lg');
+const sw = require('./sw');
+const nyn = require('./nyn');
+
+// Reminder locale bundles, keyed by language code
+// (translations should be reviewed by native speakers before changing wording)
+const locales = { en, lg, sw, nyn };
+
+const DEFAULT_LANGUAGE = 'en';
+const SUPPORTED_LANGUAGES = Object.keys(locales);
+
+/**
+ * Get the locale bundle for a language (falls back to English)
+ * @param {string} language - Language code
+ * @returns {Object} - Locale bundle
+ */
+const getLocale = (language) => {
+  return locales[language] || locales[DEFAULT_LANGUAGE];
+};
+
+/**
+ * Normalize a language code or name (e.g. "LG", "Luganda", "Kiswahili")
+ * @param {string} value - Language code or name
+ * @returns {string|null} - Supported language code or null
+ */
+const normalizeLanguage = (value) => {
+  if (typeof value !== 'string') return null;
+  const input = value.trim().toLowerCase();
+
+  if (locales[input]) return input;
+
+  const aliases = { swahili: 'sw', runyankore: 'nyn' };
+  if (aliases[input]) return aliases[input];
+
+  return SUPPORTED_LANGUAGES.find(code => locales[code].name.toLowerCase() === input) || null;
+};
+
+/**
+ * Replace {{name}} placeholders in a locale string
+ * @param {string} text - Locale string
+ * @param {Object} values - Placeholder values
+ * @returns {string} - Interpolated text
+ */
+const interpolate = (text, values = {}) => {
+  return text.replace(/{{(\w+)}}/g, (match, key) => (key in values ? values[key] : match));
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  getLocale,
+  normalizeLanguage,
+  interpolate,
+};
\ No newline at end of file
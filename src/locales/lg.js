@@ -0,0 +1,32 @@
+// Luganda
+module.exports = {
+  name: 'Luganda',
+  months: [
+    'Janwali', 'Febwali', 'Marisi', 'Apuli', 'Maayi', 'Juuni',
+    'Julaayi', 'Agusito', 'Sebuttemba', 'Okitobba', 'Novemba', 'Desemba',
+  ],
+  monthFormat: '{{month}} {{year}}',
+  dayFormat: 'nga {{day}}',
+  sms: {
+    reminder: 'Gyebale {{tenantName}}, obupangisa bwo obwa {{month}} busasulwa {{dueDate}}. Ssente ezisigaddeyo: {{amountDue}}{{arrearsNote}}. Osabibwa okusasula okwewala ebibonerezo. Webale.',
+    arrearsNote: ' (nga kw\'otadde ebbanja lya {{arrears}})',
+  },
+  email: {
+    subject: 'Okujjukiza Obupangisa - {{propertyName}}',
+    title: 'Okujjukiza Obupangisa',
+    greeting: 'Ssebo/Nnyabo',
+    intro: 'Tukujjukiza nti obupangisa bwo obwa {{month}} bunaatera okusasulwa.',
+    monthlyRent: 'Obupangisa bw\'omwezi',
+    arrears: 'Ebbanja',
+    lateFees: 'Ebibonerezo',
+    unitNumber: 'Ennamba y\'ekisenge',
+    dueDate: 'Olunaku lw\'okusasula',
+    month: 'Omwezi',
+    noticeTitle: 'Kikulu:',
+    notice: 'Osabibwa okusasula obupangisa bwo ku lunaku olwateekebwawo okwewala ebibonerezo.',
+    alreadyPaid: 'Bw\'oba omaze okusasula, buuka obubaka buno.',
+    thankYou: 'Webale,',
+    yourLandlord: 'Nannyini nnyumba',
+    footer: 'Kiweerezeddwa okuyita mu RentAlert',
+  },
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+// Runyankole
+module.exports = {
+  name: 'Runyankole',
+  months: [
+    'Okwokubanza', 'Okwakabiri', 'Okwakashatu', 'Okwakana', 'Okwakataano', 'Okwamukaaga',
+    'Okwamushanju', 'Okwamunaana', 'Okwamwenda', 'Okwaikumi', 'Okwaikumi na kumwe', 'Okwaikumi na ibiri',
+  ],
+  monthFormat: '{{month}} {{year}}',
+  dayFormat: 'aha {{day}}',
+  sms: {
+    reminder: 'Agandi {{tenantName}}, empangisa yaawe ya {{month}} neeshashurwa {{dueDate}}. Esente ezitakashashuirwe: {{amountDue}}{{arrearsNote}}. Nitukushaba oshashure kwetantara ebihano. Webare.',
+    arrearsNote: ' (harimu ebanja rya {{arrears}})',
+  },
+  email: {
+    subject: 'Okwijukya Empangisa - {{propertyName}}',
+    title: 'Okwijukya Empangisa',
+    greeting: 'Munywani',
+    intro: 'Nitukwijukya ngu empangisa yaawe ya {{month}} neeshashurwa juba.',
+    monthlyRent: 'Empangisa y\'Okwezi',
+    arrears: 'Ebanja',
+    lateFees: 'Ebihano',
+    unitNumber: 'Namba y\'Enju',
+    dueDate: 'Eizooba ry\'Okushashura',
+    month: 'Okwezi',
+    noticeTitle: 'Ekikuru:',
+    notice: 'Nitukushaba oshashure empangisa yaawe aha izooba eryateirweho kwetantara ebihano.',
+    alreadyPaid: 'Ku oraabe waashashura, otafayo aha bubaka obu.',
+    thankYou: 'Webare,',
+    yourLandlord: 'Nyineeka',
+    footer: 'Bwatuhirwe kurabira omu RentAlert',
+  },
+};
\ No newline at end of file
@@ -0,0 +1,32 @@
+// Swahili
+module.exports = {
+  name: 'Kiswahili',
+  months: [
+    'Januari', 'Februari', 'Machi', 'Aprili', 'Mei', 'Juni',
+    'Julai', 'Agosti', 'Septemba', 'Oktoba', 'Novemba', 'Desemba',
+  ],
+  monthFormat: '{{month}} {{year}}',
+  dayFormat: 'tarehe {{day}}',
+  sms: {
+    reminder: 'Habari {{tenantName}}, kodi yako ya {{month}} inapaswa kulipwa {{dueDate}}. Kiasi kinachodaiwa: {{amountDue}}{{arrearsNote}}. Tafadhali lipa ili kuepuka adhabu. Asante.',
+    arrearsNote: ' (pamoja na malimbikizo ya {{arrears}})',
+  },
+  email: {
+    subject: 'Kikumbusho cha Kodi - {{propertyName}}',
+    title: 'Kikumbusho cha Kodi',
+    greeting: 'Mpendwa',
+    intro: 'Huu ni ukumbusho kwamba kodi yako ya {{month}} inakaribia kulipwa.',
+    monthlyRent: 'Kodi ya Mwezi',
+    arrears: 'Malimbikizo',
+    lateFees: 'Ada ya Kuchelewa',
+    unitNumber: 'Namba ya Chumba',
+    dueDate: 'Tarehe ya Malipo',
+    month: 'Mwezi',
+    noticeTitle: 'Muhimu:',
+    notice: 'Tafadhali lipa kodi yako kabla ya tarehe ya malipo ili kuepuka adhabu ya kuchelewa.',
+    alreadyPaid: 'Kama umeshalipa, tafadhali puuza ujumbe huu.',
+    thankYou: 'Asante,',
+    yourLandlord: 'Mwenye Nyumba Wako',
+    footer: 'Imetumwa kupitia RentAlert',
+  },
+};
\ No newline at end of file
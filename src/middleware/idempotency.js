@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/idempotencykey.model');
+const logger = require('../utils/logger');
+
+// A key still processing after this long is assumed abandoned (crashed process)
+// and is handed to the next request that uses it
+const PROCESSING_LEASE_MS = 5 * 60 * 1000;
+
+// JSON with sorted object keys, so the same body always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path} ${stableStringify(req.body || {})}`)
+    .digest('hex');
+};
+
+/**
+ * Run the request under a claimed key, storing its response when the handler responds
+ * The response is stored even if the client has already disconnected (the handler's
+ * work is done either way), so the client's retry gets it replayed instead of a rerun.
+ * @param {Object} record - IdempotencyKey document in processing
+ */
+const runWithKey = (req, res, next, record) => {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    // Server errors are not stored, so the client can retry with the same key
+    const save = res.statusCode >= 500
+      ? IdempotencyKey.deleteOne({ _id: record._id })
+      : IdempotencyKey.updateOne(
+        { _id: record._id },
+        { status: 'completed', responseStatus: res.statusCode, responseBody: body }
+      );
+
+    save.catch(error => {
+      logger.error(`Failed to store idempotent response for key ${record.key}:`, error);
+    });
+
+    return originalJson(body);
+  };
+
+  return next();
+};
+
+/**
+ * Middleware to make a POST endpoint safe to retry with an Idempotency-Key header
+ * - First request with a key runs normally and its response is stored
+ * - A repeat with the same key and body replays the stored response
+ * - A repeat with a different body, or while the first is still running, is rejected
+ * - A key left processing by a crashed process is handed over once its lease expires
+ * Requests without the header are processed as usual. Must run after authenticate.
+ */
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  const userId = req.user.userId;
+  const requestHash = hashRequest(req);
+
+  try {
+    const record = await IdempotencyKey.create({
+      key,
+      userId,
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      requestHash,
+    });
+
+    return runWithKey(req, res, next, record);
+  } catch (error) {
+    if (error.code !== 11000) {
+      logger.error('Idempotency check error:', error);
+      return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+    }
+  }
+
+  // Key already used by this user
+  try {
+    const existing = await IdempotencyKey.findOne({ userId, key });
+
+    if (!existing) {
+      // Expired or cleared between the insert and this lookup
+      return res.status(409).json({ error: 'Idempotency-Key conflict, please retry' });
+    }
+
+    if (existing.requestHash !== requestHash) {
+      logger.warn(`Idempotency-Key reused with a different request by user: ${userId}`);
+      return res.status(422).json({
+        error: 'Idempotency-Key has already been used for a different request',
+      });
+    }
+
+    if (existing.status === 'processing') {
+      if (existing.createdAt < new Date(Date.now() - PROCESSING_LEASE_MS)) {
+        // Lease expired - take the key over (only one request can win it)
+        const record = await IdempotencyKey.findOneAndUpdate(
+          { _id: existing._id, status: 'processing', createdAt: existing.createdAt },
+          { createdAt: new Date() },
+          { new: true }
+        );
+
+        if (record) {
+          logger.warn(`Taking over abandoned Idempotency-Key ${key} (user: ${userId})`);
+          return runWithKey(req, res, next, record);
+        }
+      }
+
+      return res.status(409).json({
+        error: 'A request with this Idempotency-Key is still being processed',
+      });
+    }
+
+    logger.info(`Replaying response for Idempotency-Key ${key} (user: ${userId})`);
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.responseStatus).json(existing.responseBody);
+  } catch (error) {
+    logger.error('Idempotency replay error:', error);
+    return res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+};
+
+module.exports = {
+  idempotent,
+};
\ No newline at end of file
@@ -1,5 +1,8 @@
 const Property = require('../models/property.model');
 const Tenant = require('../models/tenant.model');
+const ReminderTemplate = require('../models/remindertemplate.model');
+const Lease = require('../models/lease.model');
+const Unit = require('../models/unit.model');
 const logger = require('../utils/logger');
 const { validateObjectId } = require('../utils/validators');
 
@@ -70,6 +73,72 @@ const verifyTenantOwnership = async (req, res, next) => {
   }
 };
 
+// Middleware to verify ownership of a property in the trash
+const verifyTrashedPropertyOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId format
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid property ID format' });
+    }
+
+    const property = await Property.findOne({ 
+      _id: id, 
+      userId: userId,
+      deletedAt: { $ne: null },
+    });
+
+    if (!property) {
+      logger.warn(`Trashed property access denied: ${id} by user: ${userId}`);
+      return res.status(404).json({ 
+        error: 'Property not found in the trash',
+      });
+    }
+
+    // Attach property to request for use in controller
+    req.property = property;
+    next();
+  } catch (error) {
+    logger.error('Property ownership verification error:', error);
+    return res.status(500).json({ error: 'Ownership verification failed' });
+  }
+};
+
+// Middleware to verify ownership of a tenant in the trash
+const verifyTrashedTenantOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId format
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid tenant ID format' });
+    }
+
+    const tenant = await Tenant.findOne({ 
+      _id: id, 
+      userId: userId,
+      deletedAt: { $ne: null },
+    });
+
+    if (!tenant) {
+      logger.warn(`Trashed tenant access denied: ${id} by user: ${userId}`);
+      return res.status(404).json({ 
+        error: 'Tenant not found in the trash',
+      });
+    }
+
+    // Attach tenant to request for use in controller
+    req.tenant = tenant;
+    next();
+  } catch (error) {
+    logger.error('Tenant ownership verification error:', error);
+    return res.status(500).json({ error: 'Ownership verification failed' });
+  }
+};
+
 // Middleware to verify property ownership when propertyId is in body
 const verifyPropertyOwnershipFromBody = async (req, res, next) => {
   try {
@@ -107,8 +176,110 @@ const verifyPropertyOwnershipFromBody = async (req, res, next) => {
   }
 };
 
+// Middleware to verify reminder template ownership
+const verifyTemplateOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId format
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid template ID format' });
+    }
+
+    const template = await ReminderTemplate.findOne({ 
+      _id: id, 
+      userId: userId,
+    });
+
+    if (!template) {
+      logger.warn(`Template access denied: ${id} by user: ${userId}`);
+      return res.status(404).json({ 
+        error: 'Template not found or you do not have permission to access it',
+      });
+    }
+
+    // Attach template to request for use in controller
+    req.template = template;
+    next();
+  } catch (error) {
+    logger.error('Template ownership verification error:', error);
+    return res.status(500).json({ error: 'Ownership verification failed' });
+  }
+};
+
+// Middleware to verify lease ownership
+const verifyLeaseOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId format
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid lease ID format' });
+    }
+
+    const lease = await Lease.findOne({ 
+      _id: id, 
+      userId: userId,
+    });
+
+    if (!lease) {
+      logger.warn(`Lease access denied: ${id} by user: ${userId}`);
+      return res.status(404).json({ 
+        error: 'Lease not found or you do not have permission to access it',
+      });
+    }
+
+    // Attach lease to request for use in controller
+    req.lease = lease;
+    next();
+  } catch (error) {
+    logger.error('Lease ownership verification error:', error);
+    return res.status(500).json({ error: 'Ownership verification failed' });
+  }
+};
+
+// Middleware to verify unit ownership
+const verifyUnitOwnership = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.userId;
+
+    // Validate ObjectId format
+    if (!validateObjectId(id)) {
+      return res.status(400).json({ error: 'Invalid unit ID format' });
+    }
+
+    const unit = await Unit.findOne({ 
+      _id: id, 
+      userId: userId,
+      deletedAt: null,
+    });
+
+    if (!unit) {
+      logger.warn(`Unit access denied: ${id} by user: ${userId}`);
+      return res.status(404).json({ 
+        error: 'Unit not found or you do not have permission to access it',
+      });
+    }
+
+    // Attach unit to request for use in controller
+    req.unit = unit;
+    next();
+  } catch (error) {
+    logger.error('Unit ownership verification error:', error);
+    return res.status(500).json({ error: 'Ownership verification failed' });
+  }
+};
+
 module.exports = {
   verifyPropertyOwnership,
   verifyTenantOwnership,
   verifyPropertyOwnershipFromBody,
+  verifyTrashedPropertyOwnership,
+  verifyTrashedTenantOwnership,
+  verifyTemplateOwnership,
+  verifyLeaseOwnership,
+  verifyUnitOwnership,
 };
\ No newline at end of file
@@ -0,0 +1,48 @@
+const path = require('path');
+const multer = require('multer');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024; // 5MB
+const SPREADSHEET_EXTENSIONS = ['.csv', '.tsv', '.txt', '.xlsx'];
+
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  },
+}).single('file');
+
+/**
+ * Middleware to accept a single spreadsheet upload in the "file" field (multipart/form-data)
+ * The file is kept in memory on req.file; other form fields land on req.body.
+ * Must run before middleware that reads req.body (e.g. verifyPropertyOwnershipFromBody).
+ */
+const uploadSpreadsheet = (req, res, next) => {
+  spreadsheetUpload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Attach a CSV or XLSX file in the "file" field' });
+      }
+      return next();
+    }
+
+    if (error instanceof multer.MulterError) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(400).json({ error: `File must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB` });
+      }
+      return res.status(400).json({
+        error: `Upload one ${SPREADSHEET_EXTENSIONS.join(', ')} file in the "file" field`,
+      });
+    }
+
+    next(error);
+  });
+};
+
+module.exports = {
+  uploadSpreadsheet,
+};
\ No newline at end of file
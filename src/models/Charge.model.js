@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const chargeSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  // Rent period the charge is added to
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'RentPeriod',
+  },
+  month: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    enum: ['late_fee'],
+    default: 'late_fee',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  // 1 for the first late fee on a period, 2 for the next recurring one...
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  description: {
+    type: String,
+    maxlength: 200,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'waived'],
+    default: 'applied',
+  },
+  // Waiver audit trail
+  waivedAt: {
+    type: Date,
+    default: null,
+  },
+  waivedBy: {
+    type: String,
+    ref: 'User',
+    default: null,
+  },
+  waiveReason: {
+    type: String,
+    maxlength: 200,
+    trim: true,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// One charge per period, type and sequence, so the daily job never charges twice
+chargeSchema.index({ periodId: 1, type: 1, sequence: 1 }, { unique: true });
+chargeSchema.index({ tenantId: 1, createdAt: -1 });
+
+const Charge = mongoose.model('Charge', chargeSchema);
+
+module.exports = Charge;
\ No newline at end of file
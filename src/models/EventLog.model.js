@@ -14,7 +14,20 @@ const eventLogSchema = new mongoose.Schema({
       'PROPERTY_ADDED',
       'TENANT_ADDED',
       'TENANT_IMPORTED',
+      'TENANT_IMPORT_ROLLED_BACK',
+      'TENANT_TRANSFERRED',
+      'TENANT_RESTORED',
+      'PROPERTY_RESTORED',
       'RENT_STATUS_UPDATED',
+      'PAYMENT_RECORDED',
+      'LEASE_CREATED',
+      'LEASE_RENEWED',
+      'LEASE_ENDED',
+      'LEASE_EXPIRY_ALERT_SENT',
+      'LATE_FEE_RULE_UPDATED',
+      'LATE_FEE_WAIVED',
+      'DEPOSIT_RECORDED',
+      'DEPOSIT_SETTLED',
       'REMINDERS_SENT',
       'MONTHLY_REMINDER_SENT',
       'DASHBOARD_VISITED',
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// Keys (and their stored responses) are kept for 24 hours
+const KEY_RETENTION_SECONDS = 24 * 60 * 60;
+
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxlength: 255,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  method: {
+    type: String,
+    required: true,
+  },
+  path: {
+    type: String,
+    required: true,
+  },
+  // Hash of method, path and body - a reused key must come with the same request
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing',
+  },
+  responseStatus: {
+    type: Number,
+    default: null,
+  },
+  responseBody: {
+    type: Object,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: KEY_RETENTION_SECONDS,
+  },
+}, {
+  timestamps: false,
+});
+
+// A key is unique per user
+idempotencyKeySchema.index({ userId: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+
+module.exports = IdempotencyKey;
\ No newline at end of file
@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+const importBatchSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  mode: {
+    type: String,
+    enum: ['create-only', 'upsert', 'sync'],
+    default: 'create-only',
+  },
+  // All-or-nothing: imported in one transaction, nothing is kept if any row fails
+  atomic: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed', 'rolled_back'],
+    default: 'queued',
+    index: true,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  imported: {
+    type: Number,
+    default: 0,
+  },
+  updated: {
+    type: Number,
+    default: 0,
+  },
+  unchanged: {
+    type: Number,
+    default: 0,
+  },
+  failed: {
+    type: Number,
+    default: 0,
+  },
+  // Rows of an atomic import not imported because other rows failed
+  cancelled: {
+    type: Number,
+    default: 0,
+  },
+  // Tenants the import created, removed again by a rollback
+  createdTenantIds: {
+    type: [mongoose.Schema.Types.ObjectId],
+    ref: 'Tenant',
+    default: [],
+  },
+  // Tenants not in the file (sync mode), as found when the batch was created
+  missingTenants: {
+    type: [Object],
+    default: [],
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  rolledBackAt: {
+    type: Date,
+    default: null,
+  },
+  rolledBackBy: {
+    type: String,
+    ref: 'User',
+    default: null,
+  },
+  // Kept as the property's import history (items expire after 30 days)
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+importBatchSchema.index({ userId: 1, createdAt: -1 });
+importBatchSchema.index({ propertyId: 1, createdAt: -1 });
+
+// Virtual for progress percentage
+importBatchSchema.virtual('progress').get(function() {
+  const done = this.imported + this.updated + this.unchanged + this.failed + this.cancelled;
+  return this.total > 0 ? Math.round((done / this.total) * 100) : 0;
+});
+
+// Static method to find batches that still have work to do
+importBatchSchema.statics.findUnfinished = function() {
+  return this.find({ status: { $in: ['queued', 'processing'] } }).sort({ createdAt: 1 });
+};
+
+const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
+
+module.exports = ImportBatch;
\ No newline at end of file
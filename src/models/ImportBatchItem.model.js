@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// Items are kept for 30 days (long enough to download the failed rows)
+const ITEM_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const importBatchItemSchema = new mongoose.Schema({
+  batchId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  // Spreadsheet row number (header is row 1) reported back to the landlord
+  row: {
+    type: Number,
+    required: true,
+  },
+  // Row as submitted (validated rows carry normalized values)
+  data: {
+    type: Object,
+    default: {},
+  },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'unchanged'],
+    default: 'create',
+  },
+  // Tenant the row updates, or the one it created
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Tenant',
+    default: null,
+  },
+  // Field-level diff for updates ({ field, from, to })
+  changes: {
+    type: [Object],
+    default: [],
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'created', 'updated', 'unchanged', 'failed', 'cancelled'],
+    default: 'pending',
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  // Worker currently holding the item and when it was claimed
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: ITEM_RETENTION_SECONDS,
+  },
+}, {
+  timestamps: false,
+});
+
+// One item per row per batch
+importBatchItemSchema.index({ batchId: 1, row: 1 }, { unique: true });
+importBatchItemSchema.index({ batchId: 1, status: 1, row: 1 });
+
+// Static method to atomically claim the next row of a batch for a worker.
+// Items left in 'processing' by a worker that died are reclaimed once stale.
+importBatchItemSchema.statics.claimNext = function(batchId, workerId, staleBefore) {
+  return this.findOneAndUpdate(
+    {
+      batchId,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      status: 'processing',
+      lockedBy: workerId,
+      lockedAt: new Date(),
+      $inc: { attempts: 1 },
+    },
+    { sort: { row: 1 }, new: true }
+  );
+};
+
+const ImportBatchItem = mongoose.model('ImportBatchItem', importBatchItemSchema);
+
+module.exports = ImportBatchItem;
\ No newline at end of file
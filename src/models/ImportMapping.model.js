@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+const columnSchema = new mongoose.Schema({
+  // Spreadsheet header as it appears in the file
+  column: {
+    type: String,
+    required: true,
+    maxlength: 100,
+  },
+  // Tenant field it maps to (see IMPORT_FIELDS in tenantImport.service)
+  field: {
+    type: String,
+    required: true,
+  },
+}, {
+  _id: false,
+});
+
+// Column mapping remembered per landlord and spreadsheet layout,
+// so the next upload of the same sheet maps without asking
+const importMappingSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  // Normalized, sorted headers - identifies the spreadsheet layout
+  signature: {
+    type: String,
+    required: true,
+  },
+  columns: {
+    type: [columnSchema],
+    default: [],
+  },
+  useCount: {
+    type: Number,
+    default: 1,
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: true,
+});
+
+importMappingSchema.index({ userId: 1, signature: 1 }, { unique: true });
+
+const ImportMapping = mongoose.model('ImportMapping', importMappingSchema);
+
+module.exports = ImportMapping;
\ No newline at end of file
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { BILLING_FREQUENCIES } = require('../utils/billingCycle');
+
+// Days before the end date at which landlords are alerted (largest first)
+const EXPIRY_ALERT_DAYS = [60, 30];
+
+const leaseSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    required: true,
+  },
+  rentAmount: {
+    type: Number,
+    required: true,
+    min: 10000,
+    max: 50000000,
+  },
+  deposit: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  billingFrequency: {
+    type: String,
+    enum: BILLING_FREQUENCIES,
+    default: 'monthly',
+  },
+  // active -> expiring (within the alert window) -> ended, or renewed once a new lease follows it
+  status: {
+    type: String,
+    enum: ['active', 'expiring', 'ended', 'renewed'],
+    default: 'active',
+  },
+  // Renewal chain
+  renewedFromId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null,
+  },
+  renewedToId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lease',
+    default: null,
+  },
+  notes: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: null,
+  },
+  // Alert thresholds (days before the end date) the landlord has already been told about
+  expiryAlertsSent: {
+    type: [Number],
+    default: [],
+  },
+  // When the lease's rent was copied onto the tenant (renewals starting later are applied on their start date)
+  termsAppliedAt: {
+    type: Date,
+    default: null,
+  },
+  endedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Compound indexes for efficient queries
+leaseSchema.index({ tenantId: 1, startDate: -1 });
+leaseSchema.index({ userId: 1, status: 1, endDate: 1 });
+leaseSchema.index({ status: 1, endDate: 1 });
+
+// Whole days from now until the lease ends (negative once it has ended)
+leaseSchema.virtual('daysRemaining').get(function() {
+  return Math.ceil((this.endDate - new Date()) / (1000 * 60 * 60 * 24));
+});
+
+// Static method to find the tenant's current lease (latest one not ended or renewed)
+leaseSchema.statics.findCurrentForTenant = function(tenantId) {
+  return this.findOne({
+    tenantId,
+    status: { $in: ['active', 'expiring'] },
+  }).sort({ startDate: -1 });
+};
+
+leaseSchema.statics.EXPIRY_ALERT_DAYS = EXPIRY_ALERT_DAYS;
+
+const Lease = mongoose.model('Lease', leaseSchema);
+
+module.exports = Lease;
\ No newline at end of file
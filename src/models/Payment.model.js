@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+
+const allocationSchema = new mongoose.Schema({
+  periodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'RentPeriod',
+  },
+  month: {
+    type: String,
+    required: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+}, {
+  _id: false,
+});
+
+const paymentSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  paidAt: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  // deposit = unpaid rent covered by the tenant's deposit at move-out
+  method: {
+    type: String,
+    enum: ['cash', 'mobile_money', 'bank', 'deposit'],
+    required: true,
+  },
+  reference: {
+    type: String,
+    maxlength: 100,
+    trim: true,
+    default: null,
+  },
+  // Rent periods this payment was applied to, oldest first
+  allocations: {
+    type: [allocationSchema],
+    default: [],
+  },
+  // Overpayment held as tenant credit
+  unallocated: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+}, {
+  timestamps: true,
+});
+
+// Compound indexes for efficient queries
+paymentSchema.index({ tenantId: 1, paidAt: -1 });
+paymentSchema.index({ userId: 1, paidAt: -1 });
+
+// Static method to get total paid by a tenant
+paymentSchema.statics.getTotalForTenant = async function(tenantId) {
+  const result = await this.aggregate([
+    { $match: { tenantId } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]);
+
+  return result.length > 0 ? result[0].total : 0;
+};
+
+const Payment = mongoose.model('Payment', paymentSchema);
+
+module.exports = Payment;
\ No newline at end of file
@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const { SUPPORTED_COUNTRIES } = require('../utils/phoneUtils');
+
+// Late fee charged on rent periods still unpaid after the grace period
+const lateFeeRuleSchema = new mongoose.Schema({
+  enabled: {
+    type: Boolean,
+    default: false,
+  },
+  // Days after the due date before the first fee is charged
+  graceDays: {
+    type: Number,
+    min: 0,
+    max: 60,
+    default: 5,
+  },
+  // flat = amount in UGX, percentage = amount as a percentage of the period's rent
+  type: {
+    type: String,
+    enum: ['flat', 'percentage'],
+    default: 'flat',
+  },
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  // One-off fee, or a new fee every intervalDays while the period stays unpaid
+  recurring: {
+    type: Boolean,
+    default: false,
+  },
+  intervalDays: {
+    type: Number,
+    min: 1,
+    max: 90,
+    default: 30,
+  },
+  // Most late fees charged on one rent period (null = no cap)
+  maxAmount: {
+    type: Number,
+    min: 0,
+    default: null,
+  },
+  // When the rule was last switched on - periods whose grace period ended
+  // before this are not charged, so enabling it doesn't bill old arrears
+  enabledAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  _id: false,
+});
 
 const propertySchema = new mongoose.Schema({
   userId: {
@@ -20,6 +72,16 @@ const propertySchema = new mongoose.Schema({
     trim: true,
     default: '',
   },
+  // Country tenants' local phone numbers are read in (null = the landlord's default country)
+  country: {
+    type: String,
+    enum: [...SUPPORTED_COUNTRIES, null],
+    default: null,
+  },
+  lateFeeRule: {
+    type: lateFeeRuleSchema,
+    default: () => ({}),
+  },
   deletedAt: {
     type: Date,
     default: null,
@@ -49,6 +111,12 @@ propertySchema.methods.softDelete = function() {
   return this.save();
 };
 
+// Instance method to restore from the trash
+propertySchema.methods.restore = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
 // Instance method to check if deleted
 propertySchema.methods.isDeleted = function() {
   return this.deletedAt !== null;
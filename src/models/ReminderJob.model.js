@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+
+// Jobs (and their items) are kept for 30 days
+const JOB_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const reminderJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  method: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true,
+  },
+  month: {
+    type: String,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual',
+  },
+  // Job this job retries failed reminders of (null for new sends and bulk retries)
+  retryOfJobId: {
+    type: String,
+    default: null,
+  },
+  isRetry: {
+    type: Boolean,
+    default: false,
+  },
+  // Duplicate protection: skip tenants already reminded on the same channel
+  // within cooldownHours, or (skipSameMonth) for the same month - unless forced
+  force: {
+    type: Boolean,
+    default: false,
+  },
+  cooldownHours: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  skipSameMonth: {
+    type: Boolean,
+    default: true,
+  },
+  // Language override for every reminder in the job (null = each tenant's preferred language)
+  language: {
+    type: String,
+    default: null,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'processing', 'completed', 'failed'],
+    default: 'queued',
+    index: true,
+  },
+  total: {
+    type: Number,
+    default: 0,
+  },
+  sent: {
+    type: Number,
+    default: 0,
+  },
+  failed: {
+    type: Number,
+    default: 0,
+  },
+  skipped: {
+    type: Number,
+    default: 0,
+  },
+  totalCost: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: JOB_RETENTION_SECONDS,
+  },
+}, {
+  timestamps: false,
+});
+
+reminderJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Virtual for progress percentage
+reminderJobSchema.virtual('progress').get(function() {
+  return this.total > 0 ? Math.round(((this.sent + this.failed + this.skipped) / this.total) * 100) : 0;
+});
+
+// Static method to find jobs that still have work to do
+reminderJobSchema.statics.findUnfinished = function() {
+  return this.find({ status: { $in: ['queued', 'processing'] } }).sort({ createdAt: 1 });
+};
+
+const ReminderJob = mongoose.model('ReminderJob', reminderJobSchema);
+
+module.exports = ReminderJob;
\ No newline at end of file
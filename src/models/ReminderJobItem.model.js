@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+
+// Items live as long as their job (30 days)
+const ITEM_RETENTION_SECONDS = 30 * 24 * 60 * 60;
+
+const reminderJobItemSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  userId: {
+    type: String,
+    required: true,
+    ref: 'User',
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  tenantName: {
+    type: String,
+    default: '',
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'sent', 'failed', 'skipped'],
+    default: 'pending',
+  },
+  cost: {
+    type: Number,
+    default: 0,
+  },
+  error: {
+    type: String,
+    default: null,
+  },
+  // Why the tenant was not reminded (e.g. already reminded this month)
+  skipReason: {
+    type: String,
+    default: null,
+  },
+  reminderLogId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReminderLog',
+    default: null,
+  },
+  // Failed log this item retries (retry jobs only)
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReminderLog',
+    default: null,
+  },
+  // Worker currently holding the item and when it was claimed
+  lockedBy: {
+    type: String,
+    default: null,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  processedAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: ITEM_RETENTION_SECONDS,
+  },
+}, {
+  timestamps: false,
+});
+
+// One item per tenant per job
+reminderJobItemSchema.index({ jobId: 1, tenantId: 1 }, { unique: true });
+reminderJobItemSchema.index({ jobId: 1, status: 1, createdAt: 1 });
+
+// Static method to atomically claim the next item of a job for a worker.
+// Items left in 'processing' by a worker that died are reclaimed once stale.
+reminderJobItemSchema.statics.claimNext = function(jobId, workerId, staleBefore) {
+  return this.findOneAndUpdate(
+    {
+      jobId,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedAt: { $lt: staleBefore } },
+      ],
+    },
+    {
+      status: 'processing',
+      lockedBy: workerId,
+      lockedAt: new Date(),
+      $inc: { attempts: 1 },
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+};
+
+const ReminderJobItem = mongoose.model('ReminderJobItem', reminderJobItemSchema);
+
+module.exports = ReminderJobItem;
\ No newline at end of file
@@ -17,9 +17,11 @@ const reminderLogSchema = new mongoose.Schema({
     enum: ['sms', 'email'],
     required: true,
   },
+  // queued/sent when the provider accepts the message, then delivered or
+  // failed once its delivery report arrives
   status: {
     type: String,
-    enum: ['sent', 'failed'],
+    enum: ['queued', 'sent', 'delivered', 'failed'],
     required: true,
   },
   cost: {
@@ -31,6 +33,52 @@ const reminderLogSchema = new mongoose.Schema({
     type: String,
     default: null,
   },
+  // Provider message ID, used to match delivery reports
+  messageId: {
+    type: String,
+    default: null,
+  },
+  // Reason given by the delivery report when the message did not arrive
+  failureReason: {
+    type: String,
+    default: null,
+  },
+  deliveredAt: {
+    type: Date,
+    default: null,
+  },
+  statusUpdatedAt: {
+    type: Date,
+    default: null,
+  },
+  // Whether the landlord sent it or a reminder schedule did
+  source: {
+    type: String,
+    enum: ['manual', 'scheduled'],
+    default: 'manual',
+  },
+  jobId: {
+    type: String,
+    default: null,
+    index: true,
+  },
+  // Rent month the reminder was for (YYYY-MM)
+  month: {
+    type: String,
+    default: null,
+  },
+  // Failed log this reminder retried, and which attempt for that reminder it was
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ReminderLog',
+    default: null,
+    index: true,
+  },
+  attempt: {
+    type: Number,
+    default: 1,
+    min: 1,
+  },
   timestamp: {
     type: Date,
     default: Date.now,
@@ -44,6 +92,18 @@ const reminderLogSchema = new mongoose.Schema({
 reminderLogSchema.index({ userId: 1, timestamp: -1 });
 reminderLogSchema.index({ type: 1, status: 1, timestamp: -1 });
 reminderLogSchema.index({ tenantId: 1, timestamp: -1 });
+reminderLogSchema.index({ messageId: 1 }, { sparse: true });
+
+// Statuses of reminders that went out successfully (counted as sent in stats)
+const SENT_STATUSES = ['queued', 'sent', 'delivered'];
+
+// Statuses each status may move on from - delivery reports can arrive out of
+// order, so a log never moves backwards (e.g. delivered -> sent)
+const PREVIOUS_STATUSES = {
+  sent: ['queued'],
+  delivered: ['queued', 'sent'],
+  failed: ['queued', 'sent'],
+};
 
 // Static method to get reminder stats for a user
 reminderLogSchema.statics.getStatsForUser = async function(userId, startDate, endDate) {
@@ -76,7 +136,7 @@ reminderLogSchema.statics.getTotalCost = async function(userId, startDate, endDa
     {
       $match: {
         userId,
-        status: 'sent',
+        status: { $in: SENT_STATUSES },
         timestamp: {
           $gte: startDate,
           $lte: endDate,
@@ -94,6 +154,27 @@ reminderLogSchema.statics.getTotalCost = async function(userId, startDate, endDa
   return result.length > 0 ? result[0].total : 0;
 };
 
+// Static method to apply an SMS delivery report to the matching log.
+// Returns null if no log matches or the report would move it backwards.
+reminderLogSchema.statics.applyDeliveryReport = function(messageId, status, failureReason = null) {
+  const update = { status, statusUpdatedAt: new Date() };
+
+  if (status === 'delivered') {
+    update.deliveredAt = new Date();
+  }
+  if (status === 'failed') {
+    update.failureReason = failureReason || 'Unknown';
+  }
+
+  return this.findOneAndUpdate(
+    { messageId, type: 'sms', status: { $in: PREVIOUS_STATUSES[status] || [] } },
+    update,
+    { new: true }
+  );
+};
+
+reminderLogSchema.statics.SENT_STATUSES = SENT_STATUSES;
+
 const ReminderLog = mongoose.model('ReminderLog', reminderLogSchema);
 
 module.exports = ReminderLog;
\ No newline at end of file
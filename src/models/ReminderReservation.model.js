@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+// Reservations only matter for recent months - old ones are cleaned up after a year
+const RESERVATION_RETENTION_SECONDS = 365 * 24 * 60 * 60;
+
+// Reserves reminding a tenant on one channel for one rent month, so jobs
+// running at the same time can't both send it
+const reminderReservationSchema = new mongoose.Schema({
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  type: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true,
+  },
+  // Rent month (YYYY-MM)
+  month: {
+    type: String,
+    required: true,
+  },
+  // Job holding (or that last held) the reservation
+  jobId: {
+    type: String,
+    required: true,
+  },
+  // sending while a job is delivering the reminder, sent once it went out,
+  // released if it failed or was skipped
+  status: {
+    type: String,
+    enum: ['sending', 'sent', 'released'],
+    default: 'sending',
+  },
+  reservedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  sentAt: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: RESERVATION_RETENTION_SECONDS,
+  },
+}, {
+  timestamps: false,
+});
+
+reminderReservationSchema.index({ tenantId: 1, type: 1, month: 1 }, { unique: true });
+
+// Static method to atomically reserve a reminder for a job. Returns null if
+// another job is sending it, or already sent it within the job's limits.
+// A reservation left in 'sending' by a worker that died is taken over once stale.
+reminderReservationSchema.statics.reserve = async function(job, tenantId, staleBefore) {
+  const available = [
+    { jobId: job.jobId },
+    { status: 'released' },
+    { status: 'sending', reservedAt: { $lt: staleBefore } },
+  ];
+
+  // Without the same-month rule, a sent reminder only blocks during the cooldown
+  if (!job.skipSameMonth) {
+    const cooldownStart = new Date(Date.now() - (job.cooldownHours || 0) * 60 * 60 * 1000);
+    available.push({ status: 'sent', sentAt: { $lt: cooldownStart } });
+  }
+
+  try {
+    return await this.findOneAndUpdate(
+      { tenantId, type: job.method, month: job.month, $or: available },
+      { jobId: job.jobId, status: 'sending', reservedAt: new Date(), sentAt: null },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The reservation exists and isn't available to this job
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+// Static method to record the outcome of a reserved reminder
+reminderReservationSchema.statics.settle = function(job, tenantId, sent) {
+  return this.updateOne(
+    { tenantId, type: job.method, month: job.month, jobId: job.jobId, status: 'sending' },
+    sent ? { status: 'sent', sentAt: new Date() } : { status: 'released' }
+  );
+};
+
+const ReminderReservation = mongoose.model('ReminderReservation', reminderReservationSchema);
+
+module.exports = ReminderReservation;
\ No newline at end of file
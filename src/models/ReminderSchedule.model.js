@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const scheduleRuleSchema = new mongoose.Schema({
+  timing: {
+    type: String,
+    enum: ['before', 'on', 'after'],
+    required: true,
+  },
+  // Days before/after the due date (ignored for 'on')
+  days: {
+    type: Number,
+    min: 0,
+    max: 28,
+    default: 0,
+  },
+  method: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Day (YYYY-MM-DD) the rule last ran to completion
+  lastRunDate: {
+    type: String,
+    default: null,
+  },
+});
+
+// Instance method to get a rule's offset from the due date in days
+// (negative = before the due date)
+scheduleRuleSchema.methods.getOffsetDays = function() {
+  if (this.timing === 'before') return -this.days;
+  if (this.timing === 'after') return this.days;
+  return 0;
+};
+
+const reminderScheduleSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    ref: 'User',
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  rules: {
+    type: [scheduleRuleSchema],
+    default: [],
+  },
+  // Day (YYYY-MM-DD) every rule of the schedule last ran to completion,
+  // so a day is never processed twice
+  lastRunDate: {
+    type: String,
+    default: null,
+  },
+  lastRunAt: {
+    type: Date,
+    default: null,
+  },
+  // When the run in progress was claimed (null when none is running)
+  runStartedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Static method to find schedules that should run
+reminderScheduleSchema.statics.findActive = function() {
+  return this.find({ enabled: true, 'rules.enabled': true });
+};
+
+const ReminderSchedule = mongoose.model('ReminderSchedule', reminderScheduleSchema);
+
+module.exports = ReminderSchedule;
\ No newline at end of file
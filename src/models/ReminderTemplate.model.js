@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../locales');
+
+const reminderTemplateSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  // Property the template applies to (null = all of the landlord's properties)
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    default: null,
+  },
+  type: {
+    type: String,
+    enum: ['sms', 'email'],
+    required: true,
+  },
+  // Email subject line (email templates only)
+  subject: {
+    type: String,
+    maxlength: 150,
+    trim: true,
+    default: null,
+  },
+  // Message text with {{placeholders}}
+  body: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Language the template is written in - used for tenants who prefer it
+  language: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE,
+  },
+}, {
+  timestamps: true,
+});
+
+// One template per landlord, property, type and language
+// (scripts/migrateTemplateLanguages.js replaces the older index without language)
+reminderTemplateSchema.index({ userId: 1, propertyId: 1, type: 1, language: 1 }, { unique: true });
+
+// Static method to find the template to use for a tenant's property in a language:
+// a custom template in the language, then the landlord's custom template in the
+// default language - the property's own template before the landlord-wide one.
+// null when there is neither (the localized default is used then)
+reminderTemplateSchema.statics.findForProperty = async function(userId, propertyId, type, language = DEFAULT_LANGUAGE) {
+  const templates = await this.find({
+    userId,
+    type,
+    propertyId: { $in: [propertyId || null, null] },
+    // Templates saved before languages were added are in the default language
+    language: { $in: [language, DEFAULT_LANGUAGE, null] },
+  });
+
+  const inLanguage = (lang) => templates.filter(t => (t.language || DEFAULT_LANGUAGE) === lang);
+  const pick = (candidates) => candidates.find(t => t.propertyId) || candidates[0] || null;
+
+  return pick(inLanguage(language)) || pick(inLanguage(DEFAULT_LANGUAGE));
+};
+
+const ReminderTemplate = mongoose.model('ReminderTemplate', reminderTemplateSchema);
+
+module.exports = ReminderTemplate;
\ No newline at end of file
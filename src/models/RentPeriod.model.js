@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { getBillingCycle } = require('../utils/billingCycle');
+const { getMonthDateRange } = require('../utils/formatters');
+
+const rentPeriodSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  tenantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Tenant',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  // First month of the billing cycle (the month itself for monthly tenants)
+  month: {
+    type: String,
+    required: true,
+    match: /^\d{4}-(0[1-9]|1[0-2])$/, // YYYY-MM, same as getCurrentMonth()
+  },
+  // Dates the billing cycle covers and when its rent is due
+  // (null on periods opened before billing cycles existed, which cover `month` only)
+  periodStart: {
+    type: Date,
+    default: null,
+  },
+  periodEnd: {
+    type: Date,
+    default: null,
+  },
+  dueDate: {
+    type: Date,
+    default: null,
+  },
+  amountDue: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  // Late fees and other charges added to the period (see Charge)
+  chargesDue: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  amountPaid: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  status: {
+    type: String,
+    enum: ['paid', 'partial', 'unpaid'],
+    default: 'unpaid',
+  },
+  paidAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// One ledger entry per tenant per month
+rentPeriodSchema.index({ tenantId: 1, month: 1 }, { unique: true });
+rentPeriodSchema.index({ userId: 1, month: 1, status: 1 });
+rentPeriodSchema.index({ month: 1, status: 1 });
+rentPeriodSchema.index({ userId: 1, periodStart: 1, periodEnd: 1 });
+
+// Rent plus charges for this period
+rentPeriodSchema.virtual('totalDue').get(function() {
+  return this.amountDue + (this.chargesDue || 0);
+});
+
+// Amount still owed on this period
+rentPeriodSchema.virtual('balance').get(function() {
+  return Math.max(this.totalDue - this.amountPaid, 0);
+});
+
+// Instance method to recompute status from the amounts
+rentPeriodSchema.methods.refreshStatus = function() {
+  if (this.amountPaid >= this.totalDue) {
+    this.status = 'paid';
+    this.paidAt = this.paidAt || new Date();
+  } else {
+    this.status = this.amountPaid > 0 ? 'partial' : 'unpaid';
+    this.paidAt = null;
+  }
+};
+
+// Instance method to apply part of a payment, returns the amount used.
+// The update only goes through if amountPaid is unchanged since the period was
+// read, so concurrent payments can't overwrite each other - on a conflict the
+// period is reloaded and the amount worked out again.
+rentPeriodSchema.methods.applyPayment = async function(amount, paidAt = new Date()) {
+  let period = this;
+
+  while (period) {
+    const applied = Math.min(amount, period.balance);
+    if (applied <= 0) return 0;
+
+    const paid = period.amountPaid + applied >= period.totalDue;
+    const updated = await this.constructor.findOneAndUpdate(
+      { _id: period._id, amountPaid: period.amountPaid },
+      {
+        $inc: { amountPaid: applied },
+        status: paid ? 'paid' : 'partial',
+        paidAt: paid ? paidAt : null,
+      },
+      { new: true }
+    );
+
+    if (updated) {
+      this.set(updated.toObject());
+      return applied;
+    }
+
+    period = await this.constructor.findById(this._id);
+  }
+
+  return 0;
+};
+
+// Instance method to mark the period as unpaid
+rentPeriodSchema.methods.markUnpaid = function() {
+  this.amountPaid = 0;
+  this.status = 'unpaid';
+  this.paidAt = null;
+  return this.save();
+};
+
+// Static method to get (or lazily create) a tenant's period for the billing cycle a month falls in
+rentPeriodSchema.statics.findOrCreateForTenant = function(tenant, month) {
+  const cycle = getBillingCycle(tenant, month);
+
+  return this.findOneAndUpdate(
+    { tenantId: tenant._id, month: cycle.month },
+    {
+      $setOnInsert: {
+        userId: tenant.userId,
+        propertyId: tenant.propertyId._id || tenant.propertyId,
+        amountDue: cycle.amountDue,
+        periodStart: cycle.periodStart,
+        periodEnd: cycle.periodEnd,
+        dueDate: cycle.dueDate,
+      },
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Static method to build a filter matching periods that cover a month
+// (a quarterly period keyed "2025-10" covers November and December too)
+rentPeriodSchema.statics.coveringMonth = function(month) {
+  const { startDate } = getMonthDateRange(month);
+
+  return {
+    $or: [
+      { month },
+      { periodStart: { $lte: startDate }, periodEnd: { $gte: startDate } },
+    ],
+  };
+};
+
+// Static method to get tenant IDs with a given status for a month
+rentPeriodSchema.statics.findTenantIdsByStatus = function(filters, month, status) {
+  return this.distinct('tenantId', { ...filters, ...this.coveringMonth(month), status });
+};
+
+const RentPeriod = mongoose.model('RentPeriod', rentPeriodSchema);
+
+module.exports = RentPeriod;
\ No newline at end of file
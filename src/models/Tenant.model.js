@@ -1,4 +1,170 @@
 const mongoose = require('mongoose');
+const { getMonthString } = require('../utils/formatters');
+const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } = require('../locales');
+const { BILLING_FREQUENCIES, isCycleStartMonth } = require('../utils/billingCycle');
+const { getDueDaysOn } = require('../services/dueDate.service');
+const { validatePhoneStrict } = require('../utils/phoneUtils');
+
+// Where a security deposit is held while the tenant stays
+const DEPOSIT_HOLDING_METHODS = ['cash', 'bank', 'mobile_money', 'escrow'];
+
+// What can be deducted from a deposit at move-out
+const DEPOSIT_DEDUCTION_TYPES = ['damage', 'unpaid_rent', 'utilities', 'other'];
+
+const depositDeductionSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: DEPOSIT_DEDUCTION_TYPES,
+    required: true,
+  },
+  description: {
+    type: String,
+    required: true,
+    maxlength: 200,
+    trim: true,
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, {
+  _id: false,
+});
+
+// Move-out settlement of a deposit
+const depositSettlementSchema = new mongoose.Schema({
+  deductions: {
+    type: [depositDeductionSchema],
+    default: [],
+  },
+  totalDeductions: {
+    type: Number,
+    default: 0,
+  },
+  // Part of the deposit applied to unpaid rent (recorded as a 'deposit' payment)
+  rentCovered: {
+    type: Number,
+    default: 0,
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    default: null,
+  },
+  // Deposit left after deductions, returned to the tenant
+  refundAmount: {
+    type: Number,
+    default: 0,
+  },
+  // Deductions the deposit didn't cover, owed by the tenant
+  balanceOwed: {
+    type: Number,
+    default: 0,
+  },
+  notes: {
+    type: String,
+    maxlength: 500,
+    trim: true,
+    default: null,
+  },
+  settledAt: {
+    type: Date,
+    default: null,
+  },
+  settledBy: {
+    type: String,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+// A move between units or properties
+const moveSchema = new mongoose.Schema({
+  fromPropertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+  },
+  fromUnitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    default: null,
+  },
+  fromUnitNumber: {
+    type: String,
+    required: true,
+  },
+  toPropertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true,
+  },
+  toUnitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    required: true,
+  },
+  toUnitNumber: {
+    type: String,
+    required: true,
+  },
+  reason: {
+    type: String,
+    maxlength: 200,
+    trim: true,
+    default: null,
+  },
+  movedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  movedBy: {
+    type: String,
+    ref: 'User',
+    default: null,
+  },
+}, {
+  _id: false,
+});
+
+const depositSchema = new mongoose.Schema({
+  amount: {
+    type: Number,
+    min: 0,
+    default: 0,
+  },
+  receivedAt: {
+    type: Date,
+    default: null,
+  },
+  holdingMethod: {
+    type: String,
+    enum: [...DEPOSIT_HOLDING_METHODS, null],
+    default: null,
+  },
+  // Receipt, account or transaction reference
+  reference: {
+    type: String,
+    maxlength: 100,
+    trim: true,
+    default: null,
+  },
+  // none = no deposit taken, held = awaiting move-out settlement
+  status: {
+    type: String,
+    enum: ['none', 'held', 'settled'],
+    default: 'none',
+  },
+  settlement: {
+    type: depositSettlementSchema,
+    default: null,
+  },
+}, {
+  _id: false,
+});
 
 const tenantSchema = new mongoose.Schema({
   userId: {
@@ -22,7 +188,10 @@ const tenantSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: true,
-    match: /^\+256\d{9}$/,
+    validate: {
+      validator: validatePhoneStrict,
+      message: 'Phone must be in E.164 format, e.g. +256XXXXXXXXX',
+    },
   },
   email: {
     type: String,
@@ -31,6 +200,12 @@ const tenantSchema = new mongoose.Schema({
     match: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
     default: null,
   },
+  // Unit the tenant lives in; unitNumber mirrors its number
+  unitId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Unit',
+    default: null,
+  },
   unitNumber: {
     type: String,
     required: true,
@@ -49,10 +224,39 @@ const tenantSchema = new mongoose.Schema({
     min: 1,
     max: 31,
   },
-  status: {
+  // How often rent is billed; rentAmount stays the monthly rent and
+  // each cycle bills rentAmount x the cycle's months
+  billingFrequency: {
     type: String,
-    enum: ['paid', 'unpaid'],
-    default: 'unpaid',
+    enum: BILLING_FREQUENCIES,
+    default: 'monthly',
+  },
+  // Date the first billing cycle starts (cycles repeat from this month)
+  billingAnchorDate: {
+    type: Date,
+    default: null,
+  },
+  // Language used for the tenant's reminders
+  preferredLanguage: {
+    type: String,
+    enum: SUPPORTED_LANGUAGES,
+    default: DEFAULT_LANGUAGE,
+  },
+  // Overpayments not yet applied to a rent period
+  creditBalance: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Security deposit taken at move-in
+  deposit: {
+    type: depositSchema,
+    default: () => ({}),
+  },
+  // Units and properties the tenant has moved between, oldest first
+  moveHistory: {
+    type: [moveSchema],
+    default: [],
   },
   lastReminderSentAt: {
     type: Date,
@@ -71,8 +275,8 @@ const tenantSchema = new mongoose.Schema({
 });
 
 // Compound indexes for efficient queries
-tenantSchema.index({ userId: 1, status: 1, deletedAt: 1 });
-tenantSchema.index({ userId: 1, dueDate: 1, status: 1 });
+tenantSchema.index({ userId: 1, deletedAt: 1 });
+tenantSchema.index({ userId: 1, dueDate: 1 });
 tenantSchema.index({ propertyId: 1, deletedAt: 1 });
 
 // Instance method to soft delete
@@ -81,15 +285,20 @@ tenantSchema.methods.softDelete = function() {
   return this.save();
 };
 
+// Instance method to restore from the trash
+tenantSchema.methods.restore = function() {
+  this.deletedAt = null;
+  return this.save();
+};
+
 // Instance method to check if deleted
 tenantSchema.methods.isDeleted = function() {
   return this.deletedAt !== null;
 };
 
-// Instance method to toggle status
-tenantSchema.methods.toggleStatus = function() {
-  this.status = this.status === 'paid' ? 'unpaid' : 'paid';
-  return this.save();
+// Check whether a deposit is still held (not yet settled)
+tenantSchema.methods.hasUnsettledDeposit = function() {
+  return Boolean(this.deposit && this.deposit.status === 'held' && this.deposit.amount > 0);
 };
 
 // Static method to find active tenants for a user
@@ -99,19 +308,35 @@ tenantSchema.statics.findActiveByUser = function(userId, filters = {}) {
 };
 
 // Static method to find unpaid tenants with upcoming due date
-tenantSchema.statics.findUnpaidDueSoon = function(userId, daysAhead = 3) {
+// Due days past the end of a short month count as due on its last day.
+// Only tenants whose billing cycle starts in the due date's month are due;
+// paid status lives on the RentPeriod of that cycle
+tenantSchema.statics.findUnpaidDueSoon = async function(userId, daysAhead = 3, filters = {}) {
   const today = new Date();
   const targetDay = new Date();
   targetDay.setDate(today.getDate() + daysAhead);
-  
-  return this.find({
+
+  const month = getMonthString(targetDay);
+  const paidTenantIds = await mongoose.model('RentPeriod').findTenantIdsByStatus(
+    { userId },
+    month,
+    'paid'
+  );
+
+  const tenants = await this.find({
     userId,
-    status: 'unpaid',
-    dueDate: targetDay.getDate(),
+    _id: { $nin: paidTenantIds },
+    dueDate: { $in: getDueDaysOn(targetDay) },
     deletedAt: null,
+    ...filters,
   });
+
+  return tenants.filter(tenant => isCycleStartMonth(tenant, month));
 };
 
+tenantSchema.statics.DEPOSIT_HOLDING_METHODS = DEPOSIT_HOLDING_METHODS;
+tenantSchema.statics.DEPOSIT_DEDUCTION_TYPES = DEPOSIT_DEDUCTION_TYPES;
+
 const Tenant = mongoose.model('Tenant', tenantSchema);
 
 module.exports = Tenant;
\ No newline at end of file
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const UNIT_TYPES = ['single', 'double', 'shop'];
+
+const unitSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true,
+    ref: 'User',
+  },
+  propertyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: 'Property',
+  },
+  // Matches Tenant.unitNumber for the tenant living in it
+  number: {
+    type: String,
+    required: true,
+    maxlength: 20,
+    trim: true,
+  },
+  // single = single room, double = double room, shop = commercial
+  type: {
+    type: String,
+    enum: UNIT_TYPES,
+    default: 'single',
+  },
+  // Rent suggested for new tenants (null = not set)
+  defaultRent: {
+    type: Number,
+    min: 10000,
+    max: 50000000,
+    default: null,
+  },
+  // occupied is set when a tenant is assigned, vacant when they leave
+  status: {
+    type: String,
+    enum: ['occupied', 'vacant', 'maintenance'],
+    default: 'vacant',
+  },
+  notes: {
+    type: String,
+    maxlength: 200,
+    trim: true,
+    default: null,
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+}, {
+  timestamps: true,
+});
+
+// Compound indexes for efficient queries
+unitSchema.index({ propertyId: 1, deletedAt: 1, number: 1 });
+unitSchema.index({ propertyId: 1, status: 1 });
+
+// A unit number is used once per property (deleted units don't count)
+unitSchema.index(
+  { propertyId: 1, number: 1 },
+  { unique: true, partialFilterExpression: { deletedAt: { $type: 'null' } } }
+);
+
+// Instance method to soft delete
+unitSchema.methods.softDelete = function() {
+  this.deletedAt = new Date();
+  return this.save();
+};
+
+// Static method to find a property's unit by number
+unitSchema.statics.findByNumber = function(propertyId, number) {
+  return this.findOne({ propertyId, number, deletedAt: null });
+};
+
+unitSchema.statics.UNIT_TYPES = UNIT_TYPES;
+
+const Unit = mongoose.model('Unit', unitSchema);
+
+module.exports = Unit;
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { validatePhoneStrict, SUPPORTED_COUNTRIES, DEFAULT_COUNTRY } = require('../utils/phoneUtils');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,10 +24,19 @@ const userSchema = new mongoose.Schema({
   phone: {
     type: String,
     required: false,
-    match: /^\+256\d{9}$/,
+    validate: {
+      validator: (phone) => phone === null || validatePhoneStrict(phone),
+      message: 'Phone must be in E.164 format, e.g. +256XXXXXXXXX',
+    },
     default: null,
     sparse: true, // Allow multiple null values but unique non-null values
   },
+  // Country local phone numbers are read in, unless the property sets its own
+  defaultCountry: {
+    type: String,
+    enum: SUPPORTED_COUNTRIES,
+    default: DEFAULT_COUNTRY,
+  },
   role: {
     type: String,
     enum: ['landlord', 'admin'],
@@ -0,0 +1,37 @@
+const express = require('express');
+const {
+  getLeases,
+  getLease,
+  createLease,
+  updateLease,
+  renewLease,
+  endLease,
+} = require('../controllers/lease.controller');
+const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { verifyLeaseOwnership } = require('../middleware/ownership');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// GET /api/leases - Get leases (filter by status, tenant, property or expiringWithinDays)
+router.get('/', getLeases);
+
+// POST /api/leases - Create a lease for a tenant
+router.post('/', idempotent, createLease);
+
+// GET /api/leases/:id - Get single lease
+router.get('/:id', verifyLeaseOwnership, getLease);
+
+// PATCH /api/leases/:id - Update a current lease's terms
+router.patch('/:id', verifyLeaseOwnership, updateLease);
+
+// POST /api/leases/:id/renew - Renew with new terms (creates the next lease)
+router.post('/:id/renew', idempotent, verifyLeaseOwnership, renewLease);
+
+// POST /api/leases/:id/end - End a current lease
+router.post('/:id/end', verifyLeaseOwnership, endLease);
+
+module.exports = router;
\ No newline at end of file
@@ -4,10 +4,17 @@ const {
   getProperties,
   getProperty,
   updateProperty,
+  updateLateFeeRule,
   deleteProperty,
 } = require('../controllers/property.controller');
+const { getUnits, getVacantUnits, createUnit } = require('../controllers/unit.controller');
+const { getTrashedProperties, restoreProperty } = require('../controllers/trash.controller');
+const { getImportHistory } = require('../controllers/csv.controller');
 const { authenticate } = require('../middleware/auth');
-const { verifyPropertyOwnership } = require('../middleware/ownership');
+const {
+  verifyPropertyOwnership,
+  verifyTrashedPropertyOwnership,
+} = require('../middleware/ownership');
 
 const router = express.Router();
 
@@ -20,12 +27,33 @@ router.post('/', createProperty);
 // GET /api/properties - Get all properties for user
 router.get('/', getProperties);
 
+// GET /api/properties/trash - Get deleted properties (kept for TRASH_RETENTION_DAYS)
+router.get('/trash', getTrashedProperties);
+
+// POST /api/properties/:id/restore - Restore a deleted property and its units
+router.post('/:id/restore', verifyTrashedPropertyOwnership, restoreProperty);
+
 // GET /api/properties/:id - Get single property with tenants
 router.get('/:id', verifyPropertyOwnership, getProperty);
 
 // PATCH /api/properties/:id - Update property
 router.patch('/:id', verifyPropertyOwnership, updateProperty);
 
+// PUT /api/properties/:id/late-fee-rule - Set the property's late fee rule
+router.put('/:id/late-fee-rule', verifyPropertyOwnership, updateLateFeeRule);
+
+// GET /api/properties/:id/units - Get units with occupancy (filter by status)
+router.get('/:id/units', verifyPropertyOwnership, getUnits);
+
+// GET /api/properties/:id/units/vacant - Get vacant units
+router.get('/:id/units/vacant', verifyPropertyOwnership, getVacantUnits);
+
+// POST /api/properties/:id/units - Add a unit
+router.post('/:id/units', verifyPropertyOwnership, createUnit);
+
+// GET /api/properties/:id/imports - Get the property's tenant imports, newest first
+router.get('/:id/imports', verifyPropertyOwnership, getImportHistory);
+
 // DELETE /api/properties/:id - Delete property
 router.delete('/:id', verifyPropertyOwnership, deleteProperty);
 
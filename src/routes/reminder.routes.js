@@ -3,14 +3,24 @@ const {
   sendReminders,
   getJobStatus,
   getJobDetails,
+  retryJob,
+  retryReminderLogs,
   getReminderLogs,
   getReminderStats,
+  getReminderSchedule,
+  updateReminderSchedule,
   getAvailableMethods, // ✅ NEW
+  handleDeliveryReport,
 } = require('../controllers/reminder.controller');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
 
 const router = express.Router();
 
+// POST /api/reminders/callbacks/at-delivery - Africa's Talking SMS delivery reports
+// Public: called by AT, so it is registered before authentication
+router.post('/callbacks/at-delivery', handleDeliveryReport);
+
 // All routes require authentication
 router.use(authenticate);
 
@@ -20,7 +30,8 @@ router.get('/methods', getAvailableMethods);
 
 // POST /api/reminders/send - Send reminders to tenants
 // Now includes automatic feature flag checking
-router.post('/send', sendReminders);
+// Supports an Idempotency-Key header so client retries don't send twice
+router.post('/send', idempotent, sendReminders);
 
 // GET /api/reminders/jobs/:jobId - Get job status
 router.get('/jobs/:jobId', getJobStatus);
@@ -28,10 +39,22 @@ router.get('/jobs/:jobId', getJobStatus);
 // GET /api/reminders/jobs/:jobId/details - Get detailed job results
 router.get('/jobs/:jobId/details', getJobDetails);
 
+// POST /api/reminders/jobs/:jobId/retry - Retry a job's failed reminders (optionally on another channel)
+router.post('/jobs/:jobId/retry', idempotent, retryJob);
+
+// POST /api/reminders/logs/retry - Retry failed reminders selected by log IDs or filters
+router.post('/logs/retry', idempotent, retryReminderLogs);
+
 // GET /api/reminders/logs - Get reminder logs
 router.get('/logs', getReminderLogs);
 
 // GET /api/reminders/stats - Get reminder statistics
 router.get('/stats', getReminderStats);
 
+// GET /api/reminders/schedule - Get automatic tenant reminder schedule
+router.get('/schedule', getReminderSchedule);
+
+// PUT /api/reminders/schedule - Create or replace automatic tenant reminder schedule
+router.put('/schedule', updateReminderSchedule);
+
 module.exports = router;
\ No newline at end of file
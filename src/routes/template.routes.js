@@ -0,0 +1,36 @@
+const express = require('express');
+const {
+  getTemplates,
+  getTemplate,
+  createTemplate,
+  updateTemplate,
+  deleteTemplate,
+  previewTemplate,
+} = require('../controllers/template.controller');
+const { authenticate } = require('../middleware/auth');
+const { verifyTemplateOwnership } = require('../middleware/ownership');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// POST /api/templates/preview - Render a reminder for a tenant (draft, saved or current template)
+router.post('/preview', previewTemplate);
+
+// GET /api/templates - Get custom reminder templates (and available placeholders)
+router.get('/', getTemplates);
+
+// POST /api/templates - Create SMS or email template (landlord-wide or per property)
+router.post('/', createTemplate);
+
+// GET /api/templates/:id - Get single template
+router.get('/:id', verifyTemplateOwnership, getTemplate);
+
+// PATCH /api/templates/:id - Update template subject/body
+router.patch('/:id', verifyTemplateOwnership, updateTemplate);
+
+// DELETE /api/templates/:id - Delete template (falls back to default wording)
+router.delete('/:id', verifyTemplateOwnership, deleteTemplate);
+
+module.exports = router;
\ No newline at end of file
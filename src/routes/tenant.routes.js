@@ -2,16 +2,33 @@ const express = require('express');
 const {
   createTenant,
   getTenants,
+  exportTenants,
   getTenant,
   updateTenant,
   updateTenantStatus,
+  createPayment,
+  getPayments,
   deleteTenant,
 } = require('../controllers/tenant.controller');
-const { validateCSV, importCSV } = require('../controllers/csv.controller');
+const {
+  validateCSV,
+  uploadCSV,
+  importCSV,
+  getImportStatus,
+  downloadImportErrors,
+  rollbackImport,
+} = require('../controllers/csv.controller');
+const { getCharges, waiveCharge } = require('../controllers/charge.controller');
+const { getDeposit, updateDeposit, settleDeposit } = require('../controllers/deposit.controller');
+const { transferTenant, bulkTransferTenants } = require('../controllers/transfer.controller');
+const { getTrashedTenants, restoreTenant } = require('../controllers/trash.controller');
 const { authenticate } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const { uploadSpreadsheet } = require('../middleware/upload');
 const {
   verifyTenantOwnership,
   verifyPropertyOwnershipFromBody,
+  verifyTrashedTenantOwnership,
 } = require('../middleware/ownership');
 
 const router = express.Router();
@@ -19,12 +36,35 @@ const router = express.Router();
 // All routes require authentication
 router.use(authenticate);
 
+// POST routes that create records accept an Idempotency-Key header,
+// so a retried request replays the first response instead of creating duplicates
+
 // CSV Import routes
 router.post('/import/validate', verifyPropertyOwnershipFromBody, validateCSV);
-router.post('/import/confirm', verifyPropertyOwnershipFromBody, importCSV);
+// POST /api/tenants/import/upload - Parse a CSV/XLSX file (multipart "file" + "propertyId", optional "mapping")
+router.post('/import/upload', uploadSpreadsheet, verifyPropertyOwnershipFromBody, uploadCSV);
+router.post('/import/confirm', idempotent, verifyPropertyOwnershipFromBody, importCSV);
+// GET /api/tenants/import/:batchId - Import progress
+router.get('/import/:batchId', getImportStatus);
+// GET /api/tenants/import/:batchId/errors - Download failed rows with their errors (?format=csv|xlsx)
+router.get('/import/:batchId/errors', downloadImportErrors);
+// POST /api/tenants/import/:batchId/rollback - Remove the tenants an import created (409 with blockers)
+router.post('/import/:batchId/rollback', rollbackImport);
 
 // POST /api/tenants - Create tenant (verify property ownership from body)
-router.post('/', verifyPropertyOwnershipFromBody, createTenant);
+router.post('/', idempotent, verifyPropertyOwnershipFromBody, createTenant);
+
+// POST /api/tenants/transfer - Move several tenants to other units or properties
+router.post('/transfer', idempotent, bulkTransferTenants);
+
+// GET /api/tenants/export - Download tenants as CSV or XLSX (?format=csv|xlsx, same filters as GET /)
+router.get('/export', exportTenants);
+
+// GET /api/tenants/trash - Get deleted tenants (kept for TRASH_RETENTION_DAYS)
+router.get('/trash', getTrashedTenants);
+
+// POST /api/tenants/:id/restore - Restore a deleted tenant (409 if the unit was let since)
+router.post('/:id/restore', verifyTrashedTenantOwnership, restoreTenant);
 
 // GET /api/tenants - Get all tenants for user
 router.get('/', getTenants);
@@ -38,7 +78,31 @@ router.patch('/:id', verifyTenantOwnership, updateTenant);
 // PATCH /api/tenants/:id/status - Update tenant status (Paid/Unpaid)
 router.patch('/:id/status', verifyTenantOwnership, updateTenantStatus);
 
-// DELETE /api/tenants/:id - Delete tenant
+// POST /api/tenants/:id/payments - Record a (partial) rent payment
+router.post('/:id/payments', idempotent, verifyTenantOwnership, createPayment);
+
+// GET /api/tenants/:id/payments - Get payment history and balance
+router.get('/:id/payments', verifyTenantOwnership, getPayments);
+
+// GET /api/tenants/:id/charges - Get late fees charged to the tenant
+router.get('/:id/charges', verifyTenantOwnership, getCharges);
+
+// POST /api/tenants/:id/charges/:chargeId/waive - Waive a charge (reason required, audited)
+router.post('/:id/charges/:chargeId/waive', verifyTenantOwnership, waiveCharge);
+
+// GET /api/tenants/:id/deposit - Get the tenant's deposit and settlement
+router.get('/:id/deposit', verifyTenantOwnership, getDeposit);
+
+// PUT /api/tenants/:id/deposit - Record the deposit taken at move-in
+router.put('/:id/deposit', verifyTenantOwnership, updateDeposit);
+
+// POST /api/tenants/:id/deposit/settle - Settle the deposit at move-out (preview: true to dry-run)
+router.post('/:id/deposit/settle', idempotent, verifyTenantOwnership, settleDeposit);
+
+// POST /api/tenants/:id/transfer - Move the tenant to another unit or property
+router.post('/:id/transfer', idempotent, verifyTenantOwnership, transferTenant);
+
+// DELETE /api/tenants/:id - Delete tenant (warns about an unsettled deposit)
 router.delete('/:id', verifyTenantOwnership, deleteTenant);
 
 module.exports = router;
\ No newline at end of file
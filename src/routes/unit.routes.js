@@ -0,0 +1,26 @@
+const express = require('express');
+const {
+  getUnit,
+  updateUnit,
+  deleteUnit,
+} = require('../controllers/unit.controller');
+const { authenticate } = require('../middleware/auth');
+const { verifyUnitOwnership } = require('../middleware/ownership');
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Units are listed and created under their property (/api/properties/:id/units)
+
+// GET /api/units/:id - Get single unit with its tenant
+router.get('/:id', verifyUnitOwnership, getUnit);
+
+// PATCH /api/units/:id - Update unit (status can be set to vacant or maintenance)
+router.patch('/:id', verifyUnitOwnership, updateUnit);
+
+// DELETE /api/units/:id - Delete a unit that isn't occupied
+router.delete('/:id', verifyUnitOwnership, deleteUnit);
+
+module.exports = router;
\ No newline at end of file
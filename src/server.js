@@ -10,6 +10,12 @@ const connectDB = require('./config/db');
 const { validateEmailConfig, testEmailConnection } = require('./config/nodemailer');
 const { validateATConfig } = require('./config/africastalking');
 const { initializeMonthlyScheduler } = require('./jobs/monthlyReminder.job');
+const { initializeRentRolloverScheduler } = require('./jobs/rentRollover.job');
+const { initializeLeaseExpiryScheduler } = require('./jobs/leaseExpiry.job');
+const { initializeLateFeeScheduler } = require('./jobs/lateFee.job');
+const { initializeTrashRetentionScheduler } = require('./jobs/trashRetention.job');
+const { startReminderWorker } = require('./services/reminderJob.service');
+const { startImportWorker } = require('./services/importBatch.service');
 const logger = require('./utils/logger');
 const { notFound, errorHandler } = require('./middleware/errorHandler');
 
@@ -48,6 +54,24 @@ try {
 if (process.env.NODE_ENV !== 'test') {
   initializeMonthlyScheduler();
   logger.info('Monthly reminder scheduler started');
+
+  initializeRentRolloverScheduler();
+  logger.info('Rent rollover scheduler started');
+
+  initializeLeaseExpiryScheduler();
+  logger.info('Lease expiry scheduler started');
+
+  initializeLateFeeScheduler();
+  logger.info('Late fee scheduler started');
+
+  initializeTrashRetentionScheduler();
+  logger.info('Trash retention scheduler started');
+
+  // Resume reminder jobs interrupted by a restart and pick up new ones
+  startReminderWorker();
+
+  // Same for tenant imports
+  startImportWorker();
 }
 
 // CORS Configuration
@@ -60,7 +84,8 @@ const corsOptions = {
   credentials: true,
   optionsSuccessStatus: 200,
   methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 };
 
 app.use(cors(corsOptions));
@@ -86,6 +111,10 @@ if (process.env.NODE_ENV === 'development') {
   }));
 }
 
+// Africa's Talking posts one delivery report per SMS from a handful of IPs,
+// so a bulk send would run straight into the API rate limit
+const UNLIMITED_API_PATHS = ['/reminders/callbacks/at-delivery'];
+
 // Rate limiting for API endpoints
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -93,6 +122,7 @@ const apiLimiter = rateLimit({
   message: 'Too many requests from this IP, please try again later',
   standardHeaders: true,
   legacyHeaders: false,
+  skip: (req) => UNLIMITED_API_PATHS.includes(req.path),
 });
 
 app.use('/api', apiLimiter);
@@ -124,6 +154,9 @@ app.use('/api/auth', require('./routes/auth.routes'));
 app.use('/api/properties', require('./routes/property.routes'));
 app.use('/api/tenants', require('./routes/tenant.routes'));
 app.use('/api/reminders', require('./routes/reminder.routes'));
+app.use('/api/templates', require('./routes/template.routes'));
+app.use('/api/leases', require('./routes/lease.routes'));
+app.use('/api/units', require('./routes/unit.routes'));
 app.use('/api/feedback', require('./routes/feedback.routes'));
 app.use('/api/admin', require('./routes/admin.routes'));
 app.use('/api/features', require('./routes/feature.routes'));
@@ -0,0 +1,123 @@
+const {
+  getDaysInMonth,
+  getEffectiveDueDay,
+  resolveDueDate,
+  getDueDaysOn,
+  isDueOn,
+  getNextDueDate,
+  daysUntilDue,
+} = require('../dueDate.service');
+
+// Local midnight, months 1-12
+const day = (year, month, date) => new Date(year, month - 1, date);
+
+describe('getDaysInMonth', () => {
+  it('gives February 29 days in leap years and 28 otherwise', () => {
+    expect(getDaysInMonth(2024, 1)).toBe(29);
+    expect(getDaysInMonth(2000, 1)).toBe(29);
+    expect(getDaysInMonth(2025, 1)).toBe(28);
+    expect(getDaysInMonth(1900, 1)).toBe(28);
+  });
+
+  it('gives the 30-day months 30 days', () => {
+    [3, 5, 8, 10].forEach(monthIndex => {
+      expect(getDaysInMonth(2025, monthIndex)).toBe(30);
+    });
+  });
+});
+
+describe('resolveDueDate', () => {
+  it('clamps the 31st to the last day of February', () => {
+    expect(resolveDueDate(31, '2024-02')).toEqual(day(2024, 2, 29));
+    expect(resolveDueDate(31, '2025-02')).toEqual(day(2025, 2, 28));
+  });
+
+  it('keeps the 29th in a leap February and clamps it otherwise', () => {
+    expect(resolveDueDate(29, '2024-02')).toEqual(day(2024, 2, 29));
+    expect(resolveDueDate(29, '2025-02')).toEqual(day(2025, 2, 28));
+  });
+
+  it('clamps the 31st to the 30th in 30-day months', () => {
+    ['2025-04', '2025-06', '2025-09', '2025-11'].forEach(month => {
+      expect(resolveDueDate(31, month).getDate()).toBe(30);
+    });
+  });
+
+  it('leaves days that exist in the month alone', () => {
+    expect(resolveDueDate(31, '2025-01')).toEqual(day(2025, 1, 31));
+    expect(resolveDueDate(30, '2025-04')).toEqual(day(2025, 4, 30));
+    expect(resolveDueDate(5, day(2025, 2, 17))).toEqual(day(2025, 2, 5));
+  });
+});
+
+describe('getEffectiveDueDay', () => {
+  it('accepts a month string or a date', () => {
+    expect(getEffectiveDueDay(30, '2025-02')).toBe(28);
+    expect(getEffectiveDueDay(30, day(2024, 2, 10))).toBe(29);
+  });
+});
+
+describe('getDueDaysOn', () => {
+  it('includes the missing later days on the last day of a month', () => {
+    expect(getDueDaysOn(day(2025, 2, 28))).toEqual([28, 29, 30, 31]);
+    expect(getDueDaysOn(day(2024, 2, 29))).toEqual([29, 30, 31]);
+    expect(getDueDaysOn(day(2025, 4, 30))).toEqual([30, 31]);
+  });
+
+  it('gives only the day itself on other days', () => {
+    expect(getDueDaysOn(day(2024, 2, 28))).toEqual([28]);
+    expect(getDueDaysOn(day(2025, 1, 30))).toEqual([30]);
+  });
+});
+
+describe('isDueOn', () => {
+  it('matches the 29th, 30th and 31st on 28 February in a non-leap year', () => {
+    [29, 30, 31].forEach(dueDay => {
+      expect(isDueOn(dueDay, day(2025, 2, 28))).toBe(true);
+    });
+  });
+
+  it('matches the 29th on 29 February in a leap year, not on the 28th', () => {
+    expect(isDueOn(29, day(2024, 2, 29))).toBe(true);
+    expect(isDueOn(29, day(2024, 2, 28))).toBe(false);
+  });
+
+  it('matches the 31st on the 30th of a 30-day month', () => {
+    expect(isDueOn(31, day(2025, 9, 30))).toBe(true);
+    expect(isDueOn(30, day(2025, 9, 30))).toBe(true);
+    expect(isDueOn(31, day(2025, 9, 29))).toBe(false);
+  });
+});
+
+describe('getNextDueDate', () => {
+  it('moves a 31st due date from January to the end of February', () => {
+    expect(getNextDueDate(31, day(2024, 2, 1))).toEqual(day(2024, 2, 29));
+    expect(getNextDueDate(31, day(2025, 2, 1))).toEqual(day(2025, 2, 28));
+  });
+
+  it('counts today as due', () => {
+    expect(getNextDueDate(31, day(2025, 1, 31))).toEqual(day(2025, 1, 31));
+    expect(getNextDueDate(31, day(2025, 4, 30))).toEqual(day(2025, 4, 30));
+  });
+
+  it('rolls over to next month once the due date has passed', () => {
+    expect(getNextDueDate(29, day(2025, 3, 30))).toEqual(day(2025, 4, 29));
+    expect(getNextDueDate(5, day(2024, 12, 6))).toEqual(day(2025, 1, 5));
+  });
+});
+
+describe('daysUntilDue', () => {
+  it('is 0 on the clamped due date', () => {
+    expect(daysUntilDue(31, day(2025, 2, 28))).toBe(0);
+    expect(daysUntilDue(31, day(2025, 6, 30))).toBe(0);
+  });
+
+  it('counts the days to the end of a short month', () => {
+    expect(daysUntilDue(31, day(2024, 2, 26))).toBe(3);
+    expect(daysUntilDue(31, day(2025, 2, 26))).toBe(2);
+  });
+
+  it('ignores the time of day', () => {
+    expect(daysUntilDue(30, new Date(2025, 3, 29, 23, 30))).toBe(1);
+  });
+});
\ No newline at end of file
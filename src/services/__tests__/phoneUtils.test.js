@@ -0,0 +1,116 @@
+const {
+  normalizePhone,
+  validatePhoneStrict,
+  getPhoneCountry,
+  getPhoneFormatHint,
+} = require('../../utils/phoneUtils');
+
+// A mobile number per country, as national digits without the trunk 0
+const MOBILES = {
+  UG: { dialCode: '256', national: '772123456' },
+  KE: { dialCode: '254', national: '712345678' },
+  TZ: { dialCode: '255', national: '654321098' },
+  RW: { dialCode: '250', national: '788123456' },
+};
+
+describe('normalizePhone', () => {
+  Object.entries(MOBILES).forEach(([country, { dialCode, national }]) => {
+    const e164 = `+${dialCode}${national}`;
+
+    it(`reads every way of writing a ${country} number`, () => {
+      [
+        e164,
+        `${dialCode}${national}`,
+        `00${dialCode}${national}`,
+        `0${national}`,
+        national,
+      ].forEach(phone => {
+        expect(normalizePhone(phone, country)).toBe(e164);
+      });
+    });
+
+    it(`reads an international ${country} number whatever the local country`, () => {
+      expect(normalizePhone(`+${dialCode}${national}`, 'UG')).toBe(e164);
+      expect(normalizePhone(`00${dialCode}${national}`, 'KE')).toBe(e164);
+    });
+  });
+
+  it('reads local numbers in the given country', () => {
+    expect(normalizePhone('0712345678', 'UG')).toBe('+256712345678');
+    expect(normalizePhone('0712345678', 'KE')).toBe('+254712345678');
+    expect(normalizePhone('0712345678', 'TZ')).toBe('+255712345678');
+  });
+
+  it('ignores spaces, dashes, dots and brackets', () => {
+    expect(normalizePhone('+256 (772) 123-456', 'UG')).toBe('+256772123456');
+    expect(normalizePhone('0772.123.456', 'UG')).toBe('+256772123456');
+    expect(normalizePhone('00 254 712 345 678', 'UG')).toBe('+254712345678');
+  });
+
+  it('accepts the newer Kenyan 01 prefixes', () => {
+    expect(normalizePhone('0110123456', 'KE')).toBe('+254110123456');
+    expect(normalizePhone('+254101234567', 'UG')).toBe('+254101234567');
+  });
+
+  it('rejects numbers that are not mobile numbers of the country', () => {
+    // Ugandan landline, Rwandan 75 prefix, Tanzanian 5 prefix
+    expect(normalizePhone('0414123456', 'UG')).toBeNull();
+    expect(normalizePhone('0751234567', 'RW')).toBeNull();
+    expect(normalizePhone('0512345678', 'TZ')).toBeNull();
+  });
+
+  it('rejects wrong lengths and unsupported dial codes', () => {
+    expect(normalizePhone('07721234567', 'UG')).toBeNull();
+    expect(normalizePhone('077212345', 'UG')).toBeNull();
+    expect(normalizePhone('+25677212345', 'UG')).toBeNull();
+    expect(normalizePhone('+447700900123', 'UG')).toBeNull();
+    expect(normalizePhone('00447700900123', 'UG')).toBeNull();
+  });
+
+  it('rejects empty input and unknown countries', () => {
+    expect(normalizePhone('', 'UG')).toBeNull();
+    expect(normalizePhone(null, 'UG')).toBeNull();
+    expect(normalizePhone('0772123456', 'NG')).toBeNull();
+  });
+
+  describe('scientific notation from spreadsheets', () => {
+    it('recovers numbers with every digit in the mantissa', () => {
+      expect(normalizePhone('2.56772123456E+11', 'UG')).toBe('+256772123456');
+      expect(normalizePhone('2.54712345678e11', 'UG')).toBe('+254712345678');
+      expect(normalizePhone(256772123456, 'UG')).toBe('+256772123456');
+    });
+
+    it('rejects truncated mantissas instead of padding them with zeros', () => {
+      expect(normalizePhone('2.56772E+11', 'UG')).toBeNull();
+      expect(normalizePhone('2.5677212345E+11', 'UG')).toBeNull();
+      expect(normalizePhone('2.54712E+11', 'KE')).toBeNull();
+    });
+  });
+});
+
+describe('validatePhoneStrict', () => {
+  it('accepts E.164 numbers of supported countries only', () => {
+    expect(validatePhoneStrict('+256772123456')).toBe(true);
+    expect(validatePhoneStrict('+250788123456')).toBe(true);
+    expect(validatePhoneStrict('256772123456')).toBe(false);
+    expect(validatePhoneStrict('+25677212345')).toBe(false);
+    expect(validatePhoneStrict('+447700900123')).toBe(false);
+    expect(validatePhoneStrict(256772123456)).toBe(false);
+  });
+});
+
+describe('getPhoneCountry', () => {
+  it('gives the country of an E.164 number', () => {
+    Object.entries(MOBILES).forEach(([country, { dialCode, national }]) => {
+      expect(getPhoneCountry(`+${dialCode}${national}`)).toBe(country);
+    });
+    expect(getPhoneCountry('0772123456')).toBeNull();
+  });
+});
+
+describe('getPhoneFormatHint', () => {
+  it('shows the dial code of the country', () => {
+    expect(getPhoneFormatHint('KE')).toBe('+254XXXXXXXXX or 0XXXXXXXXX');
+    expect(getPhoneFormatHint()).toBe('+256XXXXXXXXX or 0XXXXXXXXX');
+  });
+});
\ No newline at end of file
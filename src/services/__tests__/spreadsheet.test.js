@@ -0,0 +1,50 @@
+const { parseCsv } = require('../../utils/spreadsheet');
+
+const UTF8_BOM = Buffer.from([0xEF, 0xBB, 0xBF]);
+const UTF16LE_BOM = Buffer.from([0xFF, 0xFE]);
+
+describe('parseCsv', () => {
+  it('splits off the header row and drops empty rows', () => {
+    const { headers, rows } = parseCsv(Buffer.from('Name,Unit\nJane,A1\n\n,\nJohn,A2\n'));
+
+    expect(headers).toEqual(['Name', 'Unit']);
+    expect(rows).toEqual([['Jane', 'A1'], ['John', 'A2']]);
+  });
+
+  it('detects semicolon, tab and pipe delimiters', () => {
+    ['\t', ';', '|'].forEach(separator => {
+      const text = ['Name', 'Unit', 'Rent'].join(separator) + '\n' + ['Jane', 'A1', '300000'].join(separator);
+      const { headers, rows, delimiter } = parseCsv(Buffer.from(text));
+
+      expect(delimiter).toBe(separator);
+      expect(headers).toEqual(['Name', 'Unit', 'Rent']);
+      expect(rows).toEqual([['Jane', 'A1', '300000']]);
+    });
+  });
+
+  it('ignores delimiters inside quoted headers', () => {
+    const { headers, delimiter } = parseCsv(Buffer.from('"Rent; UGX",Name\n300000,Jane'));
+
+    expect(delimiter).toBe(',');
+    expect(headers).toEqual(['Rent; UGX', 'Name']);
+  });
+
+  it('keeps comma-separated amounts in a semicolon file intact', () => {
+    const { rows } = parseCsv(Buffer.from('Name;Rent\nJane;300,000'));
+    expect(rows).toEqual([['Jane', '300,000']]);
+  });
+
+  it('strips a UTF-8 byte order mark from the first header', () => {
+    const { headers } = parseCsv(Buffer.concat([UTF8_BOM, Buffer.from('Name,Unit\nJane,A1')]));
+    expect(headers).toEqual(['Name', 'Unit']);
+  });
+
+  it('decodes UTF-16 files with a byte order mark', () => {
+    const buffer = Buffer.concat([UTF16LE_BOM, Buffer.from('Name\tUnit\r\nNakato\tA1\r\n', 'utf16le')]);
+    const { headers, rows, delimiter } = parseCsv(buffer);
+
+    expect(delimiter).toBe('\t');
+    expect(headers).toEqual(['Name', 'Unit']);
+    expect(rows).toEqual([['Nakato', 'A1']]);
+  });
+});
\ No newline at end of file
@@ -0,0 +1,76 @@
+const { detectColumnMapping, applyColumnMapping } = require('../tenantImport.service');
+
+const HEADERS = ['Tenant Name', 'Phone No', 'House', 'Rent (UGX)', 'Due Day'];
+const MAPPING = {
+  'Tenant Name': 'name',
+  'Phone No': 'phone',
+  House: 'unitNumber',
+  'Rent (UGX)': 'rentAmount',
+  'Due Day': 'dueDate',
+};
+
+// Map one row with the given rent and due day cells
+const mapRow = (rent, dueDay) => {
+  const [tenant] = applyColumnMapping(HEADERS, [['Jane', '0772123456', 'A1', rent, dueDay]], MAPPING);
+  return tenant;
+};
+
+describe('detectColumnMapping', () => {
+  it('matches aliases regardless of case, punctuation and filler words', () => {
+    expect(detectColumnMapping(HEADERS)).toEqual(MAPPING);
+  });
+
+  it('matches exact field names', () => {
+    expect(detectColumnMapping(['name', 'phone', 'unitNumber', 'rentAmount', 'dueDate'])).toEqual({
+      name: 'name',
+      phone: 'phone',
+      unitNumber: 'unitNumber',
+      rentAmount: 'rentAmount',
+      dueDate: 'dueDate',
+    });
+  });
+
+  it('uses each field once and leaves unknown columns out', () => {
+    expect(detectColumnMapping(['Mobile', 'Telephone', 'Notes'])).toEqual({ Mobile: 'phone' });
+  });
+});
+
+describe('applyColumnMapping', () => {
+  it('builds tenant rows from the mapped columns', () => {
+    expect(mapRow('300000', '5')).toEqual({
+      name: 'Jane',
+      phone: '0772123456',
+      unitNumber: 'A1',
+      rentAmount: '300000',
+      dueDate: '5',
+    });
+  });
+
+  it('strips a currency prefix, thousands separators and decimals from rent', () => {
+    expect(mapRow('UGX 300,000', '5').rentAmount).toBe('300000');
+    expect(mapRow('USh. 300 000', '5').rentAmount).toBe('300000');
+    expect(mapRow('300,000.00', '5').rentAmount).toBe('300000');
+    expect(mapRow('15.000.000', '5').rentAmount).toBe('15000000');
+  });
+
+  it('leaves rent with a sign or other text for validation to reject', () => {
+    expect(mapRow('-300000', '5').rentAmount).toBe('-300000');
+    expect(mapRow('+300000', '5').rentAmount).toBe('+300000');
+    expect(mapRow('300k', '5').rentAmount).toBe('300k');
+    expect(mapRow('300,000 per month', '5').rentAmount).toBe('300,000 per month');
+  });
+
+  it('reads ordinal due days and leaves other text as it is', () => {
+    expect(mapRow('300000', '5th').dueDate).toBe('5');
+    expect(mapRow('300000', '31st').dueDate).toBe('31');
+    expect(mapRow('300000', '-5').dueDate).toBe('-5');
+    expect(mapRow('300000', 'end of month').dueDate).toBe('end of month');
+  });
+
+  it('gives blank and missing cells as null', () => {
+    const [tenant] = applyColumnMapping(HEADERS, [['Jane', '', 'A1']], MAPPING);
+    expect(tenant.phone).toBeNull();
+    expect(tenant.rentAmount).toBeNull();
+    expect(tenant.dueDate).toBeNull();
+  });
+});
\ No newline at end of file
@@ -63,20 +63,20 @@ async function getMonthlyReminderTrend(userId, months = 6) {
         ReminderLog.countDocuments({
           userId,
           type: 'sms',
-          status: 'sent',
+          status: { $in: ReminderLog.SENT_STATUSES },
           timestamp: { $gte: monthStart, $lte: monthEnd },
         }),
         ReminderLog.countDocuments({
           userId,
           type: 'email',
-          status: 'sent',
+          status: { $in: ReminderLog.SENT_STATUSES },
           timestamp: { $gte: monthStart, $lte: monthEnd },
         }),
         ReminderLog.aggregate([
           {
             $match: {
               userId,
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
               timestamp: { $gte: monthStart, $lte: monthEnd },
             },
           },
@@ -119,7 +119,7 @@ async function getCostAnalysis(userId) {
           {
             $match: {
               userId,
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
             },
           },
           {
@@ -133,7 +133,7 @@ async function getCostAnalysis(userId) {
           {
             $match: {
               userId,
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
               timestamp: { $gte: thirtyDaysAgo },
             },
           },
@@ -148,7 +148,7 @@ async function getCostAnalysis(userId) {
           {
             $match: {
               userId,
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
             },
           },
           {
@@ -162,7 +162,7 @@ async function getCostAnalysis(userId) {
           {
             $match: {
               userId,
-              status: 'sent',
+              status: { $in: ReminderLog.SENT_STATUSES },
             },
           },
           {
@@ -220,7 +220,7 @@ async function getSystemHealthMetrics() {
       }),
       ReminderLog.countDocuments({
         type: 'sms',
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
         timestamp: { $gte: last24Hours },
       }),
       ReminderLog.countDocuments({
@@ -238,7 +238,7 @@ async function getSystemHealthMetrics() {
       }),
       ReminderLog.countDocuments({
         type: 'email',
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
         timestamp: { $gte: last24Hours },
       }),
       ReminderLog.countDocuments({
@@ -346,7 +346,7 @@ async function getPlatformStats(startDate, endDate) {
         ...dateQuery,
       }),
       ReminderLog.countDocuments({
-        status: 'sent',
+        status: { $in: ReminderLog.SENT_STATUSES },
         ...(dateQuery.createdAt && { timestamp: dateQuery.createdAt }),
       }),
       EventLog.countDocuments(dateQuery),
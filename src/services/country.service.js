@@ -0,0 +1,27 @@
+const User = require('../models/user.model');
+const { DEFAULT_COUNTRY } = require('../utils/phoneUtils');
+
+/**
+ * Country a landlord's phone numbers are read in by default
+ * @param {string} userId - Landlord user ID
+ * @returns {Promise<string>} - Country code (UG, KE, TZ, RW)
+ */
+const getUserCountry = async (userId) => {
+  const user = await User.findById(userId).select('defaultCountry');
+  return user?.defaultCountry || DEFAULT_COUNTRY;
+};
+
+/**
+ * Country tenants' local phone numbers are read in for a property:
+ * the property's own country, else the landlord's default
+ * @param {Object} property - Property document
+ * @returns {Promise<string>} - Country code (UG, KE, TZ, RW)
+ */
+const getPropertyCountry = async (property) => {
+  return property.country || getUserCountry(property.userId);
+};
+
+module.exports = {
+  getUserCountry,
+  getPropertyCountry,
+};
\ No newline at end of file
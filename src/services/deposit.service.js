@@ -0,0 +1,156 @@
+const Tenant = require('../models/tenant.model');
+const { recordPayment } = require('./rentPeriod.service');
+const logger = require('../utils/logger');
+const { validateDepositAmount, sanitizeString } = require('../utils/validators');
+
+/**
+ * Parse and validate deposit details from the request body
+ * @param {Object} body - amount, receivedAt, holdingMethod, reference
+ * @returns {Object} - { error } or { deposit }
+ */
+const parseDeposit = (body) => {
+  const { amount, receivedAt, holdingMethod, reference } = body;
+
+  if (amount === undefined || !validateDepositAmount(amount)) {
+    return { error: 'Deposit amount must be a non-negative amount (UGX)' };
+  }
+
+  const receivedDate = receivedAt ? new Date(receivedAt) : new Date();
+  if (isNaN(receivedDate.getTime()) || receivedDate > new Date()) {
+    return { error: 'Date received must be a valid date that is not in the future' };
+  }
+
+  if (holdingMethod && !Tenant.DEPOSIT_HOLDING_METHODS.includes(holdingMethod)) {
+    return {
+      error: `Holding method must be one of: ${Tenant.DEPOSIT_HOLDING_METHODS.join(', ')}`,
+    };
+  }
+
+  if (reference && String(reference).length > 100) {
+    return { error: 'Reference must be at most 100 characters' };
+  }
+
+  const depositAmount = Number(amount);
+
+  return {
+    deposit: {
+      amount: depositAmount,
+      receivedAt: depositAmount > 0 ? receivedDate : null,
+      holdingMethod: depositAmount > 0 ? (holdingMethod || 'cash') : null,
+      reference: reference ? sanitizeString(String(reference)) : null,
+      status: depositAmount > 0 ? 'held' : 'none',
+      settlement: null,
+    },
+  };
+};
+
+/**
+ * Work out a move-out settlement
+ * The deposit covers unpaid rent first, then the other deductions
+ * @param {number} depositAmount - Deposit held (UGX)
+ * @param {Array} deductions - { type, description, amount }
+ * @returns {Object} - { totalDeductions, rentCovered, refundAmount, balanceOwed }
+ */
+const calculateSettlement = (depositAmount, deductions) => {
+  const totalDeductions = deductions.reduce((sum, d) => sum + d.amount, 0);
+  const unpaidRent = deductions
+    .filter(d => d.type === 'unpaid_rent')
+    .reduce((sum, d) => sum + d.amount, 0);
+
+  return {
+    totalDeductions,
+    rentCovered: Math.min(unpaidRent, depositAmount),
+    refundAmount: Math.max(depositAmount - totalDeductions, 0),
+    balanceOwed: Math.max(totalDeductions - depositAmount, 0),
+  };
+};
+
+/**
+ * Settle a tenant's deposit at move-out
+ * Rent covered by the deposit is recorded in the ledger as a 'deposit' payment
+ * @param {Object} tenant - Tenant document
+ * @param {Object} params - Settlement details
+ * @param {Array} params.deductions - Validated deductions
+ * @param {string} params.notes - Settlement notes (optional)
+ * @param {string} userId - Landlord settling the deposit
+ * @returns {Promise<Object|null>} - Updated tenant, or null if the deposit was already settled
+ */
+const settleDeposit = async (tenant, { deductions, notes }, userId) => {
+  const figures = calculateSettlement(tenant.deposit.amount, deductions);
+
+  // Claim the deposit first so two settlements can't both go through
+  const settled = await Tenant.findOneAndUpdate(
+    { _id: tenant._id, 'deposit.status': 'held' },
+    {
+      $set: {
+        'deposit.status': 'settled',
+        'deposit.settlement': {
+          deductions,
+          ...figures,
+          notes: notes || null,
+          settledAt: new Date(),
+          settledBy: userId,
+        },
+      },
+    },
+    { new: true }
+  );
+
+  if (!settled) {
+    return null;
+  }
+
+  if (figures.rentCovered > 0) {
+    const payment = await recordPayment(settled, {
+      amount: figures.rentCovered,
+      paidAt: new Date(),
+      method: 'deposit',
+      reference: 'Deposit settlement',
+    });
+
+    settled.deposit.settlement.paymentId = payment._id;
+    await settled.save();
+  }
+
+  logger.info(`Deposit settled for tenant ${tenant._id}: refund ${figures.refundAmount}, owed ${figures.balanceOwed}`);
+
+  return settled;
+};
+
+/**
+ * Format a tenant's deposit for API responses
+ */
+const formatDeposit = (deposit) => {
+  if (!deposit) return null;
+
+  const settlement = deposit.settlement;
+
+  return {
+    amount: deposit.amount,
+    receivedAt: deposit.receivedAt,
+    holdingMethod: deposit.holdingMethod,
+    reference: deposit.reference,
+    status: deposit.status,
+    settlement: settlement ? {
+      deductions: settlement.deductions.map(d => ({
+        type: d.type,
+        description: d.description,
+        amount: d.amount,
+      })),
+      totalDeductions: settlement.totalDeductions,
+      rentCovered: settlement.rentCovered,
+      refundAmount: settlement.refundAmount,
+      balanceOwed: settlement.balanceOwed,
+      notes: settlement.notes,
+      settledAt: settlement.settledAt,
+      settledBy: settlement.settledBy,
+    } : null,
+  };
+};
+
+module.exports = {
+  parseDeposit,
+  calculateSettlement,
+  settleDeposit,
+  formatDeposit,
+};
\ No newline at end of file
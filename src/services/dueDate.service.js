@@ -0,0 +1,120 @@
+/**
+ * Due date resolution
+ * Tenants pick a due day from 1 to 31. In months that are shorter than the due day
+ * (e.g. the 31st in April, or the 29th-31st in February) rent is due on the month's last day.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Number of days in a month
+ * @param {number} year - Full year
+ * @param {number} monthIndex - Month index (0-11)
+ * @returns {number} - 28 to 31
+ */
+const getDaysInMonth = (year, monthIndex) => {
+  return new Date(year, monthIndex + 1, 0).getDate();
+};
+
+/**
+ * Parse a month string or date into { year, monthIndex }
+ */
+const toYearMonth = (monthOrDate) => {
+  if (typeof monthOrDate === 'string') {
+    const [year, month] = monthOrDate.split('-').map(Number);
+    return { year, monthIndex: month - 1 };
+  }
+
+  const date = new Date(monthOrDate);
+  return { year: date.getFullYear(), monthIndex: date.getMonth() };
+};
+
+/**
+ * Get the day of the month rent is actually due, clamped to the month's last day
+ * @param {number} dueDay - Tenant's due day (1-31)
+ * @param {string|Date} monthOrDate - Month string (YYYY-MM) or a date in the month
+ * @returns {number} - Day of the month
+ */
+const getEffectiveDueDay = (dueDay, monthOrDate) => {
+  const { year, monthIndex } = toYearMonth(monthOrDate);
+  return Math.min(Number(dueDay), getDaysInMonth(year, monthIndex));
+};
+
+/**
+ * Get the date rent is due in a month
+ * @param {number} dueDay - Tenant's due day (1-31)
+ * @param {string|Date} monthOrDate - Month string (YYYY-MM) or a date in the month
+ * @returns {Date} - Due date (midnight, local time)
+ */
+const resolveDueDate = (dueDay, monthOrDate) => {
+  const { year, monthIndex } = toYearMonth(monthOrDate);
+  return new Date(year, monthIndex, getEffectiveDueDay(dueDay, monthOrDate));
+};
+
+/**
+ * Get every due day that falls on a date
+ * On the last day of a month this includes the later days that don't exist in it,
+ * e.g. 30 April -> [30, 31] and 28 February 2025 -> [28, 29, 30, 31]
+ * @param {Date} date - Date to check
+ * @returns {Array<number>} - Due days (use with { dueDate: { $in: ... } })
+ */
+const getDueDaysOn = (date) => {
+  const day = date.getDate();
+  const daysInMonth = getDaysInMonth(date.getFullYear(), date.getMonth());
+
+  if (day < daysInMonth) {
+    return [day];
+  }
+
+  const days = [];
+  for (let d = day; d <= 31; d++) {
+    days.push(d);
+  }
+  return days;
+};
+
+/**
+ * Check whether a due day falls on a date
+ * @param {number} dueDay - Tenant's due day (1-31)
+ * @param {Date} date - Date to check
+ * @returns {boolean}
+ */
+const isDueOn = (dueDay, date) => {
+  return getEffectiveDueDay(dueDay, date) === date.getDate();
+};
+
+/**
+ * Get the next due date on or after a date (today's due date counts)
+ * @param {number} dueDay - Tenant's due day (1-31)
+ * @param {Date} from - Reference date (defaults to now)
+ * @returns {Date} - Next due date (midnight, local time)
+ */
+const getNextDueDate = (dueDay, from = new Date()) => {
+  const thisMonth = resolveDueDate(dueDay, from);
+  if (thisMonth.getDate() >= from.getDate()) {
+    return thisMonth;
+  }
+
+  return resolveDueDate(dueDay, new Date(from.getFullYear(), from.getMonth() + 1, 1));
+};
+
+/**
+ * Whole days from a date until the next due date (0 on the due date)
+ * @param {number} dueDay - Tenant's due day (1-31)
+ * @param {Date} from - Reference date (defaults to now)
+ * @returns {number}
+ */
+const daysUntilDue = (dueDay, from = new Date()) => {
+  const today = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  return Math.round((getNextDueDate(dueDay, from) - today) / DAY_MS);
+};
+
+module.exports = {
+  getDaysInMonth,
+  getEffectiveDueDay,
+  resolveDueDate,
+  getDueDaysOn,
+  isDueOn,
+  getNextDueDate,
+  daysUntilDue,
+};
\ No newline at end of file
@@ -0,0 +1,115 @@
+const ExcelJS = require('exceljs');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Columns of the tenant export. The first ones use the import's field names,
+// so an exported file can be imported again as it is
+const TENANT_EXPORT_COLUMNS = [
+  { key: 'name', width: 25 },
+  { key: 'phone', width: 16 },
+  { key: 'email', width: 28 },
+  { key: 'unitNumber', width: 12 },
+  { key: 'rentAmount', width: 14 },
+  { key: 'dueDate', width: 10 },
+  { key: 'language', width: 10 },
+  { key: 'propertyName', width: 25 },
+  { key: 'status', width: 10 },
+  { key: 'lastReminderSentAt', width: 20 },
+  { key: 'balance', width: 14 },
+];
+
+/**
+ * Escape a value for a CSV cell
+ * Cells that a spreadsheet would run as a formula are prefixed with a quote;
+ * phone numbers (+256...) and negative numbers are left alone
+ * @param {*} value - Cell value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=@\t\r]/.test(text) || /^[+-][^\d]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Wait until the response can take more data, or is closed
+ * (a response closed by the client emits close, never drain)
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+const waitForDrain = (res) => {
+  if (res.destroyed) return Promise.resolve();
+
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+};
+
+/**
+ * Create a streaming writer for rows of the given columns
+ * Rows are written to the response as they are added
+ * @param {Object} res - Express response
+ * @param {string} format - 'csv' or 'xlsx'
+ * @param {string} filename - Download name without extension
+ * @param {Array} columns - { key, width }
+ * @returns {Object} - { addRow(row), end() }, both async;
+ *   addRow resolves to false once the client has gone, so the caller can stop
+ */
+const createRowWriter = (res, format, filename, columns) => {
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'xlsx') {
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet('Tenants');
+    sheet.columns = columns.map(c => ({ header: c.key, key: c.key, width: c.width }));
+
+    return {
+      addRow: async (row) => {
+        if (res.destroyed) return false;
+        sheet.addRow(row).commit();
+        return true;
+      },
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.write(columns.map(c => c.key).join(',') + '\r\n');
+
+  return {
+    // Wait for the client to catch up when the response buffer is full
+    addRow: async (row) => {
+      if (res.destroyed) return false;
+      if (!res.write(columns.map(c => toCsvCell(row[c.key])).join(',') + '\r\n')) {
+        await waitForDrain(res);
+      }
+      return !res.destroyed;
+    },
+    end: async () => res.end(),
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  TENANT_EXPORT_COLUMNS,
+  toCsvCell,
+  createRowWriter,
+};
\ No newline at end of file
@@ -0,0 +1,737 @@
+const os = require('os');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Tenant = require('../models/tenant.model');
+const Property = require('../models/property.model');
+const ImportBatch = require('../models/importbatch.model');
+const ImportBatchItem = require('../models/importbatchitem.model');
+const Payment = require('../models/payment.model');
+const ReminderLog = require('../models/reminderlog.model');
+const EventLog = require('../models/eventlog.model');
+const { createMissingPeriods } = require('./rentPeriod.service');
+const {
+  findOrCreateUnit,
+  occupyUnit,
+  vacateUnit,
+  getUnavailableReason,
+} = require('./unit.service');
+const { purgeTenants } = require('./trash.service');
+const { getPropertyCountry } = require('./country.service');
+const {
+  IMPORT_FIELDS,
+  getRowLanguage,
+  validateTenantRows,
+  updateImportedTenant,
+} = require('./tenantImport.service');
+const { sanitizeString } = require('../utils/validators');
+const { normalizePhone } = require('../utils/phoneUtils');
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('../locales');
+const logger = require('../utils/logger');
+
+// Identifies this process when claiming batch items
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// An item claimed longer ago than this is assumed abandoned by a dead worker
+const STALE_ITEM_MS = 10 * 60 * 1000;
+
+// How often the worker looks for unfinished batches (e.g. left by another instance)
+const WORKER_POLL_MS = 60 * 1000;
+
+// Batch counter for each final item status
+const STATUS_COUNTERS = {
+  created: 'imported',
+  updated: 'updated',
+  unchanged: 'unchanged',
+  failed: 'failed',
+};
+
+// Batches this process is currently working on
+const activeBatches = new Set();
+
+/**
+ * Keep only the tenant fields of a submitted row
+ */
+const pickRowFields = (tenant) => {
+  const fields = [...IMPORT_FIELDS, 'preferredLanguage'];
+  return Object.fromEntries(
+    fields.filter(field => tenant[field] !== undefined).map(field => [field, tenant[field]])
+  );
+};
+
+/**
+ * Create an import batch with one item per row
+ * Rows are numbered as in the spreadsheet (header is row 1), like the
+ * validation preview, so a row has the same number everywhere. In upsert and sync
+ * modes, and for atomic imports, rows are validated (and matched to tenants) now;
+ * invalid and unchanged rows are finished straight away.
+ * @param {Object} params - Batch parameters
+ * @param {string} params.userId - Landlord user ID
+ * @param {Object} params.property - Property document
+ * @param {Array} params.tenants - Tenant rows
+ * @param {string} params.mode - Import mode
+ * @param {boolean} params.atomic - Import every row or none (optional)
+ * @returns {Promise<Object>} - Created ImportBatch
+ */
+const createImportBatch = async ({ userId, property, tenants, mode, atomic = false }) => {
+  const batchId = uuidv4();
+
+  let items = tenants.map((tenant, i) => ({
+    row: i + 2, // +2 because i starts at 0 and header is row 1
+    data: pickRowFields(tenant),
+    action: 'create',
+    status: 'pending',
+  }));
+  let missingTenants = [];
+
+  if (mode !== 'create-only' || atomic) {
+    const validation = await validateTenantRows(property, tenants, mode);
+
+    items = [
+      ...validation.errors.map(rowError => ({
+        row: rowError.row,
+        data: pickRowFields(rowError.data),
+        status: 'failed',
+        error: rowError.errors.join('; '),
+      })),
+      ...validation.validTenants.map(tenant => ({
+        row: tenant.row,
+        data: pickRowFields(tenant),
+        action: tenant.action,
+        tenantId: tenant.tenantId || null,
+        changes: tenant.changes || [],
+        status: tenant.action === 'unchanged' ? 'unchanged' : 'pending',
+      })),
+    ];
+    missingTenants = validation.missingTenants;
+  }
+
+  const batch = await ImportBatch.create({
+    batchId,
+    userId,
+    propertyId: property._id,
+    mode,
+    atomic,
+    total: items.length,
+    failed: items.filter(item => item.status === 'failed').length,
+    unchanged: items.filter(item => item.status === 'unchanged').length,
+    missingTenants,
+  });
+
+  await ImportBatchItem.insertMany(items.map(item => ({
+    ...item,
+    batchId,
+    userId,
+    processedAt: item.status === 'pending' ? null : new Date(),
+  })));
+
+  return batch;
+};
+
+/**
+ * Get an import batch
+ * @param {string} batchId - Batch ID
+ * @param {string} userId - Only return the batch if it belongs to this user
+ */
+const getImportBatch = (batchId, userId) => {
+  return ImportBatch.findOne({ batchId, userId });
+};
+
+/**
+ * Get the failed rows of a batch, in row order
+ */
+const getFailedItems = (batchId) => {
+  return ImportBatchItem.find({ batchId, status: 'failed' }).sort({ row: 1 });
+};
+
+/**
+ * Record an item's outcome and add it to the batch counters
+ */
+const completeItem = async (item, { status, tenantId = null, error = null }) => {
+  item.status = status;
+  item.tenantId = tenantId || item.tenantId;
+  item.error = error;
+  item.processedAt = new Date();
+  item.lockedBy = null;
+  item.lockedAt = null;
+  await item.save();
+
+  await ImportBatch.updateOne(
+    { batchId: item.batchId },
+    {
+      $inc: { [STATUS_COUNTERS[status]]: 1 },
+      ...(status === 'created' && { $addToSet: { createdTenantIds: item.tenantId } }),
+    }
+  );
+};
+
+/**
+ * Create the tenant for a row, moving them into its unit
+ * @param {string} country - Country local phone numbers are read in
+ * @returns {Promise<Object>} - completeItem outcome
+ */
+const createTenantFromRow = async (batch, property, item, country) => {
+  const tenant = item.data;
+
+  // Normalize phone again just to be safe
+  const normalizedPhone = normalizePhone(tenant.phone, country);
+  if (!normalizedPhone) {
+    return { status: 'failed', error: 'Invalid phone number format' };
+  }
+
+  const unitNumber = sanitizeString(String(tenant.unitNumber));
+
+  // Reclaimed after a crash: the tenant may already have been created
+  if (item.attempts > 1) {
+    const existingTenant = await Tenant.findOne({
+      propertyId: property._id,
+      phone: normalizedPhone,
+      unitNumber,
+      deletedAt: null,
+      createdAt: { $gte: batch.createdAt },
+    });
+    if (existingTenant) {
+      return { status: 'created', tenantId: existingTenant._id };
+    }
+  }
+
+  // Assign the unit, adding it to the property if it doesn't exist yet
+  const unit = await findOrCreateUnit(batch.userId, property._id, unitNumber, {
+    defaultRent: Number(tenant.rentAmount),
+  });
+
+  if (!(await occupyUnit(unit))) {
+    return { status: 'failed', error: getUnavailableReason(unit) };
+  }
+
+  let newTenant;
+  try {
+    newTenant = await Tenant.create({
+      userId: batch.userId,
+      propertyId: property._id,
+      name: sanitizeString(tenant.name),
+      phone: normalizedPhone, // Use normalized phone
+      email: tenant.email ? sanitizeString(tenant.email) : null,
+      unitId: unit._id,
+      unitNumber: unit.number,
+      rentAmount: Number(tenant.rentAmount),
+      dueDate: Number(tenant.dueDate),
+      preferredLanguage: normalizeLanguage(getRowLanguage(tenant)) || DEFAULT_LANGUAGE,
+    });
+  } catch (error) {
+    await vacateUnit(unit._id);
+    throw error;
+  }
+
+  // Open the current month's ledger
+  await createMissingPeriods([newTenant]);
+
+  return { status: 'created', tenantId: newTenant._id };
+};
+
+/**
+ * Apply an update row to the tenant it was matched to
+ * @returns {Promise<Object>} - completeItem outcome
+ */
+const updateTenantFromRow = async (property, item) => {
+  const tenant = await Tenant.findOne({
+    _id: item.tenantId,
+    propertyId: property._id,
+    deletedAt: null,
+  });
+
+  if (!tenant) {
+    return { status: 'failed', error: 'Tenant no longer exists' };
+  }
+
+  const saved = await updateImportedTenant(tenant, { ...item.data, changes: item.changes });
+  if (!saved) {
+    return { status: 'failed', error: `Unit ${item.data.unitNumber} is not vacant` };
+  }
+
+  return { status: 'updated', tenantId: saved._id };
+};
+
+/**
+ * Create or update the tenant for a row
+ * @returns {Promise<Object>} - completeItem outcome
+ */
+const importRow = (batch, property, item, country) => {
+  return item.action === 'update'
+    ? updateTenantFromRow(property, item)
+    : createTenantFromRow(batch, property, item, country);
+};
+
+/**
+ * Import one claimed row
+ */
+const processItem = async (batch, property, item, country) => {
+  try {
+    await completeItem(item, await importRow(batch, property, item, country));
+  } catch (error) {
+    logger.error(`Import ${batch.batchId}: Failed to import row ${item.row}:`, error);
+    await completeItem(item, { status: 'failed', error: error.message });
+  }
+};
+
+/**
+ * Mark a batch as completed once none of its rows are left to import.
+ * Only one worker wins the status change, so the completion is logged once.
+ */
+const finalizeBatchIfDone = async (batchId, property) => {
+  const remaining = await ImportBatchItem.countDocuments({
+    batchId,
+    status: { $in: ['pending', 'processing'] },
+  });
+
+  if (remaining > 0) return;
+
+  const batch = await ImportBatch.findOneAndUpdate(
+    { batchId, status: { $in: ['queued', 'processing'] } },
+    { status: 'completed', completedAt: new Date() },
+    { new: true }
+  );
+
+  if (!batch) return;
+
+  // Log event
+  await EventLog.logEvent(batch.userId, 'TENANT_IMPORTED', {
+    batchId,
+    propertyId: property._id,
+    propertyName: property.name,
+    mode: batch.mode,
+    count: batch.imported,
+    updated: batch.updated,
+    failed: batch.failed,
+  });
+
+  logger.info(
+    `Import ${batchId} completed (${batch.mode}): ${batch.imported} imported, ${batch.updated} updated, ${batch.failed} failed by user: ${batch.userId}`
+  );
+};
+
+/**
+ * Import a batch's pending rows in background.
+ * Safe to call for the same batch from several workers - rows are claimed atomically.
+ * @param {string} batchId - Batch ID
+ */
+const processImportInBackground = async (batchId) => {
+  if (activeBatches.has(batchId)) return;
+  activeBatches.add(batchId);
+
+  try {
+    const batch = await ImportBatch.findOneAndUpdate(
+      { batchId, atomic: false, status: { $in: ['queued', 'processing'] } },
+      { status: 'processing' },
+      { new: true }
+    );
+
+    if (!batch) return;
+
+    logger.info(`Worker ${WORKER_ID} processing import ${batchId} (${batch.total} rows)`);
+
+    const property = await Property.findOne({ _id: batch.propertyId, deletedAt: null });
+    if (!property) {
+      await ImportBatch.updateOne({ batchId }, {
+        status: 'failed',
+        error: 'Property not found',
+        completedAt: new Date(),
+      });
+      return;
+    }
+
+    const country = await getPropertyCountry(property);
+
+    let item;
+    while ((item = await ImportBatchItem.claimNext(batchId, WORKER_ID, new Date(Date.now() - STALE_ITEM_MS)))) {
+      await processItem(batch, property, item, country);
+    }
+
+    await finalizeBatchIfDone(batchId, property);
+  } catch (error) {
+    logger.error(`Import ${batchId} failed:`, error);
+    await ImportBatch.updateOne({ batchId }, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date(),
+    });
+  } finally {
+    activeBatches.delete(batchId);
+  }
+};
+
+/**
+ * Import a row inside a transaction, turning an error into a failed outcome
+ * Errors that make the driver retry the transaction, and a missing replica set,
+ * are passed on.
+ * @returns {Promise<Object>} - Row outcome, with `aborted` set if the error ended the transaction
+ */
+const tryImportRow = async (batch, property, item, country) => {
+  try {
+    return await importRow(batch, property, item, country);
+  } catch (error) {
+    if (error.codeName === 'IllegalOperation' || error.errorLabels?.includes('TransientTransactionError')) {
+      throw error;
+    }
+    return { status: 'failed', error: error.message, aborted: true };
+  }
+};
+
+/**
+ * Try rows in a transaction of their own that is always rolled back
+ * Used for the rows after a server error, which can't run in the aborted transaction.
+ */
+const trialImportRows = async (batch, property, items, country, outcomes) => {
+  for (const item of items) {
+    // Thrown to roll the trial back
+    const rollback = new Error('Row trial rolled back');
+    try {
+      await mongoose.connection.transaction(async () => {
+        outcomes.set(item.row, await tryImportRow(batch, property, item, country));
+        throw rollback;
+      });
+    } catch (error) {
+      if (error !== rollback) {
+        outcomes.set(item.row, { status: 'failed', error: error.message });
+      }
+    }
+  }
+};
+
+/**
+ * Run an atomic batch's rows in one transaction and commit only if every row imports
+ * Rows that failed validation block the commit without anything being written.
+ * Every row is tried before the transaction is aborted, so all failing rows are
+ * reported together. Needs MongoDB running as a replica set.
+ * @param {string} batchId - Batch ID (atomic, queued)
+ * @returns {Promise<Object|null>} - { batch, blockingRows } ({ row, data, error }), null if not queued
+ */
+const processImportAtomically = async (batchId) => {
+  if (activeBatches.has(batchId)) return null;
+  activeBatches.add(batchId);
+
+  try {
+    const batch = await ImportBatch.findOneAndUpdate(
+      { batchId, atomic: true, status: 'queued' },
+      { status: 'processing' },
+      { new: true }
+    );
+
+    if (!batch) return null;
+
+    const property = await Property.findOne({ _id: batch.propertyId, deletedAt: null });
+    if (!property) {
+      const failedBatch = await ImportBatch.findOneAndUpdate({ batchId }, {
+        status: 'failed',
+        error: 'Property not found',
+        completedAt: new Date(),
+      }, { new: true });
+      return { batch: failedBatch, blockingRows: [] };
+    }
+
+    const country = await getPropertyCountry(property);
+    const items = await ImportBatchItem.find({ batchId }).sort({ row: 1 });
+    const pending = items.filter(item => item.status === 'pending');
+    const blockingRows = items
+      .filter(item => item.status === 'failed')
+      .map(item => ({ row: item.row, data: item.data, error: item.error }));
+
+    // Outcome of each pending row, by row number
+    let outcomes = new Map();
+
+    if (blockingRows.length === 0) {
+      // Rows left untried because a server error aborted the transaction
+      let untried = [];
+      try {
+        await mongoose.connection.transaction(async () => {
+          // Retried from the start on transient errors
+          outcomes = new Map();
+          untried = [];
+          for (const [index, item] of pending.entries()) {
+            const outcome = await tryImportRow(batch, property, item, country);
+            outcomes.set(item.row, outcome);
+            if (outcome.aborted) {
+              untried = pending.slice(index + 1);
+              break;
+            }
+          }
+
+          const failures = [...outcomes.values()].filter(outcome => outcome.status === 'failed');
+          if (failures.length > 0) {
+            // Throwing aborts the transaction
+            throw new Error(`${failures.length} rows could not be imported`);
+          }
+        });
+      } catch (error) {
+        if (error.codeName === 'IllegalOperation') {
+          throw new Error('Atomic imports need MongoDB running as a replica set');
+        }
+        if (![...outcomes.values()].some(outcome => outcome.status === 'failed')) {
+          throw error;
+        }
+
+        await trialImportRows(batch, property, untried, country, outcomes);
+
+        pending
+          .filter(item => outcomes.get(item.row)?.status === 'failed')
+          .forEach(item => {
+            blockingRows.push({ row: item.row, data: item.data, error: outcomes.get(item.row).error });
+          });
+      }
+    }
+
+    if (blockingRows.length > 0) {
+      return { batch: await cancelAtomicBatch(batch, pending, blockingRows), blockingRows };
+    }
+
+    return { batch: await commitAtomicBatch(batch, property, pending, outcomes), blockingRows };
+  } catch (error) {
+    logger.error(`Import ${batchId} failed:`, error);
+    const failedBatch = await ImportBatch.findOneAndUpdate({ batchId }, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date(),
+    }, { new: true });
+    return { batch: failedBatch, blockingRows: [] };
+  } finally {
+    activeBatches.delete(batchId);
+  }
+};
+
+/**
+ * Record an atomic batch that was not imported: blocking rows failed, the rest cancelled
+ */
+const cancelAtomicBatch = async (batch, pending, blockingRows) => {
+  const errors = new Map(blockingRows.map(blocking => [blocking.row, blocking.error]));
+  const processedAt = new Date();
+
+  await ImportBatchItem.bulkWrite(pending.map(item => ({
+    updateOne: {
+      filter: { _id: item._id },
+      update: errors.has(item.row)
+        ? { status: 'failed', error: errors.get(item.row), processedAt }
+        : { status: 'cancelled', error: 'Not imported because other rows failed', processedAt },
+    },
+  })));
+
+  const cancelled = pending.filter(item => !errors.has(item.row)).length;
+
+  logger.info(`Atomic import ${batch.batchId} cancelled: ${blockingRows.length} rows blocked the commit`);
+
+  return ImportBatch.findOneAndUpdate({ batchId: batch.batchId }, {
+    status: 'failed',
+    failed: blockingRows.length,
+    cancelled,
+    error: `Nothing imported: ${blockingRows.length} rows could not be imported`,
+    completedAt: processedAt,
+  }, { new: true });
+};
+
+/**
+ * Record a committed atomic batch
+ */
+const commitAtomicBatch = async (batch, property, pending, outcomes) => {
+  const processedAt = new Date();
+
+  await ImportBatchItem.bulkWrite(pending.map(item => {
+    const outcome = outcomes.get(item.row);
+    return {
+      updateOne: {
+        filter: { _id: item._id },
+        update: { status: outcome.status, tenantId: outcome.tenantId, processedAt },
+      },
+    };
+  }));
+
+  const created = pending.filter(item => outcomes.get(item.row).status === 'created');
+
+  const committed = await ImportBatch.findOneAndUpdate({ batchId: batch.batchId }, {
+    status: 'completed',
+    imported: created.length,
+    updated: pending.length - created.length,
+    createdTenantIds: created.map(item => outcomes.get(item.row).tenantId),
+    completedAt: processedAt,
+  }, { new: true });
+
+  // Log event
+  await EventLog.logEvent(batch.userId, 'TENANT_IMPORTED', {
+    batchId: batch.batchId,
+    propertyId: property._id,
+    propertyName: property.name,
+    mode: batch.mode,
+    atomic: true,
+    count: committed.imported,
+    updated: committed.updated,
+    failed: 0,
+  });
+
+  logger.info(
+    `Atomic import ${batch.batchId} committed (${batch.mode}): ${committed.imported} imported, ${committed.updated} updated by user: ${batch.userId}`
+  );
+
+  return committed;
+};
+
+/**
+ * Find the tenants created by an import that can no longer be removed with it:
+ * those that have paid, been sent a reminder or had a deposit recorded since
+ * @param {Object} batch - ImportBatch document
+ * @returns {Promise<Array>} - { tenantId, name, unitNumber, payments, reminders, depositHeld }
+ */
+const findRollbackBlockers = async (batch) => {
+  const match = { tenantId: { $in: batch.createdTenantIds } };
+  const countByTenant = { $group: { _id: '$tenantId', count: { $sum: 1 } } };
+
+  const [payments, reminders, depositHolders] = await Promise.all([
+    Payment.aggregate([{ $match: match }, countByTenant]),
+    ReminderLog.aggregate([{ $match: match }, countByTenant]),
+    Tenant.distinct('_id', {
+      _id: { $in: batch.createdTenantIds },
+      'deposit.status': 'held',
+      'deposit.amount': { $gt: 0 },
+    }),
+  ]);
+
+  const paymentCounts = new Map(payments.map(p => [p._id.toString(), p.count]));
+  const reminderCounts = new Map(reminders.map(r => [r._id.toString(), r.count]));
+  const heldDeposits = new Set(depositHolders.map(id => id.toString()));
+  const blockedIds = [...new Set([...paymentCounts.keys(), ...reminderCounts.keys(), ...heldDeposits])];
+
+  if (blockedIds.length === 0) return [];
+
+  const tenants = await Tenant.find({ _id: { $in: blockedIds } }).select('name unitNumber');
+
+  return tenants.map(tenant => ({
+    tenantId: tenant._id,
+    name: tenant.name,
+    unitNumber: tenant.unitNumber,
+    payments: paymentCounts.get(tenant._id.toString()) || 0,
+    reminders: reminderCounts.get(tenant._id.toString()) || 0,
+    depositHeld: heldDeposits.has(tenant._id.toString()),
+  }));
+};
+
+/**
+ * Permanently remove the tenants an import created and free their units
+ * Tenants it updated keep their new values. The tenants are hidden before
+ * checking findRollbackBlockers, so nothing can be recorded against them between
+ * the check and the purge; if any are blocked the rollback is undone.
+ * @param {Object} batch - ImportBatch document (completed or failed)
+ * @param {string} userId - User rolling back
+ * @returns {Promise<Object|null>} - { batch, removed, blockers } (nothing removed when
+ *   there are blockers), or null if it was already rolled back
+ */
+const rollbackImportBatch = async (batch, userId) => {
+  // Claim the rollback so it only runs once
+  const claimed = await ImportBatch.findOneAndUpdate(
+    { batchId: batch.batchId, status: { $in: ['completed', 'failed'] } },
+    { status: 'rolled_back', rolledBackAt: new Date(), rolledBackBy: userId },
+    { new: false }
+  );
+
+  if (!claimed) return null;
+
+  // Tenants already in the trash freed their unit when they were deleted
+  const tenants = await Tenant.find({ _id: { $in: claimed.createdTenantIds } }).select('unitId deletedAt');
+  const active = tenants.filter(tenant => !tenant.deletedAt);
+
+  const hiddenAt = new Date();
+  await Tenant.updateMany({ _id: { $in: active.map(t => t._id) }, deletedAt: null }, { deletedAt: hiddenAt });
+
+  const blockers = await findRollbackBlockers(claimed);
+  if (blockers.length > 0) {
+    await Tenant.updateMany({ _id: { $in: active.map(t => t._id) }, deletedAt: hiddenAt }, { deletedAt: null });
+    const released = await ImportBatch.findOneAndUpdate(
+      { batchId: claimed.batchId, status: 'rolled_back' },
+      { status: claimed.status, rolledBackAt: null, rolledBackBy: null },
+      { new: true }
+    );
+    return { batch: released, removed: 0, blockers };
+  }
+
+  for (const tenant of active) {
+    await vacateUnit(tenant.unitId);
+  }
+  await purgeTenants(tenants.map(t => t._id));
+
+  await EventLog.logEvent(userId, 'TENANT_IMPORT_ROLLED_BACK', {
+    batchId: claimed.batchId,
+    propertyId: claimed.propertyId,
+    removed: tenants.length,
+  });
+
+  logger.info(`Import ${claimed.batchId} rolled back: ${tenants.length} tenants removed by user: ${userId}`);
+
+  const rolledBack = await ImportBatch.findOne({ batchId: claimed.batchId });
+  return { batch: rolledBack, removed: tenants.length, blockers: [] };
+};
+
+/**
+ * Get a property's imports, newest first
+ * @param {Object} propertyId - Property ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - { batches, total }
+ */
+const getPropertyImports = async (propertyId, { page = 1, limit = 20 }) => {
+  const query = { propertyId };
+  const [batches, total] = await Promise.all([
+    ImportBatch.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    ImportBatch.countDocuments(query),
+  ]);
+
+  return { batches, total };
+};
+
+/**
+ * Pick up every unfinished batch, e.g. after a restart or deploy
+ */
+const resumeImportBatches = async () => {
+  try {
+    const batches = await ImportBatch.findUnfinished();
+
+    for (const batch of batches) {
+      if (activeBatches.has(batch.batchId)) continue;
+
+      // An atomic import's transaction died with the process that ran it - nothing was written
+      if (batch.atomic) {
+        if (batch.startedAt < new Date(Date.now() - STALE_ITEM_MS)) {
+          await ImportBatch.updateOne(
+            { batchId: batch.batchId, status: { $in: ['queued', 'processing'] } },
+            { status: 'failed', error: 'Interrupted before it finished - nothing was imported', completedAt: new Date() }
+          );
+        }
+        continue;
+      }
+
+      logger.info(`Resuming import ${batch.batchId}`);
+      await processImportInBackground(batch.batchId);
+    }
+  } catch (error) {
+    logger.error('Resume imports error:', error);
+  }
+};
+
+/**
+ * Start the import worker: resume interrupted batches on boot, then keep polling
+ */
+const startImportWorker = () => {
+  resumeImportBatches();
+  setInterval(resumeImportBatches, WORKER_POLL_MS);
+
+  logger.info(`Import worker ${WORKER_ID} started`);
+};
+
+module.exports = {
+  createImportBatch,
+  getImportBatch,
+  getFailedItems,
+  findRollbackBlockers,
+  rollbackImportBatch,
+  getPropertyImports,
+  processImportInBackground,
+  processImportAtomically,
+  resumeImportBatches,
+  startImportWorker,
+};
\ No newline at end of file
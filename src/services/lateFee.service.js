@@ -0,0 +1,247 @@
+const Charge = require('../models/charge.model');
+const Property = require('../models/property.model');
+const RentPeriod = require('../models/rentperiod.model');
+const Tenant = require('../models/tenant.model');
+const { applyCredit } = require('./rentPeriod.service');
+const { resolveDueDate } = require('./dueDate.service');
+const { getCurrentMonth, formatCurrency } = require('../utils/formatters');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Amount of a single late fee for a period
+ * @param {Object} rule - Property late fee rule
+ * @param {Object} period - RentPeriod document
+ * @returns {number} - Fee in UGX
+ */
+const calculateLateFee = (rule, period) => {
+  if (rule.type === 'percentage') {
+    return Math.round(period.amountDue * rule.amount / 100);
+  }
+  return rule.amount;
+};
+
+/**
+ * When a period's first late fee is charged: the day after the grace period ends
+ * @param {Object} rule - Property late fee rule
+ * @param {Date} dueDate - Period due date
+ * @returns {Date}
+ */
+const getFirstFeeDate = (rule, dueDate) => {
+  const firstFeeAt = new Date(dueDate);
+  firstFeeAt.setDate(firstFeeAt.getDate() + rule.graceDays + 1);
+  return firstFeeAt;
+};
+
+/**
+ * Number of late fees a period should have been charged by now
+ * The first fee is charged the day after the grace period ends,
+ * recurring fees every intervalDays after that.
+ * Periods already past their grace period when the rule was enabled are not charged.
+ * @param {Object} rule - Property late fee rule
+ * @param {Date} dueDate - Period due date
+ * @param {Date} now - Reference time
+ * @returns {number}
+ */
+const countLateFeesDue = (rule, dueDate, now = new Date()) => {
+  const firstFeeAt = getFirstFeeDate(rule, dueDate);
+
+  if (rule.enabledAt && firstFeeAt < rule.enabledAt) {
+    return 0;
+  }
+  if (now < firstFeeAt) {
+    return 0;
+  }
+  if (!rule.recurring) {
+    return 1;
+  }
+  return 1 + Math.floor((now - firstFeeAt) / (rule.intervalDays * DAY_MS));
+};
+
+/**
+ * Charge any late fees a period is due under its property's rule
+ * @param {Object} period - RentPeriod document (unpaid or partial)
+ * @param {Object} tenant - Tenant document
+ * @param {Object} rule - Property late fee rule
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - Charges created
+ */
+const applyLateFeesToPeriod = async (period, tenant, rule, now = new Date()) => {
+  const dueDate = period.dueDate || resolveDueDate(tenant.dueDate, period.month);
+  const feesDue = countLateFeesDue(rule, dueDate, now);
+  if (feesDue === 0) {
+    return [];
+  }
+
+  const existing = await Charge.find({ periodId: period._id, type: 'late_fee' });
+  let sequence = existing.reduce((max, c) => Math.max(max, c.sequence), 0);
+  // Waived fees don't count towards the cap
+  let charged = existing
+    .filter(c => c.status === 'applied')
+    .reduce((sum, c) => sum + c.amount, 0);
+
+  const created = [];
+
+  while (sequence < feesDue) {
+    let amount = calculateLateFee(rule, period);
+    if (rule.maxAmount !== null && rule.maxAmount !== undefined) {
+      amount = Math.min(amount, rule.maxAmount - charged);
+    }
+    if (amount <= 0) break;
+
+    sequence++;
+
+    let charge;
+    try {
+      charge = await Charge.create({
+        userId: period.userId,
+        tenantId: period.tenantId._id || period.tenantId,
+        propertyId: period.propertyId,
+        periodId: period._id,
+        month: period.month,
+        type: 'late_fee',
+        amount,
+        sequence,
+        description: `Late fee ${sequence} for ${period.month} (${formatCurrency(amount)})`,
+      });
+    } catch (error) {
+      // Another run charged this fee already
+      if (error.code === 11000) break;
+      throw error;
+    }
+
+    // The period may have been paid since it was loaded - drop the fee then
+    const result = await RentPeriod.updateOne(
+      { _id: period._id, status: { $ne: 'paid' } },
+      { $inc: { chargesDue: amount } }
+    );
+    if (result.modifiedCount === 0) {
+      await charge.deleteOne();
+      break;
+    }
+
+    charged += amount;
+    created.push(charge);
+  }
+
+  return created;
+};
+
+/**
+ * Apply every enabled property late fee rule to its overdue rent periods
+ * Safe to run repeatedly - fees already charged are never charged again
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} - Number and total of charges created
+ */
+const applyLateFees = async (now = new Date()) => {
+  logger.info('Applying late fees...');
+
+  const properties = await Property.find({
+    deletedAt: null,
+    'lateFeeRule.enabled': true,
+    'lateFeeRule.amount': { $gt: 0 },
+  });
+
+  let count = 0;
+  let total = 0;
+
+  for (const property of properties) {
+    const periods = await RentPeriod.find({
+      propertyId: property._id,
+      status: { $ne: 'paid' },
+      month: { $lte: getCurrentMonth() },
+    }).populate('tenantId', 'dueDate deletedAt');
+
+    for (const period of periods) {
+      const tenant = period.tenantId;
+      if (!tenant || tenant.deletedAt) continue;
+
+      try {
+        const charges = await applyLateFeesToPeriod(period, tenant, property.lateFeeRule, now);
+        count += charges.length;
+        total += charges.reduce((sum, c) => sum + c.amount, 0);
+      } catch (error) {
+        logger.error(`Late fee error for period ${period._id}:`, error);
+      }
+    }
+  }
+
+  logger.info(`Late fees applied: ${count} charges totalling ${total} across ${properties.length} properties`);
+
+  return { count, total };
+};
+
+/**
+ * Waive a charge and take it off its rent period
+ * Anything already paid towards the charge becomes tenant credit
+ * @param {Object} charge - Charge document
+ * @param {string} userId - Landlord waiving the charge
+ * @param {string} reason - Why the charge was waived
+ * @returns {Promise<Object|null>} - Waived charge, or null if it was already waived
+ */
+const waiveCharge = async (charge, userId, reason) => {
+  const waived = await Charge.findOneAndUpdate(
+    { _id: charge._id, status: 'applied' },
+    {
+      status: 'waived',
+      waivedAt: new Date(),
+      waivedBy: userId,
+      waiveReason: reason,
+    },
+    { new: true }
+  );
+
+  if (!waived) {
+    return null;
+  }
+
+  const period = await RentPeriod.findById(waived.periodId);
+  if (period) {
+    period.chargesDue = Math.max((period.chargesDue || 0) - waived.amount, 0);
+
+    const overpaid = Math.max(period.amountPaid - period.totalDue, 0);
+    period.amountPaid -= overpaid;
+    period.refreshStatus();
+    await period.save();
+
+    if (overpaid > 0) {
+      const tenant = await Tenant.findByIdAndUpdate(
+        waived.tenantId,
+        { $inc: { creditBalance: overpaid } },
+        { new: true }
+      );
+      if (tenant) {
+        await applyCredit(tenant);
+      }
+    }
+  }
+
+  return waived;
+};
+
+/**
+ * Format a charge for API responses
+ */
+const formatCharge = (charge) => ({
+  id: charge._id,
+  type: charge.type,
+  month: charge.month,
+  amount: charge.amount,
+  sequence: charge.sequence,
+  description: charge.description,
+  status: charge.status,
+  waivedAt: charge.waivedAt,
+  waivedBy: charge.waivedBy,
+  waiveReason: charge.waiveReason,
+  createdAt: charge.createdAt,
+});
+
+module.exports = {
+  calculateLateFee,
+  countLateFeesDue,
+  applyLateFeesToPeriod,
+  applyLateFees,
+  waiveCharge,
+  formatCharge,
+};
\ No newline at end of file
@@ -0,0 +1,315 @@
+const Lease = require('../models/lease.model');
+const Tenant = require('../models/tenant.model');
+const User = require('../models/user.model');
+const EventLog = require('../models/eventlog.model');
+const { sendEmail } = require('./email.service');
+const { renderLeaseExpiryEmail } = require('./template.service');
+const { syncCurrentPeriod } = require('./rentPeriod.service');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Leases ending within the largest alert window are flagged as expiring
+const EXPIRING_WINDOW_DAYS = Lease.EXPIRY_ALERT_DAYS[0];
+
+/**
+ * Work out the status of a current (active or expiring) lease from its end date
+ * @param {Object} lease - Lease document
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {string} - 'active', 'expiring' or 'ended'
+ */
+const computeLeaseStatus = (lease, now = new Date()) => {
+  if (lease.endDate < now) {
+    return 'ended';
+  }
+  if (lease.endDate - now <= EXPIRING_WINDOW_DAYS * DAY_MS) {
+    return 'expiring';
+  }
+  return 'active';
+};
+
+/**
+ * Copy a lease's rent and billing cycle onto the tenant once the lease has started
+ * The current period picks up the new terms if it hasn't been paid yet
+ * @param {Object} lease - Lease document
+ * @returns {Promise<boolean>} - True if the terms were applied
+ */
+const applyLeaseTerms = async (lease) => {
+  if (lease.termsAppliedAt || lease.startDate > new Date()) {
+    return false;
+  }
+
+  const tenant = await Tenant.findOne({ _id: lease.tenantId, deletedAt: null });
+  if (tenant) {
+    tenant.rentAmount = lease.rentAmount;
+    tenant.billingFrequency = lease.billingFrequency;
+    // Billing cycles run from the lease start
+    if (lease.billingFrequency !== 'monthly') {
+      tenant.billingAnchorDate = lease.startDate;
+    }
+
+    if (tenant.isModified()) {
+      await tenant.save();
+      await syncCurrentPeriod(tenant);
+
+      logger.info(`Lease ${lease._id} terms applied to tenant ${tenant._id}: rent ${tenant.rentAmount} (${tenant.billingFrequency})`);
+    }
+  }
+
+  lease.termsAppliedAt = new Date();
+  await lease.save();
+  return true;
+};
+
+/**
+ * Create a tenant's lease
+ * @param {Object} tenant - Tenant document
+ * @param {Object} terms - startDate, endDate, rentAmount, deposit, billingFrequency, notes
+ * @returns {Promise<Object>} - Created lease
+ */
+const createLease = async (tenant, terms) => {
+  const lease = new Lease({
+    userId: tenant.userId,
+    tenantId: tenant._id,
+    propertyId: tenant.propertyId._id || tenant.propertyId,
+    ...terms,
+  });
+  lease.status = computeLeaseStatus(lease);
+  if (lease.status === 'ended') {
+    lease.endedAt = lease.endDate;
+  }
+  await lease.save();
+
+  await applyLeaseTerms(lease);
+
+  return lease;
+};
+
+/**
+ * Renew a lease: start a new lease for the same tenant and mark the old one renewed
+ * Only current (active or expiring) leases can be renewed
+ * @param {Object} lease - Lease being renewed
+ * @param {Object} terms - New terms (startDate, endDate, rentAmount, deposit, billingFrequency, notes)
+ * @returns {Promise<Object|null>} - New lease, or null if the lease is no longer current
+ *   (renewed or ended concurrently)
+ */
+const renewLease = async (lease, terms) => {
+  const renewal = new Lease({
+    userId: lease.userId,
+    tenantId: lease.tenantId,
+    propertyId: lease.propertyId,
+    renewedFromId: lease._id,
+    ...terms,
+  });
+  renewal.status = computeLeaseStatus(renewal);
+  await renewal.save();
+
+  // Only one renewal per lease wins
+  const previous = await Lease.findOneAndUpdate(
+    { _id: lease._id, renewedToId: null, status: { $in: ['active', 'expiring'] } },
+    { status: 'renewed', renewedToId: renewal._id },
+    { new: true }
+  );
+
+  if (!previous) {
+    await renewal.deleteOne();
+    return null;
+  }
+
+  await applyLeaseTerms(renewal);
+
+  return renewal;
+};
+
+/**
+ * End a lease early (or record that it ended on its end date)
+ * @param {Object} lease - Lease document
+ * @param {Date} endedAt - When the lease ended
+ * @returns {Promise<Object>} - Updated lease
+ */
+const endLease = async (lease, endedAt = new Date()) => {
+  lease.status = 'ended';
+  lease.endedAt = endedAt;
+  if (endedAt < lease.endDate) {
+    lease.endDate = endedAt;
+  }
+  return lease.save();
+};
+
+/**
+ * Bring lease statuses up to date and apply renewals that have started
+ * @returns {Promise<Object>} - Counts of leases changed
+ */
+const refreshLeaseStatuses = async () => {
+  const now = new Date();
+
+  const ended = await Lease.updateMany(
+    { status: { $in: ['active', 'expiring'] }, endDate: { $lt: now } },
+    [{ $set: { status: 'ended', endedAt: '$endDate' } }]
+  );
+
+  const expiring = await Lease.updateMany(
+    {
+      status: 'active',
+      endDate: { $gte: now, $lte: new Date(now.getTime() + EXPIRING_WINDOW_DAYS * DAY_MS) },
+    },
+    { status: 'expiring' }
+  );
+
+  const pending = await Lease.find({
+    status: { $in: ['active', 'expiring'] },
+    termsAppliedAt: null,
+    startDate: { $lte: now },
+  });
+
+  let applied = 0;
+  for (const lease of pending) {
+    if (await applyLeaseTerms(lease)) {
+      applied++;
+    }
+  }
+
+  const counts = {
+    ended: ended.modifiedCount,
+    expiring: expiring.modifiedCount,
+    applied,
+  };
+
+  logger.info(`Lease statuses refreshed: ${counts.ended} ended, ${counts.expiring} expiring, ${counts.applied} renewals applied`);
+
+  return counts;
+};
+
+/**
+ * Alert thresholds a lease has reached but not yet been alerted for
+ * @param {Object} lease - Lease document
+ * @param {Date} now - Reference time
+ * @returns {Array<number>} - Thresholds (days) to mark as sent
+ */
+const getDueAlertThresholds = (lease, now = new Date()) => {
+  const daysRemaining = Math.ceil((lease.endDate - now) / DAY_MS);
+
+  return Lease.EXPIRY_ALERT_DAYS.filter(days =>
+    daysRemaining <= days && !lease.expiryAlertsSent.includes(days)
+  );
+};
+
+/**
+ * Email each landlord the leases that are 60 or 30 days from expiry
+ * Every lease is included once per threshold
+ * @returns {Promise<number>} - Number of alert emails sent
+ */
+const sendLeaseExpiryAlerts = async () => {
+  const now = new Date();
+
+  const leases = await Lease.find({
+    status: { $in: ['active', 'expiring'] },
+    endDate: { $gte: now, $lte: new Date(now.getTime() + EXPIRING_WINDOW_DAYS * DAY_MS) },
+  })
+    .sort({ endDate: 1 })
+    .populate('tenantId', 'name unitNumber deletedAt')
+    .populate('propertyId', 'name');
+
+  // Group the leases due an alert by landlord
+  const byLandlord = new Map();
+  for (const lease of leases) {
+    if (!lease.tenantId || lease.tenantId.deletedAt) continue;
+
+    const thresholds = getDueAlertThresholds(lease, now);
+    if (thresholds.length === 0) continue;
+
+    if (!byLandlord.has(lease.userId)) {
+      byLandlord.set(lease.userId, []);
+    }
+    byLandlord.get(lease.userId).push({ lease, thresholds });
+  }
+
+  let emailsSent = 0;
+
+  for (const [userId, entries] of byLandlord) {
+    const landlord = await User.findById(userId);
+    if (!landlord) continue;
+
+    const html = renderLeaseExpiryEmail({
+      landlordName: landlord.name,
+      leases: entries.map(({ lease }) => ({
+        tenantName: lease.tenantId.name,
+        unitNumber: lease.tenantId.unitNumber,
+        propertyName: lease.propertyId?.name,
+        endDate: lease.endDate,
+        daysRemaining: lease.daysRemaining,
+        rentAmount: lease.rentAmount,
+      })),
+      dashboardUrl: `${process.env.FRONTEND_URL}/dashboard`,
+    });
+
+    const result = await sendEmail({
+      to: landlord.email,
+      subject: `📄 Lease Review: ${entries.length} lease${entries.length === 1 ? '' : 's'} expiring soon`,
+      html,
+    });
+
+    if (!result.success) {
+      logger.error(`Failed to send lease expiry alert to ${landlord.email}: ${result.error}`);
+      continue;
+    }
+
+    emailsSent++;
+
+    await Lease.bulkWrite(entries.map(({ lease, thresholds }) => ({
+      updateOne: {
+        filter: { _id: lease._id },
+        update: { $addToSet: { expiryAlertsSent: { $each: thresholds } } },
+      },
+    })));
+
+    await EventLog.logEvent(userId, 'LEASE_EXPIRY_ALERT_SENT', {
+      leaseCount: entries.length,
+    });
+
+    logger.info(`Lease expiry alert sent to ${landlord.email} (${entries.length} leases)`);
+
+    // Small delay between emails
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+
+  logger.info(`Lease expiry alerts completed. Emails sent: ${emailsSent}`);
+
+  return emailsSent;
+};
+
+/**
+ * Format a lease for API responses
+ */
+const formatLease = (lease) => {
+  if (!lease) return null;
+
+  return {
+    id: lease._id,
+    tenantId: lease.tenantId?._id || lease.tenantId,
+    propertyId: lease.propertyId?._id || lease.propertyId,
+    startDate: lease.startDate,
+    endDate: lease.endDate,
+    rentAmount: lease.rentAmount,
+    deposit: lease.deposit,
+    billingFrequency: lease.billingFrequency,
+    status: lease.status,
+    daysRemaining: ['active', 'expiring'].includes(lease.status) ? lease.daysRemaining : null,
+    renewedFromId: lease.renewedFromId,
+    renewedToId: lease.renewedToId,
+    notes: lease.notes,
+    endedAt: lease.endedAt,
+    createdAt: lease.createdAt,
+  };
+};
+
+module.exports = {
+  computeLeaseStatus,
+  applyLeaseTerms,
+  createLease,
+  renewLease,
+  endLease,
+  refreshLeaseStatuses,
+  sendLeaseExpiryAlerts,
+  formatLease,
+};
\ No newline at end of file
@@ -1,245 +1,580 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
 const Tenant = require('../models/tenant.model');
 const ReminderLog = require('../models/reminderlog.model');
+const ReminderJob = require('../models/reminderjob.model');
+const ReminderJobItem = require('../models/reminderjobitem.model');
+const ReminderReservation = require('../models/reminderreservation.model');
 const EventLog = require('../models/eventlog.model');
 const User = require('../models/user.model');
 const { sendSMS } = require('./sms.service');
 const { sendEmail } = require('./email.service');
-const { renderSMSTemplate, renderEmailTemplate } = require('./template.service');
-const { getCurrentMonth } = require('../utils/formatters');
+const { renderReminder } = require('./reminderTemplate.service');
 const logger = require('../utils/logger');
 
-// In-memory job storage (for simple implementation)
-// In production, use Redis or a proper job queue
-const jobs = new Map();
+// Identifies this process when claiming job items
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// An item claimed longer ago than this is assumed abandoned by a dead worker
+const STALE_ITEM_MS = 10 * 60 * 1000;
+
+// How often the worker looks for unfinished jobs (e.g. left by another instance)
+const WORKER_POLL_MS = 60 * 1000;
+
+// Default cooldown before a tenant can be reminded again on the same channel
+const DEFAULT_COOLDOWN_HOURS = process.env.REMINDER_COOLDOWN_HOURS !== undefined
+  ? Number(process.env.REMINDER_COOLDOWN_HOURS)
+  : 24;
+
+// Jobs this process is currently working on
+const activeJobs = new Set();
 
 /**
- * Create a new reminder job
+ * Create a new reminder job with one queued item per eligible tenant
+ * @param {Object} params - Job parameters
+ * @param {string} params.userId - Landlord user ID
+ * @param {Array} params.tenantIds - Tenant IDs to remind
+ * @param {string} params.method - 'sms' or 'email'
+ * @param {string} params.month - Month string (YYYY-MM)
+ * @param {string} params.source - 'manual' or 'scheduled'
+ * @param {string} params.language - Language override for all tenants (optional)
+ * @param {Map} params.retryOf - Failed log ID to retry, keyed by tenant ID (retry jobs only)
+ * @param {string} params.retryOfJobId - Job being retried (optional)
+ * @param {boolean} params.force - Send even to tenants already reminded (optional)
+ * @param {number} params.cooldownHours - Skip tenants reminded on the same channel within this many hours
+ * @param {boolean} params.skipSameMonth - Skip tenants already reminded on the same channel for this month
+ * @returns {Promise<Object>} - Created ReminderJob
  */
-const createReminderJob = (jobId, totalCount) => {
-  jobs.set(jobId, {
-    id: jobId,
-    status: 'processing',
-    total: totalCount,
-    sent: 0,
-    failed: 0,
-    details: [],
-    totalCost: 0,
-    startedAt: new Date(),
-    completedAt: null,
+const createReminderJob = async ({
+  userId,
+  tenantIds,
+  method,
+  month,
+  source = 'manual',
+  language = null,
+  retryOf = null,
+  retryOfJobId = null,
+  force = false,
+  cooldownHours = DEFAULT_COOLDOWN_HOURS,
+  skipSameMonth = true,
+}) => {
+  const tenants = await Tenant.find({
+    _id: { $in: tenantIds },
+    userId,
+    deletedAt: null,
+  }).select('name email');
+
+  // Filter by method
+  const eligibleTenants = method === 'email' ? tenants.filter(t => t.email) : tenants;
+
+  const jobId = uuidv4();
+
+  const job = await ReminderJob.create({
+    jobId,
+    userId,
+    method,
+    month,
+    source,
+    language,
+    isRetry: Boolean(retryOf),
+    retryOfJobId,
+    force,
+    cooldownHours,
+    skipSameMonth,
+    total: eligibleTenants.length,
   });
-  return jobs.get(jobId);
+
+  await ReminderJobItem.insertMany(eligibleTenants.map(tenant => ({
+    jobId,
+    userId,
+    tenantId: tenant._id,
+    tenantName: tenant.name,
+    retryOf: retryOf?.get(tenant._id.toString()) || null,
+  })));
+
+  return job;
 };
 
 /**
- * Update job progress
+ * Create retry jobs for failed reminders
+ * Only the latest failed log per tenant is retried, and logs that were already
+ * retried are skipped. Logs are grouped into one job per month and channel.
+ * @param {Object} params - Retry parameters
+ * @param {string} params.userId - Landlord user ID
+ * @param {Array} params.logs - Failed ReminderLog documents
+ * @param {string} params.method - Channel to resend on (optional, defaults to each log's channel)
+ * @param {string} params.month - Month for logs that don't record one (YYYY-MM)
+ * @param {string} params.retryOfJobId - Job being retried (optional)
+ * @param {boolean} params.force - Skip duplicate protection (optional)
+ * @returns {Promise<Object>} - { jobs, skipped }
  */
-const updateJobProgress = (jobId, update) => {
-  const job = jobs.get(jobId);
-  if (job) {
-    Object.assign(job, update);
-    jobs.set(jobId, job);
+const createRetryJobs = async ({ userId, logs, method, month, retryOfJobId = null, force = false }) => {
+  const skipped = [];
+
+  const alreadyRetried = new Set(
+    (await ReminderLog.distinct('retryOf', { retryOf: { $in: logs.map(l => l._id) } }))
+      .map(id => id.toString())
+  );
+
+  // Latest failed log per tenant
+  const latestByTenant = new Map();
+  for (const log of [...logs].sort((a, b) => b.timestamp - a.timestamp)) {
+    const tenantId = log.tenantId.toString();
+    if (alreadyRetried.has(log._id.toString())) {
+      skipped.push({ logId: log._id, tenantId, reason: 'Already retried' });
+    } else if (!latestByTenant.has(tenantId)) {
+      latestByTenant.set(tenantId, log);
+    }
+  }
+
+  const tenants = await Tenant.find({
+    _id: { $in: [...latestByTenant.keys()] },
+    userId,
+    deletedAt: null,
+  }).select('email');
+  const tenantMap = new Map(tenants.map(t => [t._id.toString(), t]));
+
+  // Group by month and channel - a job sends one month on one channel
+  const groups = new Map();
+  for (const [tenantId, log] of latestByTenant) {
+    const retryMethod = method || log.type;
+    const tenant = tenantMap.get(tenantId);
+
+    if (!tenant) {
+      skipped.push({ logId: log._id, tenantId, reason: 'Tenant not found' });
+      continue;
+    }
+    if (retryMethod === 'email' && !tenant.email) {
+      skipped.push({ logId: log._id, tenantId, reason: 'Tenant has no email address' });
+      continue;
+    }
+
+    const key = `${log.month || month}:${retryMethod}`;
+    if (!groups.has(key)) {
+      groups.set(key, { month: log.month || month, method: retryMethod, retryOf: new Map() });
+    }
+    groups.get(key).retryOf.set(tenantId, log._id);
   }
+
+  const jobs = [];
+  for (const group of groups.values()) {
+    jobs.push(await createReminderJob({
+      userId,
+      tenantIds: [...group.retryOf.keys()],
+      method: group.method,
+      month: group.month,
+      retryOf: group.retryOf,
+      retryOfJobId,
+      force,
+    }));
+  }
+
+  return { jobs, skipped };
 };
 
 /**
  * Get job status
+ * @param {string} jobId - Job ID
+ * @param {string} userId - Only return the job if it belongs to this user (optional)
+ */
+const getJobStatus = (jobId, userId) => {
+  const query = { jobId };
+  if (userId) query.userId = userId;
+  return ReminderJob.findOne(query);
+};
+
+/**
+ * Get the per-tenant results of a job
  */
-const getJobStatus = (jobId) => {
-  return jobs.get(jobId) || null;
+const getJobItems = async (jobId) => {
+  const items = await ReminderJobItem.find({ jobId }).sort({ createdAt: 1 });
+
+  return items.map(item => ({
+    tenantId: item.tenantId.toString(),
+    tenantName: item.tenantName,
+    status: item.status,
+    cost: item.cost,
+    error: item.error,
+    skipReason: item.skipReason,
+    retryOf: item.retryOf,
+  }));
 };
 
 /**
- * Clean up old jobs (older than 1 hour)
+ * Render and send a single reminder
+ * @returns {Promise<Object>} - sendSMS/sendEmail result
  */
-const cleanupOldJobs = () => {
-  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-  for (const [jobId, job] of jobs.entries()) {
-    if (job.completedAt && job.completedAt < oneHourAgo) {
-      jobs.delete(jobId);
-      logger.info(`Cleaned up old job: ${jobId}`);
+const deliverReminder = async ({ tenant, user, method, month, language }) => {
+  const rendered = await renderReminder({ tenant, user, method, month, language });
+
+  if (method === 'sms') {
+    return sendSMS({
+      to: tenant.phone,
+      message: rendered.message,
+    });
+  }
+
+  return sendEmail({
+    to: tenant.email,
+    subject: rendered.subject,
+    html: rendered.html,
+  });
+};
+
+/**
+ * Find why a tenant should not be reminded again by this job, if at all
+ * Only reminders that went out on the job's channel count.
+ * @returns {Promise<string|null>} - Skip reason or null
+ */
+const findDuplicateReason = async (job, tenantId) => {
+  const conditions = [];
+  if (job.cooldownHours > 0) {
+    conditions.push({ timestamp: { $gte: new Date(Date.now() - job.cooldownHours * 60 * 60 * 1000) } });
+  }
+  if (job.skipSameMonth) {
+    conditions.push({ month: job.month });
+  }
+
+  if (conditions.length === 0) return null;
+
+  const previous = await ReminderLog.findOne({
+    tenantId,
+    type: job.method,
+    status: { $in: ReminderLog.SENT_STATUSES },
+    jobId: { $ne: job.jobId },
+    $or: conditions,
+  }).sort({ timestamp: -1 });
+
+  if (!previous) return null;
+
+  const channel = job.method === 'sms' ? 'SMS' : 'email';
+  if (job.skipSameMonth && previous.month === job.month) {
+    return `Already reminded by ${channel} for ${job.month}`;
+  }
+  return `Already reminded by ${channel} in the last ${job.cooldownHours} hours`;
+};
+
+/**
+ * Reserve reminding a tenant for this job's channel and month before sending
+ * The reservation is taken atomically, so of several jobs running at the same
+ * time only one sends. Earlier reminders are then checked in the logs.
+ * @returns {Promise<string|null>} - Skip reason, or null once reserved
+ */
+const reserveReminder = async (job, tenantId) => {
+  const staleBefore = new Date(Date.now() - STALE_ITEM_MS);
+  const reservation = await ReminderReservation.reserve(job, tenantId, staleBefore);
+
+  if (!reservation) {
+    const channel = job.method === 'sms' ? 'SMS' : 'email';
+    const holder = await ReminderReservation.findOne({ tenantId, type: job.method, month: job.month });
+
+    if (holder?.status === 'sending') {
+      return `Already being reminded by ${channel} for ${job.month}`;
+    }
+    if (job.skipSameMonth) {
+      return `Already reminded by ${channel} for ${job.month}`;
     }
+    return `Already reminded by ${channel} in the last ${job.cooldownHours} hours`;
+  }
+
+  const skipReason = await findDuplicateReason(job, tenantId);
+  if (skipReason) {
+    await ReminderReservation.settle(job, tenantId, false);
   }
+  return skipReason;
+};
+
+/**
+ * Record an item's outcome and add it to the job counters
+ */
+const completeItem = async (item, { success, skipReason = null, cost = 0, error = null, reminderLogId = null }) => {
+  let status = success ? 'sent' : 'failed';
+  if (skipReason) status = 'skipped';
+
+  item.status = status;
+  item.skipReason = skipReason;
+  item.cost = cost;
+  item.error = error;
+  item.reminderLogId = reminderLogId;
+  item.processedAt = new Date();
+  item.lockedBy = null;
+  item.lockedAt = null;
+  await item.save();
+
+  await ReminderJob.updateOne(
+    { jobId: item.jobId },
+    {
+      $inc: {
+        sent: status === 'sent' ? 1 : 0,
+        failed: status === 'failed' ? 1 : 0,
+        skipped: status === 'skipped' ? 1 : 0,
+        totalCost: cost,
+      },
+    }
+  );
 };
 
-// Clean up every 5 minutes
-setInterval(cleanupOldJobs, 5 * 60 * 1000);
+/**
+ * Put a claimed item back in the queue, e.g. when its outcome couldn't be recorded
+ */
+const releaseItem = (item) => {
+  return ReminderJobItem.updateOne(
+    { _id: item._id, status: 'processing', lockedBy: WORKER_ID },
+    { status: 'pending', lockedBy: null, lockedAt: null }
+  );
+};
 
 /**
- * Process reminders in background
+ * Write the ReminderLog for a job item, linking retries to the log they retry
  */
-const processRemindersInBackground = async (jobId, userId, tenantIds, method, targetMonth) => {
+const logReminder = async (job, item, fields) => {
+  let attempt = 1;
+  if (item.retryOf) {
+    const original = await ReminderLog.findById(item.retryOf).select('attempt');
+    attempt = (original?.attempt || 1) + 1;
+  }
+
+  return ReminderLog.create({
+    userId: job.userId,
+    tenantId: item.tenantId,
+    type: job.method,
+    source: job.source,
+    jobId: job.jobId,
+    month: job.month,
+    retryOf: item.retryOf || null,
+    attempt,
+    ...fields,
+  });
+};
+
+/**
+ * Send the reminder for one claimed job item
+ */
+const processItem = async (job, user, item) => {
+  const { jobId, method, month } = job;
+
   try {
-    logger.info(`Starting background job ${jobId} for ${tenantIds.length} tenants`);
+    // Reclaimed after a crash: if the reminder already went out, don't send it again
+    if (item.attempts > 1) {
+      const existingLog = await ReminderLog.findOne({ jobId, tenantId: item.tenantId });
+      if (existingLog) {
+        const sent = ReminderLog.SENT_STATUSES.includes(existingLog.status);
+        await ReminderReservation.settle(job, item.tenantId, sent);
+        await completeItem(item, {
+          success: sent,
+          cost: existingLog.cost,
+          error: existingLog.errorMessage,
+          reminderLogId: existingLog._id,
+        });
+        return;
+      }
+    }
 
-    // Fetch user details
-    const user = await User.findById(userId);
-    if (!user) {
-      updateJobProgress(jobId, {
-        status: 'failed',
-        error: 'User not found',
-        completedAt: new Date(),
-      });
-      return;
+    // Duplicate protection
+    if (!job.force) {
+      const skipReason = await reserveReminder(job, item.tenantId);
+      if (skipReason) {
+        await completeItem(item, { skipReason });
+        logger.info(`Job ${jobId}: Skipped ${item.tenantName} - ${skipReason}`);
+        return;
+      }
     }
 
-    // Fetch tenants
-    const tenants = await Tenant.find({
-      _id: { $in: tenantIds },
-      userId,
+    const tenant = await Tenant.findOne({
+      _id: item.tenantId,
+      userId: job.userId,
       deletedAt: null,
     }).populate('propertyId', 'name');
 
-    if (tenants.length === 0) {
-      updateJobProgress(jobId, {
-        status: 'failed',
-        error: 'No valid tenants found',
-        completedAt: new Date(),
-      });
+    if (!tenant) {
+      await ReminderReservation.settle(job, item.tenantId, false);
+      await completeItem(item, { success: false, error: 'Tenant not found' });
       return;
     }
 
-    // Filter by method
-    let eligibleTenants = tenants;
-    if (method === 'email') {
-      eligibleTenants = tenants.filter(t => t.email);
+    const result = await deliverReminder({ tenant, user, method, month, language: job.language });
+    await ReminderReservation.settle(job, item.tenantId, result.success);
+
+    // Log reminder
+    const log = await logReminder(job, item, {
+      status: result.success ? (result.status || 'sent') : 'failed',
+      cost: result.cost || 0,
+      errorMessage: result.error || null,
+      messageId: result.messageId || null,
+    });
+
+    // Update tenant
+    if (result.success) {
+      tenant.lastReminderSentAt = new Date();
+      await tenant.save();
     }
 
-    updateJobProgress(jobId, {
-      total: eligibleTenants.length,
+    await completeItem(item, {
+      success: result.success,
+      cost: result.cost || 0,
+      error: result.error || null,
+      reminderLogId: log._id,
     });
 
-    let totalCost = 0;
+    logger.info(`Job ${jobId}: Processed ${item.tenantName} - ${result.success ? 'sent' : 'failed'}`);
+  } catch (error) {
+    logger.error(`Job ${jobId}: Failed to process tenant ${item.tenantId}:`, error);
 
-    // Process each tenant
-    for (let i = 0; i < eligibleTenants.length; i++) {
-      const tenant = eligibleTenants[i];
-      
-      try {
-        let result;
-
-        if (method === 'sms') {
-          const message = renderSMSTemplate({
-            tenantName: tenant.name,
-            month: targetMonth,
-            rentAmount: tenant.rentAmount,
-            dueDate: tenant.dueDate,
-            landlordName: user.name,
-          });
-
-          result = await sendSMS({
-            to: tenant.phone,
-            message,
-          });
-        } else {
-          const html = renderEmailTemplate({
-            tenantName: tenant.name,
-            month: targetMonth,
-            rentAmount: tenant.rentAmount,
-            dueDate: tenant.dueDate,
-            unitNumber: tenant.unitNumber,
-            landlordName: user.name,
-            landlordPhone: user.phone,
-          });
-
-          result = await sendEmail({
-            to: tenant.email,
-            subject: `Rent Reminder - ${tenant.propertyId.name}`,
-            html,
-          });
-        }
+    await ReminderReservation.settle(job, item.tenantId, false);
 
-        // Log reminder
-        await ReminderLog.create({
-          userId,
-          tenantId: tenant._id,
-          type: method,
-          status: result.success ? 'sent' : 'failed',
-          cost: result.cost || 0,
-          errorMessage: result.error || null,
-        });
+    const log = await logReminder(job, item, {
+      status: 'failed',
+      cost: 0,
+      errorMessage: error.message,
+    });
 
-        // Update tenant
-        if (result.success) {
-          tenant.lastReminderSentAt = new Date();
-          await tenant.save();
-        }
+    await completeItem(item, { success: false, error: error.message, reminderLogId: log._id });
+  }
+};
 
-        totalCost += result.cost || 0;
-
-        const job = jobs.get(jobId);
-        const detail = {
-          tenantId: tenant._id.toString(),
-          tenantName: tenant.name,
-          status: result.success ? 'sent' : 'failed',
-          cost: result.cost || 0,
-          error: result.error || null,
-        };
-
-        updateJobProgress(jobId, {
-          sent: result.success ? job.sent + 1 : job.sent,
-          failed: result.success ? job.failed : job.failed + 1,
-          details: [...job.details, detail],
-          totalCost: totalCost,
-        });
+/**
+ * Mark a job as completed once none of its items are left to process.
+ * Only one worker wins the status change, so the completion is logged once.
+ */
+const finalizeJobIfDone = async (jobId) => {
+  const remaining = await ReminderJobItem.countDocuments({
+    jobId,
+    status: { $in: ['pending', 'processing'] },
+  });
 
-        logger.info(`Job ${jobId}: Processed ${i + 1}/${eligibleTenants.length} - ${tenant.name}`);
-      } catch (error) {
-        logger.error(`Job ${jobId}: Failed to process tenant ${tenant._id}:`, error);
-
-        await ReminderLog.create({
-          userId,
-          tenantId: tenant._id,
-          type: method,
-          status: 'failed',
-          cost: 0,
-          errorMessage: error.message,
-        });
+  if (remaining > 0) return;
 
-        const job = jobs.get(jobId);
-        updateJobProgress(jobId, {
-          failed: job.failed + 1,
-          details: [...job.details, {
-            tenantId: tenant._id.toString(),
-            tenantName: tenant.name,
-            status: 'failed',
-            cost: 0,
-            error: error.message,
-          }],
-        });
+  const job = await ReminderJob.findOneAndUpdate(
+    { jobId, status: { $in: ['queued', 'processing'] } },
+    { status: 'completed', completedAt: new Date() },
+    { new: true }
+  );
+
+  if (!job) return;
+
+  // Log event
+  await EventLog.logEvent(job.userId, 'REMINDERS_SENT', {
+    method: job.method,
+    source: job.source,
+    retry: job.isRetry,
+    sent: job.sent,
+    failed: job.failed,
+    skipped: job.skipped,
+    totalCost: job.totalCost,
+  });
+
+  logger.info(`Job ${jobId} completed: ${job.sent} sent, ${job.failed} failed, ${job.skipped} skipped, total cost: ${job.totalCost}`);
+};
+
+/**
+ * Process a job's pending items in background.
+ * Safe to call for the same job from several workers - items are claimed atomically,
+ * and items already marked sent are never picked up again.
+ * @param {string} jobId - Job ID
+ */
+const processRemindersInBackground = async (jobId) => {
+  if (activeJobs.has(jobId)) return;
+  activeJobs.add(jobId);
+
+  try {
+    const job = await ReminderJob.findOneAndUpdate(
+      { jobId, status: { $in: ['queued', 'processing'] } },
+      { status: 'processing' },
+      { new: true }
+    );
+
+    if (!job) return;
+
+    logger.info(`Worker ${WORKER_ID} processing job ${jobId} (${job.total} tenants)`);
+
+    // Fetch user details
+    const user = await User.findById(job.userId);
+    if (!user) {
+      await ReminderJob.updateOne({ jobId }, {
+        status: 'failed',
+        error: 'User not found',
+        completedAt: new Date(),
+      });
+      return;
+    }
+
+    let item;
+    while ((item = await ReminderJobItem.claimNext(jobId, WORKER_ID, new Date(Date.now() - STALE_ITEM_MS)))) {
+      try {
+        await processItem(job, user, item);
+      } catch (error) {
+        // processItem records its own failures, so this is an error recording the outcome
+        logger.error(`Job ${jobId}: Failed to record the result for tenant ${item.tenantId}:`, error);
+        try {
+          await completeItem(item, { success: false, error: error.message });
+        } catch (completeError) {
+          // Still can't write - hand the item back and leave the rest to the next pass
+          await releaseItem(item).catch(() => {});
+          throw completeError;
+        }
       }
     }
 
-    const job = jobs.get(jobId);
+    await finalizeJobIfDone(jobId);
+  } catch (error) {
+    logger.error(`Job ${jobId} failed:`, error);
 
-    // Log event
-    await EventLog.logEvent(userId, 'REMINDERS_SENT', {
-      method,
-      sent: job.sent,
-      failed: job.failed,
-      totalCost,
-    });
+    try {
+      // Only fail the job once none of its items are left - otherwise the
+      // worker resumes it on its next poll
+      const unsettled = await ReminderJobItem.countDocuments({
+        jobId,
+        status: { $in: ['pending', 'processing'] },
+      });
 
-    // Mark as complete
-    updateJobProgress(jobId, {
-      status: 'completed',
-      totalCost,
-      completedAt: new Date(),
-    });
+      if (unsettled === 0) {
+        await ReminderJob.updateOne(
+          { jobId, status: { $in: ['queued', 'processing'] } },
+          { status: 'failed', error: error.message, completedAt: new Date() }
+        );
+      }
+    } catch (updateError) {
+      logger.error(`Job ${jobId}: Failed to update job status:`, updateError);
+    }
+  } finally {
+    activeJobs.delete(jobId);
+  }
+};
+
+/**
+ * Pick up every unfinished job, e.g. after a restart or deploy
+ */
+const resumeReminderJobs = async () => {
+  try {
+    const jobs = await ReminderJob.findUnfinished();
 
-    logger.info(`Job ${jobId} completed: ${job.sent} sent, ${job.failed} failed, total cost: ${totalCost}`);
+    for (const job of jobs) {
+      if (activeJobs.has(job.jobId)) continue;
+      logger.info(`Resuming reminder job ${job.jobId}`);
+      await processRemindersInBackground(job.jobId);
+    }
   } catch (error) {
-    logger.error(`Job ${jobId} failed:`, error);
-    updateJobProgress(jobId, {
-      status: 'failed',
-      error: error.message,
-      completedAt: new Date(),
-    });
+    logger.error('Resume reminder jobs error:', error);
   }
 };
 
+/**
+ * Start the reminder worker: resume interrupted jobs on boot, then keep polling
+ */
+const startReminderWorker = () => {
+  resumeReminderJobs();
+  setInterval(resumeReminderJobs, WORKER_POLL_MS);
+
+  logger.info(`Reminder worker ${WORKER_ID} started`);
+};
+
 module.exports = {
   createReminderJob,
-  updateJobProgress,
+  createRetryJobs,
   getJobStatus,
+  getJobItems,
+  deliverReminder,
   processRemindersInBackground,
+  resumeReminderJobs,
+  startReminderWorker,
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+const Tenant = require('../models/tenant.model');
+const RentPeriod = require('../models/rentperiod.model');
+const ReminderSchedule = require('../models/reminderschedule.model');
+const FeatureFlag = require('../models/featureflag.model');
+const { createReminderJob, processRemindersInBackground } = require('./reminderJob.service');
+const { getMonthString } = require('../utils/formatters');
+const { isCycleStartMonth } = require('../utils/billingCycle');
+const { getDueDaysOn } = require('./dueDate.service');
+const logger = require('../utils/logger');
+
+// Schedules send several reminders per month on purpose (e.g. before, on and after
+// the due date), so they only skip tenants already reminded on the same channel today
+const SCHEDULED_COOLDOWN_HOURS = 12;
+
+// A run claimed longer ago than this is assumed abandoned by a dead instance
+const STALE_RUN_MS = 60 * 60 * 1000;
+
+/**
+ * Run a single schedule rule for a landlord
+ * Sends to unpaid tenants whose due date is `offset` days away from today
+ * (tenants on longer billing cycles only in the month their cycle starts)
+ * @param {string} userId - Landlord user ID
+ * @param {Object} rule - Schedule rule subdocument
+ * @param {Date} now - Reference date (defaults to today)
+ * @returns {Promise<Object>} - Job ID and number of tenants targeted
+ */
+const runScheduleRule = async (userId, rule, now = new Date()) => {
+  const featureKey = rule.method === 'sms' ? 'sms_reminders' : 'email_reminders';
+  if (!(await FeatureFlag.isEnabled(featureKey))) {
+    logger.warn(`Scheduled ${rule.method} reminders skipped for user ${userId}: feature disabled`);
+    return { jobId: null, total: 0 };
+  }
+
+  // A rule "3 days before" fires today for tenants due 3 days from now
+  const dueDay = new Date(now);
+  dueDay.setDate(now.getDate() - rule.getOffsetDays());
+  const month = getMonthString(dueDay);
+
+  const paidTenantIds = await RentPeriod.findTenantIdsByStatus({ userId }, month, 'paid');
+
+  const query = {
+    userId,
+    _id: { $nin: paidTenantIds },
+    dueDate: { $in: getDueDaysOn(dueDay) },
+    deletedAt: null,
+  };
+  if (rule.method === 'email') {
+    query.email = { $ne: null };
+  }
+
+  const tenants = (await Tenant.find(query).select('billingFrequency billingAnchorDate createdAt'))
+    .filter(tenant => isCycleStartMonth(tenant, month));
+  if (tenants.length === 0) {
+    return { jobId: null, total: 0 };
+  }
+
+  const { jobId, total } = await createReminderJob({
+    userId,
+    tenantIds: tenants.map(t => t._id),
+    method: rule.method,
+    month,
+    source: 'scheduled',
+    cooldownHours: SCHEDULED_COOLDOWN_HOURS,
+    skipSameMonth: false,
+  });
+
+  logger.info(`Scheduled job ${jobId}: ${rule.timing} ${rule.days}d ${rule.method} reminders for ${total} tenants (user ${userId})`);
+
+  await processRemindersInBackground(jobId);
+
+  return { jobId, total };
+};
+
+/**
+ * Run every active landlord reminder schedule for today
+ * A schedule is claimed while it runs, so several server instances never run
+ * it at once. Each rule is recorded as done for the day once it has run, and
+ * the schedule once all its rules have - a later run the same day (e.g. the
+ * hourly retry) only picks up the rules that didn't complete.
+ * @param {Date} now - Reference date (defaults to today)
+ */
+const runScheduledReminders = async (now = new Date()) => {
+  try {
+    const today = `${getMonthString(now)}-${String(now.getDate()).padStart(2, '0')}`;
+
+    logger.info(`Starting scheduled tenant reminders for ${today}...`);
+
+    const schedules = await ReminderSchedule.findActive();
+    let jobsStarted = 0;
+
+    for (const schedule of schedules) {
+      const claimed = await ReminderSchedule.findOneAndUpdate(
+        {
+          _id: schedule._id,
+          lastRunDate: { $ne: today },
+          $or: [
+            { runStartedAt: null },
+            { runStartedAt: { $lt: new Date(Date.now() - STALE_RUN_MS) } },
+          ],
+        },
+        { runStartedAt: new Date() },
+        { new: true }
+      );
+
+      if (!claimed) {
+        continue; // Already ran today, or running elsewhere
+      }
+
+      let completed = true;
+      for (const rule of claimed.rules.filter(r => r.enabled && r.lastRunDate !== today)) {
+        try {
+          const { jobId } = await runScheduleRule(claimed.userId, rule, now);
+          if (jobId) jobsStarted++;
+
+          await ReminderSchedule.updateOne(
+            { _id: claimed._id, 'rules._id': rule._id },
+            { 'rules.$.lastRunDate': today }
+          );
+        } catch (error) {
+          completed = false;
+          logger.error(`Scheduled reminder rule failed for user ${claimed.userId}:`, error);
+        }
+      }
+
+      await ReminderSchedule.updateOne(
+        { _id: claimed._id },
+        completed
+          ? { lastRunDate: today, lastRunAt: new Date(), runStartedAt: null }
+          : { runStartedAt: null }
+      );
+    }
+
+    logger.info(`Scheduled tenant reminders completed. Jobs run: ${jobsStarted}`);
+  } catch (error) {
+    logger.error('Scheduled tenant reminders error:', error);
+  }
+};
+
+module.exports = {
+  runScheduleRule,
+  runScheduledReminders,
+};
\ No newline at end of file
@@ -0,0 +1,96 @@
+const ReminderTemplate = require('../models/remindertemplate.model');
+const { DEFAULT_LANGUAGE } = require('../locales');
+const {
+  renderSMSTemplate,
+  renderEmailTemplate,
+  renderEmailSubject,
+  fillPlaceholders,
+  renderCustomEmailTemplate,
+} = require('./template.service');
+const { getBalanceMap } = require('./rentPeriod.service');
+const { getBillingCycle } = require('../utils/billingCycle');
+const { getEffectiveDueDay } = require('./dueDate.service');
+
+/**
+ * Build the template data for a tenant's reminder
+ * Amounts come from the tenant's ledger: the billing cycle the month falls in plus any arrears
+ * @param {Object} tenant - Tenant document (propertyId populated with name)
+ * @param {Object} user - Landlord user document
+ * @param {string} month - Month string (YYYY-MM)
+ * @param {string} language - Language override (optional, defaults to the tenant's preferred language)
+ * @returns {Promise<Object>} - Template data
+ */
+const buildReminderData = async (tenant, user, month, language) => {
+  const balance = (await getBalanceMap([tenant], month)).get(tenant._id.toString());
+  const cycle = getBillingCycle(tenant, month);
+
+  return {
+    tenantName: tenant.name,
+    month: cycle.month,
+    periodEndMonth: cycle.endMonth,
+    rentAmount: tenant.rentAmount,
+    amountDue: balance.outstanding,
+    arrears: balance.arrears,
+    lateFees: balance.lateFees,
+    // The 29th-31st fall on the last day of shorter months
+    dueDate: getEffectiveDueDay(tenant.dueDate, cycle.month),
+    unitNumber: tenant.unitNumber,
+    propertyName: tenant.propertyId?.name,
+    landlordName: user.name,
+    landlordPhone: user.phone,
+    language: language || tenant.preferredLanguage,
+  };
+};
+
+/**
+ * Render a tenant's reminder with the landlord's template for the tenant's property
+ * in the reminder's language, falling back to the default wording in that language
+ * when there is no custom template for it
+ * @param {Object} params - Render parameters
+ * @param {Object} params.tenant - Tenant document (propertyId populated with name)
+ * @param {Object} params.user - Landlord user document
+ * @param {string} params.method - 'sms' or 'email'
+ * @param {string} params.month - Month string (YYYY-MM)
+ * @param {Object} params.template - Template to use instead of the saved one (optional, e.g. a draft to preview)
+ * @param {string} params.language - Language override (optional)
+ * @returns {Promise<Object>} - { message } for SMS or { subject, html } for email, plus the template used
+ */
+const renderReminder = async ({ tenant, user, method, month, template, language }) => {
+  const data = await buildReminderData(tenant, user, month, language);
+
+  const custom = template !== undefined
+    ? template
+    : await ReminderTemplate.findForProperty(user._id.toString(), tenant.propertyId?._id, method, data.language);
+
+  // A custom template only in the default language is used over the localized
+  // default - language is then what the message is written in, and fallback set.
+  // A draft being previewed is taken to be in the requested language.
+  const templateLanguage = custom?.language
+    || (custom && template === undefined ? DEFAULT_LANGUAGE : data.language);
+  const templateInfo = {
+    source: custom ? 'custom' : 'default',
+    templateId: custom?._id || null,
+    language: templateLanguage,
+    fallback: templateLanguage !== data.language,
+  };
+
+  if (method === 'sms') {
+    return {
+      ...templateInfo,
+      message: custom ? fillPlaceholders(custom.body, data) : renderSMSTemplate(data),
+    };
+  }
+
+  return {
+    ...templateInfo,
+    subject: custom?.subject
+      ? fillPlaceholders(custom.subject, data)
+      : renderEmailSubject(data),
+    html: custom ? renderCustomEmailTemplate(custom.body, data) : renderEmailTemplate(data),
+  };
+};
+
+module.exports = {
+  buildReminderData,
+  renderReminder,
+};
\ No newline at end of file
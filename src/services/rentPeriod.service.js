@@ -0,0 +1,490 @@
+const Tenant = require('../models/tenant.model');
+const RentPeriod = require('../models/rentperiod.model');
+const Payment = require('../models/payment.model');
+const { getCurrentMonth, getMonthDateRange } = require('../utils/formatters');
+const { getBillingCycle, getCycleStartMonth } = require('../utils/billingCycle');
+const logger = require('../utils/logger');
+
+// Number of tenants upserted per bulkWrite during rollover
+const ROLLOVER_BATCH_SIZE = 500;
+
+// Tenant fields needed to work out billing cycles
+const BILLING_FIELDS = 'userId propertyId rentAmount dueDate billingFrequency billingAnchorDate createdAt';
+
+/**
+ * Build the upsert operation that creates the period for the tenant's billing cycle if missing
+ */
+const buildPeriodUpsert = (tenant, month) => {
+  const cycle = getBillingCycle(tenant, month);
+
+  return {
+    updateOne: {
+      filter: { tenantId: tenant._id, month: cycle.month },
+      update: {
+        $setOnInsert: {
+          userId: tenant.userId,
+          propertyId: tenant.propertyId._id || tenant.propertyId,
+          amountDue: cycle.amountDue,
+          amountPaid: 0,
+          status: 'unpaid',
+          paidAt: null,
+          periodStart: cycle.periodStart,
+          periodEnd: cycle.periodEnd,
+          dueDate: cycle.dueDate,
+        },
+      },
+      upsert: true,
+    },
+  };
+};
+
+/**
+ * Create the rent periods that are missing for a list of tenants
+ * Each tenant gets the period of the billing cycle the month falls in
+ * @param {Array} tenants - Tenant documents
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @returns {Promise<void>}
+ */
+const createMissingPeriods = async (tenants, month = getCurrentMonth()) => {
+  if (tenants.length === 0) return;
+
+  await RentPeriod.bulkWrite(
+    tenants.map(tenant => buildPeriodUpsert(tenant, month)),
+    { ordered: false }
+  );
+};
+
+/**
+ * Get the rent periods for a list of tenants (read only)
+ * Each tenant gets the period of the billing cycle the month falls in.
+ * Periods are created by rollover and writes - a tenant whose period doesn't
+ * exist yet is left out of the map and should be treated as unpaid.
+ * @param {Array} tenants - Tenant documents
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @returns {Promise<Map>} - Map of tenantId (string) to RentPeriod
+ */
+const getPeriodMap = async (tenants, month = getCurrentMonth()) => {
+  if (tenants.length === 0) {
+    return new Map();
+  }
+
+  const cycleMonths = new Map(tenants.map(t => [t._id.toString(), getCycleStartMonth(t, month)]));
+
+  const periods = await RentPeriod.find({
+    tenantId: { $in: tenants.map(t => t._id) },
+    month: { $in: [...new Set(cycleMonths.values())] },
+  });
+
+  return new Map(periods
+    .filter(p => cycleMonths.get(p.tenantId.toString()) === p.month)
+    .map(p => [p.tenantId.toString(), p]));
+};
+
+/**
+ * Bring the tenant's current unpaid period in line with their rent and billing cycle
+ * (after the rent, due date or billing frequency changes)
+ * @param {Object} tenant - Tenant document
+ * @returns {Promise<Object>} - Update result
+ */
+const syncCurrentPeriod = (tenant) => {
+  const cycle = getBillingCycle(tenant, getCurrentMonth());
+
+  return RentPeriod.updateOne(
+    { tenantId: tenant._id, month: cycle.month, status: 'unpaid' },
+    {
+      amountDue: cycle.amountDue,
+      periodStart: cycle.periodStart,
+      periodEnd: cycle.periodEnd,
+      dueDate: cycle.dueDate,
+    }
+  );
+};
+
+/**
+ * Add to a tenant's credit balance (atomically, so concurrent payments all count)
+ */
+const addCredit = async (tenant, amount) => {
+  await Tenant.updateOne({ _id: tenant._id }, { $inc: { creditBalance: amount } });
+  tenant.creditBalance = (tenant.creditBalance || 0) + amount;
+};
+
+/**
+ * Set the paid/unpaid status of a tenant's period.
+ * Marking a period paid records a payment for its outstanding balance, so the
+ * payment history accounts for it. A period with recorded payments can't be
+ * marked unpaid - the payments would still be on the ledger with nothing to
+ * show for them.
+ * @param {Object} tenant - Tenant document
+ * @param {string} status - 'paid' or 'unpaid'
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @param {string} method - Payment method recorded when marking paid (default: cash)
+ * @returns {Promise<Object|null>} - Updated RentPeriod, null if payments block marking it unpaid
+ */
+const setPeriodStatus = async (tenant, status, month = getCurrentMonth(), method = 'cash') => {
+  const period = await RentPeriod.findOrCreateForTenant(tenant, month);
+
+  if (status === 'paid') {
+    const balance = period.balance;
+    if (balance <= 0) return period;
+
+    const payment = await Payment.create({
+      userId: tenant.userId,
+      tenantId: tenant._id,
+      propertyId: tenant.propertyId._id || tenant.propertyId,
+      amount: balance,
+      paidAt: new Date(),
+      method,
+      reference: null,
+      allocations: [],
+      unallocated: balance,
+    });
+
+    // Another payment may have covered part of it in the meantime - the rest is credit
+    const applied = await period.applyPayment(balance, payment.paidAt);
+    payment.allocations = applied > 0
+      ? [{ periodId: period._id, month: period.month, amount: applied }]
+      : [];
+    payment.unallocated = balance - applied;
+    await payment.save();
+
+    if (payment.unallocated > 0) {
+      await addCredit(tenant, payment.unallocated);
+    }
+    return period;
+  }
+
+  const hasPayments = await Payment.exists({ 'allocations.periodId': period._id });
+  if (hasPayments) {
+    return null;
+  }
+  return period.markUnpaid();
+};
+
+/**
+ * Apply an amount to a tenant's open periods, oldest first
+ * @returns {Promise<Object>} - Allocations made and the amount left over
+ */
+const allocateToOpenPeriods = async (tenant, amount, paidAt = new Date()) => {
+  const openPeriods = await RentPeriod.find({
+    tenantId: tenant._id,
+    status: { $ne: 'paid' },
+  }).sort({ month: 1 });
+
+  const allocations = [];
+  let remaining = amount;
+
+  for (const period of openPeriods) {
+    if (remaining <= 0) break;
+
+    const applied = await period.applyPayment(remaining, paidAt);
+    if (applied > 0) {
+      allocations.push({ periodId: period._id, month: period.month, amount: applied });
+      remaining -= applied;
+    }
+  }
+
+  return { allocations, remaining };
+};
+
+/**
+ * Record a payment and allocate it to the tenant's oldest unpaid periods.
+ * Anything left over is kept as tenant credit for future periods.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} params - Payment details
+ * @param {number} params.amount - Amount paid (UGX)
+ * @param {Date} params.paidAt - Date the payment was made
+ * @param {string} params.method - cash, mobile_money, bank or deposit
+ * @param {string} params.reference - Receipt / transaction reference (optional)
+ * @returns {Promise<Object>} - Created Payment
+ */
+const recordPayment = async (tenant, { amount, paidAt, method, reference }) => {
+  // Create the payment first, so the periods are only changed for money on record
+  // (held as unallocated until it has been applied)
+  const payment = await Payment.create({
+    userId: tenant.userId,
+    tenantId: tenant._id,
+    propertyId: tenant.propertyId._id || tenant.propertyId,
+    amount,
+    paidAt,
+    method,
+    reference: reference || null,
+    allocations: [],
+    unallocated: amount,
+  });
+
+  // Make sure the current month exists so the payment can be applied to it
+  await RentPeriod.findOrCreateForTenant(tenant, getCurrentMonth());
+
+  const { allocations, remaining } = await allocateToOpenPeriods(tenant, amount, paidAt);
+
+  payment.allocations = allocations;
+  payment.unallocated = remaining;
+  await payment.save();
+
+  if (remaining > 0) {
+    await addCredit(tenant, remaining);
+  }
+
+  return payment;
+};
+
+/**
+ * Apply a tenant's credit balance to any open periods
+ * The whole balance is taken off the tenant first and the unused part given
+ * back, so two calls at the same time can't spend the same credit.
+ * @param {Object} tenant - Tenant document
+ * @returns {Promise<number>} - Amount of credit used
+ */
+const applyCredit = async (tenant) => {
+  const before = await Tenant.findOneAndUpdate(
+    { _id: tenant._id, creditBalance: { $gt: 0 } },
+    { creditBalance: 0 }
+  );
+  if (!before) return 0;
+
+  const credit = before.creditBalance;
+  tenant.creditBalance = 0;
+
+  const { remaining } = await allocateToOpenPeriods(tenant, credit);
+  if (remaining > 0) {
+    await addCredit(tenant, remaining);
+  }
+  return credit - remaining;
+};
+
+/**
+ * Get outstanding balances for a list of tenants.
+ * Unpaid amounts from earlier billing cycles carry forward as arrears.
+ * Late fees are part of the amounts owed; payments cover rent before fees,
+ * so lateFees is the part of the outstanding balance that is unpaid fees.
+ * A current period that hasn't been created yet counts as unpaid rent.
+ * @param {Array} tenants - Tenant documents
+ * @param {string} month - Month string (YYYY-MM) treated as current, defaults to current month
+ * @returns {Promise<Map>} - Map of tenantId (string) to { outstanding, arrears, currentDue, lateFees, credit }
+ */
+const getBalanceMap = async (tenants, month = getCurrentMonth()) => {
+  const balances = new Map(tenants.map(t => [t._id.toString(), {
+    outstanding: 0,
+    arrears: 0,
+    currentDue: 0,
+    lateFees: 0,
+    credit: t.creditBalance || 0,
+  }]));
+
+  if (tenants.length === 0) {
+    return balances;
+  }
+
+  const rows = await RentPeriod.aggregate([
+    {
+      $match: {
+        tenantId: { $in: tenants.map(t => t._id) },
+        month: { $lte: month },
+        status: { $ne: 'paid' },
+      },
+    },
+    {
+      $group: {
+        _id: { tenantId: '$tenantId', month: '$month' },
+        balance: {
+          $sum: {
+            $subtract: [{ $add: ['$amountDue', { $ifNull: ['$chargesDue', 0] }] }, '$amountPaid'],
+          },
+        },
+        chargesDue: { $sum: { $ifNull: ['$chargesDue', 0] } },
+      },
+    },
+  ]);
+
+  // Periods before the tenant's current billing cycle are arrears
+  const cycleMonths = new Map(tenants.map(t => [t._id.toString(), getCycleStartMonth(t, month)]));
+
+  // Current billing cycle not opened yet (rollover hasn't run) - the rent is still owed
+  const periods = await getPeriodMap(tenants, month);
+  tenants
+    .filter(t => !periods.has(t._id.toString()))
+    .forEach(t => {
+      const balance = balances.get(t._id.toString());
+      balance.currentDue += getBillingCycle(t, month).amountDue;
+      balance.outstanding = balance.arrears + balance.currentDue;
+    });
+
+  rows.forEach(row => {
+    const tenantId = row._id.tenantId.toString();
+    const balance = balances.get(tenantId);
+    const amount = Math.max(row.balance, 0);
+
+    balance.lateFees += Math.min(row.chargesDue, amount);
+    if (row._id.month < cycleMonths.get(tenantId)) {
+      balance.arrears += amount;
+    } else {
+      balance.currentDue += amount;
+    }
+    balance.outstanding = balance.arrears + balance.currentDue;
+  });
+
+  return balances;
+};
+
+/**
+ * Build a tenant _id condition matching tenants with the given status this month.
+ * 'unpaid' matches everyone still owing (including partial payers);
+ * tenants without a period yet count as unpaid.
+ * @param {Object} filters - Extra RentPeriod filters (e.g. userId, propertyId)
+ * @param {string} status - 'paid', 'partial' or 'unpaid'
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @returns {Promise<Object>} - Condition for Tenant._id
+ */
+const buildStatusCondition = async (filters, status, month = getCurrentMonth()) => {
+  if (status === 'partial') {
+    return { $in: await RentPeriod.findTenantIdsByStatus(filters, month, 'partial') };
+  }
+
+  const paidTenantIds = await RentPeriod.findTenantIdsByStatus(filters, month, 'paid');
+  return status === 'paid' ? { $in: paidTenantIds } : { $nin: paidTenantIds };
+};
+
+/**
+ * Open a period for every active tenant for the given month.
+ * Tenants part-way through a longer billing cycle keep their existing period.
+ * Safe to run repeatedly - existing periods are left untouched.
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @returns {Promise<Object>} - Month and number of periods created
+ */
+const rollOverMonth = async (month = getCurrentMonth()) => {
+  logger.info(`Rolling over rent periods for ${month}...`);
+
+  const cursor = Tenant.find({ deletedAt: null })
+    .select(BILLING_FIELDS)
+    .cursor();
+
+  let created = 0;
+  let batch = [];
+
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await RentPeriod.bulkWrite(batch, { ordered: false });
+    created += result.upsertedCount || 0;
+    batch = [];
+  };
+
+  for await (const tenant of cursor) {
+    batch.push(buildPeriodUpsert(tenant, month));
+    if (batch.length >= ROLLOVER_BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  // Spend any overpayments on the newly opened periods
+  let creditApplied = 0;
+  const tenantsWithCredit = await Tenant.find({
+    deletedAt: null,
+    creditBalance: { $gt: 0 },
+  });
+  for (const tenant of tenantsWithCredit) {
+    creditApplied += await applyCredit(tenant);
+  }
+
+  logger.info(`Rent period rollover for ${month} completed: ${created} periods opened, ${creditApplied} credit applied`);
+
+  return { month, created, creditApplied };
+};
+
+/**
+ * Aggregation stages that attach the period covering the month to each tenant and expose
+ * its status as `status`, so tenant aggregates can keep grouping on '$status'
+ * @param {string} month - Month string (YYYY-MM), defaults to current month
+ * @returns {Array} - Aggregation pipeline stages
+ */
+const periodStatusStages = (month = getCurrentMonth()) => {
+  const { startDate } = getMonthDateRange(month);
+
+  return [
+    {
+      $lookup: {
+        from: RentPeriod.collection.name,
+        let: { tenantId: '$_id' },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ['$tenantId', '$$tenantId'] },
+                  {
+                    $or: [
+                      { $eq: ['$month', month] },
+                      {
+                        $and: [
+                          { $lte: ['$periodStart', startDate] },
+                          { $gte: ['$periodEnd', startDate] },
+                        ],
+                      },
+                    ],
+                  },
+                ],
+              },
+            },
+          },
+          { $sort: { month: -1 } },
+          { $limit: 1 },
+          { $project: { status: 1 } },
+        ],
+        as: 'currentPeriod',
+      },
+    },
+    {
+      $addFields: {
+        status: { $ifNull: [{ $first: '$currentPeriod.status' }, 'unpaid'] },
+      },
+    },
+  ];
+};
+
+/**
+ * Format a payment for API responses
+ */
+const formatPayment = (payment) => ({
+  id: payment._id,
+  amount: payment.amount,
+  paidAt: payment.paidAt,
+  method: payment.method,
+  reference: payment.reference,
+  allocations: payment.allocations.map(a => ({ month: a.month, amount: a.amount })),
+  unallocated: payment.unallocated,
+  createdAt: payment.createdAt,
+});
+
+/**
+ * Format a period for API responses
+ */
+const formatPeriod = (period) => {
+  if (!period) return null;
+  return {
+    month: period.month,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    dueDate: period.dueDate,
+    amountDue: period.amountDue,
+    chargesDue: period.chargesDue || 0,
+    amountPaid: period.amountPaid,
+    balance: period.balance,
+    status: period.status,
+    paidAt: period.paidAt,
+  };
+};
+
+module.exports = {
+  createMissingPeriods,
+  getPeriodMap,
+  syncCurrentPeriod,
+  setPeriodStatus,
+  recordPayment,
+  applyCredit,
+  getBalanceMap,
+  buildStatusCondition,
+  rollOverMonth,
+  periodStatusStages,
+  formatPeriod,
+  formatPayment,
+};
\ No newline at end of file
@@ -1,13 +1,34 @@
 const { getSmsService } = require('../config/africastalking');
 const logger = require('../utils/logger');
+const { validatePhoneStrict } = require('../utils/phoneUtils');
 
 // SMS cost per message (UGX)
 const SMS_COST = 50;
 
+// Africa's Talking send status codes for accepted messages
+// (100 Processed, 101 Sent, 102 Queued)
+const AT_ACCEPTED_STATUS = {
+  100: 'queued',
+  101: 'sent',
+  102: 'queued',
+};
+
+// Africa's Talking delivery report statuses mapped to ReminderLog statuses
+const AT_DELIVERY_STATUS = {
+  Sent: 'sent',
+  Submitted: 'sent',
+  Buffered: 'sent',
+  Success: 'delivered',
+  Rejected: 'failed',
+  Failed: 'failed',
+  AbsentSubscriber: 'failed',
+  Expired: 'failed',
+};
+
 /**
  * Send SMS via Africa's Talking
  * @param {Object} params - SMS parameters
- * @param {string} params.to - Phone number (+256XXXXXXXXX)
+ * @param {string} params.to - Phone number in E.164 (+256XXXXXXXXX, +254XXXXXXXXX, ...)
  * @param {string} params.message - SMS message content
  * @returns {Promise<Object>} - Result with status and cost
  */
@@ -29,11 +50,13 @@ const sendSMS = async ({ to, message }) => {
     if (response.SMSMessageData && response.SMSMessageData.Recipients) {
       const recipient = response.SMSMessageData.Recipients[0];
       
-      if (recipient.status === 'Success' || recipient.statusCode === 101) {
-        logger.info(`SMS sent successfully to ${to}`);
+      const acceptedStatus = AT_ACCEPTED_STATUS[recipient.statusCode];
+
+      if (acceptedStatus) {
+        logger.info(`SMS ${acceptedStatus} to ${to} (messageId: ${recipient.messageId})`);
         return {
           success: true,
-          status: 'sent',
+          status: acceptedStatus,
           messageId: recipient.messageId,
           cost: SMS_COST,
           recipient: to,
@@ -90,18 +113,28 @@ const sendBulkSMS = async (messages) => {
   return results;
 };
 
+/**
+ * Map an Africa's Talking delivery report status to a ReminderLog status
+ * @param {string} atStatus - Delivery report status (e.g. 'Success', 'Failed')
+ * @returns {string|null} - 'sent', 'delivered', 'failed' or null if unknown
+ */
+const mapDeliveryStatus = (atStatus) => {
+  return AT_DELIVERY_STATUS[atStatus] || null;
+};
+
 /**
  * Validate phone number format
  * @param {string} phone - Phone number to validate
- * @returns {boolean} - True if valid Uganda format
+ * @returns {boolean} - True if E.164 for a country we send SMS to
  */
 const validatePhone = (phone) => {
-  return /^\+256\d{9}$/.test(phone);
+  return validatePhoneStrict(phone);
 };
 
 module.exports = {
   sendSMS,
   sendBulkSMS,
   validatePhone,
+  mapDeliveryStatus,
   SMS_COST,
 };
\ No newline at end of file
@@ -1,24 +1,51 @@
-const { formatCurrency, getMonthName, formatOrdinal } = require('../utils/formatters');
+const { formatCurrency, formatDate, getMonthName, getPeriodName, formatOrdinal } = require('../utils/formatters');
+const { getLocale, interpolate, DEFAULT_LANGUAGE } = require('../locales');
+
+// Placeholders landlords can use in custom reminder templates
+const TEMPLATE_PLACEHOLDERS = [
+  'tenantName',
+  'amountDue',
+  'rentAmount',
+  'arrears',
+  'lateFees',
+  'dueDate',
+  'month',
+  'unitNumber',
+  'propertyName',
+  'landlordName',
+  'landlordPhone',
+];
+
+const PLACEHOLDER_PATTERN = /{{\s*(\w+)\s*}}/g;
 
 /**
  * Render SMS template for rent reminder
  * @param {Object} data - Template data
  * @param {string} data.tenantName - Tenant's name
- * @param {string} data.month - Month string (e.g., "2025-11")
- * @param {number} data.rentAmount - Rent amount in UGX
+ * @param {string} data.month - Month string (e.g., "2025-11"), the first month of the billing cycle
+ * @param {string} data.periodEndMonth - Last month of the billing cycle (optional, for quarterly/annual rent)
+ * @param {number} data.rentAmount - Monthly rent in UGX
+ * @param {number} data.amountDue - Outstanding balance in UGX, including arrears (optional, defaults to rentAmount)
+ * @param {number} data.arrears - Unpaid amount carried from earlier months (optional)
  * @param {number} data.dueDate - Due date (1-31)
  * @param {string} data.landlordName - Landlord's name (optional)
+ * @param {string} data.language - Language code: en, lg, sw or nyn (optional, defaults to English)
  * @returns {string} - Rendered SMS message
  */
 const renderSMSTemplate = (data) => {
-  const { tenantName, month, rentAmount, dueDate, landlordName } = data;
+  const { tenantName, month, periodEndMonth, rentAmount, amountDue, arrears, dueDate, landlordName, language } = data;
   
-  const monthName = getMonthName(month);
-  const formattedRent = formatCurrency(rentAmount);
-  const ordinalDate = formatOrdinal(dueDate);
+  const { sms } = getLocale(language);
+  const values = {
+    tenantName,
+    month: getPeriodName(month, periodEndMonth, language),
+    amountDue: formatCurrency(amountDue ?? rentAmount),
+    dueDate: formatOrdinal(dueDate, language),
+    arrearsNote: arrears > 0 ? interpolate(sms.arrearsNote, { arrears: formatCurrency(arrears) }) : '',
+  };
   
   // Default SMS template
-  let message = `Hello ${tenantName}, your rent for ${monthName} (${formattedRent}) is due on the ${ordinalDate}. Kindly clear to avoid penalties. Thank you.`;
+  let message = interpolate(sms.reminder, values);
   
   // Add landlord signature if provided
   if (landlordName) {
@@ -30,19 +57,20 @@ const renderSMSTemplate = (data) => {
 
 /**
  * Render HTML email template for rent reminder
- * @param {Object} data - Template data
+ * @param {Object} data - Template data (same fields as renderSMSTemplate, plus unitNumber, landlordPhone and lateFees)
  * @returns {string} - Rendered HTML email
  */
 const renderEmailTemplate = (data) => {
-  const { tenantName, month, rentAmount, dueDate, unitNumber, landlordName, landlordPhone } = data;
+  const { tenantName, month, periodEndMonth, rentAmount, amountDue, arrears, lateFees, dueDate, unitNumber, landlordName, landlordPhone, language } = data;
   
-  const monthName = getMonthName(month);
-  const formattedRent = formatCurrency(rentAmount);
-  const ordinalDate = formatOrdinal(dueDate);
+  const { email: text } = getLocale(language);
+  const monthName = getPeriodName(month, periodEndMonth, language);
+  const formattedAmount = formatCurrency(amountDue ?? rentAmount);
+  const ordinalDate = formatOrdinal(dueDate, language);
   
   return `
 <!DOCTYPE html>
-<html>
+<html lang="${language || DEFAULT_LANGUAGE}">
 <head>
   <style>
     body { 
@@ -114,50 +142,64 @@ const renderEmailTemplate = (data) => {
 <body>
   <div class="container">
     <div class="header">
-      <h1>🏠 Rent Reminder</h1>
+      <h1>🏠 ${text.title}</h1>
     </div>
     
     <div class="content">
-      <p style="font-size: 16px; color: #111827;">Dear <strong>${tenantName}</strong>,</p>
+      <p style="font-size: 16px; color: #111827;">${text.greeting} <strong>${tenantName}</strong>,</p>
       
       <p style="font-size: 14px; color: #4b5563; line-height: 1.6;">
-        This is a friendly reminder that your rent for <strong>${monthName}</strong> is due soon.
+        ${interpolate(text.intro, { month: `<strong>${monthName}</strong>` })}
       </p>
       
-      <div class="amount">${formattedRent}</div>
+      <div class="amount">${formattedAmount}</div>
       
       <div style="margin: 20px 0;">
         <div class="info-row">
-          <span class="info-label">Unit Number:</span>
+          <span class="info-label">${text.monthlyRent}:</span>
+          <span class="info-value">${formatCurrency(rentAmount)}</span>
+        </div>
+        ${arrears > 0 ? `
+        <div class="info-row">
+          <span class="info-label">${text.arrears}:</span>
+          <span class="info-value">${formatCurrency(arrears)}</span>
+        </div>` : ''}
+        ${lateFees > 0 ? `
+        <div class="info-row">
+          <span class="info-label">${text.lateFees}:</span>
+          <span class="info-value">${formatCurrency(lateFees)}</span>
+        </div>` : ''}
+        <div class="info-row">
+          <span class="info-label">${text.unitNumber}:</span>
           <span class="info-value">${unitNumber}</span>
         </div>
         <div class="info-row">
-          <span class="info-label">Due Date:</span>
+          <span class="info-label">${text.dueDate}:</span>
           <span class="info-value">${ordinalDate}</span>
         </div>
         <div class="info-row">
-          <span class="info-label">Month:</span>
+          <span class="info-label">${text.month}:</span>
           <span class="info-value">${monthName}</span>
         </div>
       </div>
       
       <div class="notice">
-        <strong>⚠️ Important:</strong> Kindly clear your rent by the due date to avoid late payment penalties.
+        <strong>⚠️ ${text.noticeTitle}</strong> ${text.notice}
       </div>
       
       <p style="font-size: 14px; color: #6b7280; line-height: 1.6;">
-        If you have already paid, please disregard this message.
+        ${text.alreadyPaid}
       </p>
       
       <p style="font-size: 14px; color: #111827; margin-top: 30px;">
-        Thank you,<br>
-        <strong>${landlordName || 'Your Landlord'}</strong><br>
+        ${text.thankYou}<br>
+        <strong>${landlordName || text.yourLandlord}</strong><br>
         ${landlordPhone ? `<span style="color: #6b7280;">${landlordPhone}</span>` : ''}
       </p>
     </div>
     
     <div class="footer">
-      <p style="margin: 0;">Sent via RentAlert - Rent Management Made Simple</p>
+      <p style="margin: 0;">${text.footer}</p>
     </div>
   </div>
 </body>
@@ -177,9 +219,12 @@ const renderMonthlyReminderEmail = (data) => {
   
   const tenantRows = unpaidTenants.map(tenant => `
     <tr>
-      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${tenant.name}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">
+        ${tenant.name}
+        ${tenant.periodName ? `<br><span style="font-size: 12px; color: #6b7280;">${tenant.periodName}</span>` : ''}
+      </td>
       <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${tenant.unitNumber}</td>
-      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right;">${formatCurrency(tenant.rentAmount)}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: right;">${formatCurrency(tenant.amountDue ?? tenant.rentAmount)}</td>
       <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${formatOrdinal(tenant.dueDate)}</td>
     </tr>
   `).join('');
@@ -265,7 +310,7 @@ const renderMonthlyReminderEmail = (data) => {
           <tr>
             <th>Tenant Name</th>
             <th style="text-align: center;">Unit</th>
-            <th style="text-align: right;">Rent Amount</th>
+            <th style="text-align: right;">Amount Due</th>
             <th style="text-align: center;">Due Date</th>
           </tr>
         </thead>
@@ -294,8 +339,289 @@ const renderMonthlyReminderEmail = (data) => {
   `.trim();
 };
 
+/**
+ * Render lease expiry alert email for landlords
+ * @param {Object} data - Template data
+ * @returns {string} - Rendered HTML email
+ */
+const renderLeaseExpiryEmail = (data) => {
+  const { landlordName, leases, dashboardUrl } = data;
+
+  const leaseRows = leases.map(lease => `
+    <tr>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${lease.tenantName}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${lease.unitNumber}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb;">${lease.propertyName || ''}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center;">${formatDate(lease.endDate)}</td>
+      <td style="padding: 12px; border-bottom: 1px solid #e5e7eb; text-align: center; color: ${lease.daysRemaining <= 30 ? '#dc2626' : '#d97706'};">${lease.daysRemaining} day${lease.daysRemaining === 1 ? '' : 's'}</td>
+    </tr>
+  `).join('');
+
+  return `
+<!DOCTYPE html>
+<html>
+<head>
+  <style>
+    body { 
+      font-family: Arial, sans-serif; 
+      color: #333;
+      margin: 0;
+      padding: 0;
+      background-color: #f5f5f5;
+    }
+    .container { 
+      max-width: 650px; 
+      margin: 20px auto; 
+      background: white;
+      border-radius: 8px;
+      overflow: hidden;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .header { 
+      background: #2563EB; 
+      color: white; 
+      padding: 30px 20px; 
+      text-align: center; 
+    }
+    .content { padding: 30px 20px; }
+    table {
+      width: 100%;
+      border-collapse: collapse;
+      margin: 20px 0;
+    }
+    th {
+      background: #f3f4f6;
+      padding: 12px;
+      text-align: left;
+      font-weight: 600;
+      color: #374151;
+      border-bottom: 2px solid #d1d5db;
+    }
+    .cta-button {
+      display: inline-block;
+      background: #2563EB;
+      color: white;
+      padding: 14px 28px;
+      text-decoration: none;
+      border-radius: 6px;
+      font-weight: 600;
+      margin: 20px 0;
+    }
+    .footer { 
+      text-align: center; 
+      padding: 20px; 
+      background: #f9fafb;
+      color: #6b7280; 
+      font-size: 12px;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>📄 Leases Expiring Soon</h1>
+    </div>
+    
+    <div class="content">
+      <h2 style="color: #111827;">Hi ${landlordName},</h2>
+      
+      <p style="font-size: 16px; color: #111827; margin: 20px 0;">
+        <strong>${leases.length}</strong> lease${leases.length === 1 ? '' : 's'} will expire in the next 60 days:
+      </p>
+      
+      <table>
+        <thead>
+          <tr>
+            <th>Tenant Name</th>
+            <th style="text-align: center;">Unit</th>
+            <th>Property</th>
+            <th style="text-align: center;">Ends On</th>
+            <th style="text-align: center;">Remaining</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${leaseRows}
+        </tbody>
+      </table>
+      
+      <div style="text-align: center;">
+        <a href="${dashboardUrl}" class="cta-button">
+          Review & Renew Leases
+        </a>
+      </div>
+      
+      <p style="font-size: 12px; color: #6b7280; margin-top: 30px;">
+        Renew a lease from your dashboard to carry the tenant forward with new terms.
+      </p>
+    </div>
+    
+    <div class="footer">
+      <p style="margin: 0;">RentAlert - Simplifying Rent Collection</p>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+};
+
+/**
+ * Check a custom template for unknown or malformed placeholders
+ * @param {string} text - Template text
+ * @returns {Array<string>} - Problems found (empty if the template is valid)
+ */
+const validateTemplatePlaceholders = (text) => {
+  const errors = [];
+
+  for (const [, key] of text.matchAll(PLACEHOLDER_PATTERN)) {
+    if (!TEMPLATE_PLACEHOLDERS.includes(key)) {
+      errors.push(`Unknown placeholder {{${key}}}`);
+    }
+  }
+
+  // Anything brace-like left over is a broken placeholder, e.g. "{{tenantName}" or "{tenantName}"
+  const leftover = text.replace(PLACEHOLDER_PATTERN, '');
+  if (/[{}]/.test(leftover)) {
+    errors.push('Placeholders must be written as {{placeholderName}}');
+  }
+
+  return [...new Set(errors)];
+};
+
+/**
+ * Build placeholder values for a reminder
+ * @param {Object} data - Template data (same fields as renderEmailTemplate, plus propertyName)
+ * @returns {Object} - Formatted value per placeholder
+ */
+const buildPlaceholderValues = (data) => {
+  const { tenantName, month, periodEndMonth, rentAmount, amountDue, arrears, lateFees, dueDate, unitNumber, propertyName, landlordName, landlordPhone, language } = data;
+
+  return {
+    tenantName,
+    amountDue: formatCurrency(amountDue ?? rentAmount),
+    rentAmount: formatCurrency(rentAmount),
+    arrears: formatCurrency(arrears || 0),
+    lateFees: formatCurrency(lateFees || 0),
+    dueDate: formatOrdinal(dueDate, language),
+    month: getPeriodName(month, periodEndMonth, language),
+    unitNumber: unitNumber || '',
+    propertyName: propertyName || '',
+    landlordName: landlordName || '',
+    landlordPhone: landlordPhone || '',
+  };
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Replace {{placeholders}} in template text
+ * @param {string} text - Template text
+ * @param {Object} data - Template data
+ * @returns {string} - Rendered text
+ */
+const fillPlaceholders = (text, data) => {
+  const values = buildPlaceholderValues(data);
+  return text.replace(PLACEHOLDER_PATTERN, (match, key) => (key in values ? values[key] : match));
+};
+
+/**
+ * Get the default email subject for a reminder
+ * @param {Object} data - Template data (uses propertyName and language)
+ * @returns {string} - Subject line
+ */
+const renderEmailSubject = (data) => {
+  return interpolate(getLocale(data.language).email.subject, { propertyName: data.propertyName });
+};
+
+/**
+ * Render a landlord's custom HTML email
+ * The template body is plain text: it is escaped and laid out in the standard email frame
+ * @param {string} body - Template body with placeholders
+ * @param {Object} data - Template data
+ * @returns {string} - Rendered HTML email
+ */
+const renderCustomEmailTemplate = (body, data) => {
+  const paragraphs = escapeHtml(fillPlaceholders(body, data))
+    .split(/\n\s*\n/)
+    .map(p => `<p style="font-size: 14px; color: #111827; line-height: 1.6;">${p.trim().replace(/\n/g, '<br>')}</p>`)
+    .join('\n      ');
+  const { email: text } = getLocale(data.language);
+
+  return `
+<!DOCTYPE html>
+<html lang="${data.language || DEFAULT_LANGUAGE}">
+<head>
+  <style>
+    body { 
+      font-family: Arial, sans-serif; 
+      color: #333; 
+      margin: 0;
+      padding: 0;
+      background-color: #f5f5f5;
+    }
+    .container { 
+      max-width: 600px; 
+      margin: 20px auto; 
+      background: white;
+      border-radius: 8px;
+      overflow: hidden;
+      box-shadow: 0 2px 4px rgba(0,0,0,0.1);
+    }
+    .header { 
+      background: #2563EB; 
+      color: white; 
+      padding: 30px 20px; 
+      text-align: center; 
+    }
+    .header h1 {
+      margin: 0;
+      font-size: 24px;
+    }
+    .content { 
+      padding: 30px 20px; 
+      background: white;
+    }
+    .footer { 
+      text-align: center; 
+      padding: 20px; 
+      background: #f9fafb;
+      color: #6b7280; 
+      font-size: 12px;
+      border-top: 1px solid #e5e7eb;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <div class="header">
+      <h1>🏠 ${text.title}</h1>
+    </div>
+    
+    <div class="content">
+      ${paragraphs}
+    </div>
+    
+    <div class="footer">
+      <p style="margin: 0;">${text.footer}</p>
+    </div>
+  </div>
+</body>
+</html>
+  `.trim();
+};
+
 module.exports = {
+  TEMPLATE_PLACEHOLDERS,
   renderSMSTemplate,
   renderEmailTemplate,
+  renderEmailSubject,
   renderMonthlyReminderEmail,
+  renderLeaseExpiryEmail,
+  validateTemplatePlaceholders,
+  fillPlaceholders,
+  renderCustomEmailTemplate,
 };
\ No newline at end of file
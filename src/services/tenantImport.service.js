@@ -0,0 +1,468 @@
+const Tenant = require('../models/tenant.model');
+const Unit = require('../models/unit.model');
+const ImportMapping = require('../models/importmapping.model');
+const FeatureFlag = require('../models/featureflag.model');
+const {
+  validateTenantName,
+  validateEmail,
+  validateUnitNumber,
+  validateRentAmount,
+  validateDueDate,
+  sanitizeString,
+} = require('../utils/validators');
+const { normalizePhone, getPhoneFormatHint } = require('../utils/phoneUtils');
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('../locales');
+const { findOrCreateUnit, assignTenantToUnit, saveMovedTenant } = require('./unit.service');
+const { syncCurrentPeriod } = require('./rentPeriod.service');
+const { getPropertyCountry } = require('./country.service');
+
+// Most rows accepted in one import, unless the csv_import flag sets maxRowsPerImport
+const DEFAULT_MAX_IMPORT_ROWS = 500;
+
+// create-only: every row is a new tenant (rows for let units are rejected)
+// upsert: rows matching a tenant by unit number or phone update that tenant
+// sync: upsert, and tenants missing from the file are listed
+const IMPORT_MODES = ['create-only', 'upsert', 'sync'];
+const DEFAULT_IMPORT_MODE = 'create-only';
+
+// Tenant fields an import row can change, in diff order
+const UPDATABLE_FIELDS = ['name', 'phone', 'email', 'unitNumber', 'rentAmount', 'dueDate', 'preferredLanguage'];
+
+// Tenant fields an import column can map to
+const IMPORT_FIELDS = ['name', 'phone', 'email', 'unitNumber', 'rentAmount', 'dueDate', 'language'];
+const REQUIRED_IMPORT_FIELDS = ['name', 'phone', 'unitNumber', 'rentAmount', 'dueDate'];
+
+// Header spellings seen in landlords' spreadsheets, after normalizeHeader
+const FIELD_ALIASES = {
+  name: ['name', 'tenant', 'tenant name', 'tenants name', 'full name', 'names', 'client'],
+  phone: ['phone', 'tel', 'telephone', 'mobile', 'contact', 'phone contact', 'mobile money', 'msisdn'],
+  email: ['email', 'e mail', 'email address', 'mail'],
+  unitNumber: ['unit', 'unitnumber', 'room', 'house', 'door', 'shop', 'flat', 'apartment'],
+  rentAmount: ['rent', 'rentamount', 'rent amount', 'monthly rent', 'amount', 'rent per month'],
+  dueDate: ['due', 'due date', 'duedate', 'due day', 'pay day', 'payment day', 'payment date'],
+  language: ['language', 'preferredlanguage', 'preferred language', 'lang'],
+};
+
+// Words dropped from headers before matching ("Phone No" -> "phone", "Rent (UGX)" -> "rent")
+const HEADER_FILLER_WORDS = new Set(['no', 'number', 'num', 'ugx', 'ush', 'shs', 'of', 'the']);
+
+/**
+ * Most rows accepted in one import (csv_import flag metadata.maxRowsPerImport)
+ * @returns {Promise<number>}
+ */
+const getMaxImportRows = async () => {
+  const flag = await FeatureFlag.findOne({ key: 'csv_import' }).select('metadata');
+  const maxRows = Number(flag?.metadata?.maxRowsPerImport);
+  return Number.isInteger(maxRows) && maxRows > 0 ? maxRows : DEFAULT_MAX_IMPORT_ROWS;
+};
+
+/**
+ * Normalize a spreadsheet header for alias matching
+ * @param {string} header - Header as written
+ * @returns {string}
+ */
+const normalizeHeader = (header) => {
+  return String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !HEADER_FILLER_WORDS.has(word))
+    .join(' ');
+};
+
+/**
+ * Identify a spreadsheet layout by its headers (column order, case and punctuation don't matter)
+ * @param {Array<string>} headers - Header row
+ * @returns {string}
+ */
+const getHeaderSignature = (headers) => {
+  return headers.map(normalizeHeader).filter(Boolean).sort().join('|');
+};
+
+/**
+ * Map headers to tenant fields by alias
+ * Exact field names ("unitNumber") and aliases both match; each field is used once
+ * @param {Array<string>} headers - Header row
+ * @returns {Object} - { column: field }
+ */
+const detectColumnMapping = (headers) => {
+  const mapping = {};
+  const used = new Set();
+
+  headers.forEach(header => {
+    const normalized = normalizeHeader(header);
+    const field = IMPORT_FIELDS.find(f =>
+      !used.has(f) && (normalized === f.toLowerCase() || FIELD_ALIASES[f].includes(normalized))
+    );
+    if (field) {
+      mapping[header] = field;
+      used.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+/**
+ * Load the mapping saved for a landlord's spreadsheet layout
+ * @param {string} userId - Landlord
+ * @param {Array<string>} headers - Header row
+ * @returns {Promise<Object|null>} - { column: field }, or null if none saved
+ */
+const findSavedMapping = async (userId, headers) => {
+  const saved = await ImportMapping.findOne({ userId, signature: getHeaderSignature(headers) });
+  if (!saved) return null;
+
+  return Object.fromEntries(
+    saved.columns
+      .filter(c => headers.includes(c.column))
+      .map(c => [c.column, c.field])
+  );
+};
+
+/**
+ * Remember a mapping for the landlord's spreadsheet layout
+ * @param {string} userId - Landlord
+ * @param {Array<string>} headers - Header row
+ * @param {Object} mapping - { column: field }
+ */
+const saveMapping = async (userId, headers, mapping) => {
+  await ImportMapping.findOneAndUpdate(
+    { userId, signature: getHeaderSignature(headers) },
+    {
+      columns: Object.entries(mapping).map(([column, field]) => ({ column, field })),
+      lastUsedAt: new Date(),
+      $inc: { useCount: 1 },
+    },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * Check a mapping only uses known fields, each once, and covers the required ones
+ * @param {Array<string>} headers - Header row
+ * @param {Object} mapping - { column: field }
+ * @returns {Object} - { error, missingFields }, error is null if the mapping is usable
+ */
+const checkMapping = (headers, mapping) => {
+  const fields = Object.values(mapping);
+
+  const unknownColumn = Object.keys(mapping).find(column => !headers.includes(column));
+  if (unknownColumn) {
+    return { error: `Column "${unknownColumn}" is not in the file`, missingFields: [] };
+  }
+
+  const unknownField = fields.find(field => !IMPORT_FIELDS.includes(field));
+  if (unknownField) {
+    return { error: `Unknown field "${unknownField}". Fields: ${IMPORT_FIELDS.join(', ')}`, missingFields: [] };
+  }
+
+  const duplicate = fields.find((field, i) => fields.indexOf(field) !== i);
+  if (duplicate) {
+    return { error: `More than one column is mapped to ${duplicate}`, missingFields: [] };
+  }
+
+  const missingFields = REQUIRED_IMPORT_FIELDS.filter(field => !fields.includes(field));
+  if (missingFields.length > 0) {
+    return { error: `No column found for: ${missingFields.join(', ')}`, missingFields };
+  }
+
+  return { error: null, missingFields: [] };
+};
+
+// Rent cells may start with a currency ("UGX 300,000", "KSh 15.000")
+const RENT_CELL_PATTERN = /^(?:(?:UGX|USh|KES|KSh|TZS|TSh|RWF|FRw)\.?\s*)?\d[\d\s.,']*$/i;
+
+// Due day cells may be ordinals ("5th")
+const DUE_DAY_CELL_PATTERN = /^\d+(?:[.,]\d{1,2})?(?:st|nd|rd|th)?$/i;
+
+/**
+ * Turn spreadsheet rows into tenant rows using a column mapping
+ * Money and day columns are cleaned up ("UGX 300,000" -> "300000", "5th" -> "5").
+ * Cells with a sign or other text ("-300000", "300k") are left as they are,
+ * so validation rejects them instead of importing a different number.
+ * @param {Array<string>} headers - Header row
+ * @param {Array<Array<string>>} rows - Data rows
+ * @param {Object} mapping - { column: field }
+ * @returns {Array<Object>} - Tenant rows for validateTenantRows
+ */
+const applyColumnMapping = (headers, rows, mapping) => {
+  const columns = headers
+    .map((header, index) => ({ index, field: mapping[header] }))
+    .filter(c => c.field);
+
+  return rows.map(row => {
+    const tenant = {};
+    columns.forEach(({ index, field }) => {
+      let value = row[index] === undefined ? '' : String(row[index]).trim();
+      const pattern = { rentAmount: RENT_CELL_PATTERN, dueDate: DUE_DAY_CELL_PATTERN }[field];
+      if (value && pattern?.test(value)) {
+        // Only a one or two digit tail is decimals ("300,000.00");
+        // longer groups are thousands separators ("15.000.000")
+        value = value.replace(/[.,]\d{1,2}$/, '').replace(/\D/g, '');
+      }
+      tenant[field] = value || null;
+    });
+    return tenant;
+  });
+};
+
+// Optional language column: accepts a code or name (e.g. "lg", "Luganda")
+const getRowLanguage = (tenant) => tenant.language ?? tenant.preferredLanguage;
+
+/**
+ * Field-level differences between an existing tenant and a valid import row
+ * Blank optional cells (email, language) leave the tenant's value as it is
+ * @param {Object} existing - Tenant document
+ * @param {Object} row - Valid import row
+ * @param {boolean} hasLanguage - Whether the row set a language
+ * @returns {Array<Object>} - { field, from, to }
+ */
+const diffTenant = (existing, row, hasLanguage) => {
+  return UPDATABLE_FIELDS
+    .filter(field => {
+      if (field === 'email' && !row.email) return false;
+      if (field === 'preferredLanguage' && !hasLanguage) return false;
+      // Unit numbers match case-insensitively - "a1" is still unit A1
+      if (field === 'unitNumber') {
+        return String(existing.unitNumber).toLowerCase() !== String(row.unitNumber).toLowerCase();
+      }
+      return existing[field] !== row[field];
+    })
+    .map(field => ({ field, from: existing[field] ?? null, to: row[field] }));
+};
+
+/**
+ * Validate tenant rows for import into a property
+ * Rows are numbered as in the spreadsheet (header is row 1)
+ * In upsert and sync modes a row matching a tenant (by unit number, then phone)
+ * becomes an update carrying its tenantId and field-level changes
+ * @param {Object} property - Property document
+ * @param {Array} tenants - Tenant rows (name, phone, email, unitNumber, rentAmount, dueDate, language)
+ * @param {string} mode - Import mode (see IMPORT_MODES)
+ * @returns {Promise<Object>} - { validTenants, errors, missingTenants }
+ *   validTenants have action 'create', 'update' or 'unchanged';
+ *   missingTenants (sync only) are tenants no row refers to
+ */
+const validateTenantRows = async (property, tenants, mode = DEFAULT_IMPORT_MODE) => {
+  const matchExisting = mode !== 'create-only';
+  // Local numbers (0XXXXXXXXX) are read in the property's country
+  const country = await getPropertyCountry(property);
+
+  // Get existing unit numbers to check for duplicates
+  // (units that are occupied or under maintenance can't take a tenant either)
+  const [existingUnits, unavailableUnits] = await Promise.all([
+    Tenant.find({
+      propertyId: property._id,
+      deletedAt: null,
+    }).select(matchExisting ? UPDATABLE_FIELDS.join(' ') : 'unitNumber'),
+    Unit.find({
+      propertyId: property._id,
+      deletedAt: null,
+      status: { $ne: 'vacant' },
+    }).select('number'),
+  ]);
+
+  const existingUnitSet = new Set([
+    ...existingUnits.map(t => t.unitNumber.toLowerCase()),
+    ...unavailableUnits.map(u => u.number.toLowerCase()),
+  ]);
+
+  // Tenants rows can match in upsert/sync
+  const tenantsByUnit = new Map(existingUnits.map(t => [t.unitNumber.toLowerCase(), t]));
+  const tenantsByPhone = new Map(existingUnits.map(t => [t.phone, t]));
+  const matchedTenantIds = new Set();
+  // Tenants referred to by any row, valid or not (sync shouldn't flag a tenant for a typo)
+  const seenTenantIds = new Set();
+
+  const validTenants = [];
+  const errors = [];
+  const unitNumbersInImport = new Set();
+
+  // Validate each tenant
+  tenants.forEach((tenant, index) => {
+    const rowErrors = [];
+    const rowNumber = index + 2; // +2 because index starts at 0 and header is row 1
+
+    // Required fields
+    if (!tenant.name) {
+      rowErrors.push('Name is required');
+    } else if (!validateTenantName(tenant.name)) {
+      rowErrors.push('Name must be 2-50 characters');
+    }
+
+    // Phone validation and normalization
+    let normalizedPhone = null;
+    if (!tenant.phone) {
+      rowErrors.push('Phone is required');
+    } else {
+      normalizedPhone = normalizePhone(tenant.phone, country);
+      if (!normalizedPhone) {
+        rowErrors.push(`Invalid phone format. Original: "${tenant.phone}". Expected: ${getPhoneFormatHint(country)}`);
+      }
+    }
+
+    // Existing tenant this row refers to (upsert/sync)
+    let existing = null;
+    if (matchExisting) {
+      const byUnit = tenant.unitNumber
+        ? tenantsByUnit.get(sanitizeString(String(tenant.unitNumber)).toLowerCase())
+        : null;
+      const byPhone = normalizedPhone ? tenantsByPhone.get(normalizedPhone) : null;
+      [byUnit, byPhone].forEach(t => t && seenTenantIds.add(t._id.toString()));
+
+      if (byUnit && byPhone && !byUnit._id.equals(byPhone._id)) {
+        rowErrors.push(`Phone ${normalizedPhone} belongs to the tenant in unit ${byPhone.unitNumber}`);
+      } else {
+        existing = byUnit || byPhone;
+      }
+
+      if (existing && matchedTenantIds.has(existing._id.toString())) {
+        rowErrors.push(`Tenant in unit ${existing.unitNumber} appears more than once in import`);
+        existing = null;
+      } else if (existing) {
+        matchedTenantIds.add(existing._id.toString());
+      }
+    }
+
+    if (!tenant.unitNumber) {
+      rowErrors.push('Unit number is required');
+    } else if (!validateUnitNumber(tenant.unitNumber)) {
+      rowErrors.push('Unit number must be 1-20 characters');
+    } else {
+      // Check for duplicate within import
+      const unitLower = String(tenant.unitNumber).toLowerCase();
+      if (unitNumbersInImport.has(unitLower)) {
+        rowErrors.push(`Duplicate unit ${tenant.unitNumber} in import`);
+      } else if (
+        existingUnitSet.has(unitLower) &&
+        !(existing && existing.unitNumber.toLowerCase() === unitLower)
+      ) {
+        rowErrors.push(`Unit ${tenant.unitNumber} already exists in property`);
+      } else {
+        unitNumbersInImport.add(unitLower);
+      }
+    }
+
+    if (!tenant.rentAmount) {
+      rowErrors.push('Rent amount is required');
+    } else if (!validateRentAmount(tenant.rentAmount)) {
+      rowErrors.push('Rent must be 10,000 - 50,000,000 UGX');
+    }
+
+    if (!tenant.dueDate) {
+      rowErrors.push('Due date is required');
+    } else if (!validateDueDate(tenant.dueDate)) {
+      rowErrors.push('Due date must be 1-31');
+    }
+
+    // Optional email validation
+    if (tenant.email && !validateEmail(tenant.email)) {
+      rowErrors.push('Invalid email format');
+    }
+
+    // Optional language validation
+    const language = getRowLanguage(tenant);
+    if (language && !normalizeLanguage(language)) {
+      rowErrors.push(`Unsupported language "${language}". Use English, Luganda, Swahili or Runyankole (en, lg, sw, nyn)`);
+    }
+
+    // If errors, add to errors array
+    if (rowErrors.length > 0) {
+      errors.push({
+        row: rowNumber,
+        data: {
+          ...tenant,
+          phone: normalizedPhone || tenant.phone, // Show normalized if available
+        },
+        errors: rowErrors,
+      });
+    } else {
+      // Valid tenant - use normalized phone
+      const row = {
+        ...tenant,
+        name: sanitizeString(tenant.name),
+        phone: normalizedPhone, // Use normalized phone
+        email: tenant.email ? sanitizeString(tenant.email) : null,
+        unitNumber: sanitizeString(String(tenant.unitNumber)),
+        rentAmount: Number(tenant.rentAmount),
+        dueDate: Number(tenant.dueDate),
+        preferredLanguage: normalizeLanguage(language) || DEFAULT_LANGUAGE,
+        row: rowNumber,
+        action: 'create',
+      };
+
+      if (existing) {
+        row.tenantId = existing._id;
+        row.changes = diffTenant(existing, row, Boolean(language));
+        row.action = row.changes.length > 0 ? 'update' : 'unchanged';
+      }
+
+      validTenants.push(row);
+    }
+  });
+
+  const missingTenants = mode === 'sync'
+    ? existingUnits
+      .filter(t => !seenTenantIds.has(t._id.toString()))
+      .map(t => ({ tenantId: t._id, name: t.name, unitNumber: t.unitNumber, phone: t.phone }))
+    : [];
+
+  return { validTenants, errors, missingTenants };
+};
+
+/**
+ * Apply an import row's changes to an existing tenant
+ * A changed unit number moves the tenant into that unit (created if needed)
+ * @param {Object} tenant - Tenant document
+ * @param {Object} row - Valid import row with action 'update'
+ * @returns {Promise<Object|null>} - Saved tenant, or null if the new unit wasn't vacant
+ */
+const updateImportedTenant = async (tenant, row) => {
+  const changedFields = row.changes.map(change => change.field);
+  const previousUnitId = tenant.unitId;
+
+  if (changedFields.includes('unitNumber')) {
+    const unit = await findOrCreateUnit(tenant.userId, tenant.propertyId, row.unitNumber, {
+      defaultRent: row.rentAmount,
+    });
+    if (!(await assignTenantToUnit(tenant, unit))) {
+      return null;
+    }
+  }
+
+  changedFields
+    .filter(field => field !== 'unitNumber')
+    .forEach(field => {
+      tenant[field] = row[field];
+    });
+
+  const billingChanged = ['rentAmount', 'dueDate'].some(field => tenant.isModified(field));
+
+  await saveMovedTenant(tenant, previousUnitId);
+
+  // Carry the new rent into the current period if it hasn't been paid yet
+  if (billingChanged) {
+    await syncCurrentPeriod(tenant);
+  }
+
+  return tenant;
+};
+
+module.exports = {
+  DEFAULT_MAX_IMPORT_ROWS,
+  IMPORT_MODES,
+  DEFAULT_IMPORT_MODE,
+  IMPORT_FIELDS,
+  getMaxImportRows,
+  REQUIRED_IMPORT_FIELDS,
+  normalizeHeader,
+  detectColumnMapping,
+  findSavedMapping,
+  saveMapping,
+  checkMapping,
+  applyColumnMapping,
+  getRowLanguage,
+  validateTenantRows,
+  updateImportedTenant,
+};
\ No newline at end of file
@@ -0,0 +1,69 @@
+const Lease = require('../models/lease.model');
+const { assignTenantToUnit, saveMovedTenant } = require('./unit.service');
+const logger = require('../utils/logger');
+
+/**
+ * Move a tenant into a unit in the same or another property
+ * Rent periods and payments keep the property they were recorded under,
+ * so the tenant's payment history is left as it was
+ * @param {Object} tenant - Tenant document
+ * @param {Object} property - Property moving to
+ * @param {Object} unit - Unit moving to
+ * @param {Object} options - { userId, reason }
+ * @returns {Promise<Object|null>} - Updated tenant, or null if the unit wasn't vacant
+ */
+const transferTenant = async (tenant, property, unit, { userId, reason = null }) => {
+  const from = {
+    fromPropertyId: tenant.propertyId,
+    fromUnitId: tenant.unitId,
+    fromUnitNumber: tenant.unitNumber,
+  };
+
+  if (!(await assignTenantToUnit(tenant, unit))) {
+    return null;
+  }
+
+  tenant.propertyId = property._id;
+  tenant.moveHistory.push({
+    ...from,
+    toPropertyId: property._id,
+    toUnitId: unit._id,
+    toUnitNumber: unit.number,
+    reason,
+    movedAt: new Date(),
+    movedBy: userId,
+  });
+  await saveMovedTenant(tenant, from.fromUnitId);
+
+  // The current lease follows the tenant
+  if (!from.fromPropertyId.equals(property._id)) {
+    await Lease.updateMany(
+      { tenantId: tenant._id, status: { $in: ['active', 'expiring'] } },
+      { propertyId: property._id }
+    );
+  }
+
+  logger.info(`Tenant transferred: ${tenant._id} from unit ${from.fromUnitNumber} to ${unit.number} (property ${property._id})`);
+
+  return tenant;
+};
+
+/**
+ * Format a move history entry for API responses
+ */
+const formatMove = (move) => ({
+  fromPropertyId: move.fromPropertyId,
+  fromUnitId: move.fromUnitId,
+  fromUnitNumber: move.fromUnitNumber,
+  toPropertyId: move.toPropertyId,
+  toUnitId: move.toUnitId,
+  toUnitNumber: move.toUnitNumber,
+  reason: move.reason,
+  movedAt: move.movedAt,
+  movedBy: move.movedBy,
+});
+
+module.exports = {
+  transferTenant,
+  formatMove,
+};
\ No newline at end of file
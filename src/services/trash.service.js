@@ -0,0 +1,106 @@
+const Tenant = require('../models/tenant.model');
+const Property = require('../models/property.model');
+const Unit = require('../models/unit.model');
+const RentPeriod = require('../models/rentperiod.model');
+const Payment = require('../models/payment.model');
+const Charge = require('../models/charge.model');
+const Lease = require('../models/lease.model');
+const ReminderTemplate = require('../models/remindertemplate.model');
+const ImportBatch = require('../models/importbatch.model');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RETENTION_DAYS = 30;
+
+/**
+ * Days deleted tenants and properties stay in the trash (TRASH_RETENTION_DAYS, default 30)
+ * @returns {number}
+ */
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isInteger(days) && days > 0 ? days : DEFAULT_RETENTION_DAYS;
+};
+
+/**
+ * Date a trashed record will be deleted for good
+ * @param {Date} deletedAt - When it was moved to the trash
+ * @returns {Date}
+ */
+const getPurgeDate = (deletedAt) => {
+  return new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+};
+
+/**
+ * Permanently delete tenants and everything recorded against them
+ * Reminder logs are kept - they are the record of what was sent and paid for
+ * @param {Array} tenantIds - Tenant ids
+ */
+const purgeTenants = async (tenantIds) => {
+  if (tenantIds.length === 0) return;
+
+  const match = { tenantId: { $in: tenantIds } };
+  await Promise.all([
+    RentPeriod.deleteMany(match),
+    Payment.deleteMany(match),
+    Charge.deleteMany(match),
+    Lease.deleteMany(match),
+  ]);
+  await Tenant.deleteMany({ _id: { $in: tenantIds } });
+};
+
+/**
+ * Permanently delete a property with its tenants, units, property templates and import history
+ * @param {Object} property - Property document
+ * @returns {Promise<number>} - Number of tenants deleted with it
+ */
+const purgeProperty = async (property) => {
+  const tenants = await Tenant.find({ propertyId: property._id }).select('_id');
+  await purgeTenants(tenants.map(t => t._id));
+
+  await Promise.all([
+    Unit.deleteMany({ propertyId: property._id }),
+    ReminderTemplate.deleteMany({ propertyId: property._id }),
+    ImportBatch.deleteMany({ propertyId: property._id }),
+  ]);
+  await Property.deleteOne({ _id: property._id });
+
+  return tenants.length;
+};
+
+/**
+ * Permanently delete everything that has been in the trash longer than the retention period
+ * @param {Date} now - Reference time (defaults to now)
+ * @returns {Promise<Object>} - { tenants, properties } deleted
+ */
+const purgeExpiredTrash = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - getRetentionDays() * DAY_MS);
+
+  logger.info(`Emptying trash deleted before ${cutoff.toISOString()}...`);
+
+  let tenantCount = 0;
+
+  const properties = await Property.find({ deletedAt: { $ne: null, $lte: cutoff } });
+  for (const property of properties) {
+    try {
+      tenantCount += await purgeProperty(property);
+    } catch (error) {
+      logger.error(`Trash purge error for property ${property._id}:`, error);
+    }
+  }
+
+  const tenants = await Tenant.find({ deletedAt: { $ne: null, $lte: cutoff } }).select('_id');
+  await purgeTenants(tenants.map(t => t._id));
+  tenantCount += tenants.length;
+
+  logger.info(`Trash emptied: ${properties.length} properties and ${tenantCount} tenants deleted permanently`);
+
+  return { properties: properties.length, tenants: tenantCount };
+};
+
+module.exports = {
+  getRetentionDays,
+  getPurgeDate,
+  purgeTenants,
+  purgeProperty,
+  purgeExpiredTrash,
+};
\ No newline at end of file
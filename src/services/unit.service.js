@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+const Unit = require('../models/unit.model');
+const logger = require('../utils/logger');
+
+/**
+ * Find a property's unit by number, creating it if it doesn't exist yet
+ * Tenants added by unit number (forms, CSV imports) get a unit this way.
+ * Safe to call concurrently for the same new unit - one creates it, the others get it.
+ * @param {string} userId - Property owner
+ * @param {Object} propertyId - Property id
+ * @param {string} number - Unit number
+ * @param {Object} defaults - Fields for a new unit (type, defaultRent)
+ * @returns {Promise<Object>} - Unit document
+ */
+const findOrCreateUnit = async (userId, propertyId, number, defaults = {}) => {
+  try {
+    return await Unit.findOneAndUpdate(
+      { propertyId, number, deletedAt: null },
+      { $setOnInsert: { userId, ...defaults } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, runValidators: true }
+    );
+  } catch (error) {
+    // Another request created the unit between our lookup and insert
+    if (error.code === 11000) {
+      return Unit.findByNumber(propertyId, number);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Mark a vacant unit as occupied
+ * Atomic, so two tenants can never be assigned the same unit
+ * @param {Object} unit - Unit document or id
+ * @returns {Promise<boolean>} - false if the unit wasn't vacant
+ */
+const occupyUnit = async (unit) => {
+  const result = await Unit.updateOne(
+    { _id: unit._id || unit, status: 'vacant', deletedAt: null },
+    { status: 'occupied' }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Mark an occupied unit as vacant
+ * @param {Object} unitId - Unit id (null is ignored)
+ */
+const vacateUnit = async (unitId) => {
+  if (!unitId) return;
+
+  await Unit.updateOne(
+    { _id: unitId, status: 'occupied' },
+    { status: 'vacant' }
+  );
+};
+
+/**
+ * Move a tenant into a unit, freeing the unit they were in
+ * The tenant document is updated but not saved
+ * @param {Object} tenant - Tenant document
+ * @param {Object} unit - Unit document to move into
+ * @returns {Promise<boolean>} - false if the unit wasn't vacant
+ */
+const assignTenantToUnit = async (tenant, unit) => {
+  if (tenant.unitId && tenant.unitId.equals(unit._id)) {
+    return true;
+  }
+
+  if (!(await occupyUnit(unit))) {
+    return false;
+  }
+
+  await vacateUnit(tenant.unitId);
+
+  tenant.unitId = unit._id;
+  tenant.unitNumber = unit.number;
+  return true;
+};
+
+/**
+ * Save a tenant moved with assignTenantToUnit
+ * If the save fails the unit changes are undone: the unit they were moved into
+ * is freed and the one they left taken back.
+ * @param {Object} tenant - Tenant document
+ * @param {Object} previousUnitId - Unit the tenant was in before the move (null if none)
+ * @returns {Promise<Object>} - Saved tenant
+ */
+const saveMovedTenant = async (tenant, previousUnitId) => {
+  try {
+    return await tenant.save();
+  } catch (error) {
+    const movedTo = tenant.unitId;
+    if (movedTo && !movedTo.equals(previousUnitId)) {
+      try {
+        await vacateUnit(movedTo);
+        if (previousUnitId) {
+          await Unit.updateOne({ _id: previousUnitId, status: 'vacant' }, { status: 'occupied' });
+        }
+      } catch (revertError) {
+        logger.error(`Failed to undo unit move for tenant ${tenant._id}:`, revertError);
+      }
+    }
+    throw error;
+  }
+};
+
+/**
+ * Explain why a unit can't take a tenant
+ * @param {Object} unit - Unit document
+ * @returns {string}
+ */
+const getUnavailableReason = (unit) => {
+  return unit.status === 'maintenance'
+    ? `Unit ${unit.number} is under maintenance`
+    : `Unit ${unit.number} is already occupied in this property`;
+};
+
+/**
+ * Get occupancy figures for properties
+ * @param {Array} propertyIds - Property ids
+ * @returns {Promise<Map>} - Map of propertyId (string) to
+ *   { totalUnits, occupied, vacant, maintenance, occupancyRate, vacancyRate } (rates in %)
+ */
+const getOccupancyMap = async (propertyIds) => {
+  const rows = await Unit.aggregate([
+    {
+      $match: {
+        propertyId: { $in: propertyIds.map(id => new mongoose.Types.ObjectId(String(id))) },
+        deletedAt: null,
+      },
+    },
+    {
+      $group: {
+        _id: { propertyId: '$propertyId', status: '$status' },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const counts = new Map(propertyIds.map(id => [String(id), { occupied: 0, vacant: 0, maintenance: 0 }]));
+  rows.forEach(row => {
+    counts.get(row._id.propertyId.toString())[row._id.status] = row.count;
+  });
+
+  const occupancy = new Map();
+  counts.forEach((c, propertyId) => {
+    const totalUnits = c.occupied + c.vacant + c.maintenance;
+    const rate = (count) => (totalUnits > 0 ? Math.round((count / totalUnits) * 1000) / 10 : 0);
+
+    occupancy.set(propertyId, {
+      totalUnits,
+      occupied: c.occupied,
+      vacant: c.vacant,
+      maintenance: c.maintenance,
+      occupancyRate: rate(c.occupied),
+      vacancyRate: rate(c.vacant),
+    });
+  });
+
+  return occupancy;
+};
+
+/**
+ * Format a unit for API responses
+ */
+const formatUnit = (unit) => {
+  if (!unit) return null;
+
+  return {
+    id: unit._id,
+    propertyId: unit.propertyId,
+    number: unit.number,
+    type: unit.type,
+    defaultRent: unit.defaultRent,
+    status: unit.status,
+    notes: unit.notes,
+    createdAt: unit.createdAt,
+  };
+};
+
+module.exports = {
+  findOrCreateUnit,
+  occupyUnit,
+  vacateUnit,
+  assignTenantToUnit,
+  saveMovedTenant,
+  getUnavailableReason,
+  getOccupancyMap,
+  formatUnit,
+};
\ No newline at end of file
@@ -0,0 +1,94 @@
+const { getMonthString, getMonthDateRange } = require('./formatters');
+const { resolveDueDate } = require('../services/dueDate.service');
+
+// Months covered by one billing cycle
+const CYCLE_MONTHS = {
+  monthly: 1,
+  quarterly: 3,
+  semiannual: 6,
+  annual: 12,
+};
+
+const BILLING_FREQUENCIES = Object.keys(CYCLE_MONTHS);
+
+// "2025-11" -> months since year 0, and back
+const toMonthIndex = (month) => {
+  const [year, monthNumber] = month.split('-').map(Number);
+  return year * 12 + (monthNumber - 1);
+};
+
+const fromMonthIndex = (index) => {
+  const year = Math.floor(index / 12);
+  return `${year}-${String(index - year * 12 + 1).padStart(2, '0')}`;
+};
+
+// Number of months in a tenant's billing cycle (1 for monthly tenants)
+const getCycleMonths = (tenant) => {
+  return CYCLE_MONTHS[tenant.billingFrequency] || 1;
+};
+
+/**
+ * Get the month a tenant's billing cycle containing `month` starts in
+ * Cycles repeat every n months from the anchor date's month
+ * (falling back to the month the tenant was added)
+ * @param {Object} tenant - Tenant (billingFrequency, billingAnchorDate, createdAt)
+ * @param {string} month - Month string (YYYY-MM)
+ * @returns {string} - Cycle start month (YYYY-MM), which is also the rent period's key
+ */
+const getCycleStartMonth = (tenant, month) => {
+  const cycleMonths = getCycleMonths(tenant);
+  if (cycleMonths === 1) {
+    return month;
+  }
+
+  const anchor = toMonthIndex(getMonthString(new Date(tenant.billingAnchorDate || tenant.createdAt || Date.now())));
+  const index = toMonthIndex(month);
+  const offset = (((index - anchor) % cycleMonths) + cycleMonths) % cycleMonths;
+
+  return fromMonthIndex(index - offset);
+};
+
+/**
+ * Check whether a month opens a new billing cycle for the tenant
+ * (every month does for monthly tenants)
+ */
+const isCycleStartMonth = (tenant, month) => {
+  return getCycleStartMonth(tenant, month) === month;
+};
+
+/**
+ * Get the billing cycle a month falls in
+ * @param {Object} tenant - Tenant (rentAmount, dueDate, billingFrequency, billingAnchorDate)
+ * @param {string} month - Month string (YYYY-MM)
+ * @returns {Object} - { month, endMonth, months, periodStart, periodEnd, dueDate, amountDue }
+ */
+const getBillingCycle = (tenant, month) => {
+  const months = getCycleMonths(tenant);
+  const startMonth = getCycleStartMonth(tenant, month);
+  const endMonth = fromMonthIndex(toMonthIndex(startMonth) + months - 1);
+
+  const { startDate: periodStart } = getMonthDateRange(startMonth);
+  const { endDate: periodEnd } = getMonthDateRange(endMonth);
+
+  // Rent for the whole cycle is due on the tenant's due day in its first month
+  const dueDate = resolveDueDate(tenant.dueDate, startMonth);
+
+  return {
+    month: startMonth,
+    endMonth,
+    months,
+    periodStart,
+    periodEnd,
+    dueDate,
+    amountDue: tenant.rentAmount * months,
+  };
+};
+
+module.exports = {
+  CYCLE_MONTHS,
+  BILLING_FREQUENCIES,
+  getCycleMonths,
+  getCycleStartMonth,
+  isCycleStartMonth,
+  getBillingCycle,
+};
\ No newline at end of file
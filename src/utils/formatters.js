@@ -1,3 +1,6 @@
+const { getLocale, interpolate } = require('../locales');
+const { daysUntilDue } = require('../services/dueDate.service');
+
 // Format currency (UGX)
 const formatCurrency = (amount) => {
   return new Intl.NumberFormat('en-UG', {
@@ -9,9 +12,9 @@ const formatCurrency = (amount) => {
 
 // Format phone number for display
 const formatPhoneNumber = (phone) => {
-  // Convert +256700123456 to +256 700 123 456
-  if (phone && phone.startsWith('+256')) {
-    return phone.replace(/(\+256)(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4');
+  // Convert +256700123456 to +256 700 123 456 (same layout for +254, +255, +250)
+  if (phone && /^\+\d{12}$/.test(phone)) {
+    return phone.replace(/(\+\d{3})(\d{3})(\d{3})(\d{3})/, '$1 $2 $3 $4');
   }
   return phone;
 };
@@ -36,60 +39,83 @@ const formatDateTime = (date) => {
   });
 };
 
-// Get month name from month number or date
-const getMonthName = (monthOrDate = new Date()) => {
+// Get month name from month number or date (e.g. "November 2025", "Novemba 2025" for 'sw')
+const getMonthName = (monthOrDate = new Date(), language) => {
   let date;
   
   if (typeof monthOrDate === 'string') {
     // Handle "2025-11" format
-    date = new Date(monthOrDate + '-01');
+    const [year, month] = monthOrDate.split('-').map(Number);
+    date = new Date(year, month - 1, 1);
   } else if (typeof monthOrDate === 'number') {
     // Handle month number (1-12)
     date = new Date();
+    date.setDate(1);
     date.setMonth(monthOrDate - 1);
   } else {
     date = new Date(monthOrDate);
   }
   
-  return date.toLocaleDateString('en-UG', { month: 'long', year: 'numeric' });
+  const locale = getLocale(language);
+  return interpolate(locale.monthFormat, {
+    month: locale.months[date.getMonth()],
+    year: date.getFullYear(),
+  });
+};
+
+// Get the name of a billing period: the month name, or a month range for longer cycles
+// (e.g. "October 2025 - December 2025")
+const getPeriodName = (startMonth, endMonth, language) => {
+  const startName = getMonthName(startMonth, language);
+  if (!endMonth || endMonth === startMonth) {
+    return startName;
+  }
+  return `${startName} - ${getMonthName(endMonth, language)}`;
 };
 
-// Format ordinal date (1st, 2nd, 3rd, etc.)
-const formatOrdinal = (num) => {
+// Format ordinal date (1st, 2nd, 3rd, etc. - or the language's day format, e.g. "tarehe 5")
+const formatOrdinal = (num, language) => {
   const n = Number(num);
+  const { dayFormat } = getLocale(language);
+
+  if (dayFormat) {
+    return interpolate(dayFormat, { day: n });
+  }
+
   const s = ['th', 'st', 'nd', 'rd'];
   const v = n % 100;
   return n + (s[(v - 20) % 10] || s[v] || s[0]);
 };
 
-// Calculate days until date
+// Calculate days until the next due date (clamped to the last day of short months)
 const daysUntil = (dayOfMonth) => {
-  const today = new Date();
-  const currentDay = today.getDate();
-  const currentMonth = today.getMonth();
-  const currentYear = today.getFullYear();
-  
-  let targetDate = new Date(currentYear, currentMonth, dayOfMonth);
-  
-  // If target day has passed this month, use next month
-  if (dayOfMonth < currentDay) {
-    targetDate = new Date(currentYear, currentMonth + 1, dayOfMonth);
-  }
-  
-  const diffTime = targetDate - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-  
-  return diffDays;
+  return daysUntilDue(dayOfMonth);
 };
 
-// Get current month string (YYYY-MM)
-const getCurrentMonth = () => {
-  const date = new Date();
+// Get month string (YYYY-MM) for a date
+const getMonthString = (date = new Date()) => {
   const year = date.getFullYear();
   const month = String(date.getMonth() + 1).padStart(2, '0');
   return `${year}-${month}`;
 };
 
+// Get current month string (YYYY-MM)
+const getCurrentMonth = () => {
+  return getMonthString(new Date());
+};
+
+// Get month string (YYYY-MM) for a date as seen in a time zone (e.g. 'Africa/Kampala')
+const getMonthInTimeZone = (timeZone, date = new Date()) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+  }).formatToParts(date);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  return `${part('year')}-${part('month')}`;
+};
+
 // Parse month string to start and end dates
 const getMonthDateRange = (monthString) => {
   const [year, month] = monthString.split('-').map(Number);
@@ -105,8 +131,11 @@ module.exports = {
   formatDate,
   formatDateTime,
   getMonthName,
+  getPeriodName,
   formatOrdinal,
   daysUntil,
+  getMonthString,
   getCurrentMonth,
+  getMonthInTimeZone,
   getMonthDateRange,
 };
\ No newline at end of file
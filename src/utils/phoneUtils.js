@@ -1,141 +1,247 @@
 /**
- * Phone number utilities for Uganda phone numbers
- * Handles various input formats and normalizes to +256XXXXXXXXX
+ * Phone number utilities for the countries we send SMS to
+ * (Uganda, Kenya, Tanzania and Rwanda - all covered by Africa's Talking)
+ * Handles various input formats and normalizes to E.164 (+<dial code><number>)
  */
 
+// Numbering plan per country: dial code, length of the national number
+// (without the trunk 0) and the prefixes mobile numbers start with
+const PHONE_COUNTRIES = {
+  UG: {
+    name: 'Uganda',
+    dialCode: '256',
+    nationalLength: 9,
+    mobilePrefixes: ['70', '71', '72', '74', '75', '76', '77', '78', '79'],
+  },
+  KE: {
+    name: 'Kenya',
+    dialCode: '254',
+    nationalLength: 9,
+    mobilePrefixes: ['7', '10', '11'],
+  },
+  TZ: {
+    name: 'Tanzania',
+    dialCode: '255',
+    nationalLength: 9,
+    mobilePrefixes: ['6', '7'],
+  },
+  RW: {
+    name: 'Rwanda',
+    dialCode: '250',
+    nationalLength: 9,
+    mobilePrefixes: ['72', '73', '78', '79'],
+  },
+};
+
+const SUPPORTED_COUNTRIES = Object.keys(PHONE_COUNTRIES);
+const DEFAULT_COUNTRY = 'UG';
+
 /**
- * Normalize Uganda phone number to standard format (+256XXXXXXXXX)
+ * Strip formatting from a phone number, keeping a leading +
+ * Spreadsheets turn long numbers into scientific notation (e.g. 2.56702E+11)
  * @param {string|number} phone - Phone number in various formats
- * @returns {string|null} - Normalized phone number or null if invalid
+ * @returns {string} - Empty if the number can't be recovered
  */
-const normalizeUgandaPhone = (phone) => {
-  if (!phone) return null;
-  
+const cleanPhone = (phone) => {
+  // Handle scientific notation (e.g., 2.56702123456E+11 or 2.56702123456E11)
+  const scientific = String(phone).trim().match(/^(\d+)(?:\.(\d+))?e\+?(\d+)$/i);
+  if (scientific) {
+    const [, whole, fraction = '', exponent] = scientific;
+    const digits = whole + fraction;
+    // Only exact when every digit of the number is in the mantissa -
+    // a shortened one (2.56772E+11) would have to be padded with zeros into a wrong number
+    return digits.length === whole.length + Number(exponent) ? digits : '';
+  }
+
   // Convert to string and remove all whitespace and special characters except +
   let cleaned = String(phone)
     .trim()
     .replace(/[\s\-\(\)\.]/g, '');
-  
-  // Handle scientific notation (e.g., 2.56702E+11 or 2.56702E11)
-  if (cleaned.includes('E') || cleaned.includes('e')) {
-    try {
-      // Convert scientific notation to full number
-      const num = parseFloat(cleaned);
-      if (!isNaN(num)) {
-        cleaned = num.toFixed(0); // Convert to string without decimals
-      }
-    } catch (e) {
-      console.warn('Failed to parse scientific notation:', phone);
-    }
+
+  // 00 is the international call prefix: 00256... is +256...
+  if (cleaned.startsWith('00')) {
+    cleaned = '+' + cleaned.substring(2);
   }
-  
+
   // Remove any remaining non-digit characters except leading +
   if (cleaned.startsWith('+')) {
-    cleaned = '+' + cleaned.substring(1).replace(/\D/g, '');
-  } else {
-    cleaned = cleaned.replace(/\D/g, '');
+    return '+' + cleaned.substring(1).replace(/\D/g, '');
   }
-  
+  return cleaned.replace(/\D/g, '');
+};
+
+/**
+ * Find the supported country of an international number (digits after +)
+ * @param {string} digits - Number with its dial code, without +
+ * @returns {string|null} - Country code
+ */
+const findCountryByDialCode = (digits) => {
+  return SUPPORTED_COUNTRIES.find(code => {
+    const { dialCode, nationalLength } = PHONE_COUNTRIES[code];
+    return digits.startsWith(dialCode) && digits.length === dialCode.length + nationalLength;
+  }) || null;
+};
+
+/**
+ * Check a national number against the country's mobile prefixes
+ */
+const isMobileNumber = (national, country) => {
+  const { nationalLength, mobilePrefixes } = PHONE_COUNTRIES[country];
+  return national.length === nationalLength && mobilePrefixes.some(prefix => national.startsWith(prefix));
+};
+
+/**
+ * Normalize a mobile phone number to E.164 (e.g. +256XXXXXXXXX)
+ * Numbers with a supported dial code (+254..., 254..., 00254...) are read as that
+ * country; local numbers (07XXXXXXXX or 7XXXXXXXX) as the given country.
+ * @param {string|number} phone - Phone number in various formats
+ * @param {string} country - Country for local numbers (UG, KE, TZ, RW)
+ * @returns {string|null} - Normalized phone number or null if invalid
+ */
+const normalizePhone = (phone, country = DEFAULT_COUNTRY) => {
+  if (!phone || !PHONE_COUNTRIES[country]) return null;
+
+  const cleaned = cleanPhone(phone);
+  const digits = cleaned.replace('+', '');
+  const { nationalLength } = PHONE_COUNTRIES[country];
+
   // Handle different formats:
-  // 1. +256XXXXXXXXX (already correct)
-  // 2. 256XXXXXXXXX (missing +)
-  // 3. 0XXXXXXXXX (local format)
-  // 4. 7XXXXXXXX (without 0 or 256)
-  
-  if (cleaned.startsWith('+256')) {
-    // Already in correct format
-    if (cleaned.length === 13) {
-      return cleaned;
-    }
-  } else if (cleaned.startsWith('256')) {
-    // Missing +
-    if (cleaned.length === 12) {
-      return '+' + cleaned;
-    }
-  } else if (cleaned.startsWith('0')) {
-    // Local format (0XXXXXXXXX)
-    if (cleaned.length === 10) {
-      return '+256' + cleaned.substring(1);
-    }
-  } else if (cleaned.length === 9) {
-    // Without leading 0 or 256 (7XXXXXXXX)
-    return '+256' + cleaned;
+  // 1. +CCCXXXXXXXXX or CCCXXXXXXXXX (international, any supported country)
+  // 2. 0XXXXXXXXX (local format)
+  // 3. XXXXXXXXX (without 0 or dial code)
+  let numberCountry = findCountryByDialCode(digits);
+  let national = null;
+
+  if (numberCountry) {
+    national = digits.substring(PHONE_COUNTRIES[numberCountry].dialCode.length);
+  } else if (cleaned.startsWith('+')) {
+    // International number of a country we don't support
+    return null;
+  } else if (digits.startsWith('0') && digits.length === nationalLength + 1) {
+    numberCountry = country;
+    national = digits.substring(1);
+  } else if (digits.length === nationalLength) {
+    numberCountry = country;
+    national = digits;
   }
-  
-  // If we got here, format is invalid
-  return null;
+
+  if (!national || !isMobileNumber(national, numberCountry)) {
+    // If we got here, format is invalid
+    return null;
+  }
+
+  return `+${PHONE_COUNTRIES[numberCountry].dialCode}${national}`;
 };
 
 /**
- * Validate Uganda phone number (flexible - accepts various formats)
+ * Validate a phone number (flexible - accepts various formats)
  * @param {string|number} phone - Phone number to validate
+ * @param {string} country - Country for local numbers
  * @returns {boolean} - True if valid (can be normalized)
  */
-const validateUgandaPhone = (phone) => {
-  const normalized = normalizeUgandaPhone(phone);
-  return normalized !== null;
+const validatePhone = (phone, country = DEFAULT_COUNTRY) => {
+  return normalizePhone(phone, country) !== null;
 };
 
 /**
- * Validate strict Uganda phone format (+256XXXXXXXXX only)
+ * Validate strict E.164 format for a supported country (+CCCXXXXXXXXX only)
+ * Only the dial code and length are checked, so numbers stored before
+ * mobile prefixes were enforced stay valid
  * @param {string} phone - Phone number to validate
  * @returns {boolean} - True if in strict format
  */
-const validateUgandaPhoneStrict = (phone) => {
-  const regex = /^\+256\d{9}$/;
-  return regex.test(phone);
+const validatePhoneStrict = (phone) => {
+  return typeof phone === 'string' && /^\+\d+$/.test(phone) && findCountryByDialCode(phone.substring(1)) !== null;
+};
+
+/**
+ * Country of an E.164 phone number
+ * @param {string} phone - Normalized phone number
+ * @returns {string|null} - Country code (UG, KE, TZ, RW)
+ */
+const getPhoneCountry = (phone) => {
+  return validatePhoneStrict(phone) ? findCountryByDialCode(phone.substring(1)) : null;
+};
+
+/**
+ * Example of the expected format, for error messages
+ * @param {string} country - Country code
+ * @returns {string} - e.g. "+256XXXXXXXXX or 0XXXXXXXXX"
+ */
+const getPhoneFormatHint = (country = DEFAULT_COUNTRY) => {
+  const { dialCode, nationalLength } = PHONE_COUNTRIES[country];
+  const digits = 'X'.repeat(nationalLength);
+  return `+${dialCode}${digits} or 0${digits}`;
+};
+
+/**
+ * Error message for a number that isn't a mobile number of the country
+ * @param {string} country - Country code
+ * @returns {string}
+ */
+const getInvalidPhoneMessage = (country = DEFAULT_COUNTRY) => {
+  return `Phone number must be a ${PHONE_COUNTRIES[country].name} mobile number: ${getPhoneFormatHint(country)}`;
 };
 
 /**
  * Format phone number for display
  * @param {string} phone - Phone number
+ * @param {string} country - Country for local numbers
  * @returns {string} - Formatted phone number
  */
-const formatPhoneDisplay = (phone) => {
+const formatPhoneDisplay = (phone, country = DEFAULT_COUNTRY) => {
   if (!phone) return '';
-  
-  const normalized = normalizeUgandaPhone(phone);
+
+  const normalized = normalizePhone(phone, country);
   if (!normalized) return phone;
-  
-  // Format as +256 7XX XXX XXX
-  const match = normalized.match(/^\+256(\d{3})(\d{3})(\d{3})$/);
+
+  // Format as +CCC 7XX XXX XXX
+  const match = normalized.match(/^\+(\d{3})(\d{3})(\d{3})(\d{3})$/);
   if (match) {
-    return `+256 ${match[1]} ${match[2]} ${match[3]}`;
+    return `+${match[1]} ${match[2]} ${match[3]} ${match[4]}`;
   }
-  
+
   return normalized;
 };
 
 /**
  * Extract phone numbers from text (useful for parsing)
  * @param {string} text - Text containing phone number
+ * @param {string} country - Country for local numbers
  * @returns {string|null} - Extracted and normalized phone number
  */
-const extractPhoneFromText = (text) => {
+const extractPhoneFromText = (text, country = DEFAULT_COUNTRY) => {
   if (!text) return null;
-  
+
   // Try to find phone number patterns
   const patterns = [
-    /\+256\d{9}/,
-    /256\d{9}/,
+    /\+\d{12}/,
+    /\d{12}/,
     /0\d{9}/,
     /\d{9}/,
   ];
-  
+
   for (const pattern of patterns) {
     const match = String(text).match(pattern);
     if (match) {
-      return normalizeUgandaPhone(match[0]);
+      const normalized = normalizePhone(match[0], country);
+      if (normalized) return normalized;
     }
   }
-  
+
   return null;
 };
 
 module.exports = {
-  normalizeUgandaPhone,
-  validateUgandaPhone,
-  validateUgandaPhoneStrict,
+  PHONE_COUNTRIES,
+  SUPPORTED_COUNTRIES,
+  DEFAULT_COUNTRY,
+  normalizePhone,
+  validatePhone,
+  validatePhoneStrict,
+  getPhoneCountry,
+  getPhoneFormatHint,
+  getInvalidPhoneMessage,
   formatPhoneDisplay,
   extractPhoneFromText,
 };
\ No newline at end of file
@@ -0,0 +1,152 @@
+/**
+ * Spreadsheet parsing for uploads
+ * Reads CSV (any common delimiter, UTF-8 or UTF-16 with or without a BOM) and XLSX
+ * into a header row plus data rows of plain strings
+ */
+
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+
+/**
+ * Decode a text file, honouring UTF-8 and UTF-16 byte order marks
+ * @param {Buffer} buffer - File contents
+ * @returns {string}
+ */
+const decodeText = (buffer) => {
+  if (buffer[0] === 0xFF && buffer[1] === 0xFE) {
+    return buffer.subarray(2).toString('utf16le');
+  }
+  if (buffer[0] === 0xFE && buffer[1] === 0xFF) {
+    // UTF-16 big endian - swap to little endian for Node
+    const swapped = Buffer.from(buffer.subarray(2));
+    swapped.swap16();
+    return swapped.toString('utf16le');
+  }
+  if (buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+    return buffer.subarray(3).toString('utf8');
+  }
+  return buffer.toString('utf8');
+};
+
+/**
+ * Guess a CSV delimiter from the header line (quoted text is ignored)
+ * @param {string} text - CSV text
+ * @returns {string} - Delimiter, comma if nothing else fits
+ */
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const unquoted = headerLine.replace(/"[^"]*"/g, '');
+
+  let best = ',';
+  let bestCount = 0;
+  for (const delimiter of CSV_DELIMITERS) {
+    const count = unquoted.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * Drop empty rows and split off the header row
+ * @param {Array<Array<string>>} records - All rows
+ * @returns {Object} - { headers, rows }
+ */
+const toTable = (records) => {
+  const nonEmpty = records.filter(row => row.some(cell => cell !== ''));
+  const [headers = [], ...rows] = nonEmpty;
+  return { headers, rows };
+};
+
+/**
+ * Parse CSV text
+ * @param {Buffer} buffer - File contents
+ * @returns {Object} - { headers, rows, delimiter }
+ */
+const parseCsv = (buffer) => {
+  const text = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+
+  const records = parse(text, {
+    delimiter,
+    relax_column_count: true,
+    relax_quotes: true,
+    skip_empty_lines: true,
+    trim: true,
+  });
+
+  return { ...toTable(records), delimiter };
+};
+
+/**
+ * Plain text of an Excel cell value (formulas give their result)
+ * @param {*} value - ExcelJS cell value
+ * @returns {string}
+ */
+const cellText = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value !== 'object') return String(value).trim();
+
+  if (value.richText) return value.richText.map(part => part.text).join('').trim();
+  if (value.text !== undefined) return cellText(value.text);
+  if (value.result !== undefined) return cellText(value.result);
+  return '';
+};
+
+/**
+ * Parse the first worksheet of an XLSX workbook
+ * @param {Buffer} buffer - File contents
+ * @returns {Promise<Object>} - { headers, rows }
+ */
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { headers: [], rows: [] };
+  }
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    // row.values is 1-based
+    records.push(row.values.slice(1).map(cellText));
+  });
+
+  // Fill the gaps eachRow leaves for blank cells
+  return toTable(records.map(row => Array.from(row, cell => cell || '')));
+};
+
+/**
+ * Check whether an upload is an XLSX workbook (a zip file) rather than text
+ * @param {Object} file - Multer file
+ * @returns {boolean}
+ */
+const isXlsx = (file) => {
+  return file.buffer[0] === 0x50 && file.buffer[1] === 0x4B; // "PK"
+};
+
+/**
+ * Parse an uploaded spreadsheet
+ * @param {Object} file - Multer file ({ buffer, originalname })
+ * @returns {Promise<Object>} - { headers, rows, format }
+ */
+const parseSpreadsheet = async (file) => {
+  if (isXlsx(file)) {
+    return { ...(await parseXlsx(file.buffer)), format: 'xlsx' };
+  }
+  return { ...parseCsv(file.buffer), format: 'csv' };
+};
+
+module.exports = {
+  decodeText,
+  detectDelimiter,
+  parseCsv,
+  parseXlsx,
+  parseSpreadsheet,
+};
\ No newline at end of file
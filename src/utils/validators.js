@@ -1,15 +1,10 @@
-const { normalizeUgandaPhone } = require('./phoneUtils');
+const { SUPPORTED_COUNTRIES } = require('./phoneUtils');
+const { SUPPORTED_LANGUAGES } = require('../locales');
+const { BILLING_FREQUENCIES } = require('./billingCycle');
 
-// Phone number validation (Uganda format: flexible, normalizable)
-const validateUgandaPhone = (phone) => {
-  const normalized = normalizeUgandaPhone(phone);
-  return normalized !== null;
-};
-
-// Strict phone validation (for already-normalized data)
-const validateUgandaPhoneStrict = (phone) => {
-  const regex = /^\+256\d{9}$/;
-  return regex.test(phone);
+// Country validation (countries we can send SMS to)
+const validateCountry = (country) => {
+  return SUPPORTED_COUNTRIES.includes(country);
 };
 
 // Email validation (RFC 5322 compliant)
@@ -24,6 +19,33 @@ const validateRentAmount = (amount) => {
   return !isNaN(numAmount) && numAmount >= 10000 && numAmount <= 50000000;
 };
 
+// Payment amount validation (whole UGX from 1 up to a year of max rent)
+const validatePaymentAmount = (amount) => {
+  const numAmount = Number(amount);
+  return Number.isInteger(numAmount) && numAmount >= 1 && numAmount <= 600000000;
+};
+
+// Payment method validation
+const validatePaymentMethod = (method) => {
+  return ['cash', 'mobile_money', 'bank'].includes(method);
+};
+
+// Deposit amount validation (zero allowed, up to a year of max rent)
+const validateDepositAmount = (amount) => {
+  const numAmount = Number(amount);
+  return !isNaN(numAmount) && numAmount >= 0 && numAmount <= 600000000;
+};
+
+// Billing frequency validation
+const validateBillingFrequency = (frequency) => {
+  return BILLING_FREQUENCIES.includes(frequency);
+};
+
+// Reminder language validation (en, lg, sw, nyn)
+const validateLanguage = (language) => {
+  return SUPPORTED_LANGUAGES.includes(language);
+};
+
 // Due date validation (1-31)
 const validateDueDate = (date) => {
   const numDate = Number(date);
@@ -71,10 +93,14 @@ const validateObjectId = (id) => {
 };
 
 module.exports = {
-  validateUgandaPhone,
-  validateUgandaPhoneStrict,
+  validateCountry,
   validateEmail,
   validateRentAmount,
+  validatePaymentAmount,
+  validatePaymentMethod,
+  validateDepositAmount,
+  validateBillingFrequency,
+  validateLanguage,
   validateDueDate,
   validatePropertyName,
   validateTenantName,